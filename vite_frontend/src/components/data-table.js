@@ -0,0 +1,232 @@
+//
+// Data table component: sortable columns, free-text filter, optional per-column
+// select filters and optional paging. Used by views that list device entities
+// (clients, leases, users, ...).
+//
+// Public API:
+// - createDataTable(rootEl, { columns, rows?, initialSort?, filterLabel?, emptyText?, allLabel?, rowKey?,
+//     pageSize?, pageLabels? })
+//   -> { setRows(rows), getVisibleRows(), destroy() }
+//
+// Column shape:
+//   { key, label, sortable?, sortValue?(row), filterValue?(row), render?(row) -> HTML string,
+//     filterOptions?: [{ value, label }], align?: 'left' | 'right' }
+// - render must escape any row data it interpolates; the default renderer escapes row[key].
+// - filterOptions adds a <select> to the toolbar that keeps rows where row[key] === value.
+// - Cells can contain buttons with data-action; callers handle them through delegate() on rootEl,
+//   reading the row key from the enclosing <tr data-row-key>.
+//
+// Paging:
+// - With pageSize > 0 only that many rows are rendered, with Previous/Next buttons below the table.
+//   pageLabels: { previous, next, range(from, to, total) -> string } supplies the (translated) texts.
+// - Changing the filter or sort order returns to the first page; setRows keeps the page when it still exists.
+//
+// Accessibility:
+// - Sortable headers are buttons inside <th aria-sort>, so they work with keyboard and screen readers.
+//
+
+import { create, render, delegate, qs, qsa, escapeHtml } from '../utils/dom.js';
+
+let _idSeq = 0;
+
+function compareValues(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// PUBLIC_INTERFACE
+export function createDataTable(rootEl, options = {}) {
+  /** Mount a sortable/filterable table into rootEl. Returns { setRows, getVisibleRows, destroy }. */
+  if (!rootEl) {
+    throw new Error('createDataTable(rootEl, options) requires a valid root element.');
+  }
+  const {
+    columns = [],
+    initialSort = null,
+    filterLabel = 'Filter',
+    emptyText = 'No entries.',
+    allLabel = 'All',
+    rowKey = (row, index) => String(index),
+    pageSize = 0,
+    pageLabels = {},
+  } = options;
+  const labels = {
+    previous: 'Previous',
+    next: 'Next',
+    range: (from, to, total) => `${from}–${to} of ${total}`,
+    ...pageLabels,
+  };
+
+  const uid = `dt-${++_idSeq}`;
+  let rows = Array.isArray(options.rows) ? options.rows.slice() : [];
+  let sort = initialSort && initialSort.key ? { key: initialSort.key, dir: initialSort.dir === 'desc' ? 'desc' : 'asc' } : null;
+  let query = '';
+  const selectFilters = {};
+  let visible = [];
+  let page = 0;
+
+  const filterInput = create('input', {
+    id: `${uid}-q`,
+    class: 'input',
+    type: 'search',
+    placeholder: filterLabel,
+    'aria-label': filterLabel,
+  });
+
+  const selects = columns
+    .filter((c) => Array.isArray(c.filterOptions) && c.filterOptions.length)
+    .map((c) => create(
+      'select',
+      { class: 'select', 'data-filter-key': c.key, 'aria-label': c.label },
+      create('option', { value: '' }, `${c.label}: ${allLabel}`),
+      c.filterOptions.map((o) => create('option', { value: o.value }, o.label)),
+    ));
+
+  const toolbar = create('div', { class: 'table-toolbar' }, filterInput, selects);
+  const thead = create('thead');
+  const tbody = create('tbody');
+  const table = create('table', { class: 'table' }, thead, tbody);
+  const prevButton = create('button', { type: 'button', class: 'btn btn-ghost', 'data-page': 'prev' }, labels.previous);
+  const nextButton = create('button', { type: 'button', class: 'btn btn-ghost', 'data-page': 'next' }, labels.next);
+  const pageStatus = create('span', { class: 'u-muted', 'aria-live': 'polite' });
+  const pager = pageSize > 0 ? create('div', { class: 'table-pager' }, prevButton, pageStatus, nextButton) : null;
+  render(rootEl, [toolbar, create('div', { style: { overflow: 'auto' } }, table), pager]);
+
+  function renderHead() {
+    const cells = columns.map((c) => {
+      const active = sort && sort.key === c.key;
+      const ariaSort = active ? (sort.dir === 'asc' ? 'ascending' : 'descending') : (c.sortable ? 'none' : null);
+      const style = c.align === 'right' ? { textAlign: 'right' } : null;
+      if (!c.sortable) return create('th', { scope: 'col', style }, c.label);
+      return create(
+        'th',
+        { scope: 'col', 'aria-sort': ariaSort, style },
+        create(
+          'button',
+          { type: 'button', class: 'table-sort', 'data-sort-key': c.key },
+          c.label,
+          create('span', { 'aria-hidden': 'true' }, active ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : ''),
+        ),
+      );
+    });
+    render(thead, create('tr', null, cells));
+  }
+
+  function computeVisible() {
+    const q = query.trim().toLowerCase();
+    let out = rows.filter((row) => {
+      for (const [key, value] of Object.entries(selectFilters)) {
+        if (value && String(row[key]) !== value) return false;
+      }
+      if (!q) return true;
+      return columns.some((c) => {
+        const v = typeof c.filterValue === 'function' ? c.filterValue(row) : row[c.key];
+        return v != null && String(v).toLowerCase().includes(q);
+      });
+    });
+    if (sort) {
+      const col = columns.find((c) => c.key === sort.key);
+      const valueOf = col && typeof col.sortValue === 'function' ? col.sortValue : (row) => row[sort.key];
+      const factor = sort.dir === 'desc' ? -1 : 1;
+      out = out.slice().sort((a, b) => factor * compareValues(valueOf(a), valueOf(b)));
+    }
+    return out;
+  }
+
+  function renderPager() {
+    if (!pager) return;
+    const pages = Math.max(1, Math.ceil(visible.length / pageSize));
+    pager.hidden = pages <= 1;
+    prevButton.disabled = page === 0;
+    nextButton.disabled = page >= pages - 1;
+    pageStatus.textContent = visible.length
+      ? labels.range(page * pageSize + 1, Math.min(visible.length, (page + 1) * pageSize), visible.length)
+      : '';
+  }
+
+  function renderBody() {
+    visible = computeVisible();
+    if (pageSize > 0) page = Math.min(page, Math.max(0, Math.ceil(visible.length / pageSize) - 1));
+    renderPager();
+    if (!visible.length) {
+      tbody.innerHTML = `<tr><td colspan="${columns.length}" class="u-muted">${escapeHtml(emptyText)}</td></tr>`;
+      return;
+    }
+    const shown = pageSize > 0 ? visible.slice(page * pageSize, (page + 1) * pageSize) : visible;
+    tbody.innerHTML = shown
+      .map((row) => {
+        const index = rows.indexOf(row);
+        const cells = columns
+          .map((c) => {
+            const html = typeof c.render === 'function' ? c.render(row) : escapeHtml(row[c.key] ?? '—');
+            return `<td${c.align === 'right' ? ' style="text-align:right;"' : ''}>${html}</td>`;
+          })
+          .join('');
+        return `<tr data-row-key="${escapeHtml(rowKey(row, index))}">${cells}</tr>`;
+      })
+      .join('');
+  }
+
+  const unsubSort = delegate(thead, 'click', 'button[data-sort-key]', (evt, target) => {
+    const key = target.getAttribute('data-sort-key');
+    sort = sort && sort.key === key
+      ? { key, dir: sort.dir === 'asc' ? 'desc' : 'asc' }
+      : { key, dir: 'asc' };
+    page = 0;
+    renderHead();
+    renderBody();
+    const again = qs(`button[data-sort-key="${key}"]`, thead);
+    if (again) again.focus();
+  });
+
+  const onInput = () => {
+    query = filterInput.value;
+    page = 0;
+    renderBody();
+  };
+  filterInput.addEventListener('input', onInput);
+
+  const onSelect = (evt) => {
+    selectFilters[evt.target.getAttribute('data-filter-key')] = evt.target.value;
+    page = 0;
+    renderBody();
+  };
+  for (const sel of qsa('select[data-filter-key]', toolbar)) sel.addEventListener('change', onSelect);
+
+  const unsubPage = pager
+    ? delegate(pager, 'click', 'button[data-page]', (evt, target) => {
+      page += target.getAttribute('data-page') === 'next' ? 1 : -1;
+      renderBody();
+      // Keep focus on the pager when the button just used became disabled
+      (target.disabled ? (target === nextButton ? prevButton : nextButton) : target).focus();
+    })
+    : () => {};
+
+  renderHead();
+  renderBody();
+
+  return {
+    setRows(next) {
+      // PUBLIC_INTERFACE
+      /** Replace the row data; current sort and filters are kept. */
+      rows = Array.isArray(next) ? next.slice() : [];
+      renderBody();
+    },
+    getVisibleRows() {
+      // PUBLIC_INTERFACE
+      /** Returns the rows matching the filters, sorted (all pages when paging). */
+      return visible.slice();
+    },
+    destroy() {
+      // PUBLIC_INTERFACE
+      /** Remove listeners; caller may clear rootEl content if needed. */
+      try { unsubSort(); } catch { /* ignore cleanup error */ }
+      try { unsubPage(); } catch { /* ignore cleanup error */ }
+      filterInput.removeEventListener('input', onInput);
+      for (const sel of qsa('select[data-filter-key]', toolbar)) sel.removeEventListener('change', onSelect);
+    },
+  };
+}
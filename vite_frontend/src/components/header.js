@@ -2,19 +2,25 @@
 // Header component: Ocean Professional themed, accessible, with language switch and account/logout.
 //
 // Public API:
-// - initHeader(rootEl, { i18n, router, storage })
+// - initHeader(rootEl, { i18n, router, storage, auth?, unsaved?, navigationLock? })
 //
 // Behavior:
 // - Renders left-aligned app title; right-aligned controls: language switch (EN/ES), username, Logout.
 // - Language persisted via storage and updates labels on change.
-// - Logout clears session via storage and navigates to /home.
+// - Logout first lets the current page object (router.confirmLeave, e.g. unsaved changes), then ends
+//   the session through auth.logout() (src/services/auth.js) and navigates to /login. The header
+//   re-renders on auth.onSessionChange so the username follows the signed-in account.
+// - The returned logout() takes the same path without asking the page first (e.g. idle timeout).
+// - Shows an "Unsaved changes" badge while unsaved.isDirty() is true (see src/utils/dirty-state.js).
+// - While navigationLock.isNavigationLocked() is true (e.g. the device is rebooting), route changes
+//   are cancelled through router.beforeLeave and the header controls are disabled
+//   (see src/utils/navigation-lock.js).
 // - Accessible: buttons with aria-pressed, aria-labels, keyboard support.
-// - If import.meta.env.VITE_BACKEND_URL exists, a commented placeholder shows future logout fetch.
 //
 // Dependencies: src/utils/dom.js
 //
 
-import { create, render, delegate, qs } from '../utils/dom.js';
+import { create, render, delegate, qs, qsa } from '../utils/dom.js';
 
 // Safe console shim for environments where console may be undefined (lint-safe)
 const log = (() => {
@@ -29,8 +35,8 @@ const log = (() => {
 // Storage keys within provided namespaced storage
 const STORAGE_KEYS = Object.freeze({
   lang: 'lang',
-  session: 'session', // Expected to hold session info if used by app
-  username: 'username', // Optional username to display
+  session: 'session', // Session token, written by src/services/auth.js
+  username: 'username', // Signed-in username to display
 });
 
 
@@ -127,10 +133,23 @@ function buildAccountArea(i18n, storage) {
   return create('div', { class: 'actions', role: 'group', 'aria-label': 'Account controls' }, userLabel, logoutBtn);
 }
 
+/**
+ * Build the unsaved-changes indicator; hidden until a form reports edits.
+ */
+function buildUnsavedIndicator(i18n, unsaved) {
+  const label = typeof i18n?.t === 'function' ? i18n.t('header.unsaved') : 'Unsaved changes';
+  const dirty = typeof unsaved?.isDirty === 'function' ? unsaved.isDirty() : false;
+  return create(
+    'span',
+    { class: 'badge secondary', 'data-role': 'unsaved-indicator', role: 'status', hidden: !dirty },
+    label,
+  );
+}
+
 /**
  * Render the full header content.
  */
-function renderHeader(container, { i18n, storage }) {
+function renderHeader(container, { i18n, storage, unsaved }) {
   const appTitle = typeof i18n?.t === 'function' ? i18n.t('app.title') : 'User Dashboard';
   const titleEl = create(
     'h1',
@@ -148,6 +167,7 @@ function renderHeader(container, { i18n, storage }) {
     appTitle,
   );
 
+  const unsavedIndicator = buildUnsavedIndicator(i18n, unsaved);
   const langSwitcher = buildLanguageSwitcher(i18n, storage);
   const accountArea = buildAccountArea(i18n, storage);
 
@@ -163,6 +183,7 @@ function renderHeader(container, { i18n, storage }) {
       },
     },
     titleEl,
+    unsavedIndicator,
     langSwitcher,
     accountArea,
   );
@@ -170,14 +191,43 @@ function renderHeader(container, { i18n, storage }) {
   render(container, wrapper);
 }
 
+/**
+ * End the session and go to /login. With confirm, the current page may object first
+ * (router.confirmLeave, e.g. unsaved changes); resolves false when it did.
+ */
+async function signOut({ router, storage, auth }, { confirm = true } = {}) {
+  // Staying on the page means staying signed in
+  if (confirm && typeof router?.confirmLeave === 'function' && !(await router.confirmLeave())) return false;
+  try {
+    if (typeof auth?.logout === 'function') {
+      await auth.logout();
+    } else if (storage) {
+      storage.remove(STORAGE_KEYS.session);
+      storage.remove(STORAGE_KEYS.username);
+    }
+  } catch (err) {
+    // The local session is gone either way; do not trap the user on a backend error
+    log.warn('Header: logout encountered an error', err);
+  }
+  if (router && typeof router.navigate === 'function') {
+    router.navigate('/login', { replace: true });
+  } else if (typeof globalThis !== 'undefined' && globalThis.location) {
+    globalThis.location.hash = '#/login';
+  }
+  return true;
+}
+
 /**
  * Attach behaviors for language switch and logout.
  */
-function attachBehaviors(container, { i18n, router, storage }) {
+function attachBehaviors(container, { i18n, router, storage, auth, unsaved, navigationLock }) {
   // Language switching via delegation
-  const unsubLangClick = delegate(container, 'click', 'button[data-lang]', (evt, target) => {
+  const unsubLangClick = delegate(container, 'click', 'button[data-lang]', async (evt, target) => {
     const lang = target.getAttribute('data-lang');
     if (!lang) return;
+    if (typeof i18n?.getLanguage === 'function' && i18n.getLanguage() === lang) return;
+    // Switching re-renders the page, so it may object first (unsaved changes, upload running)
+    if (typeof router?.confirmLeave === 'function' && !(await router.confirmLeave())) return;
     try {
       if (typeof i18n?.setLanguage === 'function') {
         i18n.setLanguage(lang);
@@ -207,38 +257,43 @@ function attachBehaviors(container, { i18n, router, storage }) {
   });
 
   // Logout handling
-  const unsubLogout = delegate(container, 'click', 'button[data-action="logout"]', async () => {
-    try {
-      // Clear session items
-      if (storage) {
-        try { storage.remove(STORAGE_KEYS.session); } catch (err) { log.debug('Header: session clear failed', err); }
-        try { storage.remove(STORAGE_KEYS.username); } catch (err) { log.debug('Header: username clear failed', err); }
-      }
+  const unsubLogout = delegate(container, 'click', 'button[data-action="logout"]', async (evt, target) => {
+    target.disabled = true;
+    if (!(await signOut({ router, storage, auth }))) target.disabled = false;
+  });
 
-      // Placeholder for a future real API call:
-      // If backend URL is configured, a future logout fetch can be enabled here.
-      // Example:
-      // if (import.meta?.env?.VITE_BACKEND_URL) {
-      //   await fetch(`${import.meta.env.VITE_BACKEND_URL}/api/logout`, { method: 'POST', credentials: 'include' });
-      // }
+  // Unsaved-changes indicator follows the dirty-state registry
+  const onDirty = (dirty) => {
+    const badge = qs('[data-role="unsaved-indicator"]', container);
+    if (badge) badge.hidden = !dirty;
+  };
+  if (typeof unsaved?.onDirtyChange === 'function') unsaved.onDirtyChange(onDirty);
 
-      // Navigate to /home
-      if (router && typeof router.navigate === 'function') {
-        router.navigate('/home');
-      } else if (typeof globalThis !== 'undefined' && globalThis.location) {
-        globalThis.location.hash = '#/home';
-      }
-    } catch (err) {
-      // ignore logout errors to avoid trapping user; still navigate
-      if (router && typeof router.navigate === 'function') {
-        router.navigate('/home');
-      }
-      log.warn('Header: logout encountered an error', err);
+  // Navigation lock: keep the user on the current route and out of the header controls
+  let releaseGuard = null;
+  const onLock = (locked) => {
+    for (const btn of qsa('button', container)) btn.disabled = locked;
+    if (locked && !releaseGuard && typeof router?.beforeLeave === 'function') {
+      releaseGuard = router.beforeLeave(() => false);
+    } else if (!locked && releaseGuard) {
+      releaseGuard();
+      releaseGuard = null;
     }
-  });
+  };
+  if (typeof navigationLock?.onNavigationLockChange === 'function') {
+    navigationLock.onNavigationLockChange(onLock);
+    onLock(!!navigationLock.isNavigationLocked());
+  }
 
   // No extra language change listener here; initHeader wires a full re-render on language change.
   return () => {
+    if (typeof unsaved?.offDirtyChange === 'function') {
+      try { unsaved.offDirtyChange(onDirty); } catch (err) { log.debug('Header: detach unsaved listener failed', err); }
+    }
+    if (typeof navigationLock?.offNavigationLockChange === 'function') {
+      try { navigationLock.offNavigationLockChange(onLock); } catch (err) { log.debug('Header: detach lock listener failed', err); }
+    }
+    if (releaseGuard) releaseGuard();
     try { unsubLangClick(); } catch (err) { log.debug('Header: detach lang click failed', err); }
     try { unsubLangKey(); } catch (err) { log.debug('Header: detach lang key failed', err); }
     try { unsubLogout(); } catch (err) { log.debug('Header: detach logout failed', err); }
@@ -246,25 +301,28 @@ function attachBehaviors(container, { i18n, router, storage }) {
 }
 
 // PUBLIC_INTERFACE
-export function initHeader(rootEl, { i18n, router, storage } = {}) {
+export function initHeader(rootEl, { i18n, router, storage, auth, unsaved, navigationLock } = {}) {
   /** Initialize and mount the header into the provided rootEl. Includes language switch and logout. */
   if (!rootEl) {
     throw new Error('initHeader(rootEl, { i18n, router, storage }) requires a valid root element.');
   }
 
   // Render once
-  renderHeader(rootEl, { i18n, storage });
-  let teardown = attachBehaviors(rootEl, { i18n, router, storage });
+  renderHeader(rootEl, { i18n, storage, unsaved });
+  let teardown = attachBehaviors(rootEl, { i18n, router, storage, auth, unsaved, navigationLock });
 
-  // Wire i18n updates to re-render
-  const onLangChange = () => {
+  // Wire i18n and session updates to re-render
+  const rerender = () => {
     try { teardown(); } catch (err) { log.debug('Header: teardown before rerender failed', err); }
-    renderHeader(rootEl, { i18n, storage });
-    teardown = attachBehaviors(rootEl, { i18n, router, storage });
+    renderHeader(rootEl, { i18n, storage, unsaved });
+    teardown = attachBehaviors(rootEl, { i18n, router, storage, auth, unsaved, navigationLock });
   };
 
   if (i18n && typeof i18n.onLanguageChange === 'function') {
-    i18n.onLanguageChange(onLangChange);
+    i18n.onLanguageChange(rerender);
+  }
+  if (typeof auth?.onSessionChange === 'function') {
+    auth.onSessionChange(rerender);
   }
 
   return {
@@ -273,8 +331,16 @@ export function initHeader(rootEl, { i18n, router, storage } = {}) {
       /** Unmount the header: removes listeners; caller may clear rootEl content if needed. */
       try { teardown(); } catch (err) { log.debug('Header: teardown on unmount failed', err); }
       if (i18n && typeof i18n.offLanguageChange === 'function') {
-        try { i18n.offLanguageChange(onLangChange); } catch (err) { log.debug('Header: offLanguageChange detach failed', err); }
+        try { i18n.offLanguageChange(rerender); } catch (err) { log.debug('Header: offLanguageChange detach failed', err); }
       }
+      if (typeof auth?.offSessionChange === 'function') {
+        try { auth.offSessionChange(rerender); } catch (err) { log.debug('Header: offSessionChange detach failed', err); }
+      }
+    },
+    logout() {
+      // PUBLIC_INTERFACE
+      /** Sign out through the header's logout path without letting the page object; resolves when done. */
+      return signOut({ router, storage, auth }, { confirm: false });
     },
   };
 }
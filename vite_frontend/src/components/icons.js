@@ -4,7 +4,7 @@
 export function icon(name, attrs = {}) {
   /**
    * Returns an inline SVG string for the given icon name using currentColor.
-   * Available names: home, pulse, sliders, gear, shield, tools, apps, globe, lan, wan, wlan, dhcp, log, service, ddns, dmz, ntp, ssh, firmware, upnp
+   * Available names: home, pulse, sliders, gear, shield, tools, apps, globe, lan, wan, wlan, dhcp, log, service, ddns, dmz, forward, firewall, grip, ntp, ssh, firmware, upnp, backup, power, users
    */
   const base = { width: 20, height: 20, viewBox: '0 0 24 24', fill: 'none', stroke: 'currentColor', 'stroke-width': 2, 'stroke-linecap': 'round', 'stroke-linejoin': 'round', role: 'img', 'aria-hidden': 'true' };
   const a = Object.assign({}, base, attrs || {});
@@ -29,10 +29,16 @@ export function icon(name, attrs = {}) {
     service: '<path d="M12 6v12"></path><path d="M6 12h12"></path><circle cx="12" cy="12" r="9"></circle>',
     ddns: '<path d="M21 16a4 4 0 0 1-4 4H7a4 4 0 1 1 0-8h10a4 4 0 0 0 0-8H7"></path>',
     dmz: '<path d="M4 20h16"></path><path d="M12 4l7 7-7 7-7-7 7-7z"></path>',
+    forward: '<path d="M3 12h12"></path><path d="M11 8l4 4-4 4"></path><rect x="17" y="5" width="4" height="14" rx="1"></rect>',
+    firewall: '<rect x="3" y="4" width="18" height="16" rx="1"></rect><path d="M3 9h18"></path><path d="M3 14h18"></path><path d="M9 4v5"></path><path d="M15 9v5"></path><path d="M9 14v6"></path>',
+    grip: '<circle cx="9" cy="6" r="1"></circle><circle cx="15" cy="6" r="1"></circle><circle cx="9" cy="12" r="1"></circle><circle cx="15" cy="12" r="1"></circle><circle cx="9" cy="18" r="1"></circle><circle cx="15" cy="18" r="1"></circle>',
     ntp: '<circle cx="12" cy="12" r="10"></circle><path d="M12 6v6l4 2"></path>',
     ssh: '<rect x="3" y="11" width="18" height="10" rx="2"></rect><path d="M7 11V7a5 5 0 1 1 10 0v4"></path>',
     firmware: '<path d="M6 2h12v6H6z"></path><path d="M6 8h12v14H6z"></path><path d="M10 12h4"></path><path d="M10 16h4"></path>',
-    upnp: '<circle cx="12" cy="12" r="3"></circle><path d="M2 12a10 10 0 0 1 20 0"></path><path d="M5 12a7 7 0 0 1 14 0"></path>'
+    upnp: '<circle cx="12" cy="12" r="3"></circle><path d="M2 12a10 10 0 0 1 20 0"></path><path d="M5 12a7 7 0 0 1 14 0"></path>',
+    backup: '<rect x="3" y="3" width="18" height="5" rx="1"></rect><path d="M5 8v11a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2V8"></path><path d="M12 11v6"></path><path d="M9 14l3 3 3-3"></path>',
+    power: '<path d="M12 2v10"></path><path d="M18.4 6.6a9 9 0 1 1-12.8 0"></path>',
+    users: '<circle cx="9" cy="8" r="4"></circle><path d="M2 21v-1a6 6 0 0 1 6-6h2a6 6 0 0 1 6 6v1"></path><path d="M16 4a4 4 0 0 1 0 8"></path><path d="M22 21v-1a6 6 0 0 0-4-5.65"></path>'
   };
 
   const body = paths[name] || paths.home;
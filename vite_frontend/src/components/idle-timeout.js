@@ -0,0 +1,114 @@
+//
+// Idle watch for a signed-in session: records user activity, shows a countdown dialog
+// during the last minute before the idle deadline (see src/services/session-timeout.js)
+// and calls onExpire once it passes. Another tab's activity pushes the shared deadline
+// back and closes the dialog here too.
+//
+// Public API:
+// - startIdleTimeout({ t, onExpire, isSignedIn?, isBusy? }) -> stop()
+//   onExpire() runs once, when the deadline passes or isSignedIn() turns false (e.g. another
+//   tab signed out). While isBusy() is true (e.g. waiting for a reboot) the user counts as active.
+//
+
+import { qs } from '../utils/dom.js';
+import { recordActivity, getIdleDeadline } from '../services/session-timeout.js';
+
+// Timer helpers to avoid no-undef in lint environments and work in browsers/workers.
+const _g = typeof globalThis !== 'undefined' ? globalThis : {};
+const _setInterval = (_g && _g.setInterval) ? _g.setInterval.bind(_g) : () => null;
+const _clearInterval = (_g && _g.clearInterval) ? _g.clearInterval.bind(_g) : () => {};
+
+const WARNING_MS = 60 * 1000;
+const ACTIVITY_EVENTS = Object.freeze(['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll']);
+
+function buildDialog(t) {
+  const p = 'idleTimeout';
+  const dialog = document.createElement('div');
+  dialog.className = 'idle-warning';
+  dialog.setAttribute('role', 'alertdialog');
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('aria-labelledby', 'idle-warning-title');
+  dialog.setAttribute('aria-describedby', 'idle-warning-message');
+  dialog.innerHTML = `
+    <div class="card idle-warning-card">
+      <div class="card-header" id="idle-warning-title">${t(`${p}.title`)}</div>
+      <p id="idle-warning-message">${t(`${p}.message`)}</p>
+      <p class="u-muted" data-role="countdown" aria-live="off"></p>
+      <div class="form-actions">
+        <button type="button" class="btn btn-primary" data-action="stay">${t(`${p}.stay`)}</button>
+      </div>
+    </div>
+  `;
+  return dialog;
+}
+
+// PUBLIC_INTERFACE
+export function startIdleTimeout({ t = (s) => s, onExpire, isSignedIn = () => true, isBusy = () => false } = {}) {
+  /** Watch for inactivity, warn a minute before the idle deadline and call onExpire when it passes; returns stop(). */
+  const app = document.querySelector('#app');
+  let dialog = null;
+  let madeInert = false;
+  let returnFocus = null;
+  let timer = null;
+  let stopped = false;
+
+  // The warning asks for an explicit answer; moving the mouse does not dismiss it
+  const onActivity = () => {
+    if (!dialog) recordActivity();
+  };
+
+  const hideWarning = () => {
+    if (!dialog) return;
+    dialog.remove();
+    dialog = null;
+    if (madeInert && app) app.removeAttribute('inert');
+    madeInert = false;
+    if (returnFocus && typeof returnFocus.focus === 'function' && returnFocus.isConnected) returnFocus.focus();
+    returnFocus = null;
+  };
+
+  const showWarning = () => {
+    returnFocus = document.activeElement;
+    dialog = buildDialog(t);
+    qs('button[data-action="stay"]', dialog).addEventListener('click', () => {
+      recordActivity({ force: true });
+      hideWarning();
+    });
+    if (app && !app.hasAttribute('inert')) {
+      app.setAttribute('inert', '');
+      madeInert = true;
+    }
+    document.body.appendChild(dialog);
+    qs('button[data-action="stay"]', dialog).focus();
+  };
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    _clearInterval(timer);
+    for (const type of ACTIVITY_EVENTS) document.removeEventListener(type, onActivity, true);
+    hideWarning();
+  };
+
+  const tick = () => {
+    if (isBusy()) recordActivity();
+    const left = getIdleDeadline() - Date.now();
+    if (left <= 0 || !isSignedIn()) {
+      stop();
+      if (typeof onExpire === 'function') onExpire();
+      return;
+    }
+    if (left > WARNING_MS) {
+      hideWarning();
+      return;
+    }
+    if (!dialog) showWarning();
+    qs('[data-role="countdown"]', dialog).textContent = t('idleTimeout.countdown', { seconds: Math.ceil(left / 1000) });
+  };
+
+  for (const type of ACTIVITY_EVENTS) document.addEventListener(type, onActivity, { capture: true, passive: true });
+  timer = _setInterval(tick, 1000);
+  tick();
+
+  return stop;
+}
@@ -0,0 +1,76 @@
+//
+// Password input with an accessible reveal toggle and optional strength meter.
+// Returns markup strings (like icons.js) plus a binder that wires behavior by delegation.
+//
+// Public API:
+// - passwordField({ id, name, label, t, meter?, hint?, autocomplete?, attrs? }) -> HTML string
+//   (hint renders a data-role="password-hint" element when not null, even if empty)
+// - bindPasswordFields(rootEl, t) -> unsubscribe()
+// - refreshPasswordMeters(rootEl, t)   (after values are filled programmatically)
+//
+// Accessibility:
+// - The toggle is a real <button> with aria-pressed and aria-controls, so Enter/Space work
+//   like the sidebar toggles; its label switches between "Show" and "Hide".
+// - The strength meter is a <meter> with a text label announced via aria-live.
+//
+
+import { qs, qsa, delegate } from '../utils/dom.js';
+import { passwordStrength } from '../utils/password.js';
+
+function updateMeter(input, t) {
+  const wrapper = input.closest('.password-field');
+  const meter = wrapper ? qs('meter', wrapper) : null;
+  if (!meter) return;
+  const { score, levelKey } = passwordStrength(input.value);
+  meter.value = score;
+  const text = qs('[data-role="strength-text"]', wrapper);
+  if (text) text.textContent = input.value ? t(`forms.strength.${levelKey}`) : '';
+}
+
+// PUBLIC_INTERFACE
+export function passwordField({ id, name, label, t = (s) => s, meter = false, hint = null, autocomplete = 'new-password', attrs = '' }) {
+  /** Markup for a labelled password input with a reveal toggle (and strength meter when meter=true). */
+  return `
+    <div class="field password-field">
+      <label class="label" for="${id}">${label}</label>
+      <div class="password-row">
+        <input id="${id}" name="${name}" class="input" type="password" autocomplete="${autocomplete}" spellcheck="false" ${attrs} />
+        <button type="button" class="btn btn-ghost" data-action="reveal" aria-controls="${id}" aria-pressed="false" aria-label="${t('forms.showPassword')}">${t('forms.show')}</button>
+      </div>
+      ${meter ? `
+        <div class="strength">
+          <meter min="0" max="4" low="2" high="3" optimum="4" value="0" aria-label="${t('forms.strength.label')}"></meter>
+          <span class="field-hint" data-role="strength-text" aria-live="polite"></span>
+        </div>
+      ` : ''}
+      ${hint !== null ? `<p class="field-hint" data-role="password-hint">${hint}</p>` : ''}
+      <p class="field-error" id="${id}-error" data-error-for="${name}" hidden></p>
+    </div>
+  `;
+}
+
+// PUBLIC_INTERFACE
+export function bindPasswordFields(rootEl, t = (s) => s) {
+  /** Wire reveal toggles and strength meters for all password fields under rootEl. */
+  const unsubReveal = delegate(rootEl, 'click', 'button[data-action="reveal"]', (evt, btn) => {
+    const input = qs(`#${btn.getAttribute('aria-controls')}`, rootEl);
+    if (!input) return;
+    const reveal = input.type === 'password';
+    input.type = reveal ? 'text' : 'password';
+    btn.setAttribute('aria-pressed', String(reveal));
+    btn.setAttribute('aria-label', reveal ? t('forms.hidePassword') : t('forms.showPassword'));
+    btn.textContent = reveal ? t('forms.hide') : t('forms.show');
+  });
+  const unsubInput = delegate(rootEl, 'input', '.password-field input', (evt, input) => updateMeter(input, t));
+  refreshPasswordMeters(rootEl, t);
+  return () => {
+    unsubReveal();
+    unsubInput();
+  };
+}
+
+// PUBLIC_INTERFACE
+export function refreshPasswordMeters(rootEl, t = (s) => s) {
+  /** Recompute strength meters, e.g. after fillForm() set values without input events. */
+  for (const input of qsa('.password-field input', rootEl)) updateMeter(input, t);
+}
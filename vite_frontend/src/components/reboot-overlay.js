@@ -0,0 +1,96 @@
+//
+// Full-screen "device is restarting" overlay: counts down the expected downtime, then
+// probes the device until it answers and hands control back (typically to /home).
+// While it is up the rest of the app is inert and navigation is locked
+// (see src/utils/navigation-lock.js), so nothing can talk to a half-booted device.
+//
+// Public API:
+// - showRebootOverlay({ t, title, message, seconds, probe, onBack }) -> { close() }
+//   probe() -> Promise that resolves once the device answers; onBack() runs after the
+//   overlay is gone and navigation is unlocked.
+//
+
+import { qs, escapeHtml } from '../utils/dom.js';
+import { setNavigationLock } from '../utils/navigation-lock.js';
+
+// Timer helpers to avoid no-undef in lint environments and work in browsers/workers.
+const _g = typeof globalThis !== 'undefined' ? globalThis : {};
+const _setInterval = (_g && _g.setInterval) ? _g.setInterval.bind(_g) : () => null;
+const _clearInterval = (_g && _g.clearInterval) ? _g.clearInterval.bind(_g) : () => {};
+
+const PROBE_INTERVAL_MS = 3000;
+// A device that is only starting to shut down may still answer; do not probe before
+// this share of the expected downtime has passed.
+const PROBE_GRACE_SHARE = 0.5;
+
+// PUBLIC_INTERFACE
+export function showRebootOverlay({ t = (s) => s, title, message, seconds, probe, onBack } = {}) {
+  /** Show the countdown overlay and poll probe() until the device is back; returns { close }. */
+  const p = 'rebootOverlay';
+  const app = document.querySelector('#app');
+  const overlay = document.createElement('div');
+  overlay.className = 'reboot-overlay';
+  overlay.setAttribute('role', 'alertdialog');
+  overlay.setAttribute('aria-modal', 'true');
+  overlay.setAttribute('aria-labelledby', 'reboot-overlay-title');
+  overlay.tabIndex = -1;
+  overlay.innerHTML = `
+    <div class="card reboot-overlay-card">
+      <div class="card-header" id="reboot-overlay-title">${escapeHtml(title)}</div>
+      <p>${escapeHtml(message)}</p>
+      <div class="upload-progress">
+        <progress max="${seconds}" value="0" aria-labelledby="reboot-overlay-title"></progress>
+        <span data-role="countdown" aria-live="off"></span>
+      </div>
+      <p class="form-status" role="status">${t(`${p}.waiting`)}</p>
+    </div>
+  `;
+
+  const bar = qs('progress', overlay);
+  const countdown = qs('[data-role="countdown"]', overlay);
+  const startedAt = Date.now();
+  const firstProbeAt = startedAt + seconds * 1000 * PROBE_GRACE_SHARE;
+  let lastProbe = 0;
+  let probing = false;
+  let timer = null;
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    _clearInterval(timer);
+    overlay.remove();
+    if (app) app.removeAttribute('inert');
+    setNavigationLock(overlay, false);
+  };
+
+  const tick = async () => {
+    const now = Date.now();
+    const elapsed = Math.floor((now - startedAt) / 1000);
+    const left = seconds - elapsed;
+    bar.value = Math.min(elapsed, seconds);
+    countdown.textContent = left > 0 ? t(`${p}.countdown`, { seconds: left }) : t(`${p}.overdue`);
+    if (probing || now < firstProbeAt || now - lastProbe < PROBE_INTERVAL_MS) return;
+
+    probing = true;
+    lastProbe = now;
+    try {
+      await probe();
+    } catch {
+      probing = false;
+      return;
+    }
+    if (closed) return;
+    close();
+    if (typeof onBack === 'function') onBack();
+  };
+
+  setNavigationLock(overlay, true);
+  if (app) app.setAttribute('inert', '');
+  document.body.appendChild(overlay);
+  overlay.focus();
+  timer = _setInterval(tick, 1000);
+  tick();
+
+  return { close };
+}
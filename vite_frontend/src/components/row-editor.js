@@ -0,0 +1,221 @@
+//
+// Row editor: editable table rows inside a settings form. Row inputs are named
+// "<prefix>.<index>.<field>" so mountSettingsForm reads, fills, validates and
+// dirty-checks them like any other field; the page maps them to and from an array.
+//
+// Public API:
+// - rowFieldName(prefix, index, key) -> string
+// - readRows(values, prefix, fields) -> [{ [field]: value }]
+// - withRows(values, prefix, fields, rows) -> values with the row fields replaced
+// - createRowEditor(tbody, { prefix, fields, renderCells, controller, labels, emptyText, addButton?, reorderable?, emptyRow? })
+//   -> { render(count), getRows(), setRows(rows, { focus? }), add(row?), remove(index), move(from, to) }
+//
+// renderCells(index) returns the <td> cells for one row. The editor wraps them in
+// <tr data-row-index>, adds a remove button and, when reorderable, a drag handle.
+// controller() returns the form controller (see settings-form.js); it is read lazily
+// because the editor must exist before the controller fills the form. An optional
+// addButton appends an empty row on click and takes focus back after a row is removed.
+//
+// Reordering: drag a row by its handle, or focus the handle and press ArrowUp/ArrowDown.
+//
+
+import { qs, qsa, delegate } from '../utils/dom.js';
+import { icon } from './icons.js';
+
+// PUBLIC_INTERFACE
+export function rowFieldName(prefix, index, key) {
+  /** Form control name for one field of one row, e.g. "rules.2.name". */
+  return `${prefix}.${index}.${key}`;
+}
+
+function rowPattern(prefix, fields) {
+  const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped}\\.(\\d+)\\.(${fields.join('|')})$`);
+}
+
+// PUBLIC_INTERFACE
+export function readRows(values, prefix, fields) {
+  /** Pull row objects back out of flat form values, in row order. */
+  const pattern = rowPattern(prefix, fields);
+  const rows = [];
+  for (const [key, value] of Object.entries(values || {})) {
+    const m = pattern.exec(key);
+    if (!m) continue;
+    const index = Number(m[1]);
+    rows[index] = rows[index] || {};
+    rows[index][m[2]] = value;
+  }
+  return rows.filter(Boolean).map((row) => {
+    const out = {};
+    for (const key of fields) out[key] = row[key] === undefined ? '' : row[key];
+    return out;
+  });
+}
+
+// PUBLIC_INTERFACE
+export function withRows(values, prefix, fields, rows) {
+  /** Copy values with every "<prefix>.<i>.<field>" entry replaced by the given rows. */
+  const pattern = rowPattern(prefix, fields);
+  const out = {};
+  for (const [key, value] of Object.entries(values || {})) {
+    if (!pattern.test(key)) out[key] = value;
+  }
+  (rows || []).forEach((row, i) => {
+    for (const key of fields) out[rowFieldName(prefix, i, key)] = row[key] == null ? '' : row[key];
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function createRowEditor(tbody, options = {}) {
+  /** Manage add/remove/reorder of form-bound table rows. Returns a controller (see header). */
+  if (!tbody) {
+    throw new Error('createRowEditor(tbody, options) requires a tbody element.');
+  }
+  const {
+    prefix,
+    fields = [],
+    renderCells = () => '',
+    controller = () => null,
+    labels = {},
+    emptyText = '',
+    addButton = null,
+    reorderable = false,
+    emptyRow = () => Object.fromEntries(fields.map((f) => [f, ''])),
+  } = options;
+
+  let count = 0;
+  let dragFrom = null;
+
+  const columnCount = () => {
+    const head = tbody.closest('table') ? qsa('thead th', tbody.closest('table')).length : 0;
+    return head || 1;
+  };
+
+  const rowHtml = (index) => `
+    <tr data-row-index="${index}">
+      ${reorderable ? `
+        <td class="row-handle-cell">
+          <button type="button" class="btn btn-ghost row-handle" data-row-action="drag" data-index="${index}"
+            aria-label="${labels.reorder ? labels.reorder(index + 1, count) : ''}">${icon('grip', { width: 16, height: 16 })}</button>
+        </td>` : ''}
+      ${renderCells(index)}
+      <td>
+        <button type="button" class="btn btn-ghost" data-row-action="remove" data-index="${index}"
+          aria-label="${labels.removeRow ? labels.removeRow(index + 1) : ''}">${labels.remove || ''}</button>
+      </td>
+    </tr>`;
+
+  const render = (n) => {
+    count = n;
+    tbody.innerHTML = n
+      ? Array.from({ length: n }, (_, i) => rowHtml(i)).join('')
+      : `<tr><td colspan="${columnCount()}" class="u-muted">${emptyText}</td></tr>`;
+  };
+
+  const getRows = () => {
+    const ctrl = controller();
+    return ctrl ? readRows(ctrl.getValues(), prefix, fields) : [];
+  };
+
+  const focusRow = (index, selector) => {
+    const tr = qs(`tr[data-row-index="${index}"]`, tbody);
+    const target = tr && (qs(selector || 'input:not(:disabled), select:not(:disabled)', tr));
+    if (target) target.focus();
+  };
+
+  const setRows = (rows, { focus = null, focusSelector = null } = {}) => {
+    const ctrl = controller();
+    if (!ctrl) return;
+    const values = withRows(ctrl.getValues(), prefix, fields, rows);
+    render(rows.length);
+    ctrl.setValues(values);
+    ctrl.revalidate();
+    if (focus != null) focusRow(focus, focusSelector);
+  };
+
+  const add = (row = emptyRow()) => {
+    const rows = getRows();
+    rows.push(row);
+    setRows(rows, { focus: rows.length - 1 });
+  };
+
+  const remove = (index) => {
+    const rows = getRows();
+    rows.splice(index, 1);
+    setRows(rows);
+    if (addButton) addButton.focus();
+  };
+
+  const move = (from, to, { keepHandleFocus = false } = {}) => {
+    const rows = getRows();
+    if (from === to || from < 0 || to < 0 || from >= rows.length || to >= rows.length) return;
+    const [row] = rows.splice(from, 1);
+    rows.splice(to, 0, row);
+    setRows(rows, keepHandleFocus ? { focus: to, focusSelector: '[data-row-action="drag"]' } : {});
+  };
+
+  if (addButton) addButton.addEventListener('click', () => add());
+  delegate(tbody, 'click', 'button[data-row-action="remove"]', (evt, target) => {
+    remove(Number(target.getAttribute('data-index')));
+  });
+
+  if (reorderable) {
+    delegate(tbody, 'keydown', 'button[data-row-action="drag"]', (evt, target) => {
+      const index = Number(target.getAttribute('data-index'));
+      if (evt.key === 'ArrowUp' && index > 0) {
+        evt.preventDefault();
+        move(index, index - 1, { keepHandleFocus: true });
+      } else if (evt.key === 'ArrowDown' && index < count - 1) {
+        evt.preventDefault();
+        move(index, index + 1, { keepHandleFocus: true });
+      }
+    });
+
+    // Only rows grabbed by their handle become draggable, so text selection in inputs keeps working.
+    delegate(tbody, 'pointerdown', 'button[data-row-action="drag"]', (evt, target) => {
+      const tr = target.closest('tr');
+      if (tr) tr.setAttribute('draggable', 'true');
+    });
+    tbody.addEventListener('dragstart', (evt) => {
+      const tr = evt.target && evt.target.closest ? evt.target.closest('tr[data-row-index]') : null;
+      if (!tr || tr.getAttribute('draggable') !== 'true') return;
+      dragFrom = Number(tr.getAttribute('data-row-index'));
+      tr.classList.add('is-dragging');
+      if (evt.dataTransfer) {
+        evt.dataTransfer.effectAllowed = 'move';
+        evt.dataTransfer.setData('text/plain', String(dragFrom));
+      }
+    });
+    tbody.addEventListener('dragover', (evt) => {
+      if (dragFrom === null) return;
+      const tr = evt.target && evt.target.closest ? evt.target.closest('tr[data-row-index]') : null;
+      if (!tr) return;
+      evt.preventDefault();
+      for (const el of qsa('tr.is-drop-target', tbody)) if (el !== tr) el.classList.remove('is-drop-target');
+      tr.classList.add('is-drop-target');
+    });
+    tbody.addEventListener('drop', (evt) => {
+      if (dragFrom === null) return;
+      const tr = evt.target && evt.target.closest ? evt.target.closest('tr[data-row-index]') : null;
+      evt.preventDefault();
+      const from = dragFrom;
+      dragFrom = null;
+      if (tr) move(from, Number(tr.getAttribute('data-row-index')));
+    });
+    tbody.addEventListener('dragend', () => {
+      dragFrom = null;
+      for (const el of qsa('tr[draggable]', tbody)) el.removeAttribute('draggable');
+      for (const el of qsa('tr.is-drop-target, tr.is-dragging', tbody)) el.classList.remove('is-drop-target', 'is-dragging');
+    });
+  }
+
+  return {
+    render,
+    getRows,
+    setRows,
+    add,
+    remove,
+    move,
+  };
+}
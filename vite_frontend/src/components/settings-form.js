@@ -0,0 +1,269 @@
+//
+// Settings form controller: loads a settings section from the device provider,
+// fills a <form>, validates inline (on blur and on submit), and saves back through
+// the provider. Each settings page supplies only its markup, validation and
+// model <-> form value mapping.
+//
+// Public API:
+// - mountSettingsForm(form, { section, t, validate?, toValues?, toModel?, onValues?, onSaved?, router? })
+//   -> { ready: Promise, getValues(), setValues(values), revalidate(), reset(), isDirty() }
+// - readForm(form) -> { [name]: string | boolean }
+// - fillForm(form, values)
+// - setFormReadOnly(form, t)
+//
+// Markup conventions:
+// - Inputs carry name="<field>"; checkboxes map to booleans.
+// - An element with data-error-for="<field>" receives that field's message; the input gets
+//   aria-invalid and aria-describedby pointing at it.
+// - An element with data-role="form-status" receives load/save status messages.
+// - The submit button saves; a button with type="reset" restores the last saved values.
+//
+// validate(values) returns { [field]: null | { key, vars? } } (see src/utils/validators.js).
+//
+// Unsaved changes: the form is dirty while its values differ from the last loaded/saved
+// model. Dirty state is reported to src/utils/dirty-state.js (header indicator) and, when a
+// router with beforeLeave() is given, leaving the route asks for confirmation first.
+//
+// Access control: a user without the permission to change the section (sectionPermission in
+// src/services/access.js) gets the form view-only. Its content moves into a disabled
+// <fieldset>, which keeps every control disabled whatever the page toggles later, and a
+// notice explains why; submitting is refused.
+//
+
+import { qs, qsa } from '../utils/dom.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+import { setDirty } from '../utils/dirty-state.js';
+import { can, sectionPermission } from '../services/access.js';
+
+// PUBLIC_INTERFACE
+export function readForm(form) {
+  /** Collect named control values from a form; checkboxes become booleans. Radios yield the checked value. */
+  const out = {};
+  for (const el of qsa('input[name], select[name], textarea[name]', form)) {
+    if (el.type === 'checkbox') out[el.name] = el.checked;
+    else if (el.type === 'radio') {
+      if (el.checked) out[el.name] = el.value;
+      else if (!(el.name in out)) out[el.name] = '';
+    } else out[el.name] = el.value;
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function fillForm(form, values = {}) {
+  /** Write values into named controls of a form; unknown names are ignored. */
+  for (const el of qsa('input[name], select[name], textarea[name]', form)) {
+    if (!Object.prototype.hasOwnProperty.call(values, el.name)) continue;
+    const v = values[el.name];
+    if (el.type === 'checkbox') el.checked = !!v;
+    else if (el.type === 'radio') el.checked = String(v) === el.value;
+    else el.value = v == null ? '' : String(v);
+  }
+}
+
+function fieldsNamed(form, name) {
+  return qsa('input[name], select[name], textarea[name]', form).filter((el) => el.name === name);
+}
+
+function showFieldError(form, name, err, t) {
+  const msgEl = qs(`[data-error-for="${name}"]`, form);
+  for (const el of fieldsNamed(form, name)) {
+    el.setAttribute('aria-invalid', String(!!err));
+    if (msgEl && msgEl.id) el.setAttribute('aria-describedby', msgEl.id);
+  }
+  if (msgEl) {
+    msgEl.textContent = err ? t(err.key, err.vars) : '';
+    msgEl.hidden = !err;
+  }
+}
+
+function sameValues(a, b) {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  for (const key of keys) {
+    if ((a || {})[key] !== (b || {})[key]) return false;
+  }
+  return true;
+}
+
+function confirmDiscard(t) {
+  const g = typeof globalThis !== 'undefined' ? globalThis : {};
+  return typeof g.confirm === 'function' ? g.confirm(t('forms.unsavedConfirm')) : true;
+}
+
+// PUBLIC_INTERFACE
+export function setFormReadOnly(form, t = (s) => s) {
+  /** Show a form view-only: its content inside a disabled fieldset, with a notice under the card title. */
+  if (!form || form.hasAttribute('data-readonly')) return;
+  form.setAttribute('data-readonly', '');
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = ['form-readonly', form.classList.contains('u-spacing') ? 'u-spacing' : ''].join(' ').trim();
+  fieldset.disabled = true;
+  while (form.firstChild) fieldset.appendChild(form.firstChild);
+
+  const notice = document.createElement('div');
+  notice.className = 'callout';
+  notice.setAttribute('role', 'note');
+  notice.innerHTML = `<div class="callout-title">${t('forms.readOnlyTitle')}</div><p>${t('forms.readOnly')}</p>`;
+  const title = qs(':scope > .card-header', fieldset);
+  if (title) title.after(notice);
+  else fieldset.prepend(notice);
+  form.appendChild(fieldset);
+}
+
+function setStatus(form, kind, message) {
+  const el = qs('[data-role="form-status"]', form);
+  if (!el) return;
+  el.textContent = message || '';
+  el.className = ['form-status', kind ? `is-${kind}` : ''].join(' ').trim();
+}
+
+// PUBLIC_INTERFACE
+export function mountSettingsForm(form, options = {}) {
+  /** Wire a settings form to the device provider. Returns a small controller (see header). */
+  if (!form) {
+    throw new Error('mountSettingsForm(form, options) requires a form element.');
+  }
+  const {
+    section,
+    t = (s) => s,
+    validate = () => ({}),
+    toValues = (model) => model,
+    toModel = (values) => values,
+    onValues = () => {},
+    onSaved = () => {},
+    router = null,
+  } = options;
+
+  const readOnly = !can(sectionPermission(section));
+  if (readOnly) setFormReadOnly(form, t);
+
+  let saved = null;
+  // Form values as last loaded/saved; null until the first load completes
+  let baseline = null;
+  const touched = new Set();
+  let submitted = false;
+
+  const getValues = () => readForm(form);
+
+  const isDirty = () => form.isConnected && baseline !== null && !sameValues(baseline, getValues());
+  const updateDirty = () => setDirty(form, isDirty());
+
+  const applyErrors = (errors, { all = false } = {}) => {
+    let firstInvalid = null;
+    for (const [name, err] of Object.entries(errors || {})) {
+      const visible = all || touched.has(name) ? err : null;
+      showFieldError(form, name, visible, t);
+      if (visible && !firstInvalid) firstInvalid = fieldsNamed(form, name)[0] || null;
+    }
+    return firstInvalid;
+  };
+
+  const revalidate = () => {
+    const errors = validate(getValues()) || {};
+    applyErrors(errors, { all: submitted });
+    return errors;
+  };
+
+  const setValues = (values) => {
+    fillForm(form, values);
+    onValues(getValues());
+    updateDirty();
+  };
+
+  const applySaved = () => {
+    fillForm(form, toValues(saved));
+    onValues(getValues());
+    baseline = getValues();
+    updateDirty();
+  };
+
+  const reset = () => {
+    touched.clear();
+    submitted = false;
+    if (saved) applySaved();
+    applyErrors(validate(getValues()) || {}, { all: false });
+    setStatus(form, null, '');
+  };
+
+  if (router && typeof router.beforeLeave === 'function') {
+    router.beforeLeave(() => {
+      if (!isDirty()) return true;
+      const leave = confirmDiscard(t);
+      if (leave) setDirty(form, false);
+      return leave;
+    });
+  }
+
+  form.addEventListener('input', updateDirty);
+
+  form.addEventListener('focusout', (evt) => {
+    const name = evt.target && evt.target.name;
+    if (!name) return;
+    touched.add(name);
+    revalidate();
+  });
+
+  form.addEventListener('change', () => {
+    onValues(getValues());
+    if (submitted || touched.size) revalidate();
+    updateDirty();
+  });
+
+  form.addEventListener('reset', (evt) => {
+    evt.preventDefault();
+    reset();
+  });
+
+  form.addEventListener('submit', async (evt) => {
+    evt.preventDefault();
+    if (readOnly) return;
+    submitted = true;
+    const values = getValues();
+    const errors = validate(values) || {};
+    const firstInvalid = applyErrors(errors, { all: true });
+    // Errors can also belong to a group with no control of its own (e.g. "add at least one row").
+    if (Object.values(errors).some(Boolean)) {
+      setStatus(form, 'error', t('forms.fixErrors'));
+      if (firstInvalid) firstInvalid.focus();
+      return;
+    }
+
+    const submitBtn = qs('button[type="submit"]', form);
+    if (submitBtn) submitBtn.disabled = true;
+    setStatus(form, null, t('forms.saving'));
+    try {
+      saved = await getDeviceProvider().saveSettings(section, toModel(values, saved));
+      if (!form.isConnected) return;
+      applySaved();
+      setStatus(form, 'success', t('forms.saved'));
+      onSaved(saved);
+    } catch (err) {
+      if (!form.isConnected) return;
+      setStatus(form, 'error', err && err.message ? err.message : t('forms.saveError'));
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  });
+
+  const ready = (async () => {
+    setStatus(form, null, t('common.loading'));
+    try {
+      saved = await getDeviceProvider().getSettings(section);
+      if (!form.isConnected) return;
+      applySaved();
+      setStatus(form, null, '');
+    } catch (err) {
+      if (!form.isConnected) return;
+      setStatus(form, 'error', err && err.message ? err.message : t('common.loadError'));
+    }
+  })();
+
+  return {
+    ready,
+    getValues,
+    setValues,
+    revalidate,
+    reset,
+    isDirty,
+  };
+}
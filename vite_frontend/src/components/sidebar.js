@@ -3,7 +3,7 @@
 // hash-based navigation awareness, and persistent expanded state.
 //
 // Public API:
-// - initSidebar(rootEl, router, i18n)
+// - initSidebar(rootEl, router, i18n, access?)
 //
 // Behavior:
 // - Renders left navigation with sections: Home, Status, Basic Settings, Advanced Settings,
@@ -13,6 +13,10 @@
 // - Persists expanded/collapsed states per group in localStorage via namespaced storage utils.
 // - Accessible: uses button elements for toggles, aria-expanded, aria-controls, aria-current on active link.
 // - Keyboard support: Space/Enter on buttons toggles, ArrowLeft/ArrowRight collapse/expand.
+// - Access control: every entry declares the permission it needs (null: any signed-in user).
+//   With access.can(permission), entries the user lacks are hidden; a group whose own page is
+//   forbidden but has permitted children stays, with its link disabled. access.onSessionChange
+//   re-renders after sign-in/out (see src/services/access.js).
 //
 // Dependencies: src/utils/dom.js, src/utils/storage.js
 //
@@ -47,27 +51,33 @@ const STORAGE_KEYS = Object.freeze({
  *    - Service Control (/advanced/service-control)
  *    - DDNS (/advanced/ddns)
  *    - DMZ (/advanced/dmz)
+ *    - Port Forwarding (/advanced/port-forwarding)
+ *    - Firewall (/advanced/firewall)
  * - Management (/management)
  *    - NTP (/management/ntp)
  *    - SSH (/management/ssh)
  *    - Firmware Upgrade (/management/firmware)
+ *    - Backup / Restore (/management/backup)
+ *    - Reboot / Reset (/management/reboot)
+ *    - Users & Roles (/management/users)
  * - Application (/application)
  *    - UPnP (/application/upnp)
  */
 const NAV_STRUCTURE = [
-  { type: 'link', id: 'home', labelKey: 'navigation.home', path: '/home', iconName: 'home' },
+  { type: 'link', id: 'home', labelKey: 'navigation.home', path: '/home', iconName: 'home', permission: null },
   {
     type: 'group-link',
     id: 'status',
     labelKey: 'navigation.status',
     path: '/status',
     iconName: 'pulse',
+    permission: 'status:view',
     children: [
-      { id: 'status-lan', labelKey: 'navigation.statusLan', path: '/status/lan', iconName: 'lan' },
-      { id: 'status-wan', labelKey: 'navigation.statusWan', path: '/status/wan', iconName: 'wan' },
-      { id: 'status-wlan', labelKey: 'navigation.statusWlan', path: '/status/wlan', iconName: 'wlan' },
-      { id: 'status-dhcp', labelKey: 'navigation.statusDhcp', path: '/status/dhcp', iconName: 'dhcp' },
-      { id: 'status-log', labelKey: 'navigation.statusLog', path: '/status/log', iconName: 'log' },
+      { id: 'status-lan', labelKey: 'navigation.statusLan', path: '/status/lan', iconName: 'lan', permission: 'status:view' },
+      { id: 'status-wan', labelKey: 'navigation.statusWan', path: '/status/wan', iconName: 'wan', permission: 'status:view' },
+      { id: 'status-wlan', labelKey: 'navigation.statusWlan', path: '/status/wlan', iconName: 'wlan', permission: 'status:view' },
+      { id: 'status-dhcp', labelKey: 'navigation.statusDhcp', path: '/status/dhcp', iconName: 'dhcp', permission: 'status:view' },
+      { id: 'status-log', labelKey: 'navigation.statusLog', path: '/status/log', iconName: 'log', permission: 'status:view' },
     ],
   },
   {
@@ -76,11 +86,12 @@ const NAV_STRUCTURE = [
     labelKey: 'navigation.basicSettings',
     path: '/basic',
     iconName: 'sliders',
+    permission: 'settings:view',
     children: [
-      { id: 'basic-lan', labelKey: 'navigation.basicLan', path: '/basic/lan', iconName: 'lan' },
-      { id: 'basic-wan', labelKey: 'navigation.basicWan', path: '/basic/wan', iconName: 'wan' },
-      { id: 'basic-wlan', labelKey: 'navigation.basicWlan', path: '/basic/wlan', iconName: 'wlan' },
-      { id: 'basic-dhcp', labelKey: 'navigation.basicDhcp', path: '/basic/dhcp', iconName: 'dhcp' },
+      { id: 'basic-lan', labelKey: 'navigation.basicLan', path: '/basic/lan', iconName: 'lan', permission: 'settings:view' },
+      { id: 'basic-wan', labelKey: 'navigation.basicWan', path: '/basic/wan', iconName: 'wan', permission: 'settings:view' },
+      { id: 'basic-wlan', labelKey: 'navigation.basicWlan', path: '/basic/wlan', iconName: 'wlan', permission: 'settings:view' },
+      { id: 'basic-dhcp', labelKey: 'navigation.basicDhcp', path: '/basic/dhcp', iconName: 'dhcp', permission: 'settings:view' },
     ],
   },
   {
@@ -89,10 +100,13 @@ const NAV_STRUCTURE = [
     labelKey: 'navigation.advancedSettings',
     path: '/advanced',
     iconName: 'gear',
+    permission: 'settings:view',
     children: [
-      { id: 'advanced-service', labelKey: 'navigation.advancedServiceControl', path: '/advanced/service-control', iconName: 'service' },
-      { id: 'advanced-ddns', labelKey: 'navigation.advancedDdns', path: '/advanced/ddns', iconName: 'ddns' },
-      { id: 'advanced-dmz', labelKey: 'navigation.advancedDmz', path: '/advanced/dmz', iconName: 'dmz' },
+      { id: 'advanced-service', labelKey: 'navigation.advancedServiceControl', path: '/advanced/service-control', iconName: 'service', permission: 'settings:view' },
+      { id: 'advanced-ddns', labelKey: 'navigation.advancedDdns', path: '/advanced/ddns', iconName: 'ddns', permission: 'settings:view' },
+      { id: 'advanced-dmz', labelKey: 'navigation.advancedDmz', path: '/advanced/dmz', iconName: 'dmz', permission: 'settings:view' },
+      { id: 'advanced-port-forwarding', labelKey: 'navigation.advancedPortForwarding', path: '/advanced/port-forwarding', iconName: 'forward', permission: 'settings:view' },
+      { id: 'advanced-firewall', labelKey: 'navigation.advancedFirewall', path: '/advanced/firewall', iconName: 'firewall', permission: 'settings:view' },
     ],
   },
   {
@@ -101,10 +115,14 @@ const NAV_STRUCTURE = [
     labelKey: 'navigation.management',
     path: '/management',
     iconName: 'shield',
+    permission: 'system:view',
     children: [
-      { id: 'mgmt-ntp', labelKey: 'navigation.managementNtp', path: '/management/ntp', iconName: 'ntp' },
-      { id: 'mgmt-ssh', labelKey: 'navigation.managementSsh', path: '/management/ssh', iconName: 'ssh' },
-      { id: 'mgmt-firmware', labelKey: 'navigation.managementFirmware', path: '/management/firmware', iconName: 'firmware' },
+      { id: 'mgmt-ntp', labelKey: 'navigation.managementNtp', path: '/management/ntp', iconName: 'ntp', permission: 'system:view' },
+      { id: 'mgmt-ssh', labelKey: 'navigation.managementSsh', path: '/management/ssh', iconName: 'ssh', permission: 'system:view' },
+      { id: 'mgmt-firmware', labelKey: 'navigation.managementFirmware', path: '/management/firmware', iconName: 'firmware', permission: 'system:maintain' },
+      { id: 'mgmt-backup', labelKey: 'navigation.managementBackup', path: '/management/backup', iconName: 'backup', permission: 'system:maintain' },
+      { id: 'mgmt-reboot', labelKey: 'navigation.managementReboot', path: '/management/reboot', iconName: 'power', permission: 'system:maintain' },
+      { id: 'mgmt-users', labelKey: 'navigation.managementUsers', path: '/management/users', iconName: 'users', permission: 'users:manage' },
     ],
   },
   {
@@ -113,8 +131,9 @@ const NAV_STRUCTURE = [
     labelKey: 'navigation.application',
     path: '/application',
     iconName: 'apps',
+    permission: null,
     children: [
-      { id: 'app-upnp', labelKey: 'navigation.applicationUpnp', path: '/application/upnp', iconName: 'upnp' },
+      { id: 'app-upnp', labelKey: 'navigation.applicationUpnp', path: '/application/upnp', iconName: 'upnp', permission: 'settings:view' },
     ],
   },
 ];
@@ -146,7 +165,7 @@ function isPathActive(itemPath, routePath) {
 /**
  * Build a group section DOM node.
  */
-function buildGroupLink({ id, label, path, children, iconName }, expanded, routePath) {
+function buildGroupLink({ id, label, path, children, iconName, disabled }, expanded, routePath) {
   const groupId = `group-${id}`;
   const panelId = `panel-${id}`;
   const isOpen = !!expanded[id];
@@ -159,9 +178,10 @@ function buildGroupLink({ id, label, path, children, iconName }, expanded, route
     create(
       'a',
       {
-        href: `#${path}`,
-        class: ['nav-item', activeParent ? 'active' : ''].join(' '),
+        href: disabled ? null : `#${path}`,
+        class: ['nav-item', activeParent ? 'active' : '', disabled ? 'is-disabled' : ''].join(' ').trim(),
         'aria-current': activeParent ? 'page' : null,
+        'aria-disabled': disabled ? 'true' : null,
         'data-path': path,
         style: { flex: '1', background: 'transparent' },
       },
@@ -235,20 +255,25 @@ function buildLink({ label, path, iconName }, routePath) {
 /**
  * Render the entire sidebar content.
  */
-function renderSidebar(container, i18n, route) {
+function renderSidebar(container, i18n, route, access) {
   const expanded = getExpandedMap();
   const routePath = route && route.path ? route.path : '';
+  const allowed = (entry) => !entry.permission || typeof access?.can !== 'function' || access.can(entry.permission);
 
   const nodes = [];
 
   for (const entry of NAV_STRUCTURE) {
     if (entry.type === 'link') {
+      if (!allowed(entry)) continue;
       nodes.push(buildLink({
         label: i18n && typeof i18n.t === 'function' ? i18n.t(entry.labelKey) : entry.id,
         path: entry.path,
         iconName: entry.iconName,
       }, routePath));
     } else if (entry.type === 'group-link') {
+      const permitted = entry.children.filter(allowed);
+      if (!allowed(entry) && !permitted.length) continue;
+
       // Insert a section title above group
       const sectionTitle = create('div', { class: 'nav-section-title' },
         i18n && typeof i18n.t === 'function' ? i18n.t(entry.labelKey) : entry.id
@@ -256,13 +281,13 @@ function renderSidebar(container, i18n, route) {
       nodes.push(sectionTitle);
 
       const label = i18n && typeof i18n.t === 'function' ? i18n.t(entry.labelKey) : entry.id;
-      const children = entry.children.map((c) => ({
+      const children = permitted.map((c) => ({
         ...c,
         label: i18n && typeof i18n.t === 'function' ? i18n.t(c.labelKey) : c.id,
       }));
       nodes.push(
         buildGroupLink(
-          { id: entry.id, label, path: entry.path, children, iconName: entry.iconName },
+          { id: entry.id, label, path: entry.path, children, iconName: entry.iconName, disabled: !allowed(entry) },
           expanded,
           routePath,
         )
@@ -358,7 +383,7 @@ function attachBehaviors(container, router) {
 }
 
 // PUBLIC_INTERFACE
-export function initSidebar(rootEl, router, i18n) {
+export function initSidebar(rootEl, router, i18n, access) {
   /** Initialize and mount the sidebar into the provided rootEl. Listens to route and language changes for re-rendering. */
   if (!rootEl) {
     throw new Error('initSidebar(rootEl, router, i18n) requires a valid root element.');
@@ -377,14 +402,14 @@ export function initSidebar(rootEl, router, i18n) {
   };
 
   // Render once
-  renderSidebar(rootEl, i18n || { t: (s) => s }, getCurrentRoute());
+  renderSidebar(rootEl, i18n || { t: (s) => s }, getCurrentRoute(), access);
   let teardown = attachBehaviors(rootEl, router);
 
   // Re-render on route change
   const routeListener = (route) => {
     // Re-render to update active item and possibly auto-expand group if needed (not required).
     try { teardown(); } catch { /* ignore teardown error */ }
-    renderSidebar(rootEl, i18n || { t: (s) => s }, route || getCurrentRoute());
+    renderSidebar(rootEl, i18n || { t: (s) => s }, route || getCurrentRoute(), access);
     teardown = attachBehaviors(rootEl, router);
   };
 
@@ -395,7 +420,7 @@ export function initSidebar(rootEl, router, i18n) {
   // Re-render on language change
   const langListener = () => {
     try { teardown(); } catch { /* ignore teardown error */ }
-    renderSidebar(rootEl, i18n || { t: (s) => s }, getCurrentRoute());
+    renderSidebar(rootEl, i18n || { t: (s) => s }, getCurrentRoute(), access);
     teardown = attachBehaviors(rootEl, router);
   };
 
@@ -403,6 +428,11 @@ export function initSidebar(rootEl, router, i18n) {
     i18n.onLanguageChange(langListener);
   }
 
+  // Re-render when the signed-in user (and so the permitted entries) changes
+  if (access && typeof access.onSessionChange === 'function') {
+    access.onSessionChange(langListener);
+  }
+
   // Also expose a lightweight unmount if needed in future
   return {
     unmount() {
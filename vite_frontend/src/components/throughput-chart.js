@@ -0,0 +1,49 @@
+//
+// Minimal inline SVG throughput chart (rx/tx lines over a rolling window).
+// Like icons.js it returns markup strings, so callers can drop it into templates.
+//
+// Public API:
+// - throughputChart(samples, { width?, height?, capacity? })
+//   samples: Array<{ rxBps, txBps }>, oldest first
+//
+
+const PADDING = 4;
+
+/**
+ * Build the "points" attribute for a polyline over the given series.
+ * Samples are right-aligned so the newest value always sits at the right edge.
+ */
+function toPoints(values, { width, height, capacity, max }) {
+  const step = (width - PADDING * 2) / Math.max(1, capacity - 1);
+  const offset = capacity - values.length;
+  return values
+    .map((v, i) => {
+      const x = PADDING + (offset + i) * step;
+      const y = height - PADDING - (v / max) * (height - PADDING * 2);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+}
+
+// PUBLIC_INTERFACE
+export function throughputChart(samples, { width = 600, height = 160, capacity = 60 } = {}) {
+  /** Returns an inline SVG string plotting rx (primary color) and tx (secondary color) rates. */
+  const list = Array.isArray(samples) ? samples.slice(-capacity) : [];
+  const rx = list.map((s) => Math.max(0, Number(s.rxBps) || 0));
+  const tx = list.map((s) => Math.max(0, Number(s.txBps) || 0));
+  const max = Math.max(1, ...rx, ...tx);
+  const geometry = { width, height, capacity, max };
+
+  const grid = [0.25, 0.5, 0.75]
+    .map((f) => {
+      const y = (PADDING + f * (height - PADDING * 2)).toFixed(1);
+      return `<line x1="0" y1="${y}" x2="${width}" y2="${y}" style="stroke: var(--border-color)" stroke-width="1" vector-effect="non-scaling-stroke"></line>`;
+    })
+    .join('');
+
+  const line = (values, color) => (values.length > 1
+    ? `<polyline fill="none" style="stroke: ${color}" stroke-width="2" stroke-linejoin="round" vector-effect="non-scaling-stroke" points="${toPoints(values, geometry)}"></polyline>`
+    : '');
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" width="100%" height="${height}" role="img" aria-hidden="true">${grid}${line(rx, 'var(--color-primary)')}${line(tx, 'var(--color-secondary)')}</svg>`;
+}
@@ -0,0 +1,91 @@
+//
+// Virtualized list: renders only the rows inside the viewport (plus a small overscan),
+// so tens of thousands of fixed-height rows stay cheap to scroll.
+//
+// Public API:
+// - createVirtualList(rootEl, { rowHeight, height?, overscan?, renderRow(item, index) -> HTML string, label? })
+//   -> { setItems(items, { stickToBottom? }), scrollToBottom(), isAtBottom(), refresh(), destroy() }
+//
+// Notes:
+// - renderRow must escape any data it interpolates.
+// - setItems keeps the scroll position unless stickToBottom is true and the user was already at
+//   the bottom, which is what a "tail -f" style view wants.
+//
+
+import { create, render } from '../utils/dom.js';
+
+// PUBLIC_INTERFACE
+export function createVirtualList(rootEl, options = {}) {
+  /** Mount a virtualized, fixed-row-height list into rootEl. */
+  if (!rootEl) {
+    throw new Error('createVirtualList(rootEl, options) requires a valid root element.');
+  }
+  const { rowHeight = 22, height = 480, overscan = 10, renderRow = (item) => String(item), label = null } = options;
+
+  let items = [];
+  const spacer = create('div', { style: { position: 'relative', width: '100%' } });
+  const viewport = create(
+    'div',
+    {
+      class: 'virtual-list',
+      tabindex: '0',
+      role: 'log',
+      'aria-label': label,
+      style: { height: `${height}px`, overflowY: 'auto', position: 'relative' },
+    },
+    spacer,
+  );
+  const rowsEl = create('div', { style: { position: 'absolute', left: '0', right: '0', top: '0' } });
+  spacer.appendChild(rowsEl);
+  render(rootEl, viewport);
+
+  function paint() {
+    const total = items.length;
+    spacer.style.height = `${total * rowHeight}px`;
+    const visibleCount = Math.ceil((viewport.clientHeight || height) / rowHeight) + overscan * 2;
+    // Clamp in case scrollTop is stale after the list shrank.
+    const first = Math.min(
+      Math.max(0, Math.floor(viewport.scrollTop / rowHeight) - overscan),
+      Math.max(0, total - visibleCount),
+    );
+    const last = Math.min(total, first + visibleCount);
+
+    rowsEl.style.transform = `translateY(${first * rowHeight}px)`;
+    let html = '';
+    for (let i = first; i < last; i += 1) {
+      html += `<div class="virtual-row" style="height:${rowHeight}px;line-height:${rowHeight}px;">${renderRow(items[i], i)}</div>`;
+    }
+    rowsEl.innerHTML = html;
+  }
+
+  function isAtBottom() {
+    return viewport.scrollTop + (viewport.clientHeight || height) >= viewport.scrollHeight - rowHeight;
+  }
+
+  function scrollToBottom() {
+    viewport.scrollTop = items.length * rowHeight;
+    paint();
+  }
+
+  const onScroll = () => paint();
+  viewport.addEventListener('scroll', onScroll);
+
+  return {
+    setItems(next, { stickToBottom = false } = {}) {
+      // PUBLIC_INTERFACE
+      /** Replace the items; optionally keep following the end when the user was at the bottom. */
+      const follow = stickToBottom && isAtBottom();
+      items = Array.isArray(next) ? next : [];
+      if (follow) scrollToBottom();
+      else paint();
+    },
+    scrollToBottom,
+    isAtBottom,
+    refresh: paint,
+    destroy() {
+      // PUBLIC_INTERFACE
+      /** Remove listeners; caller may clear rootEl content if needed. */
+      viewport.removeEventListener('scroll', onScroll);
+    },
+  };
+}
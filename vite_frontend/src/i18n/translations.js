@@ -32,6 +32,7 @@ const en = {
     language: 'Language',
     account: 'Account',
     logout: 'Logout',
+    unsaved: 'Unsaved changes',
   },
   navigation: {
     home: 'Home',
@@ -53,9 +54,14 @@ const en = {
     advancedServiceControl: 'Service Control',
     advancedDdns: 'DDNS',
     advancedDmz: 'DMZ',
+    advancedPortForwarding: 'Port Forwarding',
+    advancedFirewall: 'Firewall',
     managementNtp: 'NTP',
     managementSsh: 'SSH',
     managementFirmware: 'Firmware Upgrade',
+    managementBackup: 'Backup / Restore',
+    managementReboot: 'Reboot / Reset',
+    managementUsers: 'Users & Roles',
     applicationUpnp: 'UPnP',
   },
   sections: {
@@ -66,6 +72,157 @@ const en = {
     management: 'Management',
     application: 'Application',
   },
+  common: {
+    loading: 'Loading…',
+    refresh: 'Refresh',
+    all: 'All',
+    loadErrorTitle: 'Unable to load data',
+    loadError: 'The device did not respond. Try again shortly.',
+    previous: 'Previous',
+    next: 'Next',
+    range: '{from}–{to} of {total}',
+  },
+  forms: {
+    save: 'Save',
+    reset: 'Reset',
+    saving: 'Saving…',
+    saved: 'Settings saved.',
+    saveError: 'Saving failed. Try again.',
+    fixErrors: 'Please correct the highlighted fields.',
+    show: 'Show',
+    hide: 'Hide',
+    showPassword: 'Show password',
+    hidePassword: 'Hide password',
+    unsavedConfirm: 'You have unsaved changes. Leave this page and discard them?',
+    readOnlyTitle: 'View only',
+    readOnly: 'Your role can view these settings but not change them.',
+    strength: {
+      label: 'Password strength',
+      veryWeak: 'Very weak',
+      weak: 'Weak',
+      fair: 'Fair',
+      good: 'Good',
+      strong: 'Strong',
+    },
+  },
+  validation: {
+    required: 'This field is required.',
+    ipv4: 'Enter a valid IPv4 address, e.g. 192.168.1.1.',
+    netmask: 'Enter a valid subnet mask with contiguous bits, e.g. 255.255.255.0.',
+    netmaskRange: 'The subnet mask must be between /1 and /30.',
+    networkAddress: 'This is the network address of the subnet; choose a host address.',
+    broadcastAddress: 'This is the broadcast address of the subnet; choose a host address.',
+    ipv6Prefix: 'Enter an IPv6 prefix such as fd00:1234:5678::/48 (length 1–64).',
+    mac: 'Enter a MAC address like AA:BB:CC:DD:EE:FF.',
+    macMulticast: 'Multicast MAC addresses cannot be used; the first byte must be even.',
+    hostname: 'Use letters, digits and hyphens only (max 63 characters per label).',
+    integer: 'Enter a whole number.',
+    integerRange: 'Enter a value between {min} and {max}.',
+    notInSubnet: 'This address is not in the same subnet.',
+    ssidLength: 'The SSID can be at most 32 bytes long.',
+    passphraseAscii: 'Use printable ASCII characters only.',
+    passphraseLength: 'The passphrase must be {min}–{max} characters long.',
+    routerAddress: 'This is the router\'s own address.',
+    poolOrder: 'The pool end must not come before the pool start.',
+    poolContainsRouter: 'The pool must not include the router\'s address.',
+    duplicateMac: 'This MAC address is already reserved in row {row}.',
+    duplicateIp: 'This IP address is already reserved in row {row}.',
+    url: 'Enter an http:// or https:// URL.',
+    placeholderUnknown: 'Unknown placeholder {name}.',
+    placeholderMissing: 'The template must include {name}.',
+    acknowledgeRequired: 'Confirm that you understand the risk before enabling.',
+    portRange: 'Enter a port (1–65535) or a range like 8000-8010.',
+    portConflict: 'These ports are already forwarded by rule {row}.',
+    internalPortRange: 'The internal range must end by port 65535; use a start port up to {max}.',
+    ipv4Cidr: 'Enter an IPv4 address or a network like 10.0.0.0/8.',
+    timezone: 'Pick a time zone from the list.',
+    ntpServerRequired: 'Add at least one NTP server, or turn synchronization off.',
+    duplicateServer: 'This server is already listed in row {row}.',
+    sshInterfaceRequired: 'Select at least one interface for the SSH server.',
+    sshKeysInvalid: 'Fix or remove the rejected keys (line {lines}).',
+    sshKeyRequired: 'With password login off, add at least one key or you will be locked out.',
+    sshKeyType: 'Unsupported or missing key type.',
+    sshKeyDsa: 'DSA keys are no longer accepted; use Ed25519 or RSA.',
+    sshKeyEncoding: 'The key data is not valid base64 or is truncated.',
+    sshKeyMismatch: 'The key data does not match its declared type.',
+    sshKeyWeak: 'RSA key is {bits} bits; at least {min} bits are required.',
+    sshKeyDuplicate: 'Same key as line {line}.',
+    firmwareTooLarge: 'The image does not fit in the firmware partition ({max} max).',
+    firmwareEmpty: 'The file is empty.',
+    sha256: 'Enter a SHA-256 checksum (64 hexadecimal characters).',
+    checksumMismatch: 'The checksum does not match the selected file. Do not flash this image.',
+    checksumUnavailable: 'This browser cannot compute checksums here (HTTPS is required); clear the field to upload unverified.',
+    backupTooLarge: 'This file is too large to be a configuration backup.',
+    backupJson: 'The file is not valid JSON.',
+    backupFormat: 'The file is not a configuration backup of this router.',
+    backupVersion: 'Backup format version {version} is not supported (up to {supported}).',
+    backupSection: 'The backup contains unknown sections: {sections}.',
+    backupSchema: 'The backup does not match the current settings layout at "{path}".',
+    backupValue: 'The backup has an invalid value at "{path}": {reason}',
+    username: 'Start with a lowercase letter; then 1–31 of a-z, 0-9, ".", "_" or "-".',
+    usernameTaken: 'A user with this name already exists.',
+    passwordLength: 'The password must be at least {min} characters long.',
+    passwordMismatch: 'The passwords do not match.',
+    roleNameTaken: 'A role with this name already exists.',
+    permissionRequired: 'Select at least one permission.',
+  },
+  // IANA time zone display names (see utils/timezones.js). Zones not listed keep their city name.
+  rebootOverlay: {
+    waiting: 'Waiting for the router to come back…',
+    countdown: 'About {seconds} s remaining',
+    overdue: 'Taking longer than expected; still waiting…',
+  },
+  roles: {
+    admin: 'Admin',
+    editor: 'Editor',
+    viewer: 'Viewer',
+  },
+  permissions: {
+    'status:view': 'View status',
+    'settings:view': 'View settings',
+    'settings:edit': 'Change settings',
+    'system:view': 'View system settings',
+    'system:edit': 'Change system settings',
+    'system:maintain': 'Firmware, backup and reboot',
+    'users:manage': 'Manage users and roles',
+  },
+  apiErrors: {
+    network: 'The router could not be reached. Check the connection and try again.',
+    timeout: 'The router took too long to answer. Try again.',
+    aborted: 'The request was cancelled.',
+    'bad-request': 'The router rejected the request.',
+    unauthorized: 'Your session is no longer valid. Sign in again.',
+    forbidden: 'Your role does not allow this action.',
+    'not-found': 'The router does not know this item; it may have been removed.',
+    conflict: 'The item was changed in the meantime. Reload and try again.',
+    'rate-limited': 'Too many requests. Wait a moment and try again.',
+    server: 'The router reported an internal error. Try again shortly.',
+    'bad-response': 'The router sent an answer that could not be read.',
+    unknown: 'Something went wrong. Try again.',
+  },
+  idleTimeout: {
+    title: 'Are you still there?',
+    message: 'You will be signed out because there has been no activity for a while.',
+    countdown: 'Signing out in {seconds} s.',
+    stay: 'Stay signed in',
+  },
+  timezones: {
+    regions: {
+      Africa: 'Africa',
+      America: 'America',
+      Antarctica: 'Antarctica',
+      Arctic: 'Arctic',
+      Asia: 'Asia',
+      Atlantic: 'Atlantic',
+      Australia: 'Australia',
+      Europe: 'Europe',
+      Indian: 'Indian Ocean',
+      Pacific: 'Pacific',
+    },
+    zones: {
+      UTC: 'Coordinated Universal Time',
+    },
+  },
   pages: {
     home: {
       title: 'Welcome to the Dashboard',
@@ -74,27 +231,676 @@ const en = {
     status: {
       title: 'System Status',
       subtitle: 'View system health and live metrics.',
+      lan: {
+        title: 'LAN Status',
+        subtitle: 'LAN interface addressing and per-port link state.',
+        interface: 'Interface',
+        interfaceName: 'Interface',
+        ipAddress: 'IPv4 Address',
+        netmask: 'Subnet Mask',
+        ipv6: 'IPv6 Address',
+        mac: 'MAC Address',
+        linkSpeed: 'Link Speed',
+        ports: 'Ports',
+        port: 'Port',
+        link: 'Link',
+        linkUp: 'Up',
+        linkDown: 'Down',
+        speed: 'Speed',
+        duplexLabel: 'Duplex',
+        duplex: {
+          full: 'Full',
+          half: 'Half',
+        },
+      },
+      wan: {
+        title: 'WAN Status',
+        subtitle: 'Internet connection details and live throughput.',
+        connection: 'Connection',
+        connected: 'Connected',
+        disconnected: 'Disconnected',
+        connectionType: 'Connection Type',
+        types: {
+          dhcp: 'DHCP',
+          pppoe: 'PPPoE',
+          static: 'Static IP',
+        },
+        publicIp: 'Public IP',
+        gateway: 'Gateway',
+        dns: 'DNS Servers',
+        interface: 'Interface',
+        mac: 'MAC Address',
+        uptime: 'Uptime',
+        throughput: 'Throughput',
+        rx: 'Download',
+        tx: 'Upload',
+        pollError: 'Live traffic update failed; retrying.',
+      },
+      wlan: {
+        title: 'WLAN Status',
+        subtitle: 'Wireless radios and associated clients.',
+        radios: 'Radios',
+        band: 'Band',
+        ssid: 'SSID',
+        channel: 'Channel',
+        channelWidth: 'Width',
+        txPower: 'TX Power',
+        state: 'State',
+        enabled: 'Enabled',
+        disabled: 'Disabled',
+        clients: 'Associated Clients',
+        hostname: 'Hostname',
+        mac: 'MAC Address',
+        rssi: 'Signal',
+        txRate: 'TX Rate',
+        rxRate: 'RX Rate',
+        connectedTime: 'Connected',
+        filter: 'Filter clients',
+        noClients: 'No clients match.',
+        signal: {
+          0: 'Weak signal',
+          1: 'Fair signal',
+          2: 'Good signal',
+          3: 'Excellent signal',
+        },
+      },
+      dhcp: {
+        title: 'DHCP Leases',
+        subtitle: 'Addresses currently handed out by the DHCP server.',
+        leases: 'Active Leases',
+        ip: 'IP Address',
+        mac: 'MAC Address',
+        hostname: 'Hostname',
+        type: 'Type',
+        types: {
+          dynamic: 'Dynamic',
+          static: 'Static',
+        },
+        expires: 'Expires In',
+        never: 'Never',
+        expired: 'Expired',
+        actions: 'Actions',
+        makeStatic: 'Make static',
+        search: 'Search leases',
+        noLeases: 'No leases match.',
+      },
+      log: {
+        title: 'System Log',
+        subtitle: 'Live system log with filtering and search.',
+        search: 'Search log',
+        severity: 'Severity',
+        facility: 'Facility',
+        severities: {
+          emerg: 'Emergency only',
+          alert: 'Alert and above',
+          crit: 'Critical and above',
+          err: 'Error and above',
+          warning: 'Warning and above',
+          notice: 'Notice and above',
+          info: 'Info and above',
+          debug: 'All (debug)',
+        },
+        pause: 'Pause',
+        resume: 'Resume',
+        download: 'Download .txt',
+        counts: 'Showing {shown} of {total} lines',
+        pending: '{count} new lines while paused',
+      },
     },
     basicSettings: {
       title: 'Basic Settings',
       subtitle: 'Configure common settings.',
+      lan: {
+        title: 'LAN Settings',
+        subtitle: 'Router address and subnet for the local network.',
+        ipv4: 'IPv4',
+        ipAddress: 'Router IP Address',
+        netmask: 'Subnet Mask',
+        summary: 'Subnet {subnet} · {hosts} usable host addresses',
+        ipv6: 'IPv6',
+        ipv6Prefix: 'IPv6 ULA Prefix',
+        ipv6PrefixHint: 'Leave empty to disable IPv6 on the LAN.',
+      },
+      wan: {
+        title: 'WAN Settings',
+        subtitle: 'How the router connects to your internet provider.',
+        mode: 'Connection Mode',
+        modes: {
+          dhcp: 'DHCP (automatic)',
+          static: 'Static IP',
+          pppoe: 'PPPoE',
+        },
+        ipAddress: 'IP Address',
+        netmask: 'Subnet Mask',
+        gateway: 'Default Gateway',
+        dns1: 'Primary DNS',
+        dns2: 'Secondary DNS (optional)',
+        hostname: 'Hostname sent to provider (optional)',
+        dnsOverride: 'Use custom DNS servers instead of the provider\'s',
+        username: 'Username',
+        password: 'Password',
+        serviceName: 'Service Name (optional)',
+        serviceNameHint: 'Only needed if your provider requires a specific PPPoE service.',
+        advanced: 'Advanced',
+        mtu: 'MTU',
+        mtuHint: 'Between {min} and {max} bytes; at most {pppoe} for PPPoE.',
+        macClone: 'Clone MAC address',
+        macAddress: 'WAN MAC Address',
+      },
+      wlan: {
+        title: 'WLAN Settings',
+        subtitle: 'Wireless networks for each radio band.',
+        enabled: 'Radio enabled',
+        ssid: 'Network Name (SSID)',
+        security: 'Security',
+        securities: {
+          wpa2: 'WPA2-Personal',
+          'wpa2-wpa3': 'WPA2/WPA3 mixed',
+          wpa3: 'WPA3-Personal',
+        },
+        passphrase: 'Passphrase',
+        passphraseRules: {
+          wpa2: '8–63 printable characters, or a 64-digit hex key.',
+          'wpa2-wpa3': '8–63 printable characters.',
+          wpa3: '8–128 printable characters; longer is stronger.',
+        },
+        channel: 'Channel',
+        channelWidth: 'Channel Width',
+        auto: 'Auto',
+        hidden: 'Hide network name (SSID)',
+        guest: 'Enable guest network',
+      },
+      dhcp: {
+        title: 'DHCP Server',
+        subtitle: 'Address pool, lease time and static reservations for LAN clients.',
+        server: 'Server',
+        enabled: 'Enable DHCP server',
+        subnetHint: 'LAN subnet {subnet}, router {router}.',
+        poolStart: 'Pool Start',
+        poolEnd: 'Pool End',
+        leaseMinutes: 'Lease Time (minutes)',
+        leaseHint: 'Between {min} and {max} minutes.',
+        dnsMode: 'DNS servers handed to clients',
+        dnsModes: {
+          router: 'Use the router as DNS server',
+          custom: 'Custom DNS servers',
+        },
+        dns1: 'Primary DNS',
+        dns2: 'Secondary DNS (optional)',
+        reservations: 'Static Reservations',
+        mac: 'MAC Address',
+        ip: 'IP Address',
+        hostname: 'Hostname',
+        actions: 'Actions',
+        remove: 'Remove',
+        removeRow: 'Remove reservation {row}',
+        addReservation: 'Add reservation',
+        noReservations: 'No static reservations.',
+        prefillAdded: 'A reservation for {mac} was added below. Review it and save.',
+        prefillExists: '{mac} already has a reservation.',
+      },
     },
     advancedSettings: {
       title: 'Advanced Settings',
       subtitle: 'Tweak advanced parameters.',
+      security: {
+        title: 'Security',
+        sessionTimeout: 'Session Timeout (minutes)',
+        sessionTimeoutHint: 'Sign out after this many minutes without activity in any open tab. A warning appears one minute before.',
+      },
+      services: {
+        title: 'Service Control',
+        subtitle: 'Start, stop or restart router daemons and choose which start at boot.',
+        service: 'Service',
+        state: 'State',
+        enabledAtBoot: 'Start at boot',
+        actionsLabel: 'Actions',
+        bootLabel: 'Start {name} at boot',
+        pid: 'PID {pid}',
+        empty: 'No services reported by the device.',
+        actionError: 'The action failed.',
+        states: {
+          running: 'Running',
+          stopped: 'Stopped',
+          failed: 'Failed',
+        },
+        actions: {
+          start: 'Start',
+          stop: 'Stop',
+          restart: 'Restart',
+        },
+        actionLabels: {
+          start: 'Start {name}',
+          stop: 'Stop {name}',
+          restart: 'Restart {name}',
+        },
+        pending: {
+          start: 'Starting…',
+          stop: 'Stopping…',
+          restart: 'Restarting…',
+          boot: 'Saving…',
+        },
+      },
+      ddns: {
+        title: 'Dynamic DNS',
+        subtitle: 'Keep a hostname pointed at this router\'s changing public IP address.',
+        settings: 'Settings',
+        enabled: 'Enable dynamic DNS',
+        provider: 'Provider',
+        customProvider: 'Custom URL template',
+        hostname: 'Hostname',
+        username: 'Username',
+        password: 'Password',
+        token: 'Token',
+        urlTemplate: 'Update URL template',
+        urlTemplateHint: 'Placeholders: {placeholders}. {ip} and {hostname} are required.',
+        preview: 'Update URL preview',
+        interval: 'Update interval (minutes)',
+        intervalHint: 'Between {min} and {max} minutes.',
+        history: 'Update History',
+        forceUpdate: 'Force update now',
+        updating: 'Updating…',
+        updateFailed: 'The update could not be sent.',
+        saveFirst: 'Save your changes before forcing an update.',
+        search: 'Search history',
+        noHistory: 'No update attempts yet.',
+        time: 'Time',
+        trigger: 'Trigger',
+        ip: 'IP Address',
+        result: 'Result',
+        message: 'Message',
+        triggers: {
+          scheduled: 'Scheduled',
+          manual: 'Manual',
+        },
+        results: {
+          good: 'Updated',
+          nochg: 'No change',
+          badauth: 'Bad credentials',
+          nohost: 'Unknown hostname',
+          abuse: 'Blocked for abuse',
+          911: 'Provider error',
+        },
+      },
+      dmz: {
+        title: 'DMZ Host',
+        subtitle: 'Forward all unsolicited inbound traffic to a single LAN device.',
+        warningTitle: 'Security warning',
+        warning: 'A DMZ host receives every inbound connection that no other rule handles, on every port. It is exposed to the internet as if the firewall were off. Only use it for a device that is hardened for direct exposure, and prefer port forwarding where possible.',
+        enabled: 'Enable DMZ',
+        subnetHint: 'The host must be on the LAN ({subnet}).',
+        hostIp: 'DMZ Host IP Address',
+        pickClient: 'Or pick a LAN client',
+        pickPlaceholder: 'Select a client…',
+        noClients: 'No DHCP clients found',
+        clientsError: 'Could not load DHCP clients',
+        acknowledge: 'I understand that every port will be open to this host.',
+      },
+      portForwarding: {
+        title: 'Port Forwarding',
+        subtitle: 'Forward inbound connections on WAN ports to devices on the LAN.',
+        rules: 'Forwarding Rules',
+        priorityHint: 'Rules are checked from top to bottom. Drag a rule by its handle, or focus the handle and use the arrow keys, to change its priority.',
+        subnetHint: 'Internal addresses must be on the LAN ({subnet}).',
+        priority: 'Priority',
+        enabled: 'Enabled',
+        name: 'Name',
+        protocol: 'Protocol',
+        externalPorts: 'External Ports',
+        internalIp: 'Internal IP',
+        internalPort: 'Internal Port',
+        actions: 'Actions',
+        internalPortHint: 'Internal port is where the forwarded range starts on the device. Leave it empty to keep the external port numbers.',
+        protocols: {
+          tcp: 'TCP',
+          udp: 'UDP',
+          both: 'TCP + UDP',
+        },
+        conflictsTitle: 'Conflicting rules',
+        conflict: 'Rule {row} forwards ports already taken by rule {other}.',
+        addRule: 'Add rule',
+        remove: 'Remove',
+        removeRow: 'Remove rule {row}',
+        reorder: 'Rule {row} of {count}. Use the arrow keys to move it.',
+        noRules: 'No forwarding rules.',
+      },
+      firewall: {
+        title: 'Firewall Rules',
+        subtitle: 'Accept or block inbound traffic from the internet.',
+        rules: 'Inbound Rules',
+        priorityHint: 'The first enabled rule that matches decides. Drag a rule by its handle, or focus the handle and use the arrow keys, to change its priority.',
+        priority: 'Priority',
+        enabled: 'Enabled',
+        name: 'Name',
+        action: 'Action',
+        protocol: 'Protocol',
+        source: 'Source',
+        ports: 'Ports',
+        actionsLabel: 'Row actions',
+        anySource: 'Any',
+        allPorts: 'All',
+        actions: {
+          accept: 'Accept',
+          drop: 'Drop',
+          reject: 'Reject',
+        },
+        protocols: {
+          tcp: 'TCP',
+          udp: 'UDP',
+          both: 'TCP + UDP',
+          icmp: 'ICMP',
+          any: 'Any',
+        },
+        warningsTitle: 'Overlapping rules',
+        warnings: {
+          shadowed: 'Rule {row} never matches: rule {other} above it already covers all of its traffic.',
+          overlap: 'Rule {row} overlaps rule {other} ({action}), which takes precedence for the shared traffic.',
+        },
+        addRule: 'Add rule',
+        remove: 'Remove',
+        removeRow: 'Remove rule {row}',
+        reorder: 'Rule {row} of {count}. Use the arrow keys to move it.',
+        noRules: 'No firewall rules. Unsolicited inbound traffic is dropped.',
+      },
     },
     management: {
       title: 'Management',
       subtitle: 'Manage users, roles, and permissions.',
+      roles: {
+        title: 'Roles',
+        yours: 'Your role',
+      },
+      usersCard: {
+        title: 'Users',
+        summary: '{count} accounts, {disabled} disabled.',
+        manage: 'Manage users and roles',
+      },
+      users: {
+        title: 'Users & Roles',
+        subtitle: 'Web interface accounts, their passwords, and the roles that decide what each account may do.',
+        sessionsEnd: 'Disabling, deleting or changing the role of a user signs them out everywhere, as does changing the permissions of their role; they sign in again with their new access.',
+        users: 'Users',
+        addUser: 'Add user',
+        search: 'Search users',
+        noUsers: 'No users match.',
+        username: 'Username',
+        usernameHint: 'Used to sign in; it cannot be changed later.',
+        fullName: 'Full name',
+        role: 'Role',
+        enabled: 'Account enabled',
+        status: 'Status',
+        active: 'Enabled',
+        inactive: 'Disabled',
+        lastLogin: 'Last sign-in',
+        never: 'Never',
+        actions: 'Actions',
+        edit: 'Edit',
+        resetPassword: 'Reset password',
+        disable: 'Disable',
+        enable: 'Enable',
+        delete: 'Delete',
+        you: 'You',
+        selfLocked: 'You cannot disable or delete your own account.',
+        rowAction: '{action}: {username}',
+        password: 'Password',
+        passwordConfirm: 'Repeat password',
+        cancel: 'Cancel',
+        addTitle: 'New user',
+        editTitle: 'Edit {username}',
+        passwordTitle: 'New password for {username}',
+        created: 'User {username} created.',
+        updated: 'User {username} updated.',
+        passwordReset: 'Password for {username} changed.',
+        enabledMessage: 'User {username} can sign in again.',
+        disabledMessage: 'User {username} disabled.',
+        deleted: 'User {username} deleted.',
+        confirmDisable: 'Disable {username}? They will not be able to sign in until enabled again.',
+        confirmDelete: 'Delete the user {username}? This cannot be undone.',
+        loadFailed: 'Could not load users and roles.',
+        actionFailed: 'The change could not be made.',
+        roles: 'Roles',
+        rolesHint: 'Built-in roles are fixed. Custom roles grant any combination of permissions.',
+        addRole: 'Add role',
+        roleName: 'Role',
+        permissions: 'Permissions',
+        members: 'Users',
+        builtIn: 'Built-in',
+        custom: 'Custom',
+        roleInUse: 'Assign its users another role before deleting it.',
+        addRoleTitle: 'New role',
+        editRoleTitle: 'Edit role {name}',
+        roleSaved: 'Role {name} saved.',
+        roleDeleted: 'Role {name} deleted.',
+        confirmDeleteRole: 'Delete the role {name}?',
+      },
+      ntp: {
+        title: 'Time Synchronization (NTP)',
+        subtitle: 'Keep the router clock correct for logs, schedules and certificates.',
+        clock: 'Clock',
+        deviceTime: 'Device time',
+        browserTime: 'Browser time',
+        drift: 'Drift',
+        driftInSync: 'In sync (±{seconds} s)',
+        driftAhead: 'Device is {seconds} s ahead',
+        driftBehind: 'Device is {seconds} s behind',
+        lastSync: 'Last sync',
+        lastSyncAt: '{time} from {server}',
+        neverSynced: 'Not synchronized since boot',
+        syncNow: 'Sync now',
+        syncing: 'Synchronizing…',
+        synced: 'Clock synchronized with {server}.',
+        syncFailed: 'Synchronization failed.',
+        saveFirst: 'Save your changes first; the device syncs with its saved servers.',
+        enabled: 'Synchronize the clock with NTP servers',
+        servers: 'NTP Servers',
+        serversHint: 'Servers are tried from top to bottom. Drag a server by its handle, or focus the handle and use the arrow keys, to reorder.',
+        server: 'Server',
+        priority: 'Priority',
+        actions: 'Actions',
+        addServer: 'Add server',
+        remove: 'Remove',
+        removeRow: 'Remove server {row}',
+        reorder: 'Server {row} of {count}. Use the arrow keys to move it.',
+        noServers: 'No NTP servers.',
+        timezoneSearch: 'Search time zones',
+        timezoneMatches: '{count} matching time zones',
+        timezone: 'Time zone',
+      },
+      ssh: {
+        title: 'SSH Access',
+        subtitle: 'Command-line access to the router for administrators.',
+        server: 'SSH Server',
+        enabled: 'Enable SSH server',
+        port: 'Listen port',
+        passwordAuth: 'Allow password login',
+        interfacesLabel: 'Accept connections on',
+        interfaces: {
+          lan: 'LAN',
+          wan: 'WAN (internet)',
+        },
+        wanWarningTitle: 'Password login is open to the internet',
+        wanWarning: 'SSH on the WAN with password login lets anyone on the internet try to guess the admin password, and automated attacks start within minutes. Turn off password login and use keys, or restrict SSH to the LAN.',
+        authorizedKeys: 'Authorized Keys',
+        keysLabel: 'Public keys (authorized_keys)',
+        keysHint: 'Paste one public key per line, e.g. the contents of ~/.ssh/id_ed25519.pub. Lines starting with # are ignored and not saved.',
+        keysSummary: '{valid} accepted, {rejected} rejected',
+        line: 'Line',
+        type: 'Type',
+        bits: 'Bits',
+        comment: 'Comment',
+        fingerprint: 'Fingerprint',
+        rejected: 'Rejected',
+        noComment: 'No comment',
+        noKeys: 'No keys.',
+        fingerprintUnavailable: 'Unavailable',
+      },
+      firmware: {
+        title: 'Firmware Upgrade',
+        subtitle: 'Install a new sysupgrade image. The router reboots when flashing starts and is unreachable for a few minutes.',
+        current: 'Installed firmware',
+        version: 'Version',
+        revision: 'Revision',
+        board: 'Board',
+        maxSize: 'Maximum image size',
+        loadFailed: 'Could not read the firmware information.',
+        upload: 'New image',
+        dropTitle: 'Drop a firmware image here or click to browse',
+        dropHint: 'Use the sysupgrade image built for this board (.bin, .img, .itb).',
+        fileName: 'File',
+        fileSize: 'Size',
+        fileVersion: 'Image version',
+        versionUnknown: 'Not in the file name',
+        hashing: 'Computing…',
+        hashUnavailable: 'Not available in this browser',
+        expectedHash: 'Expected SHA-256 checksum',
+        expectedHashHint: 'Paste the checksum published with the image (a line from sha256sums works too). Leave empty to skip verification.',
+        checksumMatches: 'Checksum matches.',
+        keepSettings: 'Keep current settings',
+        keepSettingsHint: 'When unchecked, every setting returns to its default after the upgrade.',
+        flash: 'Upload and flash',
+        confirm: 'Flash firmware {version}? The router reboots and is unreachable for a few minutes.',
+        confirmReset: 'Flash firmware {version} and reset all settings to defaults? The router reboots and is unreachable for a few minutes.',
+        uploading: 'Uploading…',
+        progress: '{percent}% ({loaded} of {total})',
+        uploadFailed: 'Upload failed.',
+        uploaded: 'Image verified; flashing started.',
+        leaveConfirm: 'The firmware upload is still running. Leave this page anyway?',
+        rebootTitle: 'Flashing and rebooting',
+        rebooting: 'Do not power off the router. Waiting for it to come back…',
+        countdown: 'About {seconds} s remaining',
+        overdue: 'Taking longer than expected; still waiting…',
+        back: 'The router is back, running firmware {version}.',
+      },
+      backup: {
+        title: 'Backup / Restore',
+        subtitle: 'Save the complete router configuration to a file, or restore it from one.',
+        export: 'Back up',
+        exportHint: 'Downloads every setting (network, wireless, firewall, services, …) as a JSON file.',
+        secretsTitle: 'The file contains passwords',
+        secrets: 'Wireless passphrases and account passwords are stored in plain text. Keep backups somewhere safe.',
+        download: 'Download backup',
+        exporting: 'Reading settings…',
+        exported: 'Saved as {file}.',
+        exportFailed: 'Could not create the backup.',
+        downloadUnsupported: 'This browser cannot save files.',
+        restore: 'Restore',
+        file: 'Backup file',
+        fileHint: 'Choose a file downloaded from this page. Nothing changes until you apply it.',
+        checking: 'Checking the file…',
+        summary: 'Backup from {date} (firmware {firmware}): {count} changes in {sections} sections.',
+        sectionsLabel: 'Sections to restore',
+        noChanges: 'The backup matches the current settings.',
+        absent: 'Not in the backup, left as they are: {sections}.',
+        denied: 'Your role may not change these, so they will not be restored: {sections}.',
+        changes: 'Changes',
+        section: 'Section',
+        setting: 'Setting',
+        current: 'Current',
+        fromBackup: 'From backup',
+        notPermitted: 'Not permitted',
+        notSet: 'not set',
+        empty: 'empty',
+        on: 'On',
+        off: 'Off',
+        hiddenValue: 'Hidden',
+        apply: 'Restore selected sections',
+        confirm: 'Overwrite the current settings for: {sections}?',
+        restoring: 'Restoring…',
+        restored: 'Restored: {sections}.',
+        restoreFailed: 'Restoring failed.',
+        sections: {
+          lan: 'LAN',
+          wan: 'WAN',
+          wlan: 'Wireless',
+          dhcp: 'DHCP',
+          ddns: 'Dynamic DNS',
+          dmz: 'DMZ',
+          portForwarding: 'Port forwarding',
+          firewall: 'Firewall',
+          ntp: 'NTP',
+          ssh: 'SSH',
+          upnp: 'UPnP',
+        },
+      },
+      reboot: {
+        title: 'Reboot / Factory Reset',
+        device: 'Device: {name} ({board})',
+        typeName: 'Type the device name {name} to confirm',
+        cancel: 'Cancel',
+        failed: 'The device did not accept the request.',
+        reboot: {
+          title: 'Reboot',
+          description: 'Restart the router. Connected devices lose network access for about a minute.',
+          button: 'Reboot…',
+          confirm: 'Reboot now',
+          sending: 'Sending reboot request…',
+          overlayTitle: 'Rebooting',
+          overlayMessage: 'The router is restarting. This page reconnects by itself.',
+        },
+        reset: {
+          title: 'Factory Reset',
+          warningTitle: 'All settings will be erased',
+          description: 'Every setting returns to its factory default, including wireless passwords, port forwarding and firewall rules. Download a backup first if you may need them again.',
+          button: 'Factory reset…',
+          confirm: 'Erase and reboot',
+          sending: 'Sending reset request…',
+          overlayTitle: 'Restoring factory defaults',
+          overlayMessage: 'Settings are erased and the router restarts. This page reconnects by itself.',
+        },
+      },
     },
     application: {
       title: 'Application',
       subtitle: 'Application-level configuration and tools.',
+      upnp: {
+        title: 'UPnP',
+        subtitle: 'Let devices on the LAN open ports on the router automatically (games, media servers, peer-to-peer apps).',
+        enabled: 'Enable UPnP IGD',
+        natPmp: 'Enable NAT-PMP',
+        natPmpHint: 'The port mapping protocol used by Apple devices and some games, served alongside UPnP.',
+        secureMode: 'Secure mode',
+        secureModeHint: 'Clients may only open ports to their own address.',
+        insecureTitle: 'Secure mode is off',
+        insecure: 'Any device on the LAN can forward ports to any other device, including ones that never asked for it.',
+        mappings: 'Active port mappings',
+        mappingsHint: 'Mappings requested by LAN clients. The list refreshes every few seconds.',
+        search: 'Search mappings',
+        noMappings: 'No active mappings.',
+        protocol: 'Protocol',
+        externalPort: 'External port',
+        client: 'Internal client',
+        description: 'Description',
+        lease: 'Lease',
+        permanent: 'Permanent',
+        expired: 'Expired',
+        actions: 'Actions',
+        delete: 'Delete',
+        deleteLabel: 'Delete {protocol} mapping for port {port}',
+        deleted: '{protocol} mapping for port {port} deleted.',
+        deleteFailed: 'Could not delete the mapping.',
+      },
     },
     notFound: {
       title: 'Page Not Found',
       subtitle: 'The page you are looking for does not exist.',
     },
+    forbidden: {
+      title: 'Access denied',
+      message: 'Your account is not allowed to open {path}.',
+      generic: 'Your account is not allowed to open this page.',
+      required: 'It requires the “{permission}” permission, which your role ({role}) does not include.',
+      home: 'Go Home',
+    },
+    login: {
+      title: 'Sign in',
+      subtitle: 'Sign in with the router administrator account to continue.',
+      username: 'Username',
+      password: 'Password',
+      submit: 'Sign in',
+      signingIn: 'Signing in…',
+      invalid: 'Incorrect username or password.',
+      failed: 'Sign-in failed. Try again shortly.',
+    },
   },
 };
 
@@ -106,6 +912,7 @@ const es = {
     language: 'Idioma',
     account: 'Cuenta',
     logout: 'Cerrar sesión',
+    unsaved: 'Cambios sin guardar',
   },
   navigation: {
     home: 'Inicio',
@@ -127,9 +934,14 @@ const es = {
     advancedServiceControl: 'Control de Servicio',
     advancedDdns: 'DDNS',
     advancedDmz: 'DMZ',
+    advancedPortForwarding: 'Reenvío de puertos',
+    advancedFirewall: 'Cortafuegos',
     managementNtp: 'NTP',
     managementSsh: 'SSH',
     managementFirmware: 'Actualización de Firmware',
+    managementBackup: 'Copia de Seguridad',
+    managementReboot: 'Reinicio / Restablecer',
+    managementUsers: 'Usuarios y roles',
     applicationUpnp: 'UPnP',
   },
   sections: {
@@ -140,6 +952,187 @@ const es = {
     management: 'Administración',
     application: 'Aplicación',
   },
+  common: {
+    loading: 'Cargando…',
+    refresh: 'Actualizar',
+    all: 'Todos',
+    loadErrorTitle: 'No se pudieron cargar los datos',
+    loadError: 'El dispositivo no respondió. Inténtalo de nuevo en breve.',
+    previous: 'Anterior',
+    next: 'Siguiente',
+    range: '{from}–{to} de {total}',
+  },
+  forms: {
+    save: 'Guardar',
+    reset: 'Restablecer',
+    saving: 'Guardando…',
+    saved: 'Configuración guardada.',
+    saveError: 'No se pudo guardar. Inténtalo de nuevo.',
+    fixErrors: 'Corrige los campos marcados.',
+    show: 'Mostrar',
+    hide: 'Ocultar',
+    showPassword: 'Mostrar contraseña',
+    hidePassword: 'Ocultar contraseña',
+    unsavedConfirm: 'Tienes cambios sin guardar. ¿Salir de esta página y descartarlos?',
+    readOnlyTitle: 'Solo lectura',
+    readOnly: 'Tu rol puede ver estos ajustes, pero no cambiarlos.',
+    strength: {
+      label: 'Seguridad de la contraseña',
+      veryWeak: 'Muy débil',
+      weak: 'Débil',
+      fair: 'Aceptable',
+      good: 'Buena',
+      strong: 'Fuerte',
+    },
+  },
+  validation: {
+    required: 'Este campo es obligatorio.',
+    ipv4: 'Introduce una dirección IPv4 válida, p. ej. 192.168.1.1.',
+    netmask: 'Introduce una máscara de subred válida con bits contiguos, p. ej. 255.255.255.0.',
+    netmaskRange: 'La máscara de subred debe estar entre /1 y /30.',
+    networkAddress: 'Es la dirección de red de la subred; elige una dirección de host.',
+    broadcastAddress: 'Es la dirección de difusión de la subred; elige una dirección de host.',
+    ipv6Prefix: 'Introduce un prefijo IPv6 como fd00:1234:5678::/48 (longitud 1–64).',
+    mac: 'Introduce una dirección MAC como AA:BB:CC:DD:EE:FF.',
+    macMulticast: 'No se pueden usar direcciones MAC multicast; el primer byte debe ser par.',
+    hostname: 'Usa solo letras, dígitos y guiones (máx. 63 caracteres por etiqueta).',
+    integer: 'Introduce un número entero.',
+    integerRange: 'Introduce un valor entre {min} y {max}.',
+    notInSubnet: 'Esta dirección no está en la misma subred.',
+    ssidLength: 'El SSID puede tener como máximo 32 bytes.',
+    passphraseAscii: 'Usa solo caracteres ASCII imprimibles.',
+    passphraseLength: 'La contraseña debe tener entre {min} y {max} caracteres.',
+    routerAddress: 'Esta es la dirección del propio router.',
+    poolOrder: 'El final del rango no puede ser anterior al inicio.',
+    poolContainsRouter: 'El rango no debe incluir la dirección del router.',
+    duplicateMac: 'Esta dirección MAC ya está reservada en la fila {row}.',
+    duplicateIp: 'Esta dirección IP ya está reservada en la fila {row}.',
+    url: 'Introduce una URL http:// o https://.',
+    placeholderUnknown: 'Marcador desconocido {name}.',
+    placeholderMissing: 'La plantilla debe incluir {name}.',
+    acknowledgeRequired: 'Confirma que entiendes el riesgo antes de habilitarlo.',
+    portRange: 'Introduce un puerto (1–65535) o un rango como 8000-8010.',
+    portConflict: 'Estos puertos ya los reenvía la regla {row}.',
+    internalPortRange: 'El rango interno debe terminar como máximo en el puerto 65535; usa un puerto inicial hasta {max}.',
+    ipv4Cidr: 'Introduce una dirección IPv4 o una red como 10.0.0.0/8.',
+    timezone: 'Elige una zona horaria de la lista.',
+    ntpServerRequired: 'Añade al menos un servidor NTP o desactiva la sincronización.',
+    duplicateServer: 'Este servidor ya aparece en la fila {row}.',
+    sshInterfaceRequired: 'Selecciona al menos una interfaz para el servidor SSH.',
+    sshKeysInvalid: 'Corrige o elimina las claves rechazadas (línea {lines}).',
+    sshKeyRequired: 'Con el acceso por contraseña desactivado, añade al menos una clave o perderás el acceso.',
+    sshKeyType: 'Tipo de clave no compatible o ausente.',
+    sshKeyDsa: 'Las claves DSA ya no se aceptan; usa Ed25519 o RSA.',
+    sshKeyEncoding: 'Los datos de la clave no son base64 válido o están truncados.',
+    sshKeyMismatch: 'Los datos de la clave no coinciden con su tipo declarado.',
+    sshKeyWeak: 'La clave RSA tiene {bits} bits; se necesitan al menos {min}.',
+    sshKeyDuplicate: 'Es la misma clave que la línea {line}.',
+    firmwareTooLarge: 'La imagen no cabe en la partición de firmware (máximo {max}).',
+    firmwareEmpty: 'El archivo está vacío.',
+    sha256: 'Introduce una suma SHA-256 (64 caracteres hexadecimales).',
+    checksumMismatch: 'La suma de comprobación no coincide con el archivo seleccionado. No instales esta imagen.',
+    checksumUnavailable: 'Este navegador no puede calcular sumas aquí (se requiere HTTPS); vacía el campo para subirla sin verificar.',
+    backupTooLarge: 'El archivo es demasiado grande para ser una copia de la configuración.',
+    backupJson: 'El archivo no es un JSON válido.',
+    backupFormat: 'El archivo no es una copia de la configuración de este router.',
+    backupVersion: 'La versión de formato {version} no es compatible (hasta {supported}).',
+    backupSection: 'La copia contiene secciones desconocidas: {sections}.',
+    backupSchema: 'La copia no coincide con la estructura actual de la configuración en "{path}".',
+    backupValue: 'La copia tiene un valor no válido en "{path}": {reason}',
+    username: 'Empieza por una letra minúscula; después 1–31 de a-z, 0-9, ".", "_" o "-".',
+    usernameTaken: 'Ya existe un usuario con este nombre.',
+    passwordLength: 'La contraseña debe tener al menos {min} caracteres.',
+    passwordMismatch: 'Las contraseñas no coinciden.',
+    roleNameTaken: 'Ya existe un rol con este nombre.',
+    permissionRequired: 'Selecciona al menos un permiso.',
+  },
+  rebootOverlay: {
+    waiting: 'Esperando a que el router vuelva a responder…',
+    countdown: 'Quedan unos {seconds} s',
+    overdue: 'Está tardando más de lo previsto; seguimos esperando…',
+  },
+  roles: {
+    admin: 'Administrador',
+    editor: 'Editor',
+    viewer: 'Lector',
+  },
+  permissions: {
+    'status:view': 'Ver estado',
+    'settings:view': 'Ver ajustes',
+    'settings:edit': 'Cambiar ajustes',
+    'system:view': 'Ver ajustes del sistema',
+    'system:edit': 'Cambiar ajustes del sistema',
+    'system:maintain': 'Firmware, copias de seguridad y reinicio',
+    'users:manage': 'Gestionar usuarios y roles',
+  },
+  apiErrors: {
+    network: 'No se pudo contactar con el router. Comprueba la conexión e inténtalo de nuevo.',
+    timeout: 'El router tardó demasiado en responder. Inténtalo de nuevo.',
+    aborted: 'La solicitud se canceló.',
+    'bad-request': 'El router rechazó la solicitud.',
+    unauthorized: 'Tu sesión ya no es válida. Vuelve a iniciar sesión.',
+    forbidden: 'Tu rol no permite esta acción.',
+    'not-found': 'El router no reconoce este elemento; puede que se haya eliminado.',
+    conflict: 'El elemento cambió mientras tanto. Recarga e inténtalo de nuevo.',
+    'rate-limited': 'Demasiadas solicitudes. Espera un momento e inténtalo de nuevo.',
+    server: 'El router notificó un error interno. Inténtalo de nuevo en breve.',
+    'bad-response': 'El router envió una respuesta que no se pudo leer.',
+    unknown: 'Algo salió mal. Inténtalo de nuevo.',
+  },
+  idleTimeout: {
+    title: '¿Sigues ahí?',
+    message: 'Se cerrará tu sesión porque no ha habido actividad durante un tiempo.',
+    countdown: 'Cerrando sesión en {seconds} s.',
+    stay: 'Seguir conectado',
+  },
+  timezones: {
+    regions: {
+      Africa: 'África',
+      America: 'América',
+      Antarctica: 'Antártida',
+      Arctic: 'Ártico',
+      Asia: 'Asia',
+      Atlantic: 'Atlántico',
+      Australia: 'Australia',
+      Europe: 'Europa',
+      Indian: 'Océano Índico',
+      Pacific: 'Pacífico',
+    },
+    zones: {
+      UTC: 'Tiempo universal coordinado',
+      'Africa/Cairo': 'El Cairo',
+      'America/Argentina/Buenos_Aires': 'Argentina / Buenos Aires',
+      'America/Mexico_City': 'Ciudad de México',
+      'America/New_York': 'Nueva York',
+      'America/Sao_Paulo': 'São Paulo',
+      'America/Havana': 'La Habana',
+      'America/Panama': 'Panamá',
+      'America/Asuncion': 'Asunción',
+      'America/Bogota': 'Bogotá',
+      'Asia/Tokyo': 'Tokio',
+      'Asia/Shanghai': 'Shanghái',
+      'Asia/Singapore': 'Singapur',
+      'Asia/Seoul': 'Seúl',
+      'Asia/Jerusalem': 'Jerusalén',
+      'Atlantic/Canary': 'Canarias',
+      'Atlantic/Azores': 'Azores',
+      'Europe/Athens': 'Atenas',
+      'Europe/Berlin': 'Berlín',
+      'Europe/Brussels': 'Bruselas',
+      'Europe/Copenhagen': 'Copenhague',
+      'Europe/Lisbon': 'Lisboa',
+      'Europe/London': 'Londres',
+      'Europe/Moscow': 'Moscú',
+      'Europe/Paris': 'París',
+      'Europe/Prague': 'Praga',
+      'Europe/Rome': 'Roma',
+      'Europe/Stockholm': 'Estocolmo',
+      'Europe/Vienna': 'Viena',
+      'Europe/Warsaw': 'Varsovia',
+      'Europe/Zurich': 'Zúrich',
+      'Pacific/Honolulu': 'Honolulú',
+    },
+  },
   pages: {
     home: {
       title: 'Bienvenido al Panel',
@@ -148,27 +1141,676 @@ const es = {
     status: {
       title: 'Estado del Sistema',
       subtitle: 'Ver salud del sistema y métricas en vivo.',
+      lan: {
+        title: 'Estado de LAN',
+        subtitle: 'Direccionamiento de la interfaz LAN y estado de enlace por puerto.',
+        interface: 'Interfaz',
+        interfaceName: 'Interfaz',
+        ipAddress: 'Dirección IPv4',
+        netmask: 'Máscara de subred',
+        ipv6: 'Dirección IPv6',
+        mac: 'Dirección MAC',
+        linkSpeed: 'Velocidad de enlace',
+        ports: 'Puertos',
+        port: 'Puerto',
+        link: 'Enlace',
+        linkUp: 'Activo',
+        linkDown: 'Inactivo',
+        speed: 'Velocidad',
+        duplexLabel: 'Dúplex',
+        duplex: {
+          full: 'Completo',
+          half: 'Medio',
+        },
+      },
+      wan: {
+        title: 'Estado de WAN',
+        subtitle: 'Detalles de la conexión a Internet y rendimiento en vivo.',
+        connection: 'Conexión',
+        connected: 'Conectado',
+        disconnected: 'Desconectado',
+        connectionType: 'Tipo de conexión',
+        types: {
+          dhcp: 'DHCP',
+          pppoe: 'PPPoE',
+          static: 'IP estática',
+        },
+        publicIp: 'IP pública',
+        gateway: 'Puerta de enlace',
+        dns: 'Servidores DNS',
+        interface: 'Interfaz',
+        mac: 'Dirección MAC',
+        uptime: 'Tiempo activo',
+        throughput: 'Rendimiento',
+        rx: 'Descarga',
+        tx: 'Subida',
+        pollError: 'Falló la actualización del tráfico en vivo; reintentando.',
+      },
+      wlan: {
+        title: 'Estado de WLAN',
+        subtitle: 'Radios inalámbricas y clientes asociados.',
+        radios: 'Radios',
+        band: 'Banda',
+        ssid: 'SSID',
+        channel: 'Canal',
+        channelWidth: 'Ancho',
+        txPower: 'Potencia TX',
+        state: 'Estado',
+        enabled: 'Habilitada',
+        disabled: 'Deshabilitada',
+        clients: 'Clientes asociados',
+        hostname: 'Nombre de host',
+        mac: 'Dirección MAC',
+        rssi: 'Señal',
+        txRate: 'Tasa TX',
+        rxRate: 'Tasa RX',
+        connectedTime: 'Conectado',
+        filter: 'Filtrar clientes',
+        noClients: 'Ningún cliente coincide.',
+        signal: {
+          0: 'Señal débil',
+          1: 'Señal aceptable',
+          2: 'Señal buena',
+          3: 'Señal excelente',
+        },
+      },
+      dhcp: {
+        title: 'Concesiones DHCP',
+        subtitle: 'Direcciones entregadas actualmente por el servidor DHCP.',
+        leases: 'Concesiones activas',
+        ip: 'Dirección IP',
+        mac: 'Dirección MAC',
+        hostname: 'Nombre de host',
+        type: 'Tipo',
+        types: {
+          dynamic: 'Dinámica',
+          static: 'Estática',
+        },
+        expires: 'Expira en',
+        never: 'Nunca',
+        expired: 'Expirada',
+        actions: 'Acciones',
+        makeStatic: 'Hacer estática',
+        search: 'Buscar concesiones',
+        noLeases: 'Ninguna concesión coincide.',
+      },
+      log: {
+        title: 'Registro del sistema',
+        subtitle: 'Registro del sistema en vivo con filtros y búsqueda.',
+        search: 'Buscar en el registro',
+        severity: 'Severidad',
+        facility: 'Origen',
+        severities: {
+          emerg: 'Solo emergencias',
+          alert: 'Alerta y superior',
+          crit: 'Crítico y superior',
+          err: 'Error y superior',
+          warning: 'Advertencia y superior',
+          notice: 'Aviso y superior',
+          info: 'Información y superior',
+          debug: 'Todo (depuración)',
+        },
+        pause: 'Pausar',
+        resume: 'Reanudar',
+        download: 'Descargar .txt',
+        counts: 'Mostrando {shown} de {total} líneas',
+        pending: '{count} líneas nuevas en pausa',
+      },
     },
     basicSettings: {
       title: 'Configuración Básica',
       subtitle: 'Configura los ajustes comunes.',
+      lan: {
+        title: 'Configuración de LAN',
+        subtitle: 'Dirección del router y subred de la red local.',
+        ipv4: 'IPv4',
+        ipAddress: 'Dirección IP del router',
+        netmask: 'Máscara de subred',
+        summary: 'Subred {subnet} · {hosts} direcciones de host utilizables',
+        ipv6: 'IPv6',
+        ipv6Prefix: 'Prefijo IPv6 ULA',
+        ipv6PrefixHint: 'Déjalo vacío para desactivar IPv6 en la LAN.',
+      },
+      wan: {
+        title: 'Configuración de WAN',
+        subtitle: 'Cómo se conecta el router a tu proveedor de Internet.',
+        mode: 'Modo de conexión',
+        modes: {
+          dhcp: 'DHCP (automático)',
+          static: 'IP estática',
+          pppoe: 'PPPoE',
+        },
+        ipAddress: 'Dirección IP',
+        netmask: 'Máscara de subred',
+        gateway: 'Puerta de enlace predeterminada',
+        dns1: 'DNS primario',
+        dns2: 'DNS secundario (opcional)',
+        hostname: 'Nombre de host enviado al proveedor (opcional)',
+        dnsOverride: 'Usar servidores DNS propios en lugar de los del proveedor',
+        username: 'Usuario',
+        password: 'Contraseña',
+        serviceName: 'Nombre de servicio (opcional)',
+        serviceNameHint: 'Solo si tu proveedor exige un servicio PPPoE concreto.',
+        advanced: 'Avanzado',
+        mtu: 'MTU',
+        mtuHint: 'Entre {min} y {max} bytes; como máximo {pppoe} para PPPoE.',
+        macClone: 'Clonar dirección MAC',
+        macAddress: 'Dirección MAC de WAN',
+      },
+      wlan: {
+        title: 'Configuración de WLAN',
+        subtitle: 'Redes inalámbricas para cada banda de radio.',
+        enabled: 'Radio habilitada',
+        ssid: 'Nombre de red (SSID)',
+        security: 'Seguridad',
+        securities: {
+          wpa2: 'WPA2-Personal',
+          'wpa2-wpa3': 'WPA2/WPA3 mixto',
+          wpa3: 'WPA3-Personal',
+        },
+        passphrase: 'Contraseña',
+        passphraseRules: {
+          wpa2: '8–63 caracteres imprimibles, o una clave hexadecimal de 64 dígitos.',
+          'wpa2-wpa3': '8–63 caracteres imprimibles.',
+          wpa3: '8–128 caracteres imprimibles; cuanto más larga, más segura.',
+        },
+        channel: 'Canal',
+        channelWidth: 'Ancho de canal',
+        auto: 'Automático',
+        hidden: 'Ocultar nombre de red (SSID)',
+        guest: 'Habilitar red de invitados',
+      },
+      dhcp: {
+        title: 'Servidor DHCP',
+        subtitle: 'Rango de direcciones, tiempo de concesión y reservas estáticas para clientes LAN.',
+        server: 'Servidor',
+        enabled: 'Habilitar servidor DHCP',
+        subnetHint: 'Subred LAN {subnet}, router {router}.',
+        poolStart: 'Inicio del rango',
+        poolEnd: 'Fin del rango',
+        leaseMinutes: 'Tiempo de concesión (minutos)',
+        leaseHint: 'Entre {min} y {max} minutos.',
+        dnsMode: 'Servidores DNS entregados a los clientes',
+        dnsModes: {
+          router: 'Usar el router como servidor DNS',
+          custom: 'Servidores DNS personalizados',
+        },
+        dns1: 'DNS primario',
+        dns2: 'DNS secundario (opcional)',
+        reservations: 'Reservas estáticas',
+        mac: 'Dirección MAC',
+        ip: 'Dirección IP',
+        hostname: 'Nombre de host',
+        actions: 'Acciones',
+        remove: 'Quitar',
+        removeRow: 'Quitar reserva {row}',
+        addReservation: 'Añadir reserva',
+        noReservations: 'No hay reservas estáticas.',
+        prefillAdded: 'Se añadió abajo una reserva para {mac}. Revísala y guarda.',
+        prefillExists: '{mac} ya tiene una reserva.',
+      },
     },
     advancedSettings: {
       title: 'Configuración Avanzada',
       subtitle: 'Ajusta parámetros avanzados.',
+      security: {
+        title: 'Seguridad',
+        sessionTimeout: 'Tiempo de espera de la sesión (minutos)',
+        sessionTimeoutHint: 'Cierra la sesión tras estos minutos sin actividad en ninguna pestaña abierta. Un minuto antes aparece un aviso.',
+      },
+      services: {
+        title: 'Control de servicios',
+        subtitle: 'Inicia, detén o reinicia los servicios del router y elige cuáles arrancan al inicio.',
+        service: 'Servicio',
+        state: 'Estado',
+        enabledAtBoot: 'Iniciar al arrancar',
+        actionsLabel: 'Acciones',
+        bootLabel: 'Iniciar {name} al arrancar',
+        pid: 'PID {pid}',
+        empty: 'El dispositivo no informó ningún servicio.',
+        actionError: 'La acción falló.',
+        states: {
+          running: 'En ejecución',
+          stopped: 'Detenido',
+          failed: 'Con error',
+        },
+        actions: {
+          start: 'Iniciar',
+          stop: 'Detener',
+          restart: 'Reiniciar',
+        },
+        actionLabels: {
+          start: 'Iniciar {name}',
+          stop: 'Detener {name}',
+          restart: 'Reiniciar {name}',
+        },
+        pending: {
+          start: 'Iniciando…',
+          stop: 'Deteniendo…',
+          restart: 'Reiniciando…',
+          boot: 'Guardando…',
+        },
+      },
+      ddns: {
+        title: 'DNS dinámico',
+        subtitle: 'Mantén un nombre de host apuntando a la IP pública cambiante de este router.',
+        settings: 'Configuración',
+        enabled: 'Habilitar DNS dinámico',
+        provider: 'Proveedor',
+        customProvider: 'Plantilla de URL personalizada',
+        hostname: 'Nombre de host',
+        username: 'Usuario',
+        password: 'Contraseña',
+        token: 'Token',
+        urlTemplate: 'Plantilla de URL de actualización',
+        urlTemplateHint: 'Marcadores: {placeholders}. {ip} y {hostname} son obligatorios.',
+        preview: 'Vista previa de la URL',
+        interval: 'Intervalo de actualización (minutos)',
+        intervalHint: 'Entre {min} y {max} minutos.',
+        history: 'Historial de actualizaciones',
+        forceUpdate: 'Forzar actualización ahora',
+        updating: 'Actualizando…',
+        updateFailed: 'No se pudo enviar la actualización.',
+        saveFirst: 'Guarda los cambios antes de forzar una actualización.',
+        search: 'Buscar en el historial',
+        noHistory: 'Aún no hay intentos de actualización.',
+        time: 'Hora',
+        trigger: 'Origen',
+        ip: 'Dirección IP',
+        result: 'Resultado',
+        message: 'Mensaje',
+        triggers: {
+          scheduled: 'Programada',
+          manual: 'Manual',
+        },
+        results: {
+          good: 'Actualizado',
+          nochg: 'Sin cambios',
+          badauth: 'Credenciales incorrectas',
+          nohost: 'Nombre de host desconocido',
+          abuse: 'Bloqueado por abuso',
+          911: 'Error del proveedor',
+        },
+      },
+      dmz: {
+        title: 'Host DMZ',
+        subtitle: 'Reenvía todo el tráfico entrante no solicitado a un único dispositivo LAN.',
+        warningTitle: 'Advertencia de seguridad',
+        warning: 'Un host DMZ recibe todas las conexiones entrantes que ninguna otra regla gestiona, en todos los puertos. Queda expuesto a internet como si el cortafuegos estuviera desactivado. Úsalo solo con un dispositivo preparado para exposición directa y, cuando sea posible, prefiere el reenvío de puertos.',
+        enabled: 'Habilitar DMZ',
+        subnetHint: 'El host debe estar en la LAN ({subnet}).',
+        hostIp: 'Dirección IP del host DMZ',
+        pickClient: 'O elige un cliente LAN',
+        pickPlaceholder: 'Selecciona un cliente…',
+        noClients: 'No se encontraron clientes DHCP',
+        clientsError: 'No se pudieron cargar los clientes DHCP',
+        acknowledge: 'Entiendo que todos los puertos quedarán abiertos hacia este host.',
+      },
+      portForwarding: {
+        title: 'Reenvío de puertos',
+        subtitle: 'Reenvía las conexiones entrantes en puertos WAN a dispositivos de la LAN.',
+        rules: 'Reglas de reenvío',
+        priorityHint: 'Las reglas se comprueban de arriba abajo. Arrastra una regla por su asa, o enfoca el asa y usa las flechas, para cambiar su prioridad.',
+        subnetHint: 'Las direcciones internas deben estar en la LAN ({subnet}).',
+        priority: 'Prioridad',
+        enabled: 'Habilitada',
+        name: 'Nombre',
+        protocol: 'Protocolo',
+        externalPorts: 'Puertos externos',
+        internalIp: 'IP interna',
+        internalPort: 'Puerto interno',
+        actions: 'Acciones',
+        internalPortHint: 'El puerto interno es donde empieza el rango reenviado en el dispositivo. Déjalo vacío para conservar los puertos externos.',
+        protocols: {
+          tcp: 'TCP',
+          udp: 'UDP',
+          both: 'TCP + UDP',
+        },
+        conflictsTitle: 'Reglas en conflicto',
+        conflict: 'La regla {row} reenvía puertos que ya usa la regla {other}.',
+        addRule: 'Añadir regla',
+        remove: 'Quitar',
+        removeRow: 'Quitar regla {row}',
+        reorder: 'Regla {row} de {count}. Usa las flechas para moverla.',
+        noRules: 'No hay reglas de reenvío.',
+      },
+      firewall: {
+        title: 'Reglas del cortafuegos',
+        subtitle: 'Acepta o bloquea el tráfico entrante desde internet.',
+        rules: 'Reglas de entrada',
+        priorityHint: 'Decide la primera regla habilitada que coincida. Arrastra una regla por su asa, o enfoca el asa y usa las flechas, para cambiar su prioridad.',
+        priority: 'Prioridad',
+        enabled: 'Habilitada',
+        name: 'Nombre',
+        action: 'Acción',
+        protocol: 'Protocolo',
+        source: 'Origen',
+        ports: 'Puertos',
+        actionsLabel: 'Acciones de fila',
+        anySource: 'Cualquiera',
+        allPorts: 'Todos',
+        actions: {
+          accept: 'Aceptar',
+          drop: 'Descartar',
+          reject: 'Rechazar',
+        },
+        protocols: {
+          tcp: 'TCP',
+          udp: 'UDP',
+          both: 'TCP + UDP',
+          icmp: 'ICMP',
+          any: 'Cualquiera',
+        },
+        warningsTitle: 'Reglas solapadas',
+        warnings: {
+          shadowed: 'La regla {row} nunca coincide: la regla {other}, situada encima, ya cubre todo su tráfico.',
+          overlap: 'La regla {row} se solapa con la regla {other} ({action}), que tiene prioridad sobre el tráfico común.',
+        },
+        addRule: 'Añadir regla',
+        remove: 'Quitar',
+        removeRow: 'Quitar regla {row}',
+        reorder: 'Regla {row} de {count}. Usa las flechas para moverla.',
+        noRules: 'No hay reglas. El tráfico entrante no solicitado se descarta.',
+      },
     },
     management: {
       title: 'Administración',
       subtitle: 'Gestiona usuarios, roles y permisos.',
+      roles: {
+        title: 'Roles',
+        yours: 'Tu rol',
+      },
+      usersCard: {
+        title: 'Usuarios',
+        summary: '{count} cuentas, {disabled} desactivadas.',
+        manage: 'Gestionar usuarios y roles',
+      },
+      users: {
+        title: 'Usuarios y roles',
+        subtitle: 'Cuentas de la interfaz web, sus contraseñas y los roles que deciden qué puede hacer cada cuenta.',
+        sessionsEnd: 'Desactivar, eliminar o cambiar el rol de un usuario cierra todas sus sesiones, igual que cambiar los permisos de su rol; vuelve a iniciar sesión con su nuevo acceso.',
+        users: 'Usuarios',
+        addUser: 'Añadir usuario',
+        search: 'Buscar usuarios',
+        noUsers: 'Ningún usuario coincide.',
+        username: 'Usuario',
+        usernameHint: 'Se usa para iniciar sesión; no se puede cambiar después.',
+        fullName: 'Nombre completo',
+        role: 'Rol',
+        enabled: 'Cuenta activada',
+        status: 'Estado',
+        active: 'Activada',
+        inactive: 'Desactivada',
+        lastLogin: 'Último inicio de sesión',
+        never: 'Nunca',
+        actions: 'Acciones',
+        edit: 'Editar',
+        resetPassword: 'Restablecer contraseña',
+        disable: 'Desactivar',
+        enable: 'Activar',
+        delete: 'Eliminar',
+        you: 'Tú',
+        selfLocked: 'No puedes desactivar ni eliminar tu propia cuenta.',
+        rowAction: '{action}: {username}',
+        password: 'Contraseña',
+        passwordConfirm: 'Repite la contraseña',
+        cancel: 'Cancelar',
+        addTitle: 'Nuevo usuario',
+        editTitle: 'Editar {username}',
+        passwordTitle: 'Nueva contraseña para {username}',
+        created: 'Usuario {username} creado.',
+        updated: 'Usuario {username} actualizado.',
+        passwordReset: 'Contraseña de {username} cambiada.',
+        enabledMessage: 'El usuario {username} puede volver a iniciar sesión.',
+        disabledMessage: 'Usuario {username} desactivado.',
+        deleted: 'Usuario {username} eliminado.',
+        confirmDisable: '¿Desactivar {username}? No podrá iniciar sesión hasta que se vuelva a activar.',
+        confirmDelete: '¿Eliminar el usuario {username}? No se puede deshacer.',
+        loadFailed: 'No se pudieron cargar los usuarios y roles.',
+        actionFailed: 'No se pudo realizar el cambio.',
+        roles: 'Roles',
+        rolesHint: 'Los roles integrados no se pueden modificar. Los roles personalizados conceden cualquier combinación de permisos.',
+        addRole: 'Añadir rol',
+        roleName: 'Rol',
+        permissions: 'Permisos',
+        members: 'Usuarios',
+        builtIn: 'Integrado',
+        custom: 'Personalizado',
+        roleInUse: 'Asigna otro rol a sus usuarios antes de eliminarlo.',
+        addRoleTitle: 'Nuevo rol',
+        editRoleTitle: 'Editar el rol {name}',
+        roleSaved: 'Rol {name} guardado.',
+        roleDeleted: 'Rol {name} eliminado.',
+        confirmDeleteRole: '¿Eliminar el rol {name}?',
+      },
+      ntp: {
+        title: 'Sincronización horaria (NTP)',
+        subtitle: 'Mantén el reloj del router en hora para registros, programaciones y certificados.',
+        clock: 'Reloj',
+        deviceTime: 'Hora del dispositivo',
+        browserTime: 'Hora del navegador',
+        drift: 'Desfase',
+        driftInSync: 'Sincronizado (±{seconds} s)',
+        driftAhead: 'El dispositivo va {seconds} s adelantado',
+        driftBehind: 'El dispositivo va {seconds} s atrasado',
+        lastSync: 'Última sincronización',
+        lastSyncAt: '{time} desde {server}',
+        neverSynced: 'Sin sincronizar desde el arranque',
+        syncNow: 'Sincronizar ahora',
+        syncing: 'Sincronizando…',
+        synced: 'Reloj sincronizado con {server}.',
+        syncFailed: 'La sincronización falló.',
+        saveFirst: 'Guarda primero los cambios; el dispositivo se sincroniza con los servidores guardados.',
+        enabled: 'Sincronizar el reloj con servidores NTP',
+        servers: 'Servidores NTP',
+        serversHint: 'Los servidores se prueban de arriba abajo. Arrastra un servidor por su asa, o enfoca el asa y usa las flechas, para reordenarlos.',
+        server: 'Servidor',
+        priority: 'Prioridad',
+        actions: 'Acciones',
+        addServer: 'Añadir servidor',
+        remove: 'Quitar',
+        removeRow: 'Quitar servidor {row}',
+        reorder: 'Servidor {row} de {count}. Usa las flechas para moverlo.',
+        noServers: 'No hay servidores NTP.',
+        timezoneSearch: 'Buscar zonas horarias',
+        timezoneMatches: '{count} zonas horarias coinciden',
+        timezone: 'Zona horaria',
+      },
+      ssh: {
+        title: 'Acceso SSH',
+        subtitle: 'Acceso por línea de comandos al router para administradores.',
+        server: 'Servidor SSH',
+        enabled: 'Habilitar servidor SSH',
+        port: 'Puerto de escucha',
+        passwordAuth: 'Permitir acceso con contraseña',
+        interfacesLabel: 'Aceptar conexiones en',
+        interfaces: {
+          lan: 'LAN',
+          wan: 'WAN (internet)',
+        },
+        wanWarningTitle: 'El acceso con contraseña está abierto a internet',
+        wanWarning: 'SSH en la WAN con acceso por contraseña permite que cualquiera en internet intente adivinar la contraseña de administrador, y los ataques automáticos empiezan en minutos. Desactiva el acceso con contraseña y usa claves, o limita SSH a la LAN.',
+        authorizedKeys: 'Claves autorizadas',
+        keysLabel: 'Claves públicas (authorized_keys)',
+        keysHint: 'Pega una clave pública por línea, p. ej. el contenido de ~/.ssh/id_ed25519.pub. Las líneas que empiezan por # se ignoran y no se guardan.',
+        keysSummary: '{valid} aceptadas, {rejected} rechazadas',
+        line: 'Línea',
+        type: 'Tipo',
+        bits: 'Bits',
+        comment: 'Comentario',
+        fingerprint: 'Huella',
+        rejected: 'Rechazada',
+        noComment: 'Sin comentario',
+        noKeys: 'No hay claves.',
+        fingerprintUnavailable: 'No disponible',
+      },
+      firmware: {
+        title: 'Actualización de firmware',
+        subtitle: 'Instala una nueva imagen sysupgrade. El router se reinicia al empezar la escritura y no responde durante unos minutos.',
+        current: 'Firmware instalado',
+        version: 'Versión',
+        revision: 'Revisión',
+        board: 'Placa',
+        maxSize: 'Tamaño máximo de imagen',
+        loadFailed: 'No se pudo leer la información del firmware.',
+        upload: 'Nueva imagen',
+        dropTitle: 'Suelta aquí una imagen de firmware o haz clic para elegirla',
+        dropHint: 'Usa la imagen sysupgrade compilada para esta placa (.bin, .img, .itb).',
+        fileName: 'Archivo',
+        fileSize: 'Tamaño',
+        fileVersion: 'Versión de la imagen',
+        versionUnknown: 'No figura en el nombre del archivo',
+        hashing: 'Calculando…',
+        hashUnavailable: 'No disponible en este navegador',
+        expectedHash: 'Suma SHA-256 esperada',
+        expectedHashHint: 'Pega la suma publicada junto a la imagen (también sirve una línea de sha256sums). Déjalo vacío para omitir la verificación.',
+        checksumMatches: 'La suma de comprobación coincide.',
+        keepSettings: 'Conservar la configuración actual',
+        keepSettingsHint: 'Si no está marcado, todos los ajustes vuelven a sus valores predeterminados tras la actualización.',
+        flash: 'Subir e instalar',
+        confirm: '¿Instalar el firmware {version}? El router se reinicia y no responde durante unos minutos.',
+        confirmReset: '¿Instalar el firmware {version} y restablecer toda la configuración? El router se reinicia y no responde durante unos minutos.',
+        uploading: 'Subiendo…',
+        progress: '{percent} % ({loaded} de {total})',
+        uploadFailed: 'Error al subir la imagen.',
+        uploaded: 'Imagen verificada; instalación iniciada.',
+        leaveConfirm: 'La subida del firmware sigue en curso. ¿Salir de esta página de todos modos?',
+        rebootTitle: 'Instalando y reiniciando',
+        rebooting: 'No apagues el router. Esperando a que vuelva a responder…',
+        countdown: 'Quedan unos {seconds} s',
+        overdue: 'Está tardando más de lo previsto; seguimos esperando…',
+        back: 'El router ha vuelto con el firmware {version}.',
+      },
+      backup: {
+        title: 'Copia de seguridad',
+        subtitle: 'Guarda toda la configuración del router en un archivo o restáurala desde uno.',
+        export: 'Crear copia',
+        exportHint: 'Descarga todos los ajustes (red, inalámbrica, cortafuegos, servicios, …) como un archivo JSON.',
+        secretsTitle: 'El archivo contiene contraseñas',
+        secrets: 'Las claves inalámbricas y las contraseñas de cuentas se guardan en texto plano. Guarda las copias en un lugar seguro.',
+        download: 'Descargar copia',
+        exporting: 'Leyendo la configuración…',
+        exported: 'Guardada como {file}.',
+        exportFailed: 'No se pudo crear la copia.',
+        downloadUnsupported: 'Este navegador no puede guardar archivos.',
+        restore: 'Restaurar',
+        file: 'Archivo de copia',
+        fileHint: 'Elige un archivo descargado desde esta página. No se cambia nada hasta que lo apliques.',
+        checking: 'Comprobando el archivo…',
+        summary: 'Copia del {date} (firmware {firmware}): {count} cambios en {sections} secciones.',
+        sectionsLabel: 'Secciones a restaurar',
+        noChanges: 'La copia coincide con la configuración actual.',
+        absent: 'No están en la copia y se quedan como están: {sections}.',
+        denied: 'Tu rol no puede cambiarlas, así que no se restaurarán: {sections}.',
+        changes: 'Cambios',
+        section: 'Sección',
+        setting: 'Ajuste',
+        current: 'Actual',
+        fromBackup: 'En la copia',
+        notPermitted: 'Sin permiso',
+        notSet: 'sin definir',
+        empty: 'vacío',
+        on: 'Sí',
+        off: 'No',
+        hiddenValue: 'Oculto',
+        apply: 'Restaurar las secciones seleccionadas',
+        confirm: '¿Sobrescribir la configuración actual de: {sections}?',
+        restoring: 'Restaurando…',
+        restored: 'Restaurado: {sections}.',
+        restoreFailed: 'Error al restaurar.',
+        sections: {
+          lan: 'LAN',
+          wan: 'WAN',
+          wlan: 'Inalámbrica',
+          dhcp: 'DHCP',
+          ddns: 'DNS dinámico',
+          dmz: 'DMZ',
+          portForwarding: 'Redirección de puertos',
+          firewall: 'Cortafuegos',
+          ntp: 'NTP',
+          ssh: 'SSH',
+          upnp: 'UPnP',
+        },
+      },
+      reboot: {
+        title: 'Reinicio / Restablecimiento de fábrica',
+        device: 'Dispositivo: {name} ({board})',
+        typeName: 'Escribe el nombre del dispositivo {name} para confirmar',
+        cancel: 'Cancelar',
+        failed: 'El dispositivo no aceptó la solicitud.',
+        reboot: {
+          title: 'Reiniciar',
+          description: 'Reinicia el router. Los dispositivos conectados pierden el acceso a la red durante aproximadamente un minuto.',
+          button: 'Reiniciar…',
+          confirm: 'Reiniciar ahora',
+          sending: 'Enviando la solicitud de reinicio…',
+          overlayTitle: 'Reiniciando',
+          overlayMessage: 'El router se está reiniciando. Esta página se volverá a conectar sola.',
+        },
+        reset: {
+          title: 'Restablecimiento de fábrica',
+          warningTitle: 'Se borrará toda la configuración',
+          description: 'Todos los ajustes vuelven a sus valores de fábrica, incluidas las contraseñas inalámbricas, la redirección de puertos y las reglas del cortafuegos. Descarga antes una copia de seguridad si puedes necesitarlos.',
+          button: 'Restablecer…',
+          confirm: 'Borrar y reiniciar',
+          sending: 'Enviando la solicitud de restablecimiento…',
+          overlayTitle: 'Restaurando los valores de fábrica',
+          overlayMessage: 'Se borra la configuración y el router se reinicia. Esta página se volverá a conectar sola.',
+        },
+      },
     },
     application: {
       title: 'Aplicación',
       subtitle: 'Configuración y herramientas a nivel de aplicación.',
+      upnp: {
+        title: 'UPnP',
+        subtitle: 'Permite que los dispositivos de la LAN abran puertos en el router automáticamente (juegos, servidores multimedia, aplicaciones P2P).',
+        enabled: 'Activar UPnP IGD',
+        natPmp: 'Activar NAT-PMP',
+        natPmpHint: 'El protocolo de asignación de puertos que usan los dispositivos Apple y algunos juegos, servido junto a UPnP.',
+        secureMode: 'Modo seguro',
+        secureModeHint: 'Los clientes solo pueden abrir puertos hacia su propia dirección.',
+        insecureTitle: 'El modo seguro está desactivado',
+        insecure: 'Cualquier dispositivo de la LAN puede redirigir puertos a cualquier otro, incluso a los que no lo han pedido.',
+        mappings: 'Asignaciones de puertos activas',
+        mappingsHint: 'Asignaciones solicitadas por los clientes de la LAN. La lista se actualiza cada pocos segundos.',
+        search: 'Buscar asignaciones',
+        noMappings: 'No hay asignaciones activas.',
+        protocol: 'Protocolo',
+        externalPort: 'Puerto externo',
+        client: 'Cliente interno',
+        description: 'Descripción',
+        lease: 'Concesión',
+        permanent: 'Permanente',
+        expired: 'Caducada',
+        actions: 'Acciones',
+        delete: 'Eliminar',
+        deleteLabel: 'Eliminar la asignación {protocol} del puerto {port}',
+        deleted: 'Asignación {protocol} del puerto {port} eliminada.',
+        deleteFailed: 'No se pudo eliminar la asignación.',
+      },
     },
     notFound: {
       title: 'Página No Encontrada',
       subtitle: 'La página que buscas no existe.',
     },
+    forbidden: {
+      title: 'Acceso denegado',
+      message: 'Tu cuenta no tiene permiso para abrir {path}.',
+      generic: 'Tu cuenta no tiene permiso para abrir esta página.',
+      required: 'Requiere el permiso «{permission}», que tu rol ({role}) no incluye.',
+      home: 'Ir al inicio',
+    },
+    login: {
+      title: 'Iniciar sesión',
+      subtitle: 'Inicia sesión con la cuenta de administrador del router para continuar.',
+      username: 'Usuario',
+      password: 'Contraseña',
+      submit: 'Iniciar sesión',
+      signingIn: 'Iniciando sesión…',
+      invalid: 'Usuario o contraseña incorrectos.',
+      failed: 'No se pudo iniciar sesión. Inténtalo de nuevo en unos momentos.',
+    },
   },
 };
 
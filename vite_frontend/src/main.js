@@ -27,11 +27,21 @@ function initAppShell() {
 initAppShell();
 
 // Router + i18n + components
-import { initRouter, navigate, onRouteChange, getRoute } from './router.js';
+import { initRouter, navigate, onRouteChange, offRouteChange, getRoute, beforeLeave, confirmLeave } from './router.js';
 import { initI18n, t, setLanguage, getLanguage, onLanguageChange, offLanguageChange } from './i18n/translations.js';
 import { initSidebar } from './components/sidebar.js';
 import { initHeader } from './components/header.js';
 import { createStorage } from './utils/storage.js';
+import { isDirty, clearDirty, onDirtyChange, offDirtyChange } from './utils/dirty-state.js';
+import { isNavigationLocked, onNavigationLockChange, offNavigationLockChange } from './utils/navigation-lock.js';
+import { setDeviceProvider } from './services/device-provider.js';
+import { createMockDeviceProvider } from './services/mock-device-provider.js';
+import { setAuthBackend, getSession, hasValidSession, logout, onSessionChange, offSessionChange } from './services/auth.js';
+import { createMockAuthBackend } from './services/mock-auth-backend.js';
+import { recordActivity } from './services/session-timeout.js';
+import { onUnauthorized } from './services/api-client.js';
+import { can, canAccessRoute } from './services/access.js';
+import { startIdleTimeout } from './components/idle-timeout.js';
 
 // Pages
 import * as HomePage from './pages/home.js';
@@ -41,6 +51,8 @@ import * as AdvancedSettingsPage from './pages/advanced-settings.js';
 import * as ManagementPage from './pages/management.js';
 import * as ApplicationPage from './pages/application.js';
 import * as NotFoundPage from './pages/not-found.js';
+import * as LoginPage from './pages/login.js';
+import * as ForbiddenPage from './pages/forbidden.js';
 
 // Initialize storage
 const storage = createStorage('app');
@@ -51,8 +63,18 @@ initI18n({
   setItem: (k, v) => storage.set(k.replace('app:', ''), v),
 });
 
-// Initialize router
-initRouter({ defaultRoute: '/home' });
+// Device data layer: the offline mock until a backend adapter is available
+setDeviceProvider(createMockDeviceProvider());
+setAuthBackend(createMockAuthBackend());
+
+// Initialize router; every route but /login needs a session, and most a permission too
+initRouter({
+  defaultRoute: '/home',
+  loginRoute: '/login',
+  isAuthenticated: hasValidSession,
+  forbiddenRoute: '/forbidden',
+  canAccess: canAccessRoute,
+});
 
 // Sidebar wiring
 const sidebarRoot = document.querySelector('.sidebar');
@@ -77,21 +99,67 @@ if (sidebarRoot) {
       // Sidebar doesn't use unsubscribe; safe no-op
     },
   };
-  initSidebar(sidebarRoot, routerAdapter, { t, onLanguageChange });
+  initSidebar(sidebarRoot, routerAdapter, { t, onLanguageChange }, { can, onSessionChange });
 }
 
 // Header wiring
 const headerRoot = document.querySelector('.header');
+let header = null;
 if (headerRoot) {
-  initHeader(headerRoot, {
+  header = initHeader(headerRoot, {
     i18n: { t, setLanguage, getLanguage, onLanguageChange, offLanguageChange },
-    router: { navigate },
+    router: { navigate, beforeLeave, confirmLeave },
     storage,
+    auth: { logout, onSessionChange, offSessionChange },
+    unsaved: { isDirty, onDirtyChange, offDirtyChange },
+    navigationLock: { isNavigationLocked, onNavigationLockChange, offNavigationLockChange },
   });
 }
 
+// Sign out without asking (idle timeout, session rejected by the device), the way the header does
+function forceSignOut() {
+  if (header) header.logout();
+  else logout().finally(() => navigate('/login', { replace: true }));
+}
+
+// Idle timeout: watched while signed in; when it runs out, sign out
+let stopIdleWatch = null;
+function syncIdleWatch(session) {
+  if (stopIdleWatch) stopIdleWatch();
+  stopIdleWatch = null;
+  if (!session) return;
+  stopIdleWatch = startIdleTimeout({
+    t,
+    isSignedIn: hasValidSession,
+    isBusy: isNavigationLocked,
+    onExpire: () => {
+      stopIdleWatch = null;
+      forceSignOut();
+    },
+  });
+}
+onSessionChange((session) => {
+  // A fresh sign-in starts a full idle period, whatever an earlier session left behind
+  if (session) recordActivity({ force: true });
+  syncIdleWatch(session);
+});
+syncIdleWatch(getSession());
+
+// A 401 from the device API means the token was revoked or expired there (e.g. after a reboot)
+onUnauthorized(() => {
+  if (hasValidSession()) forceSignOut();
+});
+
+// Closing or reloading the tab with unsaved form edits: let the browser ask first
+globalThis.window?.addEventListener('beforeunload', (evt) => {
+  if (!isDirty()) return;
+  evt.preventDefault();
+  evt.returnValue = '';
+});
+
 // Main route rendering
 const mainRoot = document.querySelector('.main');
+const shellRoot = document.querySelector('.app-shell');
 
 // PUBLIC_INTERFACE
 function renderRoute() {
@@ -99,34 +167,58 @@ function renderRoute() {
   if (!mainRoot) return;
   const route = getRoute();
   const path = route.path || '/home';
+  const router = { navigate, onRouteChange, offRouteChange, beforeLeave };
+
+  // Forms of the page being replaced can no longer be saved
+  clearDirty();
+
+  // Signed out: only the login page, without navigation; the router redirects everything else
+  // (including routes the user's role may not open)
+  const signedOut = path === '/login';
+  if (shellRoot) shellRoot.classList.toggle('is-signed-out', signedOut);
+  if (!signedOut && (!hasValidSession() || !canAccessRoute(path))) {
+    mainRoot.innerHTML = '';
+    return;
+  }
 
   // Render the matching page module
   try {
+    if (signedOut) {
+      LoginPage.render(mainRoot, route.params, { t, onLanguageChange }, router);
+      return;
+    }
+    if (path === '/forbidden') {
+      ForbiddenPage.render(mainRoot, route.params, { t, onLanguageChange });
+      return;
+    }
     if (path === '/home') {
       HomePage.render(mainRoot, { t, onLanguageChange });
       return;
     }
     if (path === '/status' || path.startsWith('/status/')) {
-      // Render Status page; subroutes like /status/lan, /status/wan, etc. are handled generically
-      StatusPage.render(mainRoot, { t, onLanguageChange });
+      // Status page dispatches subroutes like /status/lan to their dedicated views
+      const sub = path.split('/')[2] || '';
+      StatusPage.render(mainRoot, { ...route.params, sub }, { t, onLanguageChange }, router);
       return;
     }
     if (path === '/basic' || path.startsWith('/basic/')) {
-      BasicSettingsPage.render(mainRoot, { t, onLanguageChange });
+      const sub = path.split('/')[2] || '';
+      BasicSettingsPage.render(mainRoot, { ...route.params, sub }, { t, onLanguageChange }, router);
       return;
     }
     if (path === '/advanced' || path.startsWith('/advanced/')) {
-      AdvancedSettingsPage.render(mainRoot, { t, onLanguageChange });
+      const sub = path.split('/')[2] || '';
+      AdvancedSettingsPage.render(mainRoot, { ...route.params, sub }, { t, onLanguageChange }, router);
       return;
     }
     if (path === '/management' || path.startsWith('/management/')) {
-      ManagementPage.render(mainRoot, { t, onLanguageChange });
+      const sub = path.split('/')[2] || '';
+      ManagementPage.render(mainRoot, { ...route.params, sub }, { t, onLanguageChange }, router);
       return;
     }
     if (path === '/application' || path.startsWith('/application/')) {
-      // For application upnp leaf, still reuse application renderer with a sub param if present
       const sub = path.split('/')[2] || 'preferences';
-      ApplicationPage.render(mainRoot, { ...route.params, sub }, { t, onLanguageChange });
+      ApplicationPage.render(mainRoot, { ...route.params, sub }, { t, onLanguageChange }, router);
       return;
     }
     // Fallback
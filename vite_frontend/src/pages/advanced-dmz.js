@@ -0,0 +1,143 @@
+//
+// Advanced Settings > DMZ: expose one LAN host to all unsolicited inbound traffic.
+// The host is typed as an IP (validated against the LAN subnet) or picked from the
+// current DHCP clients. Turning DMZ on requires an explicit acknowledgement of the risk.
+//
+
+import { qs, escapeHtml } from '../utils/dom.js';
+import { parseIPv4 } from '../utils/ipv4.js';
+import { lanHostAddress } from '../utils/validators.js';
+import { mountSettingsForm } from '../components/settings-form.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+
+function clientOptions(leases, t) {
+  const sorted = [...leases].sort((a, b) => parseIPv4(a.ip) - parseIPv4(b.ip));
+  return [`<option value="">${t('pages.advancedSettings.dmz.pickPlaceholder')}</option>`]
+    .concat(sorted.map((l) => `<option value="${escapeHtml(l.ip)}">${escapeHtml(`${l.ip} — ${l.hostname || l.mac}`)}</option>`))
+    .join('');
+}
+
+function validate(values, lan) {
+  return { hostIp: values.enabled ? lanHostAddress(values.hostIp, lan) : null };
+}
+
+// PUBLIC_INTERFACE
+export function validateSettings(model, settings = {}) {
+  /** Field errors the DMZ form would show for this model, the host checked against settings.lan. */
+  return validate(model || {}, settings.lan || null);
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the DMZ form bound to the "dmz" settings section, with a DHCP client picker. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.advancedSettings.dmz';
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="dmz-title">
+      <div class="card">
+        <div class="card-header" id="dmz-title">${t(`${p}.title`)}</div>
+        <p class="u-muted">${t(`${p}.subtitle`)}</p>
+      </div>
+
+      <div class="callout warning" role="note" aria-labelledby="dmz-warning-title">
+        <div class="callout-title" id="dmz-warning-title">${t(`${p}.warningTitle`)}</div>
+        <p>${t(`${p}.warning`)}</p>
+      </div>
+
+      <form class="card" novalidate aria-labelledby="dmz-title">
+        <label class="choice">
+          <input type="checkbox" name="enabled" />
+          <span>${t(`${p}.enabled`)}</span>
+        </label>
+        <p class="field-hint" data-role="subnet-hint"></p>
+        <div class="field">
+          <label class="label" for="dmz-hostIp">${t(`${p}.hostIp`)}</label>
+          <input id="dmz-hostIp" name="hostIp" class="input" inputmode="decimal" autocomplete="off" placeholder="192.168.1.50" />
+          <p class="field-error" id="dmz-hostIp-error" data-error-for="hostIp" hidden></p>
+        </div>
+        <div class="field">
+          <label class="label" for="dmz-client">${t(`${p}.pickClient`)}</label>
+          <select id="dmz-client" class="select" data-role="client-picker" disabled>
+            <option value="">${t('common.loading')}</option>
+          </select>
+        </div>
+        <div class="field" data-role="acknowledge" hidden>
+          <label class="choice">
+            <input type="checkbox" name="acknowledged" aria-describedby="dmz-warning-title" />
+            <span>${t(`${p}.acknowledge`)}</span>
+          </label>
+          <p class="field-error" id="dmz-acknowledged-error" data-error-for="acknowledged" hidden></p>
+        </div>
+
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary">${t('forms.save')}</button>
+          <button type="reset" class="btn btn-ghost">${t('forms.reset')}</button>
+          <span class="form-status" data-role="form-status" role="status"></span>
+        </div>
+      </form>
+    </section>
+  `;
+
+  const form = qs('form', container);
+  const hostInput = qs('[name="hostIp"]', form);
+  const picker = qs('[data-role="client-picker"]', form);
+  const ackField = qs('[data-role="acknowledge"]', form);
+  const hint = qs('[data-role="subnet-hint"]', form);
+  let lan = null;
+  // Whether DMZ is on in the saved settings; acknowledgement is only needed to turn it on.
+  let savedEnabled = false;
+
+  const needsAck = (values) => !!values.enabled && !savedEnabled;
+
+  const sync = (values) => {
+    ackField.hidden = !needsAck(values);
+    qs('[name="acknowledged"]', form).disabled = !needsAck(values);
+    hostInput.disabled = !values.enabled;
+    picker.disabled = !values.enabled || picker.options.length <= 1;
+    const match = [...picker.options].find((o) => o.value && o.value === String(values.hostIp).trim());
+    picker.value = match ? match.value : '';
+  };
+
+  const controller = mountSettingsForm(form, {
+    section: 'dmz',
+    t,
+    router,
+    validate: (values) => ({
+      ...validate(values, lan),
+      acknowledged: needsAck(values) && !values.acknowledged ? { key: 'validation.acknowledgeRequired' } : null,
+    }),
+    toValues: (model) => {
+      savedEnabled = !!model.enabled;
+      return { ...model, acknowledged: false };
+    },
+    toModel: (values) => ({ enabled: !!values.enabled, hostIp: String(values.hostIp).trim() }),
+    onValues: sync,
+  });
+  form.addEventListener('input', () => sync(controller.getValues()));
+
+  picker.addEventListener('change', () => {
+    if (!picker.value) return;
+    controller.setValues({ hostIp: picker.value });
+    controller.revalidate();
+  });
+
+  const provider = getDeviceProvider();
+  provider.getSettings('lan').then((model) => {
+    lan = model;
+    if (!form.isConnected) return;
+    hint.textContent = t(`${p}.subnetHint`, { subnet: `${model.ipAddress} / ${model.netmask}` });
+    controller.revalidate();
+  }, () => {});
+
+  provider.getDhcpLeases().then((leases) => {
+    if (!form.isConnected) return;
+    picker.innerHTML = leases.length
+      ? clientOptions(leases, t)
+      : `<option value="">${t(`${p}.noClients`)}</option>`;
+    sync(controller.getValues());
+  }, () => {
+    if (!form.isConnected) return;
+    picker.innerHTML = `<option value="">${t(`${p}.clientsError`)}</option>`;
+  });
+}
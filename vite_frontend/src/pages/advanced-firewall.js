@@ -0,0 +1,267 @@
+//
+// Advanced Settings > Firewall: ordered table of inbound filter rules
+// (name, action, protocol, source address/network, destination port range, enabled flag).
+// The first enabled rule that matches a packet decides; drag a row by its handle (or use
+// ArrowUp/ArrowDown on the handle) to change priority. Overlaps are allowed, so they are
+// reported as warnings: a rule hidden entirely by one above it, or one whose shared
+// traffic is decided differently by a rule above it.
+//
+
+import { qs } from '../utils/dom.js';
+import { parseCidr } from '../utils/ipv4.js';
+import { parsePortRange, formatPortRange, rangesOverlap, protocolsOverlap, protocolCovers } from '../utils/ports.js';
+import { required, portRange, ipv4Cidr } from '../utils/validators.js';
+import { mountSettingsForm } from '../components/settings-form.js';
+import { createRowEditor, rowFieldName, readRows, withRows } from '../components/row-editor.js';
+
+const ROW_PREFIX = 'rules';
+const ROW_FIELDS = Object.freeze(['enabled', 'name', 'action', 'protocol', 'source', 'ports']);
+const ACTIONS = Object.freeze(['accept', 'drop', 'reject']);
+const PROTOCOLS = Object.freeze(['tcp', 'udp', 'both', 'icmp', 'any']);
+// Protocols without ports: the port column is disabled and ignored for them.
+const PORTLESS = Object.freeze(['icmp', 'any']);
+const ALL_ADDRESSES = Object.freeze({ start: 0, end: 0xffffffff });
+const ALL_PORTS = Object.freeze({ start: 1, end: 65535 });
+
+function rowName(index, key) {
+  return rowFieldName(ROW_PREFIX, index, key);
+}
+
+function isBlank(value) {
+  return value == null || String(value).trim() === '';
+}
+
+function hasPorts(protocol) {
+  return !PORTLESS.includes(protocol);
+}
+
+function validate(values) {
+  const errors = {};
+  readRows(values, ROW_PREFIX, ROW_FIELDS).forEach((row, i) => {
+    errors[rowName(i, 'name')] = required(row.name);
+    errors[rowName(i, 'source')] = isBlank(row.source) ? null : ipv4Cidr(row.source);
+    errors[rowName(i, 'ports')] = !hasPorts(row.protocol) || isBlank(row.ports) ? null : portRange(row.ports);
+  });
+  return errors;
+}
+
+/**
+ * Traffic a valid enabled rule matches, with blanks widened to "everything"; null otherwise.
+ */
+function matchOf(row) {
+  if (!row.enabled) return null;
+  const source = isBlank(row.source) ? ALL_ADDRESSES : parseCidr(String(row.source));
+  const ports = !hasPorts(row.protocol) || isBlank(row.ports) ? ALL_PORTS : parsePortRange(row.ports);
+  return source && ports ? { protocol: row.protocol, source, ports } : null;
+}
+
+const covers = (outer, inner) => outer.start <= inner.start && inner.end <= outer.end;
+
+/**
+ * Compare every enabled rule with the enabled rules above it.
+ * Returns Map(rule index -> { kind: 'shadowed' | 'overlap', other: index above }).
+ */
+function findWarnings(rows) {
+  const matches = rows.map(matchOf);
+  const warnings = new Map();
+  matches.forEach((match, i) => {
+    if (!match) return;
+    let overlap = null;
+    for (let j = 0; j < i; j += 1) {
+      const above = matches[j];
+      if (!above) continue;
+      if (protocolCovers(above.protocol, match.protocol) && covers(above.source, match.source) && covers(above.ports, match.ports)) {
+        warnings.set(i, { kind: 'shadowed', other: j });
+        return;
+      }
+      if (overlap === null && rows[j].action !== rows[i].action
+        && protocolsOverlap(above.protocol, match.protocol)
+        && rangesOverlap(above.source, match.source)
+        && rangesOverlap(above.ports, match.ports)) {
+        overlap = j;
+      }
+    }
+    if (overlap !== null) warnings.set(i, { kind: 'overlap', other: overlap });
+  });
+  return warnings;
+}
+
+function renderWarnings(el, rows, t) {
+  const p = 'pages.advancedSettings.firewall';
+  const warnings = findWarnings(rows);
+  el.hidden = warnings.size === 0;
+  qs('ul', el).innerHTML = [...warnings]
+    .map(([row, { kind, other }]) => `<li>${t(`${p}.warnings.${kind}`, {
+      row: row + 1,
+      other: other + 1,
+      action: t(`${p}.actions.${rows[other].action}`),
+    })}</li>`)
+    .join('');
+}
+
+function syncRows(form, rows) {
+  rows.forEach((row, i) => {
+    const ports = qs(`[name="${rowName(i, 'ports')}"]`, form);
+    if (ports) ports.disabled = !hasPorts(row.protocol);
+  });
+}
+
+function toValues(model) {
+  const rules = ((model && model.rules) || []).map((rule) => ({
+    enabled: !!rule.enabled,
+    name: rule.name,
+    action: rule.action,
+    protocol: rule.protocol,
+    source: rule.source || '',
+    ports: formatPortRange({ start: rule.portStart, end: rule.portEnd }),
+  }));
+  return withRows({}, ROW_PREFIX, ROW_FIELDS, rules);
+}
+
+function toModel(values) {
+  return {
+    rules: readRows(values, ROW_PREFIX, ROW_FIELDS).map((row) => {
+      const range = hasPorts(row.protocol) ? parsePortRange(row.ports) : null;
+      return {
+        name: String(row.name).trim(),
+        enabled: !!row.enabled,
+        action: row.action,
+        protocol: row.protocol,
+        source: String(row.source).trim(),
+        portStart: range ? range.start : null,
+        portEnd: range ? range.end : null,
+      };
+    }),
+  };
+}
+
+function ruleCells(index, t) {
+  const p = 'pages.advancedSettings.firewall';
+  const id = (key) => `fw-${index}-${key}`;
+  const hiddenLabel = (key) => `<label class="u-visually-hidden" for="${id(key)}">${t(`${p}.${key}`)} ${index + 1}</label>`;
+  const error = (key) => `<p class="field-error" id="${id(key)}-error" data-error-for="${rowName(index, key)}" hidden></p>`;
+  const input = (key, attrs) => `
+    <td>
+      ${hiddenLabel(key)}
+      <input id="${id(key)}" name="${rowName(index, key)}" class="input" autocomplete="off" ${attrs} />
+      ${error(key)}
+    </td>`;
+  const select = (key, options, group) => `
+    <td>
+      ${hiddenLabel(key)}
+      <select id="${id(key)}" name="${rowName(index, key)}" class="select">
+        ${options.map((value) => `<option value="${value}">${t(`${p}.${group}.${value}`)}</option>`).join('')}
+      </select>
+    </td>`;
+  return `
+    <td>
+      ${hiddenLabel('enabled')}
+      <input type="checkbox" id="${id('enabled')}" name="${rowName(index, 'enabled')}" />
+    </td>
+    ${input('name', 'spellcheck="false"')}
+    ${select('action', ACTIONS, 'actions')}
+    ${select('protocol', PROTOCOLS, 'protocols')}
+    ${input('source', `inputmode="decimal" placeholder="${t(`${p}.anySource`)}" spellcheck="false"`)}
+    ${input('ports', `inputmode="numeric" placeholder="${t(`${p}.allPorts`)}" spellcheck="false"`)}`;
+}
+
+// PUBLIC_INTERFACE
+export function validateSettings(model) {
+  /** Field errors the firewall form would show for this "firewall" model. */
+  return validate(toValues(model));
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the firewall rule table bound to the "firewall" settings section. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.advancedSettings.firewall';
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="fw-title">
+      <div class="card">
+        <div class="card-header" id="fw-title">${t(`${p}.title`)}</div>
+        <p class="u-muted">${t(`${p}.subtitle`)}</p>
+      </div>
+
+      <form class="u-spacing" novalidate aria-labelledby="fw-title">
+        <div class="card">
+          <div class="card-header" id="fw-rules-title">${t(`${p}.rules`)}</div>
+          <p class="field-hint">${t(`${p}.priorityHint`)}</p>
+          <div style="overflow:auto;">
+            <table class="table" aria-labelledby="fw-rules-title">
+              <thead>
+                <tr>
+                  <th scope="col"><span class="u-visually-hidden">${t(`${p}.priority`)}</span></th>
+                  <th scope="col">${t(`${p}.enabled`)}</th>
+                  <th scope="col">${t(`${p}.name`)}</th>
+                  <th scope="col">${t(`${p}.action`)}</th>
+                  <th scope="col">${t(`${p}.protocol`)}</th>
+                  <th scope="col">${t(`${p}.source`)}</th>
+                  <th scope="col">${t(`${p}.ports`)}</th>
+                  <th scope="col"><span class="u-visually-hidden">${t(`${p}.actionsLabel`)}</span></th>
+                </tr>
+              </thead>
+              <tbody data-role="rules"></tbody>
+            </table>
+          </div>
+          <div class="callout warning" data-role="warnings" role="status" hidden>
+            <div class="callout-title">${t(`${p}.warningsTitle`)}</div>
+            <ul></ul>
+          </div>
+          <div class="form-actions">
+            <button type="button" class="btn btn-ghost" data-action="add-rule">${t(`${p}.addRule`)}</button>
+          </div>
+        </div>
+
+        <div class="card">
+          <div class="form-actions" style="margin-top: 0;">
+            <button type="submit" class="btn btn-primary">${t('forms.save')}</button>
+            <button type="reset" class="btn btn-ghost">${t('forms.reset')}</button>
+            <span class="form-status" data-role="form-status" role="status"></span>
+          </div>
+        </div>
+      </form>
+    </section>
+  `;
+
+  const form = qs('form', container);
+  const warningsEl = qs('[data-role="warnings"]', form);
+
+  const editor = createRowEditor(qs('[data-role="rules"]', form), {
+    prefix: ROW_PREFIX,
+    fields: ROW_FIELDS,
+    renderCells: (index) => ruleCells(index, t),
+    controller: () => controller,
+    addButton: qs('[data-action="add-rule"]', form),
+    reorderable: true,
+    emptyRow: () => ({ enabled: true, name: '', action: 'drop', protocol: 'tcp', source: '', ports: '' }),
+    labels: {
+      remove: t(`${p}.remove`),
+      removeRow: (row) => t(`${p}.removeRow`, { row }),
+      reorder: (row, count) => t(`${p}.reorder`, { row, count }),
+    },
+    emptyText: t(`${p}.noRules`),
+  });
+
+  const sync = (values) => {
+    const rows = readRows(values, ROW_PREFIX, ROW_FIELDS);
+    syncRows(form, rows);
+    renderWarnings(warningsEl, rows, t);
+  };
+
+  const controller = mountSettingsForm(form, {
+    section: 'firewall',
+    t,
+    router,
+    validate,
+    // Rule inputs must exist before the controller fills them.
+    toValues: (model) => {
+      editor.render(((model && model.rules) || []).length);
+      return toValues(model);
+    },
+    toModel,
+    onValues: sync,
+  });
+  form.addEventListener('input', () => sync(controller.getValues()));
+}
@@ -0,0 +1,247 @@
+//
+// Advanced Settings > Port Forwarding: ordered table of inbound NAT rules
+// (name, protocol, external port range, internal IP and port, enabled flag).
+// Rules are matched top-down; drag a row by its handle (or use ArrowUp/ArrowDown
+// on the handle) to change priority. Two enabled rules may not claim the same
+// external port for the same protocol; the later one is flagged.
+//
+
+import { qs } from '../utils/dom.js';
+import { parsePortRange, formatPortRange, rangesOverlap, protocolsOverlap } from '../utils/ports.js';
+import { required, lanHostAddress, portRange, integerInRange } from '../utils/validators.js';
+import { mountSettingsForm } from '../components/settings-form.js';
+import { createRowEditor, rowFieldName, readRows, withRows } from '../components/row-editor.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+
+const ROW_PREFIX = 'rules';
+const ROW_FIELDS = Object.freeze(['enabled', 'name', 'protocol', 'externalPorts', 'internalIp', 'internalPort']);
+const PROTOCOLS = Object.freeze(['tcp', 'udp', 'both']);
+const PORT_MAX = 65535;
+
+function rowName(index, key) {
+  return rowFieldName(ROW_PREFIX, index, key);
+}
+
+/**
+ * Internal port is the first port of the internal range; blank keeps the external port.
+ * The range it starts must still fit below 65535.
+ */
+function internalPortError(value, external) {
+  if (value == null || String(value).trim() === '') return null;
+  const err = integerInRange(value, 1, PORT_MAX);
+  if (err || !external) return err;
+  const span = external.end - external.start;
+  return Number(value) + span > PORT_MAX
+    ? { key: 'validation.internalPortRange', vars: { max: PORT_MAX - span } }
+    : null;
+}
+
+/**
+ * Enabled rules claiming a port (for an overlapping protocol) that an earlier enabled rule
+ * already claims. Returns Map(rule index -> index of the earlier rule).
+ */
+function findConflicts(rows) {
+  const conflicts = new Map();
+  const claimed = [];
+  rows.forEach((row, i) => {
+    const range = parsePortRange(row.externalPorts);
+    if (!range || !row.enabled) return;
+    const clash = claimed.find((c) => protocolsOverlap(c.protocol, row.protocol) && rangesOverlap(c.range, range));
+    if (clash) conflicts.set(i, clash.index);
+    // A clashing rule still claims its ports, so later rules overlapping it are flagged too
+    claimed.push({ index: i, protocol: row.protocol, range });
+  });
+  return conflicts;
+}
+
+function validate(values, lan) {
+  const errors = {};
+  const rows = readRows(values, ROW_PREFIX, ROW_FIELDS);
+  const conflicts = findConflicts(rows);
+  rows.forEach((row, i) => {
+    const range = parsePortRange(row.externalPorts);
+    errors[rowName(i, 'name')] = required(row.name);
+    errors[rowName(i, 'externalPorts')] = conflicts.has(i)
+      ? { key: 'validation.portConflict', vars: { row: conflicts.get(i) + 1 } }
+      : portRange(row.externalPorts);
+    errors[rowName(i, 'internalIp')] = lanHostAddress(row.internalIp, lan);
+    errors[rowName(i, 'internalPort')] = internalPortError(row.internalPort, range);
+  });
+  return errors;
+}
+
+/**
+ * Conflicts are also listed under the table as soon as they appear, since the row
+ * carrying the error may not have been touched yet.
+ */
+function renderConflicts(el, values, t) {
+  const p = 'pages.advancedSettings.portForwarding';
+  const conflicts = findConflicts(readRows(values, ROW_PREFIX, ROW_FIELDS));
+  el.hidden = conflicts.size === 0;
+  qs('ul', el).innerHTML = [...conflicts]
+    .map(([row, other]) => `<li>${t(`${p}.conflict`, { row: row + 1, other: other + 1 })}</li>`)
+    .join('');
+}
+
+function toValues(model) {
+  const rules = ((model && model.rules) || []).map((rule) => ({
+    enabled: !!rule.enabled,
+    name: rule.name,
+    protocol: rule.protocol,
+    externalPorts: formatPortRange({ start: rule.externalStart, end: rule.externalEnd }),
+    internalIp: rule.internalIp,
+    internalPort: rule.internalPort == null ? '' : String(rule.internalPort),
+  }));
+  return withRows({}, ROW_PREFIX, ROW_FIELDS, rules);
+}
+
+function toModel(values) {
+  return {
+    rules: readRows(values, ROW_PREFIX, ROW_FIELDS).map((row) => {
+      const range = parsePortRange(row.externalPorts);
+      const internalPort = String(row.internalPort).trim();
+      return {
+        name: String(row.name).trim(),
+        enabled: !!row.enabled,
+        protocol: row.protocol,
+        externalStart: range.start,
+        externalEnd: range.end,
+        internalIp: String(row.internalIp).trim(),
+        internalPort: internalPort ? Number(internalPort) : range.start,
+      };
+    }),
+  };
+}
+
+function ruleCells(index, t) {
+  const p = 'pages.advancedSettings.portForwarding';
+  const id = (key) => `pf-${index}-${key}`;
+  const hiddenLabel = (key) => `<label class="u-visually-hidden" for="${id(key)}">${t(`${p}.${key}`)} ${index + 1}</label>`;
+  const error = (key) => `<p class="field-error" id="${id(key)}-error" data-error-for="${rowName(index, key)}" hidden></p>`;
+  const input = (key, attrs) => `
+    <td>
+      ${hiddenLabel(key)}
+      <input id="${id(key)}" name="${rowName(index, key)}" class="input" autocomplete="off" ${attrs} />
+      ${error(key)}
+    </td>`;
+  const protocolOptions = PROTOCOLS.map((proto) => `<option value="${proto}">${t(`${p}.protocols.${proto}`)}</option>`).join('');
+  return `
+    <td>
+      ${hiddenLabel('enabled')}
+      <input type="checkbox" id="${id('enabled')}" name="${rowName(index, 'enabled')}" />
+    </td>
+    ${input('name', 'spellcheck="false"')}
+    <td>
+      ${hiddenLabel('protocol')}
+      <select id="${id('protocol')}" name="${rowName(index, 'protocol')}" class="select">${protocolOptions}</select>
+    </td>
+    ${input('externalPorts', 'inputmode="numeric" placeholder="8080 / 8000-8010" spellcheck="false"')}
+    ${input('internalIp', 'inputmode="decimal" placeholder="192.168.1.50"')}
+    ${input('internalPort', 'inputmode="numeric"')}`;
+}
+
+// PUBLIC_INTERFACE
+export function validateSettings(model, settings = {}) {
+  /** Field errors the port forwarding form would show for this model, hosts checked against settings.lan. */
+  return validate(toValues(model), settings.lan || null);
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the port forwarding rule table bound to the "portForwarding" settings section. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.advancedSettings.portForwarding';
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="pf-title">
+      <div class="card">
+        <div class="card-header" id="pf-title">${t(`${p}.title`)}</div>
+        <p class="u-muted">${t(`${p}.subtitle`)}</p>
+      </div>
+
+      <form class="u-spacing" novalidate aria-labelledby="pf-title">
+        <div class="card">
+          <div class="card-header" id="pf-rules-title">${t(`${p}.rules`)}</div>
+          <p class="field-hint">${t(`${p}.priorityHint`)}</p>
+          <p class="field-hint" data-role="subnet-hint"></p>
+          <div style="overflow:auto;">
+            <table class="table" aria-labelledby="pf-rules-title">
+              <thead>
+                <tr>
+                  <th scope="col"><span class="u-visually-hidden">${t(`${p}.priority`)}</span></th>
+                  <th scope="col">${t(`${p}.enabled`)}</th>
+                  <th scope="col">${t(`${p}.name`)}</th>
+                  <th scope="col">${t(`${p}.protocol`)}</th>
+                  <th scope="col">${t(`${p}.externalPorts`)}</th>
+                  <th scope="col">${t(`${p}.internalIp`)}</th>
+                  <th scope="col">${t(`${p}.internalPort`)}</th>
+                  <th scope="col"><span class="u-visually-hidden">${t(`${p}.actions`)}</span></th>
+                </tr>
+              </thead>
+              <tbody data-role="rules"></tbody>
+            </table>
+          </div>
+          <p class="field-hint">${t(`${p}.internalPortHint`)}</p>
+          <div class="callout warning" data-role="conflicts" role="status" hidden>
+            <div class="callout-title">${t(`${p}.conflictsTitle`)}</div>
+            <ul></ul>
+          </div>
+          <div class="form-actions">
+            <button type="button" class="btn btn-ghost" data-action="add-rule">${t(`${p}.addRule`)}</button>
+          </div>
+        </div>
+
+        <div class="card">
+          <div class="form-actions" style="margin-top: 0;">
+            <button type="submit" class="btn btn-primary">${t('forms.save')}</button>
+            <button type="reset" class="btn btn-ghost">${t('forms.reset')}</button>
+            <span class="form-status" data-role="form-status" role="status"></span>
+          </div>
+        </div>
+      </form>
+    </section>
+  `;
+
+  const form = qs('form', container);
+  const hint = qs('[data-role="subnet-hint"]', form);
+  const conflictsEl = qs('[data-role="conflicts"]', form);
+  let lan = null;
+
+  const editor = createRowEditor(qs('[data-role="rules"]', form), {
+    prefix: ROW_PREFIX,
+    fields: ROW_FIELDS,
+    renderCells: (index) => ruleCells(index, t),
+    controller: () => controller,
+    addButton: qs('[data-action="add-rule"]', form),
+    reorderable: true,
+    emptyRow: () => ({ enabled: true, name: '', protocol: 'tcp', externalPorts: '', internalIp: '', internalPort: '' }),
+    labels: {
+      remove: t(`${p}.remove`),
+      removeRow: (row) => t(`${p}.removeRow`, { row }),
+      reorder: (row, count) => t(`${p}.reorder`, { row, count }),
+    },
+    emptyText: t(`${p}.noRules`),
+  });
+
+  const controller = mountSettingsForm(form, {
+    section: 'portForwarding',
+    t,
+    router,
+    validate: (values) => validate(values, lan),
+    // Rule inputs must exist before the controller fills them.
+    toValues: (model) => {
+      editor.render(((model && model.rules) || []).length);
+      return toValues(model);
+    },
+    toModel,
+    onValues: (values) => renderConflicts(conflictsEl, values, t),
+  });
+  form.addEventListener('input', () => renderConflicts(conflictsEl, controller.getValues(), t));
+
+  getDeviceProvider().getSettings('lan').then((model) => {
+    lan = model;
+    if (!form.isConnected) return;
+    hint.textContent = t(`${p}.subnetHint`, { subnet: `${model.ipAddress} / ${model.netmask}` });
+    controller.revalidate();
+  }, () => {});
+}
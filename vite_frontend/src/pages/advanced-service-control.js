@@ -0,0 +1,195 @@
+//
+// Advanced Settings > Service Control: router daemons with their run state,
+// enable-at-boot toggle and start/stop/restart actions.
+// Each row tracks its own pending action and last error, so one slow or failing
+// daemon never blocks the others. All actions go through the device provider.
+// Without the settings:edit permission the list is view-only.
+//
+
+import { qs, delegate, escapeHtml } from '../utils/dom.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+import { can } from '../services/access.js';
+
+const ACTIONS = Object.freeze(['start', 'stop', 'restart']);
+const STATE_BADGE = Object.freeze({ running: 'success', stopped: '', failed: 'error' });
+
+function canRun(service, action) {
+  if (action === 'start') return service.state !== 'running';
+  if (action === 'stop') return service.state === 'running';
+  return true;
+}
+
+function stateCell(row, t) {
+  const p = 'pages.advancedSettings.services';
+  if (row.pending) {
+    return `<span class="badge secondary">${t(`${p}.pending.${row.pending}`)}</span>`;
+  }
+  const { state, pid } = row.service;
+  const badge = STATE_BADGE[state] || '';
+  return `
+    <span class="badge${badge ? ` ${badge}` : ''}">${t(`${p}.states.${state}`)}</span>
+    ${pid ? `<span class="u-muted">${t(`${p}.pid`, { pid })}</span>` : ''}
+  `;
+}
+
+function renderRow(row, t, readOnly) {
+  const p = 'pages.advancedSettings.services';
+  const { service, pending, error } = row;
+  const name = escapeHtml(service.name);
+  const bootId = escapeHtml(`svc-boot-${service.id}`);
+  const buttons = ACTIONS.map((action) => `
+    <button type="button" class="btn btn-ghost" data-action="${action}" data-id="${escapeHtml(service.id)}"
+      aria-label="${t(`${p}.actionLabels.${action}`, { name })}"
+      ${readOnly || pending || !canRun(service, action) ? 'disabled' : ''}>${t(`${p}.actions.${action}`)}</button>
+  `).join('');
+
+  return `
+    <tr data-service="${escapeHtml(service.id)}" aria-busy="${pending ? 'true' : 'false'}">
+      <td>
+        <div style="font-weight:600;">${name}</div>
+        <div class="u-muted">${escapeHtml(service.description || '')}</div>
+        ${error ? `<p class="field-error" role="alert">${escapeHtml(error)}</p>` : ''}
+      </td>
+      <td>${stateCell(row, t)}</td>
+      <td>
+        <label class="choice" for="${bootId}">
+          <input type="checkbox" id="${bootId}" data-action="boot" data-id="${escapeHtml(service.id)}"
+            ${service.enabledAtBoot ? 'checked' : ''} ${readOnly || pending ? 'disabled' : ''} />
+          <span class="u-visually-hidden">${t(`${p}.bootLabel`, { name })}</span>
+        </label>
+      </td>
+      <td><div class="actions">${buttons}</div></td>
+    </tr>
+  `;
+}
+
+/**
+ * Holds the per-row state and re-renders only the row that changed.
+ */
+function createServiceTable(tbody, t, readOnly) {
+  const rows = new Map();
+
+  const rowHasFocus = (id) => {
+    const tr = qs(`tr[data-service="${id}"]`, tbody);
+    return !!tr && tr.contains(document.activeElement);
+  };
+
+  /**
+   * Replace a row's markup. With restoreFocus, focus returns to the same control (or the
+   * row's first enabled one) since disabled buttons drop focus while an action is pending.
+   */
+  const renderOne = (id, restoreFocus = null) => {
+    const tr = qs(`tr[data-service="${id}"]`, tbody);
+    const row = rows.get(id);
+    if (!tr || !row) return;
+    tr.outerHTML = renderRow(row, t, readOnly);
+    if (!restoreFocus) return;
+    const next = qs(`tr[data-service="${id}"] [data-action="${restoreFocus}"]:not(:disabled)`, tbody)
+      || qs(`tr[data-service="${id}"] [data-action]:not(:disabled)`, tbody);
+    if (next) next.focus();
+  };
+
+  const setAll = (services) => {
+    rows.clear();
+    for (const service of services) rows.set(service.id, { service, pending: null, error: null });
+    tbody.innerHTML = services.length
+      ? services.map((s) => renderRow(rows.get(s.id), t, readOnly)).join('')
+      : `<tr><td colspan="4" class="u-muted">${t('pages.advancedSettings.services.empty')}</td></tr>`;
+  };
+
+  /**
+   * Run one provider call for a row: mark it pending, then apply the returned service or the error.
+   */
+  const run = async (id, pending, call) => {
+    const row = rows.get(id);
+    if (readOnly || !row || row.pending) return;
+    const hadFocus = rowHasFocus(id);
+    row.pending = pending;
+    row.error = null;
+    renderOne(id);
+    try {
+      row.service = await call();
+    } catch (err) {
+      row.error = err && err.message ? err.message : t('pages.advancedSettings.services.actionError');
+      // The daemon's state may have changed (e.g. failed to start); pick it up quietly.
+      try {
+        const latest = (await getDeviceProvider().getServices()).find((s) => s.id === id);
+        if (latest) row.service = latest;
+      } catch {
+        // keep the last known state
+      }
+    }
+    row.pending = null;
+    if (tbody.isConnected) renderOne(id, hadFocus ? pending : null);
+  };
+
+  return {
+    setAll,
+    control: (id, action) => run(id, action, () => getDeviceProvider().controlService(id, action)),
+    setEnabled: (id, enabled) => run(id, 'boot', () => getDeviceProvider().setServiceEnabled(id, enabled)),
+  };
+}
+
+async function load(body, table, t) {
+  const status = qs('[data-role="services-status"]', body);
+  status.hidden = false;
+  status.textContent = t('common.loading');
+  try {
+    const services = await getDeviceProvider().getServices();
+    if (!body.isConnected) return;
+    status.hidden = true;
+    table.setAll(services);
+  } catch (err) {
+    if (!body.isConnected) return;
+    status.textContent = `${t('common.loadErrorTitle')}: ${err && err.message ? err.message : t('common.loadError')}`;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }) {
+  /** Render the service list and wire per-row start/stop/restart and enable-at-boot actions. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.advancedSettings.services';
+  const readOnly = !can('settings:edit');
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="services-title">
+      <div class="card">
+        <div class="card-header" id="services-title">${t(`${p}.title`)}</div>
+        <p class="u-muted">${t(`${p}.subtitle`)}</p>
+        <button type="button" class="btn btn-ghost" data-action="refresh">${t('common.refresh')}</button>
+      </div>
+      <div class="card" data-role="services-body">
+        ${readOnly ? `<div class="callout" role="note"><div class="callout-title">${t('forms.readOnlyTitle')}</div><p>${t('forms.readOnly')}</p></div>` : ''}
+        <p class="u-muted" data-role="services-status" role="status"></p>
+        <div style="overflow:auto;">
+          <table class="table" aria-labelledby="services-title">
+            <thead>
+              <tr>
+                <th scope="col">${t(`${p}.service`)}</th>
+                <th scope="col">${t(`${p}.state`)}</th>
+                <th scope="col">${t(`${p}.enabledAtBoot`)}</th>
+                <th scope="col">${t(`${p}.actionsLabel`)}</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+      </div>
+    </section>
+  `;
+
+  const section = qs('section', container);
+  const body = qs('[data-role="services-body"]', container);
+  const tbody = qs('tbody', body);
+  const table = createServiceTable(tbody, t, readOnly);
+
+  delegate(section, 'click', 'button[data-action="refresh"]', () => load(body, table, t));
+  delegate(tbody, 'click', 'button[data-action]', (evt, target) => {
+    table.control(target.getAttribute('data-id'), target.getAttribute('data-action'));
+  });
+  delegate(tbody, 'change', 'input[data-action="boot"]', (evt, target) => {
+    table.setEnabled(target.getAttribute('data-id'), target.checked);
+  });
+  load(body, table, t);
+}
@@ -1,9 +1,93 @@
 //
 // Advanced Settings page module.
+// Subroutes with a dedicated view (e.g. /advanced/service-control) are delegated to their own module.
+// The Security card edits the idle session timeout (src/services/session-timeout.js), which is
+// kept in the browser and shared by every open tab.
 //
+
+import { qs } from '../utils/dom.js';
+import { integerInRange } from '../utils/validators.js';
+import { setFormReadOnly } from '../components/settings-form.js';
+import { can } from '../services/access.js';
+import {
+  SESSION_TIMEOUT_LIMITS,
+  getSessionTimeout,
+  setSessionTimeout,
+  onSessionTimeoutChange,
+  offSessionTimeoutChange,
+} from '../services/session-timeout.js';
+import * as ServiceControlView from './advanced-service-control.js';
+import * as DdnsView from './advanced-ddns.js';
+import * as DmzView from './advanced-dmz.js';
+import * as PortForwardingView from './advanced-port-forwarding.js';
+import * as FirewallView from './advanced-firewall.js';
+
+const SUB_VIEWS = Object.freeze({
+  'service-control': ServiceControlView,
+  ddns: DdnsView,
+  dmz: DmzView,
+  'port-forwarding': PortForwardingView,
+  firewall: FirewallView,
+});
+
+function setStatus(el, kind, message) {
+  el.textContent = message || '';
+  el.className = ['form-status', kind ? `is-${kind}` : ''].join(' ').trim();
+}
+
+/**
+ * Wire the session timeout form: validate, save for all tabs, follow changes made elsewhere.
+ */
+function bindSessionTimeout(form, t) {
+  const input = form.elements.sessionTimeout;
+  const error = qs('[data-error-for="sessionTimeout"]', form);
+  const status = qs('.form-status', form);
+  const { min, max } = SESSION_TIMEOUT_LIMITS;
+
+  const showError = (result) => {
+    error.textContent = result ? t(result.key, result.vars) : '';
+    error.hidden = !result;
+    if (result) input.setAttribute('aria-invalid', 'true');
+    else input.removeAttribute('aria-invalid');
+  };
+
+  form.addEventListener('submit', (evt) => {
+    evt.preventDefault();
+    const result = integerInRange(input.value, min, max);
+    showError(result);
+    if (result) {
+      setStatus(status, 'error', t('forms.fixErrors'));
+      input.focus();
+      return;
+    }
+    setSessionTimeout(Number(input.value));
+    setStatus(status, 'success', t('forms.saved'));
+  });
+  input.addEventListener('input', () => setStatus(status, null, ''));
+
+  // Saved in another tab: show the value now in effect unless the user is editing it
+  const onChange = (minutes) => {
+    if (!form.isConnected) {
+      offSessionTimeoutChange(onChange);
+      return;
+    }
+    if (document.activeElement === input) return;
+    input.value = String(minutes);
+    showError(null);
+  };
+  onSessionTimeoutChange(onChange);
+}
+
  // PUBLIC_INTERFACE
-export function render(container, i18n = { t: (s) => s }) {
-  /** Render Advanced Settings with example advanced options. */
+export function render(container, params = {}, i18n = { t: (s) => s }, router = {}) {
+  /** Render Advanced Settings: a dedicated view for params.sub when one exists, else example advanced options. */
+  const sub = params && typeof params === 'object' ? params.sub : undefined;
+  if (sub && SUB_VIEWS[sub]) {
+    SUB_VIEWS[sub].render(container, params, i18n, router);
+    return;
+  }
+
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
   const title = typeof i18n?.t === 'function' ? i18n.t('pages.advancedSettings.title') : 'Advanced Settings';
   const subtitle = typeof i18n?.t === 'function' ? i18n.t('pages.advancedSettings.subtitle') : 'Tweak advanced parameters.';
 
@@ -32,11 +116,25 @@ export function render(container, i18n = { t: (s) => s }) {
         </div>
       </div>
 
-      <div class="card">
-        <div class="card-header">Security</div>
-        <label class="label" for="sessionTimeout">Session Timeout (minutes)</label>
-        <input id="sessionTimeout" class="input" type="number" min="5" value="30" />
-      </div>
+      <form class="card" data-role="session-timeout" novalidate>
+        <div class="card-header">${t('pages.advancedSettings.security.title')}</div>
+        <div class="field">
+          <label class="label" for="sessionTimeout">${t('pages.advancedSettings.security.sessionTimeout')}</label>
+          <input id="sessionTimeout" name="sessionTimeout" class="input" type="number" step="1"
+            min="${SESSION_TIMEOUT_LIMITS.min}" max="${SESSION_TIMEOUT_LIMITS.max}" value="${getSessionTimeout()}"
+            aria-describedby="sessionTimeout-hint" />
+          <p class="field-hint" id="sessionTimeout-hint">${t('pages.advancedSettings.security.sessionTimeoutHint')}</p>
+          <p class="field-error" data-error-for="sessionTimeout" role="alert" hidden></p>
+        </div>
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary">${t('forms.save')}</button>
+          <span class="form-status" role="status"></span>
+        </div>
+      </form>
     </section>
   `;
+
+  const timeoutForm = qs('form[data-role="session-timeout"]', container);
+  if (can('settings:edit')) bindSessionTimeout(timeoutForm, t);
+  else setFormReadOnly(timeoutForm, t);
 }
@@ -0,0 +1,217 @@
+//
+// Application > UPnP: the miniupnpd settings (UPnP IGD, NAT-PMP, secure mode) and a live
+// table of the port mappings LAN clients have opened. The table refreshes on its own
+// while the view is shown; a mapping can be removed early, though the client that
+// created it may simply request it again. Removing mappings takes settings:edit.
+//
+
+import { qs, qsa, delegate, escapeHtml } from '../utils/dom.js';
+import { formatDuration } from '../utils/format.js';
+import { parseIPv4 } from '../utils/ipv4.js';
+import { startRouteInterval } from '../utils/route-timer.js';
+import { mountSettingsForm } from '../components/settings-form.js';
+import { createDataTable } from '../components/data-table.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+import { can } from '../services/access.js';
+
+const ROUTE_PATH = '/application/upnp';
+const REFRESH_INTERVAL_MS = 5000;
+
+function mappingKey(m) {
+  return `${m.protocol}:${m.externalPort}`;
+}
+
+function leaseText(expiresAt, t) {
+  if (expiresAt == null) return t('pages.application.upnp.permanent');
+  const seconds = (expiresAt - Date.now()) / 1000;
+  return seconds > 0 ? formatDuration(seconds) : t('pages.application.upnp.expired');
+}
+
+function mappingColumns(t, isPending, canDelete) {
+  const p = 'pages.application.upnp';
+  const columns = [
+    {
+      key: 'protocol',
+      label: t(`${p}.protocol`),
+      sortable: true,
+      filterOptions: [
+        { value: 'TCP', label: 'TCP' },
+        { value: 'UDP', label: 'UDP' },
+      ],
+    },
+    { key: 'externalPort', label: t(`${p}.externalPort`), sortable: true, align: 'right' },
+    {
+      key: 'client',
+      label: t(`${p}.client`),
+      sortable: true,
+      sortValue: (m) => parseIPv4(m.internalIp) * 65536 + m.internalPort,
+      filterValue: (m) => `${m.internalIp}:${m.internalPort}`,
+      render: (m) => `<code>${escapeHtml(m.internalIp)}:${m.internalPort}</code>`,
+    },
+    { key: 'description', label: t(`${p}.description`), sortable: true, render: (m) => escapeHtml(m.description || '—') },
+    {
+      key: 'expiresAt',
+      label: t(`${p}.lease`),
+      sortable: true,
+      align: 'right',
+      filterValue: () => null,
+      render: (m) => `<span data-expires-at="${m.expiresAt == null ? '' : m.expiresAt}">${leaseText(m.expiresAt, t)}</span>`,
+    },
+    {
+      key: 'actions',
+      label: t(`${p}.actions`),
+      filterValue: () => null,
+      render: (m) => `
+        <button type="button" class="btn btn-ghost" data-action="delete" ${isPending(m) ? 'disabled' : ''}
+          aria-label="${escapeHtml(t(`${p}.deleteLabel`, { protocol: m.protocol, port: m.externalPort }))}">${t(`${p}.delete`)}</button>`,
+    },
+  ];
+  return canDelete ? columns : columns.filter((c) => c.key !== 'actions');
+}
+
+/**
+ * Mappings card: loads through the provider, refreshes every few seconds and ticks the
+ * lease countdown in place so sorting and filtering survive.
+ */
+function mountMappings(card, t, router) {
+  const p = 'pages.application.upnp';
+  const tableRoot = qs('[data-role="mappings"]', card);
+  const count = qs('[data-role="count"]', card);
+  const status = qs('[data-role="mappings-status"]', card);
+  const pending = new Set();
+  let mappings = [];
+  let loading = false;
+
+  const setStatus = (kind, message) => {
+    status.textContent = message || '';
+    status.className = ['form-status', kind ? `is-${kind}` : ''].join(' ').trim();
+  };
+
+  const table = createDataTable(tableRoot, {
+    columns: mappingColumns(t, (m) => pending.has(mappingKey(m)), can('settings:edit')),
+    rows: [],
+    initialSort: { key: 'externalPort', dir: 'asc' },
+    filterLabel: t(`${p}.search`),
+    emptyText: t(`${p}.noMappings`),
+    allLabel: t('common.all'),
+    rowKey: mappingKey,
+  });
+
+  const load = async () => {
+    if (loading) return;
+    loading = true;
+    try {
+      mappings = await getDeviceProvider().getUpnpMappings();
+      if (!card.isConnected) return;
+      count.textContent = String(mappings.length);
+      table.setRows(mappings);
+    } catch (err) {
+      if (card.isConnected) setStatus('error', err && err.message ? err.message : t('common.loadError'));
+    } finally {
+      loading = false;
+    }
+  };
+
+  delegate(tableRoot, 'click', 'button[data-action="delete"]', async (evt, target) => {
+    const key = target.closest('tr')?.getAttribute('data-row-key');
+    const mapping = mappings.find((m) => mappingKey(m) === key);
+    if (!mapping || pending.has(key)) return;
+    pending.add(key);
+    target.disabled = true;
+    setStatus(null, '');
+    try {
+      await getDeviceProvider().deleteUpnpMapping(mapping.protocol, mapping.externalPort);
+      setStatus('success', t(`${p}.deleted`, { protocol: mapping.protocol, port: mapping.externalPort }));
+    } catch (err) {
+      setStatus('error', err && err.message ? err.message : t(`${p}.deleteFailed`));
+    } finally {
+      pending.delete(key);
+    }
+    await load();
+  });
+
+  delegate(card, 'click', 'button[data-action="refresh"]', () => load());
+
+  startRouteInterval(load, REFRESH_INTERVAL_MS, { router, path: ROUTE_PATH, node: tableRoot });
+  startRouteInterval(() => {
+    for (const el of qsa('[data-expires-at]', tableRoot)) {
+      const raw = el.getAttribute('data-expires-at');
+      el.textContent = leaseText(raw ? Number(raw) : null, t);
+    }
+  }, 1000, { router, path: ROUTE_PATH, node: tableRoot, immediate: false });
+
+  return { load };
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the UPnP settings form bound to the "upnp" section and the live port-mapping table. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.application.upnp';
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="upnp-title">
+      <div class="card">
+        <div class="card-header" id="upnp-title">${t(`${p}.title`)}</div>
+        <p class="u-muted">${t(`${p}.subtitle`)}</p>
+      </div>
+
+      <form class="card" novalidate aria-labelledby="upnp-title">
+        <label class="choice">
+          <input type="checkbox" name="enabled" />
+          <span>${t(`${p}.enabled`)}</span>
+        </label>
+        <label class="choice">
+          <input type="checkbox" name="natPmp" data-requires="enabled" aria-describedby="upnp-natpmp-hint" />
+          <span>${t(`${p}.natPmp`)}</span>
+        </label>
+        <p class="field-hint" id="upnp-natpmp-hint">${t(`${p}.natPmpHint`)}</p>
+        <label class="choice">
+          <input type="checkbox" name="secureMode" data-requires="enabled" aria-describedby="upnp-secure-hint" />
+          <span>${t(`${p}.secureMode`)}</span>
+        </label>
+        <p class="field-hint" id="upnp-secure-hint">${t(`${p}.secureModeHint`)}</p>
+
+        <div class="callout warning" data-role="insecure-warning" role="alert" hidden>
+          <div class="callout-title">${t(`${p}.insecureTitle`)}</div>
+          <p>${t(`${p}.insecure`)}</p>
+        </div>
+
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary">${t('forms.save')}</button>
+          <button type="reset" class="btn btn-ghost">${t('forms.reset')}</button>
+          <span class="form-status" data-role="form-status" role="status"></span>
+        </div>
+      </form>
+
+      <div class="card" data-role="mappings-card">
+        <div class="card-header">${t(`${p}.mappings`)} <span class="badge" data-role="count">0</span></div>
+        <p class="u-muted">${t(`${p}.mappingsHint`)}</p>
+        <div class="form-actions" style="margin-top: 0;">
+          <button type="button" class="btn btn-ghost" data-action="refresh">${t('common.refresh')}</button>
+          <span class="form-status" data-role="mappings-status" role="status"></span>
+        </div>
+        <div data-role="mappings"></div>
+      </div>
+    </section>
+  `;
+
+  const form = qs('form', container);
+  const warning = qs('[data-role="insecure-warning"]', form);
+  const mappings = mountMappings(qs('[data-role="mappings-card"]', container), t, router);
+
+  const sync = (values) => {
+    for (const el of qsa('[data-requires="enabled"]', form)) el.disabled = !values.enabled;
+    warning.hidden = !(values.enabled && !values.secureMode);
+  };
+
+  const controller = mountSettingsForm(form, {
+    section: 'upnp',
+    t,
+    router,
+    onValues: sync,
+    // Turning UPnP off drops every mapping, so show the table as the device now has it.
+    onSaved: () => mappings.load(),
+  });
+  form.addEventListener('input', () => sync(controller.getValues()));
+}
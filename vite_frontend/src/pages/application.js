@@ -2,9 +2,16 @@
 //
 // Application page module: includes Preferences, Updates, and About.
 // About displays available import.meta.env VITE_* values in a table.
+// Subroutes with a dedicated view (e.g. /application/upnp) are delegated to their own module.
 //
 /* eslint-enable no-undef */
 
+import * as UpnpView from './application-upnp.js';
+
+const SUB_VIEWS = Object.freeze({
+  upnp: UpnpView,
+});
+
 function envTableRows() {
   // Filter and present only VITE_* variables for safety.
   // Safely read Vite environment injected at build time.
@@ -40,7 +47,7 @@ function escapeHtml(str) {
 }
 
 // PUBLIC_INTERFACE
-export function render(container, params = {}, i18n = { t: (s) => s }) {
+export function render(container, params = {}, i18n = { t: (s) => s }, router = {}) {
   /** Render Application section; chooses sub-view by params.sub or route path. */
   const title = typeof i18n?.t === 'function' ? i18n.t('pages.application.title') : 'Application';
   const subtitle = typeof i18n?.t === 'function' ? i18n.t('pages.application.subtitle') : 'Application-level configuration and tools.';
@@ -54,6 +61,10 @@ export function render(container, params = {}, i18n = { t: (s) => s }) {
     }
   }
   if (!sub) sub = 'preferences';
+  if (SUB_VIEWS[sub]) {
+    SUB_VIEWS[sub].render(container, params, i18n, router);
+    return;
+  }
 
   let body = '';
   if (sub === 'preferences') {
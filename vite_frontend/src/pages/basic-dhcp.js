@@ -0,0 +1,282 @@
+//
+// Basic Settings > DHCP: server enable, address pool, lease time and DNS handout,
+// plus an editable table of static reservations (MAC, IP, hostname).
+// The pool and reservations are validated against the LAN subnet from the "lan" settings.
+//
+// Deep link: /basic/dhcp?action=add-reservation&mac=..&ip=..&hostname=.. appends a
+// pre-filled reservation row (see status-dhcp "Make static").
+//
+
+import { qs, qsa } from '../utils/dom.js';
+import { parseIPv4, formatIPv4, networkAddress, prefixLength } from '../utils/ipv4.js';
+import { ipv4, netmask, lanHostAddress, macAddress, hostname, integerInRange } from '../utils/validators.js';
+import { mountSettingsForm } from '../components/settings-form.js';
+import { createRowEditor, rowFieldName, readRows, withRows } from '../components/row-editor.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+import { can, sectionPermission } from '../services/access.js';
+
+// Lease time in minutes: 2 minutes up to 7 days.
+const LEASE_MIN = 2;
+const LEASE_MAX = 10080;
+const ROW_PREFIX = 'reservations';
+const ROW_FIELDS = Object.freeze(['mac', 'ip', 'hostname']);
+
+function rowName(index, key) {
+  return rowFieldName(ROW_PREFIX, index, key);
+}
+
+function normalizeMac(value) {
+  return String(value || '').trim().toUpperCase().replace(/-/g, ':');
+}
+
+function optionalIPv4(value) {
+  return value && String(value).trim() ? ipv4(value) : null;
+}
+
+function validate(values, lan) {
+  const errors = {
+    poolStart: null,
+    poolEnd: null,
+    leaseMinutes: null,
+    dns1: null,
+    dns2: null,
+  };
+  const rows = readRows(values, ROW_PREFIX, ROW_FIELDS);
+
+  if (values.enabled) {
+    errors.poolStart = lanHostAddress(values.poolStart, lan);
+    errors.poolEnd = lanHostAddress(values.poolEnd, lan);
+    if (!errors.poolStart && !errors.poolEnd) {
+      const start = parseIPv4(values.poolStart);
+      const end = parseIPv4(values.poolEnd);
+      const router = lan ? parseIPv4(lan.ipAddress) : null;
+      if (start > end) errors.poolEnd = { key: 'validation.poolOrder' };
+      else if (router !== null && router >= start && router <= end) errors.poolEnd = { key: 'validation.poolContainsRouter' };
+    }
+    errors.leaseMinutes = integerInRange(values.leaseMinutes, LEASE_MIN, LEASE_MAX);
+    if (values.dnsMode === 'custom') {
+      errors.dns1 = ipv4(values.dns1);
+      errors.dns2 = optionalIPv4(values.dns2);
+    }
+  }
+
+  const seenMacs = new Map();
+  const seenIps = new Map();
+  rows.forEach((row, i) => {
+    let macError = macAddress(row.mac);
+    let ipError = lanHostAddress(row.ip, lan);
+    if (!macError) {
+      const mac = normalizeMac(row.mac);
+      if (seenMacs.has(mac)) macError = { key: 'validation.duplicateMac', vars: { row: seenMacs.get(mac) + 1 } };
+      else seenMacs.set(mac, i);
+    }
+    if (!ipError) {
+      const ip = parseIPv4(row.ip);
+      if (seenIps.has(ip)) ipError = { key: 'validation.duplicateIp', vars: { row: seenIps.get(ip) + 1 } };
+      else seenIps.set(ip, i);
+    }
+    errors[rowName(i, 'mac')] = macError;
+    errors[rowName(i, 'ip')] = ipError;
+    errors[rowName(i, 'hostname')] = hostname(row.hostname);
+  });
+  return errors;
+}
+
+function toValues(model) {
+  const { reservations = [], ...rest } = model || {};
+  const values = { ...rest, leaseMinutes: rest.leaseMinutes == null ? '' : String(rest.leaseMinutes) };
+  return withRows(values, ROW_PREFIX, ROW_FIELDS, reservations);
+}
+
+function toModel(values) {
+  const model = withRows(values, ROW_PREFIX, ROW_FIELDS, []);
+  model.leaseMinutes = Number(values.leaseMinutes);
+  model.reservations = readRows(values, ROW_PREFIX, ROW_FIELDS).map((row) => ({
+    mac: normalizeMac(row.mac),
+    ip: String(row.ip).trim(),
+    hostname: String(row.hostname).trim(),
+  }));
+  return model;
+}
+
+function reservationCells(index, t) {
+  const p = 'pages.basicSettings.dhcp';
+  const cell = (key, attrs) => {
+    const id = `dhcp-res-${index}-${key}`;
+    return `
+      <td>
+        <label class="u-visually-hidden" for="${id}">${t(`${p}.${key}`)} ${index + 1}</label>
+        <input id="${id}" name="${rowName(index, key)}" class="input" autocomplete="off" ${attrs} />
+        <p class="field-error" id="${id}-error" data-error-for="${rowName(index, key)}" hidden></p>
+      </td>`;
+  };
+  return `
+    ${cell('mac', 'placeholder="AA:BB:CC:DD:EE:FF" spellcheck="false"')}
+    ${cell('ip', 'inputmode="decimal" placeholder="192.168.1.50"')}
+    ${cell('hostname', 'spellcheck="false"')}`;
+}
+
+function syncState(form, values) {
+  for (const el of qsa('[data-requires="enabled"]', form)) el.disabled = !values.enabled;
+  for (const el of qsa('[data-requires="dnsCustom"]', form)) el.disabled = !values.enabled || values.dnsMode !== 'custom';
+}
+
+function subnetHint(lan, t) {
+  if (!lan || ipv4(lan.ipAddress) || netmask(lan.netmask)) return '';
+  return t('pages.basicSettings.dhcp.subnetHint', {
+    subnet: `${formatIPv4(networkAddress(lan.ipAddress, lan.netmask))}/${prefixLength(lan.netmask)}`,
+    router: lan.ipAddress,
+  });
+}
+
+function field(id, name, label, { attrs = '', hint = '' } = {}) {
+  return `
+    <div class="field">
+      <label class="label" for="${id}">${label}</label>
+      <input id="${id}" name="${name}" class="input" autocomplete="off" ${attrs} />
+      ${hint ? `<p class="field-hint">${hint}</p>` : ''}
+      <p class="field-error" id="${id}-error" data-error-for="${name}" hidden></p>
+    </div>`;
+}
+
+// PUBLIC_INTERFACE
+export function validateSettings(model, settings = {}) {
+  /** Field errors the DHCP form would show for this model, pool and reservations checked against settings.lan. */
+  return validate(toValues(model), settings.lan || null);
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params = {}, i18n = { t: (s) => s }, router = {}) {
+  /** Render the DHCP server form with its reservations editor, bound to the "dhcp" settings section. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.basicSettings.dhcp';
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="basic-dhcp-title">
+      <div class="card">
+        <div class="card-header" id="basic-dhcp-title">${t(`${p}.title`)}</div>
+        <p class="u-muted">${t(`${p}.subtitle`)}</p>
+      </div>
+
+      <form class="u-spacing" novalidate aria-labelledby="basic-dhcp-title">
+        <div class="card">
+          <div class="card-header">${t(`${p}.server`)}</div>
+          <label class="choice">
+            <input type="checkbox" name="enabled" />
+            <span>${t(`${p}.enabled`)}</span>
+          </label>
+          <p class="field-hint" data-role="subnet-hint"></p>
+          ${field('dhcp-poolStart', 'poolStart', t(`${p}.poolStart`), { attrs: 'inputmode="decimal" data-requires="enabled"' })}
+          ${field('dhcp-poolEnd', 'poolEnd', t(`${p}.poolEnd`), { attrs: 'inputmode="decimal" data-requires="enabled"' })}
+          ${field('dhcp-leaseMinutes', 'leaseMinutes', t(`${p}.leaseMinutes`), {
+            attrs: `type="number" min="${LEASE_MIN}" max="${LEASE_MAX}" data-requires="enabled"`,
+            hint: t(`${p}.leaseHint`, { min: LEASE_MIN, max: LEASE_MAX }),
+          })}
+
+          <fieldset class="fieldset">
+            <legend class="label">${t(`${p}.dnsMode`)}</legend>
+            <div class="choice-group">
+              <label class="choice">
+                <input type="radio" name="dnsMode" value="router" data-requires="enabled" />
+                <span>${t(`${p}.dnsModes.router`)}</span>
+              </label>
+              <label class="choice">
+                <input type="radio" name="dnsMode" value="custom" data-requires="enabled" />
+                <span>${t(`${p}.dnsModes.custom`)}</span>
+              </label>
+            </div>
+          </fieldset>
+          ${field('dhcp-dns1', 'dns1', t(`${p}.dns1`), { attrs: 'inputmode="decimal" data-requires="dnsCustom"' })}
+          ${field('dhcp-dns2', 'dns2', t(`${p}.dns2`), { attrs: 'inputmode="decimal" data-requires="dnsCustom"' })}
+        </div>
+
+        <div class="card">
+          <div class="card-header" id="dhcp-reservations-title">${t(`${p}.reservations`)}</div>
+          <p class="u-muted" data-role="prefill-notice" role="status" hidden></p>
+          <table class="table" aria-labelledby="dhcp-reservations-title">
+            <thead>
+              <tr>
+                <th scope="col">${t(`${p}.mac`)}</th>
+                <th scope="col">${t(`${p}.ip`)}</th>
+                <th scope="col">${t(`${p}.hostname`)}</th>
+                <th scope="col"><span class="u-visually-hidden">${t(`${p}.actions`)}</span></th>
+              </tr>
+            </thead>
+            <tbody data-role="reservations"></tbody>
+          </table>
+          <div class="form-actions">
+            <button type="button" class="btn btn-ghost" data-action="add-reservation">${t(`${p}.addReservation`)}</button>
+          </div>
+        </div>
+
+        <div class="card">
+          <div class="form-actions" style="margin-top: 0;">
+            <button type="submit" class="btn btn-primary">${t('forms.save')}</button>
+            <button type="reset" class="btn btn-ghost">${t('forms.reset')}</button>
+            <span class="form-status" data-role="form-status" role="status"></span>
+          </div>
+        </div>
+      </form>
+    </section>
+  `;
+
+  const form = qs('form', container);
+  const tbody = qs('[data-role="reservations"]', form);
+  const hintEl = qs('[data-role="subnet-hint"]', form);
+  const notice = qs('[data-role="prefill-notice"]', form);
+  let lan = null;
+
+  const editor = createRowEditor(tbody, {
+    prefix: ROW_PREFIX,
+    fields: ROW_FIELDS,
+    renderCells: (index) => reservationCells(index, t),
+    controller: () => controller,
+    addButton: qs('[data-action="add-reservation"]', form),
+    labels: {
+      remove: t(`${p}.remove`),
+      removeRow: (row) => t(`${p}.removeRow`, { row }),
+    },
+    emptyText: t(`${p}.noReservations`),
+  });
+
+  const controller = mountSettingsForm(form, {
+    section: 'dhcp',
+    t,
+    router,
+    validate: (values) => validate(values, lan),
+    // Reservation inputs must exist before the controller fills them.
+    toValues: (model) => {
+      editor.render(((model && model.reservations) || []).length);
+      return toValues(model);
+    },
+    toModel,
+    onValues: (values) => syncState(form, values),
+  });
+
+  const lanReady = getDeviceProvider().getSettings('lan').then(
+    (model) => { lan = model; },
+    () => { lan = null; },
+  );
+
+  Promise.all([controller.ready, lanReady]).then(() => {
+    if (!form.isConnected) return;
+    hintEl.textContent = subnetHint(lan, t);
+    // A read-only form cannot save the row, so it would only leave unsaved changes behind.
+    if (params && params.action === 'add-reservation' && can(sectionPermission('dhcp'))) applyPrefill(params);
+  });
+
+  function applyPrefill({ mac = '', ip = '', hostname: host = '' }) {
+    const rows = editor.getRows();
+    const existing = mac ? rows.findIndex((r) => normalizeMac(r.mac) === normalizeMac(mac)) : -1;
+    if (existing >= 0) {
+      notice.textContent = t(`${p}.prefillExists`, { mac: normalizeMac(mac) });
+      notice.hidden = false;
+      const input = qs(`[name="${rowName(existing, 'ip')}"]`, tbody);
+      if (input) input.focus();
+      return;
+    }
+    editor.add({ mac: normalizeMac(mac), ip, hostname: host });
+    notice.textContent = t(`${p}.prefillAdded`, { mac: normalizeMac(mac) || '—' });
+    notice.hidden = false;
+  }
+}
@@ -0,0 +1,96 @@
+//
+// Basic Settings > LAN: router IP, subnet mask and IPv6 ULA prefix.
+// Validation: the mask must be contiguous and the router IP may not be the
+// subnet's network or broadcast address. Messages are translated via t().
+//
+
+import { qs } from '../utils/dom.js';
+import { formatIPv4, networkAddress, prefixLength } from '../utils/ipv4.js';
+import { ipv4, netmask, hostAddress, ipv6Prefix, firstError } from '../utils/validators.js';
+import { mountSettingsForm, readForm } from '../components/settings-form.js';
+
+function validate(values) {
+  const maskError = netmask(values.netmask);
+  return {
+    ipAddress: firstError(ipv4(values.ipAddress), maskError ? null : hostAddress(values.ipAddress, values.netmask)),
+    netmask: maskError,
+    ipv6Prefix: ipv6Prefix(values.ipv6Prefix),
+  };
+}
+
+/**
+ * Live summary of the resulting subnet, shown under the form fields.
+ */
+function subnetSummary(values, t) {
+  if (ipv4(values.ipAddress) || netmask(values.netmask)) return '';
+  const bits = prefixLength(values.netmask);
+  return t('pages.basicSettings.lan.summary', {
+    subnet: `${formatIPv4(networkAddress(values.ipAddress, values.netmask))}/${bits}`,
+    hosts: 2 ** (32 - bits) - 2,
+  });
+}
+
+// PUBLIC_INTERFACE
+export function validateSettings(model) {
+  /** Field errors the LAN form would show for this "lan" model. */
+  return validate(model || {});
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the LAN settings form and bind it to the "lan" settings section. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="basic-lan-title">
+      <div class="card">
+        <div class="card-header" id="basic-lan-title">${t('pages.basicSettings.lan.title')}</div>
+        <p class="u-muted">${t('pages.basicSettings.lan.subtitle')}</p>
+      </div>
+
+      <form class="card" novalidate aria-labelledby="lan-ipv4-title">
+        <div class="card-header" id="lan-ipv4-title">${t('pages.basicSettings.lan.ipv4')}</div>
+        <div class="field">
+          <label class="label" for="lan-ipAddress">${t('pages.basicSettings.lan.ipAddress')}</label>
+          <input id="lan-ipAddress" name="ipAddress" class="input" inputmode="decimal" autocomplete="off" placeholder="192.168.1.1" />
+          <p class="field-error" id="lan-ipAddress-error" data-error-for="ipAddress" hidden></p>
+        </div>
+        <div class="field">
+          <label class="label" for="lan-netmask">${t('pages.basicSettings.lan.netmask')}</label>
+          <input id="lan-netmask" name="netmask" class="input" inputmode="decimal" autocomplete="off" placeholder="255.255.255.0" />
+          <p class="field-error" id="lan-netmask-error" data-error-for="netmask" hidden></p>
+        </div>
+        <p class="u-muted" data-role="subnet-summary"></p>
+
+        <div class="card-header">${t('pages.basicSettings.lan.ipv6')}</div>
+        <div class="field">
+          <label class="label" for="lan-ipv6Prefix">${t('pages.basicSettings.lan.ipv6Prefix')}</label>
+          <input id="lan-ipv6Prefix" name="ipv6Prefix" class="input" autocomplete="off" placeholder="fd00:1234:5678::/48" />
+          <p class="field-hint">${t('pages.basicSettings.lan.ipv6PrefixHint')}</p>
+          <p class="field-error" id="lan-ipv6Prefix-error" data-error-for="ipv6Prefix" hidden></p>
+        </div>
+
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary">${t('forms.save')}</button>
+          <button type="reset" class="btn btn-ghost">${t('forms.reset')}</button>
+          <span class="form-status" data-role="form-status" role="status"></span>
+        </div>
+      </form>
+    </section>
+  `;
+
+  const form = qs('form', container);
+  const summary = qs('[data-role="subnet-summary"]', container);
+  mountSettingsForm(form, {
+    section: 'lan',
+    t,
+    router,
+    validate,
+    onValues: (values) => {
+      summary.textContent = subnetSummary(values, t);
+    },
+  });
+  form.addEventListener('input', () => {
+    summary.textContent = subnetSummary(readForm(form), t);
+  });
+}
@@ -1,9 +1,32 @@
 //
 // Basic Settings page module: simple form placeholders.
+// Subroutes with a dedicated form (e.g. /basic/lan) are delegated to their own module.
 //
+
+import * as BasicLanView from './basic-lan.js';
+import * as BasicWanView from './basic-wan.js';
+import * as BasicWlanView from './basic-wlan.js';
+import * as BasicDhcpView from './basic-dhcp.js';
+import { qs } from '../utils/dom.js';
+import { setFormReadOnly } from '../components/settings-form.js';
+import { can } from '../services/access.js';
+
+const SUB_VIEWS = Object.freeze({
+  lan: BasicLanView,
+  wan: BasicWanView,
+  wlan: BasicWlanView,
+  dhcp: BasicDhcpView,
+});
+
  // PUBLIC_INTERFACE
-export function render(container, i18n = { t: (s) => s }) {
-  /** Render Basic Settings: demonstrates themed form controls. */
+export function render(container, params = {}, i18n = { t: (s) => s }, router = {}) {
+  /** Render Basic Settings: a dedicated form for params.sub when one exists, else themed placeholders. */
+  const sub = params && typeof params === 'object' ? params.sub : undefined;
+  if (sub && SUB_VIEWS[sub]) {
+    SUB_VIEWS[sub].render(container, params, i18n, router);
+    return;
+  }
+
   const title = typeof i18n?.t === 'function' ? i18n.t('pages.basicSettings.title') : 'Basic Settings';
   const subtitle = typeof i18n?.t === 'function' ? i18n.t('pages.basicSettings.subtitle') : 'Configure common settings.';
 
@@ -28,4 +51,6 @@ export function render(container, i18n = { t: (s) => s }) {
       </form>
     </section>
   `;
+
+  if (!can('settings:edit')) setFormReadOnly(qs('form', container), i18n?.t);
 }
@@ -0,0 +1,183 @@
+//
+// Basic Settings > WAN: connection mode (DHCP, static, PPPoE) with mode-specific
+// fields, MTU and MAC address clone. Only the active mode's fields are shown and validated.
+//
+
+import { qs, qsa } from '../utils/dom.js';
+import { ipv4, netmask, hostAddress, sameSubnet, hostname, macAddress, integerInRange, required, firstError } from '../utils/validators.js';
+import { mountSettingsForm } from '../components/settings-form.js';
+import { passwordField, bindPasswordFields } from '../components/password-field.js';
+
+const MODES = Object.freeze(['dhcp', 'static', 'pppoe']);
+const MTU_MIN = 576;
+const MTU_MAX = 1500;
+// PPPoE adds an 8-byte header inside the Ethernet frame.
+const MTU_MAX_PPPOE = 1492;
+
+function optionalIPv4(value) {
+  return value && String(value).trim() ? ipv4(value) : null;
+}
+
+function validate(values) {
+  const errors = {
+    mtu: integerInRange(values.mtu, MTU_MIN, values.mode === 'pppoe' ? MTU_MAX_PPPOE : MTU_MAX),
+    macAddress: values.macCloneEnabled ? macAddress(values.macAddress) : null,
+    staticIp: null,
+    staticNetmask: null,
+    staticGateway: null,
+    staticDns1: null,
+    staticDns2: null,
+    dhcpHostname: null,
+    dhcpDns1: null,
+    dhcpDns2: null,
+    pppoeUsername: null,
+    pppoePassword: null,
+  };
+
+  if (values.mode === 'static') {
+    const maskError = netmask(values.staticNetmask);
+    errors.staticNetmask = maskError;
+    errors.staticIp = firstError(ipv4(values.staticIp), maskError ? null : hostAddress(values.staticIp, values.staticNetmask));
+    errors.staticGateway = firstError(
+      ipv4(values.staticGateway),
+      maskError || errors.staticIp ? null : sameSubnet(values.staticGateway, values.staticIp, values.staticNetmask),
+    );
+    errors.staticDns1 = ipv4(values.staticDns1);
+    errors.staticDns2 = optionalIPv4(values.staticDns2);
+  } else if (values.mode === 'dhcp') {
+    errors.dhcpHostname = hostname(values.dhcpHostname);
+    if (values.dhcpDnsOverride) {
+      errors.dhcpDns1 = ipv4(values.dhcpDns1);
+      errors.dhcpDns2 = optionalIPv4(values.dhcpDns2);
+    }
+  } else if (values.mode === 'pppoe') {
+    errors.pppoeUsername = required(values.pppoeUsername);
+    errors.pppoePassword = required(values.pppoePassword);
+  }
+  return errors;
+}
+
+function toModel(values) {
+  return { ...values, mtu: Number(values.mtu) };
+}
+
+/**
+ * Show only the active mode's fieldset; disabled fieldsets are skipped by keyboard and screen readers.
+ */
+function syncVisibility(form, values) {
+  for (const fs of qsa('fieldset[data-mode]', form)) {
+    const active = fs.getAttribute('data-mode') === values.mode;
+    fs.hidden = !active;
+    fs.disabled = !active;
+  }
+  for (const el of qsa('[data-requires="dhcpDnsOverride"]', form)) el.disabled = !values.dhcpDnsOverride;
+  for (const el of qsa('[data-requires="macCloneEnabled"]', form)) el.disabled = !values.macCloneEnabled;
+  const mtu = qs('[name="mtu"]', form);
+  if (mtu) mtu.max = String(values.mode === 'pppoe' ? MTU_MAX_PPPOE : MTU_MAX);
+}
+
+function field(id, name, label, { placeholder = '', attrs = '' } = {}) {
+  return `
+    <div class="field">
+      <label class="label" for="${id}">${label}</label>
+      <input id="${id}" name="${name}" class="input" autocomplete="off" placeholder="${placeholder}" ${attrs} />
+      <p class="field-error" id="${id}-error" data-error-for="${name}" hidden></p>
+    </div>
+  `;
+}
+
+// PUBLIC_INTERFACE
+export function validateSettings(model) {
+  /** Field errors the WAN form would show for this "wan" model (active mode only). */
+  return validate(model || {});
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the WAN settings form and bind it to the "wan" settings section. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.basicSettings.wan';
+
+  const modeRadios = MODES.map((m) => `
+    <label class="choice">
+      <input type="radio" name="mode" value="${m}" />
+      <span>${t(`${p}.modes.${m}`)}</span>
+    </label>
+  `).join('');
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="basic-wan-title">
+      <div class="card">
+        <div class="card-header" id="basic-wan-title">${t(`${p}.title`)}</div>
+        <p class="u-muted">${t(`${p}.subtitle`)}</p>
+      </div>
+
+      <form class="card" novalidate aria-labelledby="basic-wan-title">
+        <fieldset class="fieldset">
+          <legend class="label">${t(`${p}.mode`)}</legend>
+          <div class="choice-group">${modeRadios}</div>
+        </fieldset>
+
+        <fieldset class="fieldset" data-mode="static" hidden>
+          <legend class="card-header">${t(`${p}.modes.static`)}</legend>
+          ${field('wan-staticIp', 'staticIp', t(`${p}.ipAddress`), { placeholder: '203.0.113.10', attrs: 'inputmode="decimal"' })}
+          ${field('wan-staticNetmask', 'staticNetmask', t(`${p}.netmask`), { placeholder: '255.255.255.0', attrs: 'inputmode="decimal"' })}
+          ${field('wan-staticGateway', 'staticGateway', t(`${p}.gateway`), { placeholder: '203.0.113.1', attrs: 'inputmode="decimal"' })}
+          ${field('wan-staticDns1', 'staticDns1', t(`${p}.dns1`), { placeholder: '1.1.1.1', attrs: 'inputmode="decimal"' })}
+          ${field('wan-staticDns2', 'staticDns2', t(`${p}.dns2`), { placeholder: '9.9.9.9', attrs: 'inputmode="decimal"' })}
+        </fieldset>
+
+        <fieldset class="fieldset" data-mode="dhcp" hidden>
+          <legend class="card-header">${t(`${p}.modes.dhcp`)}</legend>
+          ${field('wan-dhcpHostname', 'dhcpHostname', t(`${p}.hostname`), { placeholder: 'router' })}
+          <label class="choice">
+            <input type="checkbox" name="dhcpDnsOverride" />
+            <span>${t(`${p}.dnsOverride`)}</span>
+          </label>
+          ${field('wan-dhcpDns1', 'dhcpDns1', t(`${p}.dns1`), { placeholder: '1.1.1.1', attrs: 'inputmode="decimal" data-requires="dhcpDnsOverride"' })}
+          ${field('wan-dhcpDns2', 'dhcpDns2', t(`${p}.dns2`), { placeholder: '9.9.9.9', attrs: 'inputmode="decimal" data-requires="dhcpDnsOverride"' })}
+        </fieldset>
+
+        <fieldset class="fieldset" data-mode="pppoe" hidden>
+          <legend class="card-header">${t(`${p}.modes.pppoe`)}</legend>
+          ${field('wan-pppoeUsername', 'pppoeUsername', t(`${p}.username`))}
+          ${passwordField({ id: 'wan-pppoePassword', name: 'pppoePassword', label: t(`${p}.password`), t })}
+          ${field('wan-pppoeServiceName', 'pppoeServiceName', t(`${p}.serviceName`))}
+          <p class="field-hint">${t(`${p}.serviceNameHint`)}</p>
+        </fieldset>
+
+        <fieldset class="fieldset">
+          <legend class="card-header">${t(`${p}.advanced`)}</legend>
+          <div class="field">
+            <label class="label" for="wan-mtu">${t(`${p}.mtu`)}</label>
+            <input id="wan-mtu" name="mtu" class="input" type="number" min="${MTU_MIN}" max="${MTU_MAX}" step="1" />
+            <p class="field-hint">${t(`${p}.mtuHint`, { min: MTU_MIN, max: MTU_MAX, pppoe: MTU_MAX_PPPOE })}</p>
+            <p class="field-error" id="wan-mtu-error" data-error-for="mtu" hidden></p>
+          </div>
+          <label class="choice">
+            <input type="checkbox" name="macCloneEnabled" />
+            <span>${t(`${p}.macClone`)}</span>
+          </label>
+          ${field('wan-macAddress', 'macAddress', t(`${p}.macAddress`), { placeholder: 'AA:BB:CC:DD:EE:FF', attrs: 'data-requires="macCloneEnabled"' })}
+        </fieldset>
+
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary">${t('forms.save')}</button>
+          <button type="reset" class="btn btn-ghost">${t('forms.reset')}</button>
+          <span class="form-status" data-role="form-status" role="status"></span>
+        </div>
+      </form>
+    </section>
+  `;
+
+  const form = qs('form', container);
+  bindPasswordFields(form, t);
+  mountSettingsForm(form, {
+    section: 'wan',
+    t,
+    router,
+    validate,
+    toModel,
+    onValues: (values) => syncVisibility(form, values),
+  });
+}
@@ -0,0 +1,181 @@
+//
+// Basic Settings > WLAN: per-radio (2.4/5/6 GHz) SSID, security, passphrase,
+// channel and width, plus hidden-SSID and guest network toggles.
+// Passphrase rules follow the selected security mode (see validators.wpaPassphrase).
+//
+
+import { qs, qsa } from '../utils/dom.js';
+import { ssid, wpaPassphrase } from '../utils/validators.js';
+import { mountSettingsForm } from '../components/settings-form.js';
+import { passwordField, bindPasswordFields, refreshPasswordMeters } from '../components/password-field.js';
+
+const RADIOS = Object.freeze([
+  {
+    id: 'radio0',
+    band: '2.4 GHz',
+    channels: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    widths: [20, 40],
+    securities: ['wpa2', 'wpa2-wpa3', 'wpa3'],
+  },
+  {
+    id: 'radio1',
+    band: '5 GHz',
+    channels: [36, 40, 44, 48, 52, 56, 60, 64, 100, 104, 108, 112, 116, 120, 124, 128, 132, 136, 140, 149, 153, 157, 161, 165],
+    widths: [20, 40, 80, 160],
+    securities: ['wpa2', 'wpa2-wpa3', 'wpa3'],
+  },
+  {
+    // 6 GHz operation requires WPA3 (SAE); legacy modes are not offered.
+    id: 'radio2',
+    band: '6 GHz',
+    channels: Array.from({ length: 59 }, (_, i) => 1 + i * 4),
+    widths: [20, 40, 80, 160],
+    securities: ['wpa3'],
+  },
+]);
+
+const FIELDS = Object.freeze(['enabled', 'ssid', 'security', 'passphrase', 'channel', 'channelWidth', 'hidden', 'guest']);
+
+function name(radioId, key) {
+  return `${radioId}.${key}`;
+}
+
+function toValues(model) {
+  const out = {};
+  for (const radio of (model && model.radios) || []) {
+    for (const key of FIELDS) out[name(radio.id, key)] = radio[key];
+  }
+  return out;
+}
+
+function toModel(values) {
+  return {
+    radios: RADIOS.map(({ id, band }) => {
+      const radio = { id, band };
+      for (const key of FIELDS) radio[key] = values[name(id, key)];
+      radio.channel = radio.channel === 'auto' ? 'auto' : Number(radio.channel);
+      radio.channelWidth = Number(radio.channelWidth);
+      return radio;
+    }),
+  };
+}
+
+function validate(values) {
+  const errors = {};
+  for (const { id } of RADIOS) {
+    const enabled = !!values[name(id, 'enabled')];
+    errors[name(id, 'ssid')] = enabled ? ssid(values[name(id, 'ssid')]) : null;
+    errors[name(id, 'passphrase')] = enabled
+      ? wpaPassphrase(values[name(id, 'passphrase')], values[name(id, 'security')])
+      : null;
+  }
+  return errors;
+}
+
+/**
+ * Disable a radio's settings while it is off and show the passphrase rule for its security mode.
+ */
+function syncRadios(form, values, t) {
+  for (const { id } of RADIOS) {
+    const enabled = !!values[name(id, 'enabled')];
+    const fs = qs(`fieldset[data-radio="${id}"]`, form);
+    for (const el of qsa('input, select, button[data-action="reveal"]', fs)) {
+      if (el.name !== name(id, 'enabled')) el.disabled = !enabled;
+    }
+    const hint = qs('[data-role="password-hint"]', fs);
+    if (hint) hint.textContent = t(`pages.basicSettings.wlan.passphraseRules.${values[name(id, 'security')] || 'wpa2'}`);
+  }
+  refreshPasswordMeters(form, t);
+}
+
+function radioFieldset(radio, t) {
+  const p = 'pages.basicSettings.wlan';
+  const f = (key) => name(radio.id, key);
+  const id = (key) => `wlan-${radio.id}-${key}`;
+  const channelOptions = [`<option value="auto">${t(`${p}.auto`)}</option>`]
+    .concat(radio.channels.map((c) => `<option value="${c}">${c}</option>`))
+    .join('');
+  const widthOptions = radio.widths.map((w) => `<option value="${w}">${w} MHz</option>`).join('');
+  const securityOptions = radio.securities.map((s) => `<option value="${s}">${t(`${p}.securities.${s}`)}</option>`).join('');
+
+  return `
+    <fieldset class="card" data-radio="${radio.id}">
+      <legend class="u-visually-hidden">${radio.band}</legend>
+      <div class="card-header" aria-hidden="true">${radio.band}</div>
+      <label class="choice">
+        <input type="checkbox" name="${f('enabled')}" />
+        <span>${t(`${p}.enabled`)}</span>
+      </label>
+      <div class="field">
+        <label class="label" for="${id('ssid')}">${t(`${p}.ssid`)}</label>
+        <input id="${id('ssid')}" name="${f('ssid')}" class="input" autocomplete="off" maxlength="32" />
+        <p class="field-error" id="${id('ssid')}-error" data-error-for="${f('ssid')}" hidden></p>
+      </div>
+      <div class="field">
+        <label class="label" for="${id('security')}">${t(`${p}.security`)}</label>
+        <select id="${id('security')}" name="${f('security')}" class="select">${securityOptions}</select>
+      </div>
+      ${passwordField({ id: id('passphrase'), name: f('passphrase'), label: t(`${p}.passphrase`), t, meter: true, hint: '' })}
+      <div class="field">
+        <label class="label" for="${id('channel')}">${t(`${p}.channel`)}</label>
+        <select id="${id('channel')}" name="${f('channel')}" class="select">${channelOptions}</select>
+      </div>
+      <div class="field">
+        <label class="label" for="${id('channelWidth')}">${t(`${p}.channelWidth`)}</label>
+        <select id="${id('channelWidth')}" name="${f('channelWidth')}" class="select">${widthOptions}</select>
+      </div>
+      <label class="choice">
+        <input type="checkbox" name="${f('hidden')}" />
+        <span>${t(`${p}.hidden`)}</span>
+      </label>
+      <label class="choice">
+        <input type="checkbox" name="${f('guest')}" />
+        <span>${t(`${p}.guest`)}</span>
+      </label>
+    </fieldset>
+  `;
+}
+
+// PUBLIC_INTERFACE
+export function validateSettings(model) {
+  /** Field errors the wireless form would show for this "wlan" model. */
+  return validate(toValues(model));
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the WLAN settings form (one section per radio) bound to the "wlan" settings section. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="basic-wlan-title">
+      <div class="card">
+        <div class="card-header" id="basic-wlan-title">${t('pages.basicSettings.wlan.title')}</div>
+        <p class="u-muted">${t('pages.basicSettings.wlan.subtitle')}</p>
+      </div>
+
+      <form class="u-spacing" novalidate aria-labelledby="basic-wlan-title">
+        ${RADIOS.map((r) => radioFieldset(r, t)).join('')}
+        <div class="card">
+          <div class="form-actions" style="margin-top: 0;">
+            <button type="submit" class="btn btn-primary">${t('forms.save')}</button>
+            <button type="reset" class="btn btn-ghost">${t('forms.reset')}</button>
+            <span class="form-status" data-role="form-status" role="status"></span>
+          </div>
+        </div>
+      </form>
+    </section>
+  `;
+
+  const form = qs('form', container);
+  bindPasswordFields(form, t);
+  mountSettingsForm(form, {
+    section: 'wlan',
+    t,
+    router,
+    validate,
+    toValues,
+    toModel,
+    onValues: (values) => syncRadios(form, values, t),
+  });
+}
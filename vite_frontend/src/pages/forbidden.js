@@ -0,0 +1,32 @@
+//
+// 403 page: the router sends signed-in users here when their role lacks the permission a
+// route requires (src/services/access.js); ?path= names the page they asked for.
+//
+
+import { escapeHtml } from '../utils/dom.js';
+import { roleLabel, routePermission } from '../services/access.js';
+import { getSession } from '../services/auth.js';
+
+// PUBLIC_INTERFACE
+export function render(container, params = {}, i18n = { t: (s) => s }) {
+  /** Render the access denied message for params.path and the current role. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.forbidden';
+  const path = params && typeof params.path === 'string' ? params.path : '';
+  const permission = path ? routePermission(path) : null;
+  const session = getSession();
+
+  container.innerHTML = `
+    <section class="card" aria-labelledby="forbidden-title">
+      <div class="card-header" id="forbidden-title">${t(`${p}.title`)}</div>
+      <p>${path ? t(`${p}.message`, { path: `<code>${escapeHtml(path)}</code>` }) : t(`${p}.generic`)}</p>
+      ${permission ? `<p class="u-muted">${t(`${p}.required`, {
+        permission: escapeHtml(t(`permissions.${permission}`)),
+        role: session ? escapeHtml(roleLabel({ id: session.role, name: session.roleName }, t)) : '—',
+      })}</p>` : ''}
+      <div style="margin-top: var(--space-6);">
+        <a class="btn btn-primary" href="#/home">${t(`${p}.home`)}</a>
+      </div>
+    </section>
+  `;
+}
@@ -0,0 +1,103 @@
+//
+// Login page: the only route reachable without a session. Signs in through the auth
+// service (src/services/auth.js) and then continues to the page the router redirected
+// from (?next=...), or /home.
+//
+
+import { qs } from '../utils/dom.js';
+import { passwordField, bindPasswordFields } from '../components/password-field.js';
+import { login, hasValidSession } from '../services/auth.js';
+
+function setStatus(el, kind, message) {
+  el.textContent = message || '';
+  el.className = ['form-status', kind ? `is-${kind}` : ''].join(' ').trim();
+}
+
+/**
+ * Where to go after signing in: an in-app path from ?next, never back to the login page.
+ */
+function nextPath(params) {
+  const next = params && typeof params.next === 'string' ? params.next : '';
+  return next.startsWith('/') && !next.startsWith('/login') ? next : '/home';
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the sign-in form; an already signed-in user is sent straight on. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.login';
+  const go = () => {
+    if (typeof router?.navigate === 'function') router.navigate(nextPath(params), { replace: true });
+  };
+
+  if (hasValidSession()) {
+    go();
+    return;
+  }
+
+  container.innerHTML = `
+    <section class="login" aria-labelledby="login-title">
+      <form class="card login-card" novalidate>
+        <div class="card-header" id="login-title">${t(`${p}.title`)}</div>
+        <p class="u-muted">${t(`${p}.subtitle`)}</p>
+        <div class="field">
+          <label class="label" for="login-username">${t(`${p}.username`)}</label>
+          <input id="login-username" name="username" class="input" type="text" autocomplete="username"
+            autocapitalize="none" spellcheck="false" />
+          <p class="field-error" data-error-for="username" hidden></p>
+        </div>
+        ${passwordField({ id: 'login-password', name: 'password', label: t(`${p}.password`), t, autocomplete: 'current-password' })}
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary">${t(`${p}.submit`)}</button>
+          <span class="form-status" role="status"></span>
+        </div>
+      </form>
+    </section>
+  `;
+
+  const form = qs('form', container);
+  const submit = qs('button[type="submit"]', form);
+  const status = qs('.form-status', form);
+  bindPasswordFields(form, t);
+
+  const showError = (name, message) => {
+    const input = qs(`[name="${name}"]`, form);
+    const error = qs(`[data-error-for="${name}"]`, form);
+    error.textContent = message || '';
+    error.hidden = !message;
+    if (message) input.setAttribute('aria-invalid', 'true');
+    else input.removeAttribute('aria-invalid');
+  };
+
+  form.addEventListener('submit', async (evt) => {
+    evt.preventDefault();
+    const username = form.elements.username.value.trim();
+    const password = form.elements.password.value;
+    showError('username', username ? null : t('validation.required'));
+    showError('password', password ? null : t('validation.required'));
+    if (!username || !password) {
+      qs('[aria-invalid="true"]', form).focus();
+      return;
+    }
+
+    submit.disabled = true;
+    setStatus(status, null, t(`${p}.signingIn`));
+    try {
+      await login(username, password);
+      if (!form.isConnected) return;
+      go();
+    } catch (err) {
+      if (!form.isConnected) return;
+      submit.disabled = false;
+      if (err && err.code === 'invalid-credentials') {
+        setStatus(status, 'error', t(`${p}.invalid`));
+        form.elements.password.value = '';
+        form.elements.password.focus();
+      } else {
+        setStatus(status, 'error', err && err.message ? err.message : t(`${p}.failed`));
+      }
+    }
+  });
+
+  qs('#login-username', form).focus();
+}
@@ -0,0 +1,328 @@
+//
+// Management > Backup / Restore: download the whole device configuration as a versioned
+// JSON file, or load such a file and preview, setting by setting, what restoring it would
+// change before anything is written. Document format and checks live in
+// services/config-backup.js; each section is also held to its settings page's own
+// validation (validateSettings), so a file the forms would refuse is refused here too.
+// Only sections the session may edit (access.sectionPermission) can be chosen and restored;
+// changes to the others are listed, marked as not permitted.
+//
+
+import { qs, qsa, delegate, escapeHtml } from '../utils/dom.js';
+import { formatTimestamp } from '../utils/format.js';
+import {
+  exportConfiguration,
+  backupFileName,
+  parseBackup,
+  checkBackup,
+  diffConfiguration,
+  restoreConfiguration,
+  SETTINGS_SECTIONS,
+} from '../services/config-backup.js';
+import { can, sectionPermission } from '../services/access.js';
+import * as LanView from './basic-lan.js';
+import * as WanView from './basic-wan.js';
+import * as WlanView from './basic-wlan.js';
+import * as DhcpView from './basic-dhcp.js';
+import * as DdnsView from './advanced-ddns.js';
+import * as DmzView from './advanced-dmz.js';
+import * as PortForwardingView from './advanced-port-forwarding.js';
+import * as FirewallView from './advanced-firewall.js';
+import * as NtpView from './management-ntp.js';
+import * as SshView from './management-ssh.js';
+
+// Real backups are a few KiB; anything far larger is not one.
+const MAX_BACKUP_BYTES = 1024 * 1024;
+// Matched against the setting path; only text values are secrets (not e.g. ssh.passwordAuth).
+const SECRET_PATTERN = /password|passphrase/i;
+
+// Per-section value checks for config-backup (UPnP has only switches).
+const SETTINGS_CHECKS = Object.freeze({
+  lan: LanView.validateSettings,
+  wan: WanView.validateSettings,
+  wlan: WlanView.validateSettings,
+  dhcp: DhcpView.validateSettings,
+  ddns: DdnsView.validateSettings,
+  dmz: DmzView.validateSettings,
+  portForwarding: PortForwardingView.validateSettings,
+  firewall: FirewallView.validateSettings,
+  ntp: NtpView.validateSettings,
+  ssh: SshView.validateSettings,
+});
+
+function confirmAction(message) {
+  const g = typeof globalThis !== 'undefined' ? globalThis : {};
+  return typeof g.confirm === 'function' ? g.confirm(message) : true;
+}
+
+/**
+ * Message for a config-backup error; a failed value check also says what is wrong with it.
+ */
+function backupErrorText(error, t) {
+  const vars = error.cause ? { ...error.vars, reason: t(error.cause.key, error.cause.vars) } : error.vars;
+  return t(error.key, vars);
+}
+
+function setStatus(el, kind, message) {
+  el.textContent = message || '';
+  el.className = ['form-status', kind ? `is-${kind}` : ''].join(' ').trim();
+}
+
+/**
+ * Offer a JSON document as a file download through a temporary object URL.
+ */
+function downloadJson(data, fileName) {
+  const g = globalThis;
+  if (!g.Blob || !g.URL || typeof g.URL.createObjectURL !== 'function') return false;
+  const url = g.URL.createObjectURL(new g.Blob([`${JSON.stringify(data, null, 2)}\n`], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.hidden = true;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  g.setTimeout(() => g.URL.revokeObjectURL(url), 0);
+  return true;
+}
+
+function valueText(value, path, t) {
+  const p = 'pages.management.backup';
+  if (value === undefined) return `<span class="u-muted">${t(`${p}.notSet`)}</span>`;
+  if (typeof value === 'string' && value !== '' && SECRET_PATTERN.test(path)) return `<span aria-label="${t(`${p}.hiddenValue`)}">••••••</span>`;
+  if (value === null || value === '') return `<span class="u-muted">${t(`${p}.empty`)}</span>`;
+  if (typeof value === 'boolean') return t(`${p}.${value ? 'on' : 'off'}`);
+  if (Array.isArray(value)) return value.length ? `<code>${escapeHtml(value.join(', '))}</code>` : `<span class="u-muted">${t(`${p}.empty`)}</span>`;
+  return `<code>${escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value))}</code>`;
+}
+
+function mayRestore(section) {
+  return can(sectionPermission(section));
+}
+
+function diffRows(changes, t) {
+  const p = 'pages.management.backup';
+  return changes.map((c) => `
+    <tr data-section="${escapeHtml(c.section)}"${mayRestore(c.section) ? '' : ' data-denied'}>
+      <td>
+        ${t(`${p}.sections.${c.section}`)}
+        ${mayRestore(c.section) ? '' : `<span class="badge secondary">${t(`${p}.notPermitted`)}</span>`}
+      </td>
+      <td><code>${escapeHtml(c.path)}</code></td>
+      <td>${valueText(c.before, c.path, t)}</td>
+      <td>${valueText(c.after, c.path, t)}</td>
+    </tr>`).join('');
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }) {
+  /** Render the configuration export card and the restore flow (file check, diff preview, apply). */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.management.backup';
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="backup-title">
+      <div class="card">
+        <div class="card-header" id="backup-title">${t(`${p}.title`)}</div>
+        <p class="u-muted">${t(`${p}.subtitle`)}</p>
+      </div>
+
+      <div class="card" data-role="export">
+        <div class="card-header">${t(`${p}.export`)}</div>
+        <p>${t(`${p}.exportHint`)}</p>
+        <div class="callout warning">
+          <div class="callout-title">${t(`${p}.secretsTitle`)}</div>
+          <p>${t(`${p}.secrets`)}</p>
+        </div>
+        <div class="form-actions">
+          <button type="button" class="btn btn-primary" data-action="export">${t(`${p}.download`)}</button>
+          <span class="form-status" data-role="export-status" role="status"></span>
+        </div>
+      </div>
+
+      <div class="card" data-role="restore">
+        <div class="card-header">${t(`${p}.restore`)}</div>
+        <div class="field">
+          <label class="label" for="backup-file">${t(`${p}.file`)}</label>
+          <input id="backup-file" name="backup" type="file" class="input" accept="application/json,.json"
+            aria-describedby="backup-file-hint" />
+          <p class="field-hint" id="backup-file-hint">${t(`${p}.fileHint`)}</p>
+          <p class="field-error" data-error-for="backup" role="alert" hidden></p>
+        </div>
+
+        <div data-role="preview" hidden>
+          <p data-role="summary"></p>
+          <fieldset class="fieldset" data-role="section-choices">
+            <legend class="label">${t(`${p}.sectionsLabel`)}</legend>
+            <div class="choice-group"></div>
+          </fieldset>
+          <p class="u-muted" data-role="unchanged"></p>
+          <div style="overflow:auto;">
+            <table class="table" aria-label="${t(`${p}.changes`)}">
+              <thead>
+                <tr>
+                  <th scope="col">${t(`${p}.section`)}</th>
+                  <th scope="col">${t(`${p}.setting`)}</th>
+                  <th scope="col">${t(`${p}.current`)}</th>
+                  <th scope="col">${t(`${p}.fromBackup`)}</th>
+                </tr>
+              </thead>
+              <tbody></tbody>
+            </table>
+          </div>
+        </div>
+
+        <div class="form-actions">
+          <button type="button" class="btn btn-primary" data-action="apply" disabled>${t(`${p}.apply`)}</button>
+          <span class="form-status" data-role="restore-status" role="status"></span>
+        </div>
+      </div>
+    </section>
+  `;
+
+  const exportCard = qs('[data-role="export"]', container);
+  const restoreCard = qs('[data-role="restore"]', container);
+  const fileInput = qs('input[name="backup"]', restoreCard);
+  const fileError = qs('[data-error-for="backup"]', restoreCard);
+  const preview = qs('[data-role="preview"]', restoreCard);
+  const choices = qs('[data-role="section-choices"] .choice-group', restoreCard);
+  const applyBtn = qs('button[data-action="apply"]', restoreCard);
+  const restoreStatus = qs('[data-role="restore-status"]', restoreCard);
+
+  // The loaded backup and the changes it would make against the current settings.
+  const state = { backup: null, changes: [], busy: false };
+
+  const selectedSections = () => qsa('input[name="section"]', choices).filter((el) => el.checked).map((el) => el.value);
+
+  const showFileError = (message) => {
+    fileError.textContent = message || '';
+    fileError.hidden = !message;
+    if (message) fileInput.setAttribute('aria-invalid', 'true');
+    else fileInput.removeAttribute('aria-invalid');
+  };
+
+  const updateApply = () => {
+    const selected = selectedSections();
+    applyBtn.disabled = state.busy || !state.backup || selected.length === 0;
+    for (const row of qsa('tbody tr', preview)) {
+      row.hidden = !row.hasAttribute('data-denied') && !selected.includes(row.getAttribute('data-section'));
+    }
+  };
+
+  const paintPreview = () => {
+    const { backup, changes } = state;
+    const changed = SETTINGS_SECTIONS.filter((s) => changes.some((c) => c.section === s));
+    const allowed = changed.filter(mayRestore);
+    const denied = changed.filter((s) => !mayRestore(s));
+    const absent = SETTINGS_SECTIONS.filter((s) => !backup.settings[s]);
+    const exportedAt = Date.parse(backup.exportedAt);
+
+    qs('[data-role="summary"]', preview).textContent = t(`${p}.summary`, {
+      date: Number.isFinite(exportedAt) ? formatTimestamp(exportedAt) : '—',
+      firmware: backup.firmware || '—',
+      count: changes.length,
+      sections: changed.length,
+    });
+    choices.innerHTML = allowed.map((section) => `
+      <label class="choice">
+        <input type="checkbox" name="section" value="${escapeHtml(section)}" checked />
+        <span>${t(`${p}.sections.${section}`)} (${changes.filter((c) => c.section === section).length})</span>
+      </label>`).join('');
+    qs('[data-role="section-choices"]', preview).hidden = allowed.length === 0;
+    qs('[data-role="unchanged"]', preview).textContent = [
+      changed.length === 0 ? t(`${p}.noChanges`) : '',
+      denied.length ? t(`${p}.denied`, { sections: denied.map((s) => t(`${p}.sections.${s}`)).join(', ') }) : '',
+      absent.length ? t(`${p}.absent`, { sections: absent.map((s) => t(`${p}.sections.${s}`)).join(', ') }) : '',
+    ].filter(Boolean).join(' ');
+    qs('tbody', preview).innerHTML = diffRows(changes, t);
+    preview.hidden = false;
+    updateApply();
+  };
+
+  /**
+   * Re-read the device settings and compare them with the loaded backup.
+   */
+  const refreshDiff = async () => {
+    const current = (await exportConfiguration()).settings;
+    const result = parseBackup(JSON.stringify(state.backup), current, SETTINGS_CHECKS);
+    if (result.error) throw new Error(backupErrorText(result.error, t));
+    state.changes = diffConfiguration(current, state.backup);
+  };
+
+  const loadFile = async (file) => {
+    Object.assign(state, { backup: null, changes: [] });
+    preview.hidden = true;
+    showFileError(null);
+    setStatus(restoreStatus, null, '');
+    updateApply();
+    if (!file) return;
+    if (file.size > MAX_BACKUP_BYTES) {
+      showFileError(t('validation.backupTooLarge'));
+      return;
+    }
+
+    setStatus(restoreStatus, null, t(`${p}.checking`));
+    try {
+      const [text, { settings: current }] = await Promise.all([file.text(), exportConfiguration()]);
+      const result = parseBackup(text, current, SETTINGS_CHECKS);
+      if (!restoreCard.isConnected) return;
+      setStatus(restoreStatus, null, '');
+      if (result.error) {
+        showFileError(backupErrorText(result.error, t));
+        return;
+      }
+      state.backup = result.backup;
+      state.changes = diffConfiguration(current, result.backup);
+      paintPreview();
+    } catch (err) {
+      setStatus(restoreStatus, 'error', err && err.message ? err.message : t('common.loadError'));
+    }
+  };
+
+  fileInput.addEventListener('change', () => loadFile(fileInput.files && fileInput.files[0]));
+  choices.addEventListener('change', updateApply);
+
+  delegate(exportCard, 'click', 'button[data-action="export"]', async (evt, target) => {
+    const status = qs('[data-role="export-status"]', exportCard);
+    target.disabled = true;
+    setStatus(status, null, t(`${p}.exporting`));
+    try {
+      const backup = await exportConfiguration();
+      const name = backupFileName(backup);
+      if (!downloadJson(backup, name)) throw new Error(t(`${p}.downloadUnsupported`));
+      setStatus(status, 'success', t(`${p}.exported`, { file: name }));
+    } catch (err) {
+      setStatus(status, 'error', err && err.message ? err.message : t(`${p}.exportFailed`));
+    } finally {
+      target.disabled = false;
+    }
+  });
+
+  delegate(restoreCard, 'click', 'button[data-action="apply"]', async () => {
+    const sections = selectedSections().filter(mayRestore);
+    if (!state.backup || !sections.length) return;
+    const names = sections.map((s) => t(`${p}.sections.${s}`)).join(', ');
+    if (!confirmAction(t(`${p}.confirm`, { sections: names }))) return;
+
+    state.busy = true;
+    fileInput.disabled = true;
+    updateApply();
+    setStatus(restoreStatus, null, t(`${p}.restoring`));
+    try {
+      // Only part of the backup may be chosen, e.g. DHCP without the LAN it was made for.
+      const error = checkBackup(state.backup, (await exportConfiguration()).settings, SETTINGS_CHECKS, sections);
+      if (error) throw new Error(backupErrorText(error, t));
+      const written = await restoreConfiguration(state.backup, sections);
+      await refreshDiff();
+      if (!restoreCard.isConnected) return;
+      paintPreview();
+      setStatus(restoreStatus, 'success', t(`${p}.restored`, { sections: written.map((s) => t(`${p}.sections.${s}`)).join(', ') }));
+    } catch (err) {
+      setStatus(restoreStatus, 'error', err && err.message ? err.message : t(`${p}.restoreFailed`));
+    } finally {
+      state.busy = false;
+      fileInput.disabled = false;
+      updateApply();
+    }
+  });
+}
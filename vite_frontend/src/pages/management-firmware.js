@@ -0,0 +1,330 @@
+//
+// Management > Firmware Upgrade: pick a sysupgrade image (drop it or browse), check it
+// locally — size against the flash partition, SHA-256 against a pasted checksum — and
+// upload it through the device provider with a progress bar. While the device flashes
+// and reboots, a countdown runs and the provider is polled until the device answers again.
+//
+
+import { qs, qsa } from '../utils/dom.js';
+import { formatBytes } from '../utils/format.js';
+import { imageVersion, normalizeSha256, sha256Hex } from '../utils/firmware.js';
+import { startRouteInterval } from '../utils/route-timer.js';
+import { icon } from '../components/icons.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+
+const ROUTE_PATH = '/management/firmware';
+// While waiting for the reboot, probe the device at most this often.
+const PROBE_INTERVAL_MS = 3000;
+
+// Stops the reboot countdown of the currently mounted view, if any.
+let _stopActive = null;
+
+function confirmAction(message) {
+  const g = typeof globalThis !== 'undefined' ? globalThis : {};
+  return typeof g.confirm === 'function' ? g.confirm(message) : true;
+}
+
+function setStatus(el, kind, message) {
+  el.textContent = message || '';
+  el.className = ['form-status', kind ? `is-${kind}` : ''].join(' ').trim();
+}
+
+function setFieldError(form, name, message) {
+  const el = qs(`[data-error-for="${name}"]`, form);
+  el.textContent = message || '';
+  el.hidden = !message;
+  const input = qs(`[name="${name}"]`, form);
+  if (message) input.setAttribute('aria-invalid', 'true');
+  else input.removeAttribute('aria-invalid');
+}
+
+/**
+ * Card with the installed firmware; load() resolves with the provider's info or null.
+ */
+function createCurrentCard(card, t) {
+  const p = 'pages.management.firmware';
+  const show = (role, text) => {
+    qs(`[data-role="${role}"]`, card).textContent = text;
+  };
+
+  const paint = (info) => {
+    show('current-version', info.version);
+    show('current-revision', info.revision || '—');
+    show('board', info.board || '—');
+    show('max-size', formatBytes(info.maxImageBytes));
+  };
+
+  const load = async () => {
+    try {
+      const info = await getDeviceProvider().getFirmwareInfo();
+      if (card.isConnected) paint(info);
+      return info;
+    } catch (err) {
+      show('current-version', err && err.message ? err.message : t(`${p}.loadFailed`));
+      return null;
+    }
+  };
+
+  return { load, paint };
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the firmware upgrade flow: current version, image checks, upload progress and reboot wait. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.management.firmware';
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="fw-title">
+      <div class="card">
+        <div class="card-header" id="fw-title">${t(`${p}.title`)}</div>
+        <p class="u-muted">${t(`${p}.subtitle`)}</p>
+      </div>
+
+      <div class="card" data-role="current">
+        <div class="card-header">${t(`${p}.current`)}</div>
+        <dl class="kv">
+          <dt>${t(`${p}.version`)}</dt><dd data-role="current-version">${t('common.loading')}</dd>
+          <dt>${t(`${p}.revision`)}</dt><dd data-role="current-revision"></dd>
+          <dt>${t(`${p}.board`)}</dt><dd data-role="board"></dd>
+          <dt>${t(`${p}.maxSize`)}</dt><dd data-role="max-size"></dd>
+        </dl>
+      </div>
+
+      <form class="card" novalidate aria-labelledby="fw-upload-title">
+        <div class="card-header" id="fw-upload-title">${t(`${p}.upload`)}</div>
+        <div class="field">
+          <input id="fw-image" name="image" type="file" class="u-visually-hidden" accept=".bin,.img,.itb,.trx,.gz"
+            aria-describedby="fw-image-hint" />
+          <label class="dropzone" data-role="dropzone" for="fw-image">
+            ${icon('firmware', { width: 28, height: 28 })}
+            <span class="dropzone-title">${t(`${p}.dropTitle`)}</span>
+            <span class="field-hint" id="fw-image-hint">${t(`${p}.dropHint`)}</span>
+          </label>
+          <p class="field-error" data-error-for="image" role="alert" hidden></p>
+        </div>
+
+        <dl class="kv" data-role="file-details" hidden>
+          <dt>${t(`${p}.fileName`)}</dt><dd data-role="file-name"></dd>
+          <dt>${t(`${p}.fileSize`)}</dt><dd data-role="file-size"></dd>
+          <dt>${t(`${p}.fileVersion`)}</dt><dd data-role="file-version"></dd>
+          <dt>SHA-256</dt><dd><code data-role="file-hash" style="word-break: break-all;"></code></dd>
+        </dl>
+
+        <div class="field">
+          <label class="label" for="fw-hash">${t(`${p}.expectedHash`)}</label>
+          <input id="fw-hash" name="expectedHash" class="input" type="text" spellcheck="false" autocomplete="off"
+            aria-describedby="fw-hash-hint" style="font-family: monospace; max-width: 100%;" />
+          <p class="field-hint" id="fw-hash-hint">${t(`${p}.expectedHashHint`)}</p>
+          <p class="field-error" data-error-for="expectedHash" hidden></p>
+          <p class="form-status is-success" data-role="hash-match" hidden>${t(`${p}.checksumMatches`)}</p>
+        </div>
+
+        <label class="choice">
+          <input type="checkbox" name="keepSettings" checked />
+          <span>${t(`${p}.keepSettings`)}</span>
+        </label>
+        <p class="field-hint">${t(`${p}.keepSettingsHint`)}</p>
+
+        <div class="upload-progress" data-role="progress" hidden>
+          <progress max="100" value="0" aria-labelledby="fw-progress-label"></progress>
+          <span id="fw-progress-label" data-role="progress-label"></span>
+        </div>
+
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary" disabled>${t(`${p}.flash`)}</button>
+          <span class="form-status" data-role="form-status" role="status"></span>
+        </div>
+      </form>
+
+      <div class="card" data-role="reboot" hidden>
+        <div class="card-header">${t(`${p}.rebootTitle`)}</div>
+        <p class="form-status" data-role="reboot-status" role="status"></p>
+        <div class="upload-progress">
+          <progress data-role="reboot-progress" max="1" value="0" aria-label="${t(`${p}.rebootTitle`)}"></progress>
+          <span data-role="countdown" aria-live="off"></span>
+        </div>
+      </div>
+    </section>
+  `;
+
+  const form = qs('form', container);
+  const dropzone = qs('[data-role="dropzone"]', form);
+  const fileInput = qs('input[name="image"]', form);
+  const hashInput = qs('input[name="expectedHash"]', form);
+  const keepInput = qs('input[name="keepSettings"]', form);
+  const submitBtn = qs('button[type="submit"]', form);
+  const formStatus = qs('[data-role="form-status"]', form);
+  const details = qs('[data-role="file-details"]', form);
+  const hashMatch = qs('[data-role="hash-match"]', form);
+  const progress = qs('[data-role="progress"]', form);
+  const rebootCard = qs('[data-role="reboot"]', container);
+  const current = createCurrentCard(qs('[data-role="current"]', container), t);
+
+  // phase: 'select' -> 'uploading' -> 'rebooting' -> 'done'
+  const state = { phase: 'select', info: null, file: null, hash: null, hashing: false };
+  let generation = 0;
+
+  const detail = (role, text) => {
+    qs(`[data-role="${role}"]`, details).textContent = text;
+  };
+
+  /**
+   * Re-check the selected image and the pasted checksum; upload is only possible
+   * when both pass. An empty checksum is allowed (the image is then unverified).
+   */
+  const update = () => {
+    const { file, info, hash } = state;
+    let fileError = null;
+    if (file && info && file.size > info.maxImageBytes) {
+      fileError = t('validation.firmwareTooLarge', { max: formatBytes(info.maxImageBytes) });
+    } else if (file && file.size === 0) {
+      fileError = t('validation.firmwareEmpty');
+    }
+
+    const expected = normalizeSha256(hashInput.value);
+    let hashError = null;
+    if (expected === null) hashError = t('validation.sha256');
+    else if (expected && hash === '') hashError = t('validation.checksumUnavailable');
+    else if (expected && hash && expected !== hash) hashError = t('validation.checksumMismatch');
+
+    setFieldError(form, 'image', fileError);
+    setFieldError(form, 'expectedHash', hashError);
+    hashMatch.hidden = !(expected && hash && expected === hash);
+    submitBtn.disabled = state.phase !== 'select' || !file || state.hashing || !!fileError || !!hashError;
+  };
+
+  const selectFile = async (file) => {
+    if (!file || state.phase !== 'select') return;
+    const currentGeneration = ++generation;
+    Object.assign(state, { file, hash: null, hashing: true });
+    setStatus(formStatus, null, '');
+    details.hidden = false;
+    detail('file-name', file.name);
+    detail('file-size', formatBytes(file.size));
+    detail('file-version', imageVersion(file.name) || t(`${p}.versionUnknown`));
+    detail('file-hash', t(`${p}.hashing`));
+    update();
+
+    let hash = '';
+    try {
+      hash = await sha256Hex(file);
+    } catch {
+      hash = '';
+    }
+    if (currentGeneration !== generation) return;
+    Object.assign(state, { hash, hashing: false });
+    detail('file-hash', hash || t(`${p}.hashUnavailable`));
+    update();
+  };
+
+  const setLocked = (locked) => {
+    for (const el of qsa('input, button', form)) el.disabled = locked;
+    dropzone.classList.toggle('is-disabled', locked);
+  };
+
+  const waitForDevice = (rebootSeconds) => {
+    const status = qs('[data-role="reboot-status"]', rebootCard);
+    const bar = qs('[data-role="reboot-progress"]', rebootCard);
+    const countdown = qs('[data-role="countdown"]', rebootCard);
+    const startedAt = Date.now();
+    let lastProbe = startedAt;
+    let probing = false;
+
+    rebootCard.hidden = false;
+    bar.max = rebootSeconds;
+    setStatus(status, null, t(`${p}.rebooting`));
+
+    const tick = async () => {
+      const elapsed = Math.floor((Date.now() - startedAt) / 1000);
+      const left = rebootSeconds - elapsed;
+      bar.value = Math.min(elapsed, rebootSeconds);
+      countdown.textContent = left > 0 ? t(`${p}.countdown`, { seconds: left }) : t(`${p}.overdue`);
+      if (probing || Date.now() - lastProbe < PROBE_INTERVAL_MS) return;
+
+      probing = true;
+      lastProbe = Date.now();
+      try {
+        const info = await getDeviceProvider().getFirmwareInfo();
+        if (_stopActive) _stopActive();
+        state.phase = 'done';
+        state.info = info;
+        current.paint(info);
+        bar.value = rebootSeconds;
+        countdown.textContent = '';
+        setStatus(status, 'success', t(`${p}.back`, { version: info.version }));
+      } catch {
+        // still rebooting; the next tick probes again
+      } finally {
+        probing = false;
+      }
+    };
+
+    if (_stopActive) _stopActive();
+    _stopActive = startRouteInterval(tick, 1000, { router, path: ROUTE_PATH, node: rebootCard });
+  };
+
+  fileInput.addEventListener('change', () => selectFile(fileInput.files && fileInput.files[0]));
+  hashInput.addEventListener('input', update);
+
+  for (const type of ['dragenter', 'dragover']) {
+    dropzone.addEventListener(type, (evt) => {
+      evt.preventDefault();
+      if (state.phase === 'select') dropzone.classList.add('is-dragover');
+    });
+  }
+  dropzone.addEventListener('dragleave', () => dropzone.classList.remove('is-dragover'));
+  dropzone.addEventListener('drop', (evt) => {
+    evt.preventDefault();
+    dropzone.classList.remove('is-dragover');
+    const files = evt.dataTransfer && evt.dataTransfer.files;
+    selectFile(files && files[0]);
+  });
+
+  form.addEventListener('submit', async (evt) => {
+    evt.preventDefault();
+    update();
+    if (submitBtn.disabled) return;
+    const keepSettings = keepInput.checked;
+    const version = imageVersion(state.file.name) || state.file.name;
+    if (!confirmAction(t(keepSettings ? `${p}.confirm` : `${p}.confirmReset`, { version }))) return;
+
+    state.phase = 'uploading';
+    setLocked(true);
+    progress.hidden = false;
+    const bar = qs('progress', progress);
+    const label = qs('[data-role="progress-label"]', progress);
+    const onProgress = (loaded, total) => {
+      const percent = total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : 0;
+      bar.value = percent;
+      label.textContent = t(`${p}.progress`, { percent, loaded: formatBytes(loaded), total: formatBytes(total) });
+    };
+    onProgress(0, state.file.size);
+    setStatus(formStatus, null, t(`${p}.uploading`));
+
+    try {
+      const { rebootSeconds } = await getDeviceProvider().uploadFirmware(state.file, { keepSettings, onProgress });
+      if (!form.isConnected) return;
+      state.phase = 'rebooting';
+      setStatus(formStatus, 'success', t(`${p}.uploaded`));
+      waitForDevice(rebootSeconds);
+    } catch (err) {
+      state.phase = 'select';
+      setLocked(false);
+      progress.hidden = true;
+      setStatus(formStatus, 'error', err && err.message ? err.message : t(`${p}.uploadFailed`));
+      update();
+    }
+  });
+
+  // Leaving mid-upload would lose track of the transfer and the reboot that follows.
+  if (router && typeof router.beforeLeave === 'function') {
+    router.beforeLeave(() => state.phase !== 'uploading' || confirmAction(t(`${p}.leaveConfirm`)));
+  }
+
+  current.load().then((info) => {
+    if (!info || state.phase !== 'select') return;
+    state.info = info;
+    update();
+  });
+}
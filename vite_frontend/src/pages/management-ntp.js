@@ -0,0 +1,320 @@
+//
+// Management > NTP: time synchronization settings (enable, ordered server list,
+// time zone) plus a live comparison of the device clock with the browser clock.
+// Servers are queried in list order; reorder them like other rule tables.
+// The time zone picker lists every IANA zone the browser knows, with names taken
+// from the i18n dictionaries (see utils/timezones.js) and a search box that matches
+// the localized name, the IANA id or the UTC offset.
+//
+
+import { qs, delegate, escapeHtml } from '../utils/dom.js';
+import { formatTimestamp } from '../utils/format.js';
+import { listTimezones, timezoneLabel, timezoneOffset, formatInTimezone } from '../utils/timezones.js';
+import { hostname, ipv4, required } from '../utils/validators.js';
+import { startRouteInterval } from '../utils/route-timer.js';
+import { mountSettingsForm } from '../components/settings-form.js';
+import { createRowEditor, rowFieldName, readRows, withRows } from '../components/row-editor.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+import { can } from '../services/access.js';
+
+const ROUTE_PATH = '/management/ntp';
+const ROW_PREFIX = 'servers';
+const ROW_FIELDS = Object.freeze(['host']);
+// Drift below this is within what one HTTP round trip can explain.
+const DRIFT_TOLERANCE_MS = 1000;
+
+// Stops the clock ticker of the currently mounted view, if any.
+let _stopActive = null;
+
+function rowName(index) {
+  return rowFieldName(ROW_PREFIX, index, 'host');
+}
+
+/**
+ * A server is a host name or a dotted-quad address; anything made only of digits
+ * and dots is checked as an address so typos like "10.0.0" are not taken as names.
+ */
+function serverError(value) {
+  const text = String(value == null ? '' : value).trim();
+  if (!text) return required(text);
+  return /^[\d.]+$/.test(text) ? ipv4(text) : hostname(text);
+}
+
+function validate(values, zones) {
+  const errors = {
+    servers: null,
+    timezone: zones.includes(values.timezone) ? null : { key: 'validation.timezone' },
+  };
+  const rows = readRows(values, ROW_PREFIX, ROW_FIELDS);
+  if (values.enabled && rows.length === 0) errors.servers = { key: 'validation.ntpServerRequired' };
+  const seen = new Map();
+  rows.forEach((row, i) => {
+    let err = serverError(row.host);
+    const key = String(row.host).trim().toLowerCase();
+    if (!err && seen.has(key)) err = { key: 'validation.duplicateServer', vars: { row: seen.get(key) + 1 } };
+    else if (!err) seen.set(key, i);
+    errors[rowName(i)] = err;
+  });
+  return errors;
+}
+
+function toValues(model) {
+  const { servers = [], ...rest } = model || {};
+  return withRows(rest, ROW_PREFIX, ROW_FIELDS, servers.map((host) => ({ host })));
+}
+
+function toModel(values) {
+  return {
+    enabled: !!values.enabled,
+    servers: readRows(values, ROW_PREFIX, ROW_FIELDS).map((row) => String(row.host).trim()),
+    timezone: values.timezone,
+  };
+}
+
+function serverCells(index, t) {
+  const id = `ntp-server-${index}`;
+  return `
+    <td>
+      <label class="u-visually-hidden" for="${id}">${t('pages.management.ntp.server')} ${index + 1}</label>
+      <input id="${id}" name="${rowName(index)}" class="input" autocomplete="off" spellcheck="false" placeholder="pool.ntp.org" />
+      <p class="field-error" id="${id}-error" data-error-for="${rowName(index)}" hidden></p>
+    </td>`;
+}
+
+/**
+ * Searchable zone list backed by the form's "timezone" select. The selected zone always
+ * stays in the list so filtering never changes the form value.
+ */
+function createTimezonePicker(select, search, countEl, t) {
+  const now = Date.now();
+  const zones = listTimezones().map((id) => {
+    const label = timezoneLabel(id, t);
+    const offset = timezoneOffset(id, now);
+    return { id, label, offset, haystack: `${label} ${id} ${offset}`.toLowerCase().replace(/_/g, ' ') };
+  });
+  const option = (z) => `<option value="${escapeHtml(z.id)}">${escapeHtml(z.offset ? `${z.label} (${z.offset})` : z.label)}</option>`;
+
+  const filter = () => {
+    const current = select.value;
+    const terms = search.value.trim().toLowerCase().replace(/_/g, ' ').split(/\s+/).filter(Boolean);
+    const matches = zones.filter((z) => terms.every((term) => z.haystack.includes(term)));
+    const selected = zones.find((z) => z.id === current);
+    const shown = selected && !matches.includes(selected) ? [selected, ...matches] : matches;
+    select.innerHTML = shown.map(option).join('');
+    select.value = current;
+    countEl.textContent = t('pages.management.ntp.timezoneMatches', { count: matches.length });
+  };
+
+  search.addEventListener('input', filter);
+  return {
+    ids: zones.map((z) => z.id),
+    // Make sure a zone about to be selected exists as an option (the form fills values later).
+    include: (id) => {
+      if (id && ![...select.options].some((o) => o.value === id)) {
+        select.insertAdjacentHTML('afterbegin', option(zones.find((z) => z.id === id) || { id, label: id, offset: '' }));
+      }
+    },
+    filter,
+  };
+}
+
+function driftText(driftMs, t) {
+  const p = 'pages.management.ntp';
+  const seconds = (Math.abs(driftMs) / 1000).toFixed(1);
+  if (Math.abs(driftMs) < DRIFT_TOLERANCE_MS) return t(`${p}.driftInSync`, { seconds });
+  return t(driftMs > 0 ? `${p}.driftAhead` : `${p}.driftBehind`, { seconds });
+}
+
+/**
+ * Live clock card: fetches the device time once, then advances it locally every second.
+ * Drift is measured against the midpoint of the request so latency does not count.
+ */
+function createClock(card, t, router) {
+  const p = 'pages.management.ntp';
+  const deviceEl = qs('[data-role="device-time"]', card);
+  const browserEl = qs('[data-role="browser-time"]', card);
+  const driftEl = qs('[data-role="drift"]', card);
+  const lastSyncEl = qs('[data-role="last-sync"]', card);
+  let base = null;
+
+  const paint = () => {
+    const now = Date.now();
+    browserEl.textContent = formatTimestamp(now);
+    if (!base) return;
+    deviceEl.textContent = `${formatInTimezone(now + base.driftMs, base.timezone)} (${timezoneLabel(base.timezone, t)})`;
+    driftEl.textContent = driftText(base.driftMs, t);
+    driftEl.className = Math.abs(base.driftMs) < DRIFT_TOLERANCE_MS ? 'badge success' : 'badge secondary';
+    lastSyncEl.textContent = base.lastSync
+      ? t(`${p}.lastSyncAt`, { time: formatTimestamp(base.lastSync), server: base.server || '—' })
+      : t(`${p}.neverSynced`);
+  };
+
+  const load = async () => {
+    const requestedAt = Date.now();
+    const systemTime = await getDeviceProvider().getSystemTime();
+    if (!card.isConnected) return;
+    const midpoint = requestedAt + (Date.now() - requestedAt) / 2;
+    base = { ...systemTime, driftMs: systemTime.time - midpoint };
+    paint();
+  };
+
+  if (_stopActive) _stopActive();
+  _stopActive = startRouteInterval(paint, 1000, { router, path: ROUTE_PATH, node: card });
+  return { load };
+}
+
+// PUBLIC_INTERFACE
+export function validateSettings(model) {
+  /** Field errors the NTP form would show for this model; the zone must be one the runtime knows. */
+  return validate(toValues(model), listTimezones());
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the NTP settings form, the device/browser clock comparison and "sync now". */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.management.ntp';
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="ntp-title">
+      <div class="card">
+        <div class="card-header" id="ntp-title">${t(`${p}.title`)}</div>
+        <p class="u-muted">${t(`${p}.subtitle`)}</p>
+      </div>
+
+      <div class="card" data-role="clock-card">
+        <div class="card-header">${t(`${p}.clock`)}</div>
+        <dl class="kv">
+          <dt>${t(`${p}.deviceTime`)}</dt><dd data-role="device-time">${t('common.loading')}</dd>
+          <dt>${t(`${p}.browserTime`)}</dt><dd data-role="browser-time"></dd>
+          <dt>${t(`${p}.drift`)}</dt><dd><span data-role="drift"></span></dd>
+          <dt>${t(`${p}.lastSync`)}</dt><dd data-role="last-sync"></dd>
+        </dl>
+        <div class="form-actions">
+          ${can('system:edit') ? `<button type="button" class="btn btn-primary" data-action="sync">${t(`${p}.syncNow`)}</button>` : ''}
+          <span class="form-status" data-role="sync-status" role="status"></span>
+        </div>
+      </div>
+
+      <form class="card" novalidate aria-labelledby="ntp-title">
+        <label class="choice">
+          <input type="checkbox" name="enabled" />
+          <span>${t(`${p}.enabled`)}</span>
+        </label>
+
+        <div class="field">
+          <div class="label" id="ntp-servers-title">${t(`${p}.servers`)}</div>
+          <p class="field-hint">${t(`${p}.serversHint`)}</p>
+          <table class="table" aria-labelledby="ntp-servers-title">
+            <thead>
+              <tr>
+                <th scope="col"><span class="u-visually-hidden">${t(`${p}.priority`)}</span></th>
+                <th scope="col">${t(`${p}.server`)}</th>
+                <th scope="col"><span class="u-visually-hidden">${t(`${p}.actions`)}</span></th>
+              </tr>
+            </thead>
+            <tbody data-role="servers"></tbody>
+          </table>
+          <p class="field-error" id="ntp-servers-error" data-error-for="servers" role="alert" hidden></p>
+          <div class="form-actions">
+            <button type="button" class="btn btn-ghost" data-action="add-server">${t(`${p}.addServer`)}</button>
+          </div>
+        </div>
+
+        <div class="field">
+          <label class="label" for="ntp-tz-search">${t(`${p}.timezoneSearch`)}</label>
+          <input id="ntp-tz-search" type="search" class="input" data-role="tz-search" autocomplete="off"
+            aria-controls="ntp-timezone" aria-describedby="ntp-tz-count" />
+          <p class="field-hint" id="ntp-tz-count" data-role="tz-count" aria-live="polite"></p>
+          <label class="label" for="ntp-timezone">${t(`${p}.timezone`)}</label>
+          <select id="ntp-timezone" name="timezone" class="select" size="8"></select>
+          <p class="field-error" id="ntp-timezone-error" data-error-for="timezone" hidden></p>
+        </div>
+
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary">${t('forms.save')}</button>
+          <button type="reset" class="btn btn-ghost">${t('forms.reset')}</button>
+          <span class="form-status" data-role="form-status" role="status"></span>
+        </div>
+      </form>
+    </section>
+  `;
+
+  const form = qs('form', container);
+  const clockCard = qs('[data-role="clock-card"]', container);
+  const syncBtn = qs('button[data-action="sync"]', clockCard);
+  const syncStatus = qs('[data-role="sync-status"]', clockCard);
+
+  const picker = createTimezonePicker(
+    qs('[name="timezone"]', form),
+    qs('[data-role="tz-search"]', form),
+    qs('[data-role="tz-count"]', form),
+    t,
+  );
+  picker.filter();
+
+  const editor = createRowEditor(qs('[data-role="servers"]', form), {
+    prefix: ROW_PREFIX,
+    fields: ROW_FIELDS,
+    renderCells: (index) => serverCells(index, t),
+    controller: () => controller,
+    addButton: qs('[data-action="add-server"]', form),
+    reorderable: true,
+    labels: {
+      remove: t(`${p}.remove`),
+      removeRow: (row) => t(`${p}.removeRow`, { row }),
+      reorder: (row, count) => t(`${p}.reorder`, { row, count }),
+    },
+    emptyText: t(`${p}.noServers`),
+  });
+
+  const clock = createClock(clockCard, t, router);
+  const showClockError = (err) => {
+    if (!clockCard.isConnected) return;
+    qs('[data-role="device-time"]', clockCard).textContent = err && err.message ? err.message : t('common.loadError');
+  };
+
+  const controller = mountSettingsForm(form, {
+    section: 'ntp',
+    t,
+    router,
+    validate: (values) => validate(values, picker.ids),
+    // Server inputs and the saved zone's option must exist before the controller fills them.
+    toValues: (model) => {
+      editor.render(((model && model.servers) || []).length);
+      picker.include(model && model.timezone);
+      return toValues(model);
+    },
+    toModel,
+    // The clock card shows device time in the saved zone.
+    onSaved: () => clock.load().catch(showClockError),
+  });
+  clock.load().catch(showClockError);
+
+  const setSyncStatus = (kind, message) => {
+    syncStatus.textContent = message || '';
+    syncStatus.className = ['form-status', kind ? `is-${kind}` : ''].join(' ').trim();
+  };
+
+  delegate(clockCard, 'click', 'button[data-action="sync"]', async () => {
+    // The device syncs with its saved servers, so unsaved edits would be silently ignored.
+    if (controller.isDirty()) {
+      setSyncStatus('error', t(`${p}.saveFirst`));
+      return;
+    }
+    syncBtn.disabled = true;
+    setSyncStatus(null, t(`${p}.syncing`));
+    try {
+      const systemTime = await getDeviceProvider().syncTime();
+      if (!clockCard.isConnected) return;
+      // Re-read the clock with a quick request; the sync call itself is too slow to measure drift.
+      await clock.load().catch(showClockError);
+      setSyncStatus('success', t(`${p}.synced`, { server: systemTime.server || '—' }));
+    } catch (err) {
+      if (!clockCard.isConnected) return;
+      setSyncStatus('error', err && err.message ? err.message : t(`${p}.syncFailed`));
+    } finally {
+      syncBtn.disabled = false;
+    }
+  });
+}
@@ -0,0 +1,142 @@
+//
+// Management > Reboot / Reset: restart the router or return it to factory defaults.
+// Both actions ask the user to type the device name first; once the device accepts,
+// the reboot overlay counts down, waits for the device to answer again and returns
+// to /home (see components/reboot-overlay.js).
+//
+
+import { qs, qsa, delegate, escapeHtml } from '../utils/dom.js';
+import { showRebootOverlay } from '../components/reboot-overlay.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+
+// action -> provider method
+const ACTIONS = Object.freeze({
+  reboot: 'reboot',
+  reset: 'factoryReset',
+});
+
+function setStatus(el, kind, message) {
+  el.textContent = message || '';
+  el.className = ['form-status', kind ? `is-${kind}` : ''].join(' ').trim();
+}
+
+function actionCard(action, t) {
+  const p = `pages.management.reboot.${action}`;
+  const danger = action === 'reset';
+  return `
+    <div class="card" data-card="${action}">
+      <div class="card-header">${t(`${p}.title`)}</div>
+      ${danger
+        ? `<div class="callout danger"><div class="callout-title">${t(`${p}.warningTitle`)}</div><p>${t(`${p}.description`)}</p></div>`
+        : `<p>${t(`${p}.description`)}</p>`}
+      <div class="form-actions" data-role="start">
+        <button type="button" class="btn ${danger ? 'btn-secondary' : 'btn-primary'}" data-action="start" disabled>${t(`${p}.button`)}</button>
+      </div>
+      <form data-role="confirm" novalidate hidden>
+        <div class="field">
+          <label class="label" for="confirm-${action}" data-role="confirm-label"></label>
+          <input id="confirm-${action}" name="confirmName" class="input" type="text" autocomplete="off" spellcheck="false" />
+        </div>
+        <div class="form-actions" style="margin-top: 0;">
+          <button type="submit" class="btn btn-primary" disabled>${t(`${p}.confirm`)}</button>
+          <button type="button" class="btn btn-ghost" data-action="cancel">${t('pages.management.reboot.cancel')}</button>
+          <span class="form-status" data-role="status" role="status"></span>
+        </div>
+      </form>
+    </div>
+  `;
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the reboot and factory reset actions with typed confirmation and the reconnect overlay. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.management.reboot';
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="reboot-title">
+      <div class="card">
+        <div class="card-header" id="reboot-title">${t(`${p}.title`)}</div>
+        <p class="u-muted" data-role="device">${t('common.loading')}</p>
+      </div>
+      ${Object.keys(ACTIONS).map((action) => actionCard(action, t)).join('')}
+    </section>
+  `;
+
+  const section = qs('section', container);
+  let deviceName = null;
+  let busy = false;
+
+  const card = (action) => qs(`[data-card="${action}"]`, section);
+
+  const closeConfirm = (action) => {
+    const form = qs('form', card(action));
+    form.hidden = true;
+    form.reset();
+    qs('button[type="submit"]', form).disabled = true;
+    setStatus(qs('[data-role="status"]', form), null, '');
+    qs('[data-role="start"]', card(action)).hidden = false;
+  };
+
+  delegate(section, 'click', 'button[data-action="start"]', (evt, target) => {
+    const action = target.closest('[data-card]').getAttribute('data-card');
+    for (const other of Object.keys(ACTIONS)) if (other !== action) closeConfirm(other);
+    const form = qs('form', card(action));
+    qs('[data-role="confirm-label"]', form).innerHTML = t(`${p}.typeName`, { name: `<code>${escapeHtml(deviceName)}</code>` });
+    qs('[data-role="start"]', card(action)).hidden = true;
+    form.hidden = false;
+    qs('input', form).focus();
+  });
+
+  delegate(section, 'click', 'button[data-action="cancel"]', (evt, target) => {
+    closeConfirm(target.closest('[data-card]').getAttribute('data-card'));
+  });
+
+  section.addEventListener('input', (evt) => {
+    const form = evt.target.closest('form');
+    if (!form) return;
+    qs('button[type="submit"]', form).disabled = busy || evt.target.value.trim() !== deviceName;
+  });
+
+  section.addEventListener('submit', async (evt) => {
+    evt.preventDefault();
+    const form = evt.target;
+    const action = form.closest('[data-card]').getAttribute('data-card');
+    if (busy || qs('input', form).value.trim() !== deviceName) return;
+
+    const status = qs('[data-role="status"]', form);
+    const submit = qs('button[type="submit"]', form);
+    busy = true;
+    submit.disabled = true;
+    setStatus(status, null, t(`${p}.${action}.sending`));
+    try {
+      const provider = getDeviceProvider();
+      const { rebootSeconds } = await provider[ACTIONS[action]]();
+      setStatus(status, null, '');
+      showRebootOverlay({
+        t,
+        title: t(`${p}.${action}.overlayTitle`),
+        message: t(`${p}.${action}.overlayMessage`),
+        seconds: rebootSeconds,
+        probe: () => provider.getFirmwareInfo(),
+        onBack: () => {
+          if (typeof router?.navigate === 'function') router.navigate('/home');
+        },
+      });
+    } catch (err) {
+      busy = false;
+      submit.disabled = false;
+      setStatus(status, 'error', err && err.message ? err.message : t(`${p}.failed`));
+    }
+  });
+
+  getDeviceProvider().getFirmwareInfo().then((info) => {
+    if (!section.isConnected) return;
+    deviceName = info.hostname;
+    qs('[data-role="device"]', section).textContent = t(`${p}.device`, { name: info.hostname, board: info.board });
+    for (const btn of qsa('button[data-action="start"]', section)) btn.disabled = false;
+  }, (err) => {
+    if (!section.isConnected) return;
+    qs('[data-role="device"]', section).textContent = err && err.message ? err.message : t('common.loadError');
+  });
+}
@@ -0,0 +1,242 @@
+//
+// Management > SSH: SSH server (dropbear) settings — enable, listen port, password
+// login, listening interfaces — and an authorized_keys editor.
+// Pasted keys are parsed as you type; each line shows its type, size, comment and
+// SHA-256 fingerprint, or why it was rejected. Password login reachable from the WAN
+// is allowed but flagged with a prominent warning.
+//
+
+import { qs, qsa, escapeHtml } from '../utils/dom.js';
+import { integerInRange } from '../utils/validators.js';
+import { parseAuthorizedKeys, keyFingerprint } from '../utils/ssh-keys.js';
+import { mountSettingsForm } from '../components/settings-form.js';
+
+const INTERFACES = Object.freeze(['lan', 'wan']);
+
+function interfaceField(iface) {
+  return `interface${iface[0].toUpperCase()}${iface.slice(1)}`;
+}
+
+/**
+ * Key lines with their parse result; a repeated key is reported on its later line.
+ */
+function parseKeys(text) {
+  const seen = new Map();
+  return parseAuthorizedKeys(text).map((entry) => {
+    if (entry.error) return entry;
+    const tokens = entry.text.split(/\s+/);
+    const blob = tokens[tokens.indexOf(entry.key.type) + 1];
+    if (seen.has(blob)) return { ...entry, key: null, error: { key: 'validation.sshKeyDuplicate', vars: { line: seen.get(blob) } } };
+    seen.set(blob, entry.line);
+    return { ...entry, blobText: blob };
+  });
+}
+
+function validate(values) {
+  const keys = parseKeys(values.authorizedKeys);
+  const badLines = keys.filter((k) => k.error).map((k) => k.line);
+  const errors = {
+    port: values.enabled ? integerInRange(values.port, 1, 65535) : null,
+    interfaces: null,
+    authorizedKeys: null,
+  };
+  if (values.enabled && !INTERFACES.some((iface) => values[interfaceField(iface)])) {
+    errors.interfaces = { key: 'validation.sshInterfaceRequired' };
+  }
+  if (badLines.length) {
+    errors.authorizedKeys = { key: 'validation.sshKeysInvalid', vars: { lines: badLines.join(', ') } };
+  } else if (values.enabled && !values.passwordAuth && keys.length === 0) {
+    // Without password login and without keys nobody could log in at all.
+    errors.authorizedKeys = { key: 'validation.sshKeyRequired' };
+  }
+  return errors;
+}
+
+function toValues(model) {
+  const values = {
+    enabled: !!model.enabled,
+    port: model.port == null ? '' : String(model.port),
+    passwordAuth: !!model.passwordAuth,
+    authorizedKeys: (model.authorizedKeys || []).join('\n'),
+  };
+  for (const iface of INTERFACES) values[interfaceField(iface)] = (model.interfaces || []).includes(iface);
+  return values;
+}
+
+function toModel(values) {
+  return {
+    enabled: !!values.enabled,
+    port: Number(values.port),
+    passwordAuth: !!values.passwordAuth,
+    interfaces: INTERFACES.filter((iface) => values[interfaceField(iface)]),
+    authorizedKeys: parseKeys(values.authorizedKeys).map((k) => k.text),
+  };
+}
+
+/**
+ * Table of parsed key lines. Fingerprints are computed asynchronously (Web Crypto)
+ * and cached per key, so typing only hashes new keys.
+ */
+function createKeyList(root, t) {
+  const p = 'pages.management.ssh';
+  const fingerprints = new Map();
+  let generation = 0;
+
+  const row = (entry) => {
+    if (entry.error) {
+      return `
+        <tr>
+          <td>${entry.line}</td>
+          <td colspan="4"><span class="badge error">${t(`${p}.rejected`)}</span> ${escapeHtml(t(entry.error.key, entry.error.vars))}</td>
+        </tr>`;
+    }
+    const { type, bits, comment } = entry.key;
+    const fingerprint = fingerprints.get(entry.blobText);
+    return `
+      <tr>
+        <td>${entry.line}</td>
+        <td>${escapeHtml(type)}</td>
+        <td>${bits}</td>
+        <td>${comment ? escapeHtml(comment) : `<span class="u-muted">${t(`${p}.noComment`)}</span>`}</td>
+        <td><code data-blob="${escapeHtml(entry.blobText)}">${fingerprint ? escapeHtml(fingerprint) : '…'}</code></td>
+      </tr>`;
+  };
+
+  const update = (text) => {
+    const keys = parseKeys(text);
+    const current = ++generation;
+    qs('tbody', root).innerHTML = keys.length
+      ? keys.map(row).join('')
+      : `<tr><td colspan="5" class="u-muted">${t(`${p}.noKeys`)}</td></tr>`;
+    const summary = qs('[data-role="keys-summary"]', root);
+    const valid = keys.filter((k) => !k.error).length;
+    summary.textContent = t(`${p}.keysSummary`, { valid, rejected: keys.length - valid });
+
+    for (const entry of keys) {
+      if (entry.error || fingerprints.has(entry.blobText)) continue;
+      keyFingerprint(entry.key.blob).then((fp) => {
+        fingerprints.set(entry.blobText, fp || t(`${p}.fingerprintUnavailable`));
+        if (current !== generation || !root.isConnected) return;
+        for (const el of qsa('code[data-blob]', root)) {
+          if (el.getAttribute('data-blob') === entry.blobText) el.textContent = fingerprints.get(entry.blobText);
+        }
+      }, () => {});
+    }
+  };
+
+  return { update };
+}
+
+// PUBLIC_INTERFACE
+export function validateSettings(model) {
+  /** Field errors the SSH form would show for this "ssh" model. */
+  return validate(toValues(model || {}));
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the SSH server form bound to the "ssh" settings section, with the authorized_keys editor. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.management.ssh';
+
+  const interfaceChoices = INTERFACES.map((iface) => `
+    <label class="choice">
+      <input type="checkbox" name="${interfaceField(iface)}" data-requires="enabled" />
+      <span>${t(`${p}.interfaces.${iface}`)}</span>
+    </label>`).join('');
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="ssh-title">
+      <div class="card">
+        <div class="card-header" id="ssh-title">${t(`${p}.title`)}</div>
+        <p class="u-muted">${t(`${p}.subtitle`)}</p>
+      </div>
+
+      <div class="callout danger" data-role="wan-warning" role="alert" hidden>
+        <div class="callout-title">${t(`${p}.wanWarningTitle`)}</div>
+        <p>${t(`${p}.wanWarning`)}</p>
+      </div>
+
+      <form class="u-spacing" novalidate aria-labelledby="ssh-title">
+        <div class="card">
+          <div class="card-header">${t(`${p}.server`)}</div>
+          <label class="choice">
+            <input type="checkbox" name="enabled" />
+            <span>${t(`${p}.enabled`)}</span>
+          </label>
+          <div class="field">
+            <label class="label" for="ssh-port">${t(`${p}.port`)}</label>
+            <input id="ssh-port" name="port" class="input" type="number" min="1" max="65535" data-requires="enabled" />
+            <p class="field-error" id="ssh-port-error" data-error-for="port" hidden></p>
+          </div>
+          <label class="choice">
+            <input type="checkbox" name="passwordAuth" data-requires="enabled" />
+            <span>${t(`${p}.passwordAuth`)}</span>
+          </label>
+          <fieldset class="fieldset">
+            <legend class="label">${t(`${p}.interfacesLabel`)}</legend>
+            <div class="choice-group">${interfaceChoices}</div>
+            <p class="field-error" id="ssh-interfaces-error" data-error-for="interfaces" hidden></p>
+          </fieldset>
+        </div>
+
+        <div class="card">
+          <div class="card-header">${t(`${p}.authorizedKeys`)}</div>
+          <div class="field">
+            <label class="label" for="ssh-keys">${t(`${p}.keysLabel`)}</label>
+            <textarea id="ssh-keys" name="authorizedKeys" class="input" rows="6" spellcheck="false"
+              autocomplete="off" aria-describedby="ssh-keys-hint" style="font-family: monospace;"></textarea>
+            <p class="field-hint" id="ssh-keys-hint">${t(`${p}.keysHint`)}</p>
+            <p class="field-error" id="ssh-keys-error" data-error-for="authorizedKeys" hidden></p>
+          </div>
+          <div data-role="keys">
+            <p class="u-muted" data-role="keys-summary" role="status"></p>
+            <div style="overflow:auto;">
+              <table class="table">
+                <thead>
+                  <tr>
+                    <th scope="col">${t(`${p}.line`)}</th>
+                    <th scope="col">${t(`${p}.type`)}</th>
+                    <th scope="col">${t(`${p}.bits`)}</th>
+                    <th scope="col">${t(`${p}.comment`)}</th>
+                    <th scope="col">${t(`${p}.fingerprint`)}</th>
+                  </tr>
+                </thead>
+                <tbody></tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+
+        <div class="card">
+          <div class="form-actions" style="margin-top: 0;">
+            <button type="submit" class="btn btn-primary">${t('forms.save')}</button>
+            <button type="reset" class="btn btn-ghost">${t('forms.reset')}</button>
+            <span class="form-status" data-role="form-status" role="status"></span>
+          </div>
+        </div>
+      </form>
+    </section>
+  `;
+
+  const form = qs('form', container);
+  const warning = qs('[data-role="wan-warning"]', container);
+  const keyList = createKeyList(qs('[data-role="keys"]', form), t);
+
+  const sync = (values) => {
+    for (const el of qsa('[data-requires="enabled"]', form)) el.disabled = !values.enabled;
+    warning.hidden = !(values.enabled && values.interfaceWan && values.passwordAuth);
+    keyList.update(values.authorizedKeys);
+  };
+
+  const controller = mountSettingsForm(form, {
+    section: 'ssh',
+    t,
+    router,
+    validate,
+    toValues,
+    toModel,
+    onValues: sync,
+  });
+  form.addEventListener('input', () => sync(controller.getValues()));
+}
@@ -0,0 +1,491 @@
+//
+// Management > Users & Roles: the web interface accounts and the roles that decide what they
+// may do. Users can be added, edited, disabled, deleted and given a new password; custom roles
+// are named permission sets next to the built-in ones. Everything goes through the device
+// provider, which enforces the rules (e.g. someone must keep users:manage); this view only
+// checks input and asks before destructive steps. Disabling, deleting or re-roling a user (or
+// changing their custom role's permissions) ends their open sessions, so no one keeps access
+// they have lost.
+//
+
+import { qs, qsa, delegate, escapeHtml } from '../utils/dom.js';
+import { formatTimestamp } from '../utils/format.js';
+import { required, username as usernameError, accountPassword, firstError } from '../utils/validators.js';
+import { createDataTable } from '../components/data-table.js';
+import { passwordField, bindPasswordFields, refreshPasswordMeters } from '../components/password-field.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+import { getSession } from '../services/auth.js';
+import { PERMISSIONS, roleLabel } from '../services/access.js';
+
+const PAGE_SIZE = 10;
+
+// Which parts of the user form each mode shows.
+const USER_FORM_MODES = Object.freeze({
+  create: ['account', 'password'],
+  edit: ['account'],
+  password: ['password'],
+});
+
+function confirmAction(message) {
+  const g = typeof globalThis !== 'undefined' ? globalThis : {};
+  return typeof g.confirm === 'function' ? g.confirm(message) : true;
+}
+
+function setStatus(el, kind, message) {
+  el.textContent = message || '';
+  el.className = ['form-status', kind ? `is-${kind}` : ''].join(' ').trim();
+}
+
+function setFieldError(form, name, message) {
+  const el = qs(`[data-error-for="${name}"]`, form);
+  el.textContent = message || '';
+  el.hidden = !message;
+  for (const input of qsa(`[name="${name}"]`, form)) {
+    if (message) input.setAttribute('aria-invalid', 'true');
+    else input.removeAttribute('aria-invalid');
+  }
+}
+
+/**
+ * Show each field's validator result; returns true when the form is clean, else focuses the first error.
+ */
+function showErrors(form, errors, t) {
+  for (const [name, err] of Object.entries(errors)) setFieldError(form, name, err ? t(err.key, err.vars) : null);
+  const invalid = qs('[aria-invalid="true"]', form);
+  if (invalid) invalid.focus();
+  return !invalid;
+}
+
+function userColumns(t, { roleName, self }) {
+  const p = 'pages.management.users';
+  return [
+    {
+      key: 'username',
+      label: t(`${p}.username`),
+      sortable: true,
+      filterValue: (u) => `${u.username} ${u.fullName || ''}`,
+      render: (u) => `
+        <strong>${escapeHtml(u.username)}</strong>${u.username === self ? ` <span class="badge secondary">${t(`${p}.you`)}</span>` : ''}
+        ${u.fullName ? `<div class="u-muted">${escapeHtml(u.fullName)}</div>` : ''}`,
+    },
+    {
+      key: 'role',
+      label: t(`${p}.role`),
+      sortable: true,
+      sortValue: (u) => roleName(u.role),
+      filterValue: (u) => roleName(u.role),
+      render: (u) => escapeHtml(roleName(u.role)),
+    },
+    {
+      key: 'enabled',
+      label: t(`${p}.status`),
+      sortable: true,
+      filterValue: () => null,
+      filterOptions: [
+        { value: 'true', label: t(`${p}.active`) },
+        { value: 'false', label: t(`${p}.inactive`) },
+      ],
+      render: (u) => `<span class="badge${u.enabled ? ' success' : ''}">${t(`${p}.${u.enabled ? 'active' : 'inactive'}`)}</span>`,
+    },
+    {
+      key: 'lastLoginAt',
+      label: t(`${p}.lastLogin`),
+      sortable: true,
+      filterValue: () => null,
+      render: (u) => (u.lastLoginAt ? formatTimestamp(u.lastLoginAt) : `<span class="u-muted">${t(`${p}.never`)}</span>`),
+    },
+    {
+      key: 'actions',
+      label: t(`${p}.actions`),
+      filterValue: () => null,
+      render: (u) => {
+        const own = u.username === self;
+        const button = (action, label, locked = false) => `
+          <button type="button" class="btn btn-ghost" data-action="${action}" ${locked ? `disabled title="${escapeHtml(t(`${p}.selfLocked`))}"` : ''}
+            aria-label="${escapeHtml(t(`${p}.rowAction`, { action: label, username: u.username }))}">${label}</button>`;
+        return [
+          button('edit', t(`${p}.edit`)),
+          button('password', t(`${p}.resetPassword`)),
+          button(u.enabled ? 'disable' : 'enable', t(`${p}.${u.enabled ? 'disable' : 'enable'}`), own && u.enabled),
+          button('delete', t(`${p}.delete`), own),
+        ].join('');
+      },
+    },
+  ];
+}
+
+function rolesTable(roles, users, t) {
+  const p = 'pages.management.users';
+  const mine = getSession()?.role;
+  const rows = roles.map((r) => {
+    const members = users.filter((u) => u.role === r.id).length;
+    return `
+      <tr data-row-key="${escapeHtml(r.id)}">
+        <td>
+          <strong>${escapeHtml(roleLabel(r, t))}</strong>
+          <span class="badge${r.builtIn ? '' : ' secondary'}">${t(`${p}.${r.builtIn ? 'builtIn' : 'custom'}`)}</span>
+          ${r.id === mine ? `<span class="badge secondary">${t('pages.management.roles.yours')}</span>` : ''}
+        </td>
+        <td class="u-muted">${r.permissions.map((id) => t(`permissions.${id}`)).join(', ')}</td>
+        <td style="text-align:right;">${members}</td>
+        <td>${r.builtIn ? '' : `
+          <button type="button" class="btn btn-ghost" data-action="edit-role">${t(`${p}.edit`)}</button>
+          <button type="button" class="btn btn-ghost" data-action="delete-role" ${members ? `disabled title="${escapeHtml(t(`${p}.roleInUse`))}"` : ''}>${t(`${p}.delete`)}</button>`}
+        </td>
+      </tr>`;
+  });
+  return `
+    <div style="overflow:auto;">
+      <table class="table">
+        <thead>
+          <tr>
+            <th scope="col">${t(`${p}.roleName`)}</th>
+            <th scope="col">${t(`${p}.permissions`)}</th>
+            <th scope="col" style="text-align:right;">${t(`${p}.members`)}</th>
+            <th scope="col">${t(`${p}.actions`)}</th>
+          </tr>
+        </thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    </div>`;
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }) {
+  /** Render the user and role administration backed by the device provider. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+  const p = 'pages.management.users';
+  const self = getSession()?.username || '';
+
+  const permissionChoices = PERMISSIONS.map((id) => `
+    <label class="choice">
+      <input type="checkbox" name="permissions" value="${id}" />
+      <span>${t(`permissions.${id}`)}</span>
+    </label>`).join('');
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="users-title">
+      <div class="card">
+        <div class="card-header" id="users-title">${t(`${p}.title`)}</div>
+        <p class="u-muted">${t(`${p}.subtitle`)}</p>
+        <div class="callout">
+          <p>${t(`${p}.sessionsEnd`)}</p>
+        </div>
+      </div>
+
+      <div class="card" data-role="users-card">
+        <div class="card-header">${t(`${p}.users`)} <span class="badge" data-role="user-count">0</span></div>
+        <div class="form-actions" style="margin-top: 0;">
+          <button type="button" class="btn btn-primary" data-action="add-user">${t(`${p}.addUser`)}</button>
+          <button type="button" class="btn btn-ghost" data-action="refresh">${t('common.refresh')}</button>
+          <span class="form-status" data-role="users-status" role="status"></span>
+        </div>
+
+        <form class="card" data-role="user-form" novalidate hidden aria-labelledby="user-form-title">
+          <div class="card-header" id="user-form-title" data-role="user-form-title"></div>
+          <div class="field">
+            <label class="label" for="user-username">${t(`${p}.username`)}</label>
+            <input id="user-username" name="username" class="input" type="text" autocomplete="off"
+              autocapitalize="none" spellcheck="false" aria-describedby="user-username-hint" />
+            <p class="field-hint" id="user-username-hint">${t(`${p}.usernameHint`)}</p>
+            <p class="field-error" data-error-for="username" hidden></p>
+          </div>
+          <div data-part="account">
+            <div class="field">
+              <label class="label" for="user-fullname">${t(`${p}.fullName`)}</label>
+              <input id="user-fullname" name="fullName" class="input" type="text" autocomplete="off" />
+            </div>
+            <div class="field">
+              <label class="label" for="user-role">${t(`${p}.role`)}</label>
+              <select id="user-role" name="role" class="select"></select>
+              <p class="field-error" data-error-for="role" hidden></p>
+            </div>
+            <label class="choice">
+              <input type="checkbox" name="enabled" />
+              <span>${t(`${p}.enabled`)}</span>
+            </label>
+          </div>
+          <div data-part="password">
+            ${passwordField({ id: 'user-password', name: 'password', label: t(`${p}.password`), t, meter: true })}
+            <p class="field-error" data-error-for="password" hidden></p>
+            ${passwordField({ id: 'user-password-confirm', name: 'passwordConfirm', label: t(`${p}.passwordConfirm`), t })}
+            <p class="field-error" data-error-for="passwordConfirm" hidden></p>
+          </div>
+          <div class="form-actions">
+            <button type="submit" class="btn btn-primary">${t('forms.save')}</button>
+            <button type="button" class="btn btn-ghost" data-action="cancel">${t(`${p}.cancel`)}</button>
+            <span class="form-status" data-role="user-form-status" role="status"></span>
+          </div>
+        </form>
+
+        <div data-role="users"></div>
+      </div>
+
+      <div class="card" data-role="roles-card">
+        <div class="card-header">${t(`${p}.roles`)}</div>
+        <p class="u-muted">${t(`${p}.rolesHint`)}</p>
+        <div class="form-actions" style="margin-top: 0;">
+          <button type="button" class="btn btn-primary" data-action="add-role">${t(`${p}.addRole`)}</button>
+          <span class="form-status" data-role="roles-status" role="status"></span>
+        </div>
+
+        <form class="card" data-role="role-form" novalidate hidden aria-labelledby="role-form-title">
+          <div class="card-header" id="role-form-title" data-role="role-form-title"></div>
+          <div class="field">
+            <label class="label" for="role-name">${t(`${p}.roleName`)}</label>
+            <input id="role-name" name="name" class="input" type="text" autocomplete="off" maxlength="40" />
+            <p class="field-error" data-error-for="name" hidden></p>
+          </div>
+          <fieldset class="fieldset">
+            <legend class="label">${t(`${p}.permissions`)}</legend>
+            <div class="choice-group">${permissionChoices}</div>
+            <p class="field-error" data-error-for="permissions" hidden></p>
+          </fieldset>
+          <div class="form-actions">
+            <button type="submit" class="btn btn-primary">${t('forms.save')}</button>
+            <button type="button" class="btn btn-ghost" data-action="cancel">${t(`${p}.cancel`)}</button>
+            <span class="form-status" data-role="role-form-status" role="status"></span>
+          </div>
+        </form>
+
+        <div data-role="roles"><p class="u-muted">${t('common.loading')}</p></div>
+      </div>
+    </section>
+  `;
+
+  const usersCard = qs('[data-role="users-card"]', container);
+  const rolesCard = qs('[data-role="roles-card"]', container);
+  const usersStatus = qs('[data-role="users-status"]', usersCard);
+  const rolesStatus = qs('[data-role="roles-status"]', rolesCard);
+  const userForm = qs('[data-role="user-form"]', usersCard);
+  const roleForm = qs('[data-role="role-form"]', rolesCard);
+  const userFormStatus = qs('[data-role="user-form-status"]', userForm);
+  const roleFormStatus = qs('[data-role="role-form-status"]', roleForm);
+  bindPasswordFields(userForm, t);
+
+  const state = { users: [], roles: [], userMode: null, editing: null, editingRole: null, busy: false };
+  const roleName = (id) => roleLabel(state.roles.find((r) => r.id === id) || { id }, t);
+
+  const table = createDataTable(qs('[data-role="users"]', usersCard), {
+    columns: userColumns(t, { roleName, self }),
+    rows: [],
+    initialSort: { key: 'username', dir: 'asc' },
+    filterLabel: t(`${p}.search`),
+    emptyText: t(`${p}.noUsers`),
+    allLabel: t('common.all'),
+    rowKey: (u) => u.username,
+    pageSize: PAGE_SIZE,
+    pageLabels: {
+      previous: t('common.previous'),
+      next: t('common.next'),
+      range: (from, to, total) => t('common.range', { from, to, total }),
+    },
+  });
+
+  const paintRoles = () => {
+    qs('[data-role="roles"]', rolesCard).innerHTML = rolesTable(state.roles, state.users, t);
+    const select = qs('select[name="role"]', userForm);
+    const current = select.value;
+    select.innerHTML = state.roles
+      .map((r) => `<option value="${escapeHtml(r.id)}">${escapeHtml(roleLabel(r, t))}</option>`)
+      .join('');
+    if (state.roles.some((r) => r.id === current)) select.value = current;
+  };
+
+  const load = async () => {
+    try {
+      const provider = getDeviceProvider();
+      const [roles, users] = await Promise.all([provider.getRoles(), provider.getUsers()]);
+      if (!container.isConnected) return;
+      state.roles = roles;
+      state.users = users;
+      qs('[data-role="user-count"]', usersCard).textContent = String(users.length);
+      paintRoles();
+      table.setRows(users);
+    } catch (err) {
+      if (container.isConnected) setStatus(usersStatus, 'error', err && err.message ? err.message : t(`${p}.loadFailed`));
+    }
+  };
+
+  /**
+   * Run a provider change for one of the forms or rows: report the outcome in statusEl and reload.
+   */
+  const change = async (statusEl, action, successMessage) => {
+    if (state.busy) return false;
+    state.busy = true;
+    setStatus(statusEl, null, t('forms.saving'));
+    try {
+      await action();
+      setStatus(statusEl, 'success', successMessage);
+      return true;
+    } catch (err) {
+      setStatus(statusEl, 'error', err && err.message ? err.message : t(`${p}.actionFailed`));
+      return false;
+    } finally {
+      state.busy = false;
+      if (container.isConnected) await load();
+    }
+  };
+
+  // User form
+
+  const closeUserForm = () => {
+    userForm.hidden = true;
+    state.userMode = null;
+    state.editing = null;
+  };
+
+  const openUserForm = (mode, user = null) => {
+    closeRoleForm();
+    state.userMode = mode;
+    state.editing = user;
+    const parts = USER_FORM_MODES[mode];
+    for (const part of qsa('[data-part]', userForm)) part.hidden = !parts.includes(part.getAttribute('data-part'));
+    userForm.reset();
+    for (const name of ['username', 'role', 'password', 'passwordConfirm']) setFieldError(userForm, name, null);
+    setStatus(userFormStatus, null, '');
+
+    const { elements } = userForm;
+    elements.username.value = user ? user.username : '';
+    elements.username.readOnly = !!user;
+    qs('#user-username-hint', userForm).hidden = !!user;
+    elements.fullName.value = user ? user.fullName || '' : '';
+    elements.role.value = user ? user.role : (state.roles.find((r) => r.id === 'viewer') || state.roles[0] || {}).id || '';
+    elements.enabled.checked = user ? user.enabled : true;
+    // Locking yourself out is refused by the device too; say so up front.
+    elements.enabled.disabled = !!user && user.username === self;
+    refreshPasswordMeters(userForm, t);
+
+    const titles = { create: t(`${p}.addTitle`), edit: t(`${p}.editTitle`, { username: user?.username }), password: t(`${p}.passwordTitle`, { username: user?.username }) };
+    qs('[data-role="user-form-title"]', userForm).textContent = titles[mode];
+    userForm.hidden = false;
+    (mode === 'create' ? elements.username : mode === 'edit' ? elements.fullName : elements.password).focus();
+  };
+
+  const validateUser = (mode) => {
+    const { elements } = userForm;
+    const parts = USER_FORM_MODES[mode];
+    const name = elements.username.value.trim();
+    const password = elements.password.value;
+    const errors = {};
+    if (mode === 'create') {
+      errors.username = firstError(
+        usernameError(name),
+        state.users.some((u) => u.username === name) ? { key: 'validation.usernameTaken' } : null,
+      );
+    }
+    if (parts.includes('account')) errors.role = required(elements.role.value);
+    if (parts.includes('password')) {
+      errors.password = accountPassword(password);
+      errors.passwordConfirm = elements.passwordConfirm.value === password ? null : { key: 'validation.passwordMismatch' };
+    }
+    return errors;
+  };
+
+  userForm.addEventListener('submit', async (evt) => {
+    evt.preventDefault();
+    const mode = state.userMode;
+    if (!mode || !showErrors(userForm, validateUser(mode), t)) return;
+    const { elements } = userForm;
+    const name = elements.username.value.trim();
+    const account = { fullName: elements.fullName.value.trim(), role: elements.role.value, enabled: elements.enabled.checked };
+    const provider = getDeviceProvider();
+    const actions = {
+      create: () => provider.createUser({ username: name, ...account, password: elements.password.value }),
+      edit: () => provider.updateUser(name, account),
+      password: () => provider.resetUserPassword(name, elements.password.value),
+    };
+    const messages = { create: `${p}.created`, edit: `${p}.updated`, password: `${p}.passwordReset` };
+    if (await change(userFormStatus, actions[mode], t(messages[mode], { username: name }))) {
+      closeUserForm();
+      setStatus(usersStatus, 'success', t(messages[mode], { username: name }));
+    }
+  });
+
+  // Role form
+
+  function closeRoleForm() {
+    roleForm.hidden = true;
+    state.editingRole = null;
+  }
+
+  const openRoleForm = (role = null) => {
+    closeUserForm();
+    state.editingRole = role;
+    roleForm.reset();
+    setFieldError(roleForm, 'name', null);
+    setFieldError(roleForm, 'permissions', null);
+    setStatus(roleFormStatus, null, '');
+    roleForm.elements.name.value = role ? role.name : '';
+    for (const box of qsa('input[name="permissions"]', roleForm)) box.checked = !!role && role.permissions.includes(box.value);
+    qs('[data-role="role-form-title"]', roleForm).textContent = role ? t(`${p}.editRoleTitle`, { name: role.name }) : t(`${p}.addRoleTitle`);
+    roleForm.hidden = false;
+    roleForm.elements.name.focus();
+  };
+
+  roleForm.addEventListener('submit', async (evt) => {
+    evt.preventDefault();
+    const name = roleForm.elements.name.value.trim();
+    const permissions = qsa('input[name="permissions"]:checked', roleForm).map((box) => box.value);
+    const id = state.editingRole ? state.editingRole.id : undefined;
+    const taken = state.roles.some((r) => r.id !== id && roleLabel(r, t).toLowerCase() === name.toLowerCase());
+    const errors = {
+      name: firstError(required(name), taken ? { key: 'validation.roleNameTaken' } : null),
+      permissions: permissions.length ? null : { key: 'validation.permissionRequired' },
+    };
+    if (!showErrors(roleForm, errors, t)) return;
+    if (await change(roleFormStatus, () => getDeviceProvider().saveRole({ id, name, permissions }), t(`${p}.roleSaved`, { name }))) {
+      closeRoleForm();
+      setStatus(rolesStatus, 'success', t(`${p}.roleSaved`, { name }));
+    }
+  });
+
+  // Buttons
+
+  delegate(usersCard, 'click', 'button[data-action="add-user"]', () => openUserForm('create'));
+  delegate(usersCard, 'click', 'button[data-action="refresh"]', () => load());
+  delegate(userForm, 'click', 'button[data-action="cancel"]', () => closeUserForm());
+  delegate(rolesCard, 'click', 'button[data-action="add-role"]', () => openRoleForm());
+  delegate(roleForm, 'click', 'button[data-action="cancel"]', () => closeRoleForm());
+
+  delegate(qs('[data-role="users"]', usersCard), 'click', 'button[data-action]', async (evt, target) => {
+    const key = target.closest('tr')?.getAttribute('data-row-key');
+    const user = state.users.find((u) => u.username === key);
+    if (!user) return;
+    const action = target.getAttribute('data-action');
+    const provider = getDeviceProvider();
+    if (action === 'edit' || action === 'password') {
+      openUserForm(action, user);
+      return;
+    }
+    if (action === 'enable') {
+      await change(usersStatus, () => provider.updateUser(user.username, { enabled: true }), t(`${p}.enabledMessage`, { username: user.username }));
+      return;
+    }
+    if (action === 'disable') {
+      if (!confirmAction(t(`${p}.confirmDisable`, { username: user.username }))) return;
+      await change(usersStatus, () => provider.updateUser(user.username, { enabled: false }), t(`${p}.disabledMessage`, { username: user.username }));
+      return;
+    }
+    if (action === 'delete') {
+      if (!confirmAction(t(`${p}.confirmDelete`, { username: user.username }))) return;
+      if (state.editing && state.editing.username === user.username) closeUserForm();
+      await change(usersStatus, () => provider.deleteUser(user.username), t(`${p}.deleted`, { username: user.username }));
+    }
+  });
+
+  delegate(qs('[data-role="roles"]', rolesCard), 'click', 'button[data-action]', async (evt, target) => {
+    const id = target.closest('tr')?.getAttribute('data-row-key');
+    const role = state.roles.find((r) => r.id === id);
+    if (!role || role.builtIn) return;
+    if (target.getAttribute('data-action') === 'edit-role') {
+      openRoleForm(role);
+      return;
+    }
+    if (!confirmAction(t(`${p}.confirmDeleteRole`, { name: role.name }))) return;
+    if (state.editingRole && state.editingRole.id === role.id) closeRoleForm();
+    await change(rolesStatus, () => getDeviceProvider().deleteRole(role.id), t(`${p}.roleDeleted`, { name: role.name }));
+  });
+
+  load();
+}
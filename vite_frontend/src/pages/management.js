@@ -1,9 +1,37 @@
 //
 // Management page module.
+// Subroutes with a dedicated view (e.g. /management/ntp) are delegated to their own module.
 //
+
+import * as BackupView from './management-backup.js';
+import * as FirmwareView from './management-firmware.js';
+import * as NtpView from './management-ntp.js';
+import * as RebootView from './management-reboot.js';
+import * as SshView from './management-ssh.js';
+import * as UsersView from './management-users.js';
+import { qs } from '../utils/dom.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+import { BUILT_IN_ROLES, can, currentRole } from '../services/access.js';
+
+const SUB_VIEWS = Object.freeze({
+  backup: BackupView,
+  firmware: FirmwareView,
+  ntp: NtpView,
+  reboot: RebootView,
+  ssh: SshView,
+  users: UsersView,
+});
+
  // PUBLIC_INTERFACE
-export function render(container, i18n = { t: (s) => s }) {
-  /** Render Management overview with users/roles/system sections. */
+export function render(container, params = {}, i18n = { t: (s) => s }, router = {}) {
+  /** Render Management: a dedicated view for params.sub when one exists, else the users/roles/system overview. */
+  const sub = params && typeof params === 'object' ? params.sub : undefined;
+  if (sub && SUB_VIEWS[sub]) {
+    SUB_VIEWS[sub].render(container, params, i18n, router);
+    return;
+  }
+
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
   const title = typeof i18n?.t === 'function' ? i18n.t('pages.management.title') : 'Management';
   const subtitle = typeof i18n?.t === 'function' ? i18n.t('pages.management.subtitle') : 'Manage users, roles, and permissions.';
 
@@ -14,20 +42,21 @@ export function render(container, i18n = { t: (s) => s }) {
         <p class="u-muted">${subtitle}</p>
       </div>
 
-      <div class="card">
-        <div class="card-header">Users</div>
-        <ul style="margin:0; padding-left:18px;">
-          <li>admin@example.com</li>
-          <li>user@example.com</li>
-        </ul>
-      </div>
+      ${can('users:manage') ? `
+      <div class="card" data-role="users-summary">
+        <div class="card-header">${t('pages.management.usersCard.title')}</div>
+        <p class="u-muted" data-role="users-count">${t('common.loading')}</p>
+        <a class="btn btn-primary" href="#/management/users">${t('pages.management.usersCard.manage')}</a>
+      </div>` : ''}
 
       <div class="card">
-        <div class="card-header">Roles</div>
+        <div class="card-header">${t('pages.management.roles.title')}</div>
         <ul style="margin:0; padding-left:18px;">
-          <li>Admin</li>
-          <li>Editor</li>
-          <li>Viewer</li>
+          ${Object.entries(BUILT_IN_ROLES).map(([role, permissions]) => `
+            <li>
+              <strong>${t(`roles.${role}`)}</strong>${role === currentRole() ? ` <span class="badge secondary">${t('pages.management.roles.yours')}</span>` : ''}
+              <div class="u-muted">${permissions.map((id) => t(`permissions.${id}`)).join(', ')}</div>
+            </li>`).join('')}
         </ul>
       </div>
 
@@ -37,4 +66,16 @@ export function render(container, i18n = { t: (s) => s }) {
       </div>
     </section>
   `;
+
+  const summary = qs('[data-role="users-count"]', container);
+  if (summary) {
+    getDeviceProvider().getUsers().then((users) => {
+      summary.textContent = t('pages.management.usersCard.summary', {
+        count: users.length,
+        disabled: users.filter((u) => !u.enabled).length,
+      });
+    }, () => {
+      summary.textContent = t('common.loadError');
+    });
+  }
 }
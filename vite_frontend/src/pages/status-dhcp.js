@@ -0,0 +1,136 @@
+//
+// Status > DHCP view: active leases with search, sorting and a live expiry countdown.
+// Dynamic leases offer a "Make static" shortcut that deep-links into /basic/dhcp with
+// the lease pre-filled through route params, for roles that may edit the DHCP settings.
+//
+
+import { qs, qsa, delegate, escapeHtml } from '../utils/dom.js';
+import { formatDuration } from '../utils/format.js';
+import { parseIPv4 } from '../utils/ipv4.js';
+import { startRouteInterval } from '../utils/route-timer.js';
+import { createDataTable } from '../components/data-table.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+import { can, sectionPermission } from '../services/access.js';
+import { buildPath } from '../router.js';
+
+const ROUTE_PATH = '/status/dhcp';
+const RESERVATION_PATH = '/basic/dhcp';
+
+function expiryText(expiresAt, t) {
+  if (expiresAt == null) return t('pages.status.dhcp.never');
+  const seconds = (expiresAt - Date.now()) / 1000;
+  return seconds > 0 ? formatDuration(seconds) : t('pages.status.dhcp.expired');
+}
+
+function leaseColumns(t, canReserve) {
+  const columns = [
+    { key: 'ip', label: t('pages.status.dhcp.ip'), sortable: true, sortValue: (l) => parseIPv4(l.ip), render: (l) => `<code>${escapeHtml(l.ip)}</code>` },
+    { key: 'mac', label: t('pages.status.dhcp.mac'), sortable: true, render: (l) => `<code>${escapeHtml(l.mac)}</code>` },
+    { key: 'hostname', label: t('pages.status.dhcp.hostname'), sortable: true, sortValue: (l) => l.hostname || null, render: (l) => escapeHtml(l.hostname || '—') },
+    {
+      key: 'type',
+      label: t('pages.status.dhcp.type'),
+      sortable: true,
+      filterValue: (l) => t(`pages.status.dhcp.types.${l.type}`),
+      filterOptions: [
+        { value: 'dynamic', label: t('pages.status.dhcp.types.dynamic') },
+        { value: 'static', label: t('pages.status.dhcp.types.static') },
+      ],
+      render: (l) => `<span class="badge${l.type === 'static' ? ' success' : ''}">${t(`pages.status.dhcp.types.${l.type}`)}</span>`,
+    },
+    {
+      key: 'expiresAt',
+      label: t('pages.status.dhcp.expires'),
+      sortable: true,
+      align: 'right',
+      filterValue: () => null,
+      render: (l) => `<span data-expires-at="${l.expiresAt == null ? '' : l.expiresAt}">${expiryText(l.expiresAt, t)}</span>`,
+    },
+    {
+      key: 'actions',
+      label: t('pages.status.dhcp.actions'),
+      filterValue: () => null,
+      render: (l) => (l.type === 'dynamic'
+        ? `<button type="button" class="btn btn-ghost" data-action="reserve">${t('pages.status.dhcp.makeStatic')}</button>`
+        : ''),
+    },
+  ];
+  return canReserve ? columns : columns.filter((c) => c.key !== 'actions');
+}
+
+async function load(body, t, router) {
+  body.innerHTML = `<div class="card"><p class="u-muted">${t('common.loading')}</p></div>`;
+  let leases;
+  try {
+    leases = await getDeviceProvider().getDhcpLeases();
+  } catch (err) {
+    if (!body.isConnected) return;
+    body.innerHTML = `
+      <div class="card" role="alert">
+        <div class="card-header">${t('common.loadErrorTitle')}</div>
+        <p class="u-muted">${escapeHtml(err && err.message ? err.message : t('common.loadError'))}</p>
+      </div>
+    `;
+    return;
+  }
+  if (!body.isConnected) return;
+
+  body.innerHTML = `
+    <div class="card">
+      <div class="card-header">${t('pages.status.dhcp.leases')} <span class="badge">${leases.length}</span></div>
+      <div data-role="leases"></div>
+    </div>
+  `;
+  const tableRoot = qs('[data-role="leases"]', body);
+  createDataTable(tableRoot, {
+    columns: leaseColumns(t, can(sectionPermission('dhcp'))),
+    rows: leases,
+    initialSort: { key: 'ip', dir: 'asc' },
+    filterLabel: t('pages.status.dhcp.search'),
+    emptyText: t('pages.status.dhcp.noLeases'),
+    allLabel: t('common.all'),
+    rowKey: (l) => l.mac,
+  });
+
+  delegate(tableRoot, 'click', 'button[data-action="reserve"]', (evt, target) => {
+    const mac = target.closest('tr')?.getAttribute('data-row-key');
+    const lease = leases.find((l) => l.mac === mac);
+    if (!lease || typeof router?.navigate !== 'function') return;
+    router.navigate(buildPath(RESERVATION_PATH, {
+      action: 'add-reservation',
+      mac: lease.mac,
+      ip: lease.ip,
+      hostname: lease.hostname,
+    }));
+  });
+
+  // Refresh countdown cells in place so sorting/filter state is untouched.
+  startRouteInterval(() => {
+    for (const el of qsa('[data-expires-at]', tableRoot)) {
+      const raw = el.getAttribute('data-expires-at');
+      el.textContent = expiryText(raw ? Number(raw) : null, t);
+    }
+  }, 1000, { router, path: ROUTE_PATH, node: tableRoot, immediate: false });
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the DHCP leases view; the expiry countdown ticks until the route changes away. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="status-dhcp-title">
+      <div class="card">
+        <div class="card-header" id="status-dhcp-title">${t('pages.status.dhcp.title')}</div>
+        <p class="u-muted">${t('pages.status.dhcp.subtitle')}</p>
+        <button type="button" class="btn btn-ghost" data-action="refresh">${t('common.refresh')}</button>
+      </div>
+      <div class="u-spacing" data-role="dhcp-body"></div>
+    </section>
+  `;
+
+  const section = qs('section', container);
+  const body = qs('[data-role="dhcp-body"]', container);
+  delegate(section, 'click', 'button[data-action="refresh"]', () => load(body, t, router));
+  load(body, t, router);
+}
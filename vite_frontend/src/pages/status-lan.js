@@ -0,0 +1,103 @@
+//
+// Status > LAN view: LAN interface addressing and per-port link state,
+// read through the registered device provider.
+//
+
+import { qs, delegate, escapeHtml } from '../utils/dom.js';
+import { formatLinkSpeed } from '../utils/format.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+
+function renderInterfaceCard(iface, t) {
+  const rows = [
+    [t('pages.status.lan.interfaceName'), iface.name],
+    [t('pages.status.lan.ipAddress'), iface.ipv4],
+    [t('pages.status.lan.netmask'), iface.netmask],
+    [t('pages.status.lan.ipv6'), iface.ipv6],
+    [t('pages.status.lan.mac'), iface.mac],
+    [t('pages.status.lan.linkSpeed'), formatLinkSpeed(iface.speedMbps)],
+  ];
+  return `
+    <div class="card">
+      <div class="card-header">${t('pages.status.lan.interface')}</div>
+      <dl class="kv">
+        ${rows.map(([k, v]) => `<dt>${k}</dt><dd><code>${escapeHtml(v || '—')}</code></dd>`).join('')}
+      </dl>
+    </div>
+  `;
+}
+
+function renderPortsCard(ports, t) {
+  const rows = ports.map((p) => {
+    const up = p.link === 'up';
+    return `
+      <tr>
+        <td style="font-weight:600;">${escapeHtml(p.label)}</td>
+        <td><span class="badge ${up ? 'success' : 'error'}">${up ? t('pages.status.lan.linkUp') : t('pages.status.lan.linkDown')}</span></td>
+        <td>${up ? formatLinkSpeed(p.speedMbps) : '—'}</td>
+        <td>${up && p.duplex ? escapeHtml(t(`pages.status.lan.duplex.${p.duplex}`)) : '—'}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div class="card">
+      <div class="card-header">${t('pages.status.lan.ports')}</div>
+      <div style="overflow:auto;">
+        <table class="table">
+          <thead>
+            <tr>
+              <th>${t('pages.status.lan.port')}</th>
+              <th>${t('pages.status.lan.link')}</th>
+              <th>${t('pages.status.lan.speed')}</th>
+              <th>${t('pages.status.lan.duplexLabel')}</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Fetch LAN status and fill the body element. Results that arrive after the
+ * user navigated away (body detached) are dropped.
+ */
+async function load(body, t) {
+  body.innerHTML = `<div class="card"><p class="u-muted">${t('common.loading')}</p></div>`;
+  try {
+    const data = await getDeviceProvider().getLanStatus();
+    if (!body.isConnected) return;
+    body.innerHTML = renderInterfaceCard(data.iface || {}, t) + renderPortsCard(data.ports || [], t);
+  } catch (err) {
+    if (!body.isConnected) return;
+    body.innerHTML = `
+      <div class="card" role="alert">
+        <div class="card-header">${t('common.loadErrorTitle')}</div>
+        <p class="u-muted">${escapeHtml(err && err.message ? err.message : t('common.loadError'))}</p>
+      </div>
+    `;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }) {
+  /** Render the LAN status view and load its data from the device provider. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="status-lan-title">
+      <div class="card">
+        <div class="card-header" id="status-lan-title">${t('pages.status.lan.title')}</div>
+        <p class="u-muted">${t('pages.status.lan.subtitle')}</p>
+        <button type="button" class="btn btn-ghost" data-action="refresh">${t('common.refresh')}</button>
+      </div>
+      <div class="u-spacing" data-role="lan-body"></div>
+    </section>
+  `;
+
+  const section = qs('section', container);
+  const body = qs('[data-role="lan-body"]', container);
+  delegate(section, 'click', 'button[data-action="refresh"]', () => load(body, t));
+  load(body, t);
+}
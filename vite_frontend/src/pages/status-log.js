@@ -0,0 +1,243 @@
+//
+// Status > Log view: virtualized system log with severity/facility filters,
+// full-text search with highlighting, pause/resume live tail and .txt download
+// of the currently filtered lines. Entries come from the device provider
+// (getSystemLog backlog + openLogStream live batches).
+//
+
+import { qs, delegate, escapeHtml } from '../utils/dom.js';
+import { formatTimestamp } from '../utils/format.js';
+import { onRouteLeave } from '../utils/route-timer.js';
+import { createVirtualList } from '../components/virtual-list.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+
+const ROUTE_PATH = '/status/log';
+const MAX_ENTRIES = 50000;
+const ROW_HEIGHT = 22;
+
+// Syslog severities, index === numeric severity.
+const SEVERITIES = Object.freeze(['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug']);
+
+// Closes the live stream of the currently mounted view, if any.
+let _closeActive = null;
+
+// Safe URL/Blob access for lint environments without browser globals.
+const _g = typeof globalThis !== 'undefined' ? globalThis : {};
+
+function formatLine(entry) {
+  return `${formatTimestamp(entry.time)} ${entry.facility}.${SEVERITIES[entry.severity] || entry.severity} ${entry.process}: ${entry.message}`;
+}
+
+/**
+ * Escape text and wrap case-insensitive occurrences of query in <mark>.
+ */
+function highlight(text, query) {
+  if (!query) return escapeHtml(text);
+  const lower = text.toLowerCase();
+  let out = '';
+  let from = 0;
+  let idx = lower.indexOf(query, from);
+  while (idx !== -1) {
+    out += escapeHtml(text.slice(from, idx)) + `<mark>${escapeHtml(text.slice(idx, idx + query.length))}</mark>`;
+    from = idx + query.length;
+    idx = lower.indexOf(query, from);
+  }
+  return out + escapeHtml(text.slice(from));
+}
+
+function downloadText(filename, text) {
+  const BlobCtor = _g.Blob;
+  const url = _g.URL;
+  if (!BlobCtor || !url || typeof url.createObjectURL !== 'function') return;
+  const href = url.createObjectURL(new BlobCtor([text], { type: 'text/plain;charset=utf-8' }));
+  const a = document.createElement('a');
+  a.href = href;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  url.revokeObjectURL(href);
+}
+
+function renderToolbar(t) {
+  const severityOptions = SEVERITIES
+    .map((name, i) => `<option value="${i}"${i === SEVERITIES.length - 1 ? ' selected' : ''}>${t(`pages.status.log.severities.${name}`)}</option>`)
+    .join('');
+  return `
+    <div class="table-toolbar">
+      <input class="input" type="search" data-role="search" placeholder="${t('pages.status.log.search')}" aria-label="${t('pages.status.log.search')}" />
+      <select class="select" data-role="severity" aria-label="${t('pages.status.log.severity')}">${severityOptions}</select>
+      <select class="select" data-role="facility" aria-label="${t('pages.status.log.facility')}">
+        <option value="">${t('pages.status.log.facility')}: ${t('common.all')}</option>
+      </select>
+      <button type="button" class="btn btn-ghost" data-action="toggle-tail" aria-pressed="false">${t('pages.status.log.pause')}</button>
+      <button type="button" class="btn btn-secondary" data-action="download">${t('pages.status.log.download')}</button>
+    </div>
+    <p class="u-muted" data-role="counts" role="status"></p>
+  `;
+}
+
+async function load(body, t, router) {
+  body.innerHTML = `<div class="card"><p class="u-muted">${t('common.loading')}</p></div>`;
+  let backlog;
+  try {
+    backlog = await getDeviceProvider().getSystemLog();
+  } catch (err) {
+    if (!body.isConnected) return;
+    body.innerHTML = `
+      <div class="card" role="alert">
+        <div class="card-header">${t('common.loadErrorTitle')}</div>
+        <p class="u-muted">${escapeHtml(err && err.message ? err.message : t('common.loadError'))}</p>
+      </div>
+    `;
+    return;
+  }
+  if (!body.isConnected) return;
+
+  body.innerHTML = `<div class="card">${renderToolbar(t)}<div data-role="log"></div></div>`;
+
+  let entries = backlog.slice(-MAX_ENTRIES);
+  let pending = [];
+  let filtered = [];
+  let paused = false;
+  let query = '';
+  let maxSeverity = SEVERITIES.length - 1;
+  let facility = '';
+
+  const searchEl = qs('[data-role="search"]', body);
+  const severityEl = qs('[data-role="severity"]', body);
+  const facilityEl = qs('[data-role="facility"]', body);
+  const countsEl = qs('[data-role="counts"]', body);
+  const tailBtn = qs('button[data-action="toggle-tail"]', body);
+
+  const list = createVirtualList(qs('[data-role="log"]', body), {
+    rowHeight: ROW_HEIGHT,
+    label: t('pages.status.log.title'),
+    renderRow: (entry) => `<span class="log-sev-${SEVERITIES[entry.severity] || 'info'}">${highlight(formatLine(entry), query)}</span>`,
+  });
+
+  const knownFacilities = new Set();
+  const syncFacilities = (batch) => {
+    for (const e of batch) {
+      if (knownFacilities.has(e.facility)) continue;
+      knownFacilities.add(e.facility);
+      const opt = document.createElement('option');
+      opt.value = e.facility;
+      opt.textContent = e.facility;
+      facilityEl.appendChild(opt);
+    }
+  };
+
+  const matches = (e) => e.severity <= maxSeverity
+    && (!facility || e.facility === facility)
+    && (!query || formatLine(e).toLowerCase().includes(query));
+
+  const updateCounts = () => {
+    countsEl.textContent = t('pages.status.log.counts', { shown: filtered.length, total: entries.length })
+      + (paused && pending.length ? ` · ${t('pages.status.log.pending', { count: pending.length })}` : '');
+  };
+
+  const applyFilters = ({ stickToBottom = false } = {}) => {
+    filtered = entries.filter(matches);
+    list.setItems(filtered, { stickToBottom });
+    updateCounts();
+  };
+
+  const append = (batch) => {
+    syncFacilities(batch);
+    entries = entries.concat(batch);
+    if (entries.length > MAX_ENTRIES) {
+      entries = entries.slice(entries.length - MAX_ENTRIES);
+      applyFilters({ stickToBottom: true });
+      return;
+    }
+    const added = batch.filter(matches);
+    if (added.length) {
+      filtered = filtered.concat(added);
+      list.setItems(filtered, { stickToBottom: true });
+    }
+    updateCounts();
+  };
+
+  syncFacilities(entries);
+  applyFilters();
+  list.scrollToBottom();
+
+  searchEl.addEventListener('input', () => {
+    query = searchEl.value.trim().toLowerCase();
+    applyFilters();
+  });
+  severityEl.addEventListener('change', () => {
+    maxSeverity = Number(severityEl.value);
+    applyFilters();
+  });
+  facilityEl.addEventListener('change', () => {
+    facility = facilityEl.value;
+    applyFilters();
+  });
+
+  delegate(body, 'click', 'button[data-action="toggle-tail"]', () => {
+    paused = !paused;
+    tailBtn.setAttribute('aria-pressed', String(paused));
+    tailBtn.textContent = paused ? t('pages.status.log.resume') : t('pages.status.log.pause');
+    if (!paused && pending.length) {
+      const batch = pending;
+      pending = [];
+      append(batch);
+      list.scrollToBottom();
+    }
+    updateCounts();
+  });
+
+  delegate(body, 'click', 'button[data-action="download"]', () => {
+    const stamp = formatTimestamp(Date.now()).replace(/[-: ]/g, '');
+    downloadText(`system-log-${stamp}.txt`, filtered.map(formatLine).join('\n') + '\n');
+  });
+
+  // Live tail: stream until the route changes away or the view is re-rendered.
+  let stream = null;
+  const close = () => {
+    if (stream) stream.close();
+    stream = null;
+    cancelLeave();
+    list.destroy();
+    if (_closeActive === close) _closeActive = null;
+  };
+  const cancelLeave = onRouteLeave(router, ROUTE_PATH, close);
+  if (_closeActive) _closeActive();
+  _closeActive = close;
+
+  stream = getDeviceProvider().openLogStream((batch) => {
+    if (!body.isConnected) {
+      close();
+      return;
+    }
+    if (paused) {
+      pending = pending.concat(batch).slice(-MAX_ENTRIES);
+      updateCounts();
+      return;
+    }
+    append(batch);
+  });
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the system log viewer; the live tail closes when the route changes away from /status/log. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+
+  // A re-render (e.g. language change) replaces the previous stream.
+  if (_closeActive) _closeActive();
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="status-log-title">
+      <div class="card">
+        <div class="card-header" id="status-log-title">${t('pages.status.log.title')}</div>
+        <p class="u-muted">${t('pages.status.log.subtitle')}</p>
+      </div>
+      <div class="u-spacing" data-role="log-body"></div>
+    </section>
+  `;
+
+  load(qs('[data-role="log-body"]', container), t, router);
+}
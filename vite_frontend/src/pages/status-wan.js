@@ -0,0 +1,150 @@
+//
+// Status > WAN view: connection details plus a live rx/tx throughput chart.
+// Traffic counters are polled from the device provider while the view is shown;
+// polling stops as soon as the route changes away (or the view is re-rendered).
+//
+
+import { qs, delegate, escapeHtml } from '../utils/dom.js';
+import { formatBitrate, formatDuration } from '../utils/format.js';
+import { throughputChart } from '../components/throughput-chart.js';
+import { startRouteInterval } from '../utils/route-timer.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+
+const ROUTE_PATH = '/status/wan';
+const POLL_INTERVAL_MS = 2000;
+const MAX_SAMPLES = 60;
+
+// Stops the poller of the currently mounted view, if any.
+let _stopActive = null;
+
+function renderConnectionCard(status, t) {
+  const rows = [
+    [t('pages.status.wan.connectionType'), t(`pages.status.wan.types.${status.connectionType}`)],
+    [t('pages.status.wan.publicIp'), status.publicIp],
+    [t('pages.status.wan.gateway'), status.gateway],
+    [t('pages.status.wan.dns'), (status.dns || []).join(', ')],
+    [t('pages.status.wan.interface'), status.iface],
+    [t('pages.status.wan.mac'), status.mac],
+  ];
+  const state = status.connected
+    ? `<span class="badge success">${t('pages.status.wan.connected')}</span>`
+    : `<span class="badge error">${t('pages.status.wan.disconnected')}</span>`;
+
+  return `
+    <div class="card">
+      <div class="card-header">${t('pages.status.wan.connection')}</div>
+      <p>${state}</p>
+      <dl class="kv">
+        ${rows.map(([k, v]) => `<dt>${k}</dt><dd><code>${escapeHtml(v || '—')}</code></dd>`).join('')}
+        <dt>${t('pages.status.wan.uptime')}</dt><dd data-role="uptime">${formatDuration(status.uptimeSeconds)}</dd>
+      </dl>
+    </div>
+  `;
+}
+
+function renderThroughputCard(t) {
+  return `
+    <div class="card">
+      <div class="card-header">${t('pages.status.wan.throughput')}</div>
+      <p class="u-inline-center" style="gap: var(--space-6);">
+        <span><span class="legend-swatch" style="background: var(--color-primary);"></span>${t('pages.status.wan.rx')}: <strong data-role="rx">—</strong></span>
+        <span><span class="legend-swatch" style="background: var(--color-secondary);"></span>${t('pages.status.wan.tx')}: <strong data-role="tx">—</strong></span>
+      </p>
+      <div data-role="chart">${throughputChart([])}</div>
+      <p class="u-muted" data-role="poll-error" role="status" hidden>${t('pages.status.wan.pollError')}</p>
+    </div>
+  `;
+}
+
+/**
+ * Start polling traffic counters into the throughput card.
+ * Returns a stop() function; it is idempotent.
+ */
+function startPolling(body, status, router) {
+  const samples = [];
+  const fetchedAt = Date.now();
+  let previous = null;
+
+  const tick = async () => {
+    const uptimeEl = qs('[data-role="uptime"]', body);
+    if (uptimeEl) uptimeEl.textContent = formatDuration(status.uptimeSeconds + (Date.now() - fetchedAt) / 1000);
+
+    const errorEl = qs('[data-role="poll-error"]', body);
+    let counters;
+    try {
+      counters = await getDeviceProvider().getWanTraffic();
+    } catch {
+      if (errorEl && body.isConnected) errorEl.hidden = false;
+      return;
+    }
+    if (!body.isConnected) return;
+    if (errorEl) errorEl.hidden = true;
+
+    if (previous && counters.timestamp > previous.timestamp) {
+      const seconds = (counters.timestamp - previous.timestamp) / 1000;
+      samples.push({
+        rxBps: (Math.max(0, counters.rxBytes - previous.rxBytes) * 8) / seconds,
+        txBps: (Math.max(0, counters.txBytes - previous.txBytes) * 8) / seconds,
+      });
+      if (samples.length > MAX_SAMPLES) samples.shift();
+
+      const last = samples[samples.length - 1];
+      qs('[data-role="rx"]', body).textContent = formatBitrate(last.rxBps);
+      qs('[data-role="tx"]', body).textContent = formatBitrate(last.txBps);
+      qs('[data-role="chart"]', body).innerHTML = throughputChart(samples, { capacity: MAX_SAMPLES });
+    }
+    previous = counters;
+  };
+
+  return startRouteInterval(tick, POLL_INTERVAL_MS, { router, path: ROUTE_PATH, node: body });
+}
+
+async function load(body, t, router) {
+  body.innerHTML = `<div class="card"><p class="u-muted">${t('common.loading')}</p></div>`;
+  let status;
+  try {
+    status = await getDeviceProvider().getWanStatus();
+  } catch (err) {
+    if (!body.isConnected) return;
+    body.innerHTML = `
+      <div class="card" role="alert">
+        <div class="card-header">${t('common.loadErrorTitle')}</div>
+        <p class="u-muted">${escapeHtml(err && err.message ? err.message : t('common.loadError'))}</p>
+      </div>
+    `;
+    return;
+  }
+  if (!body.isConnected) return;
+
+  body.innerHTML = renderConnectionCard(status, t) + renderThroughputCard(t);
+  if (_stopActive) _stopActive();
+  _stopActive = startPolling(body, status, router);
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }, router = {}) {
+  /** Render the WAN status view; polls throughput until the route changes away from /status/wan. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+
+  // A re-render (e.g. language change) replaces the previous poller.
+  if (_stopActive) _stopActive();
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="status-wan-title">
+      <div class="card">
+        <div class="card-header" id="status-wan-title">${t('pages.status.wan.title')}</div>
+        <p class="u-muted">${t('pages.status.wan.subtitle')}</p>
+        <button type="button" class="btn btn-ghost" data-action="refresh">${t('common.refresh')}</button>
+      </div>
+      <div class="u-spacing" data-role="wan-body"></div>
+    </section>
+  `;
+
+  const section = qs('section', container);
+  const body = qs('[data-role="wan-body"]', container);
+  delegate(section, 'click', 'button[data-action="refresh"]', () => {
+    if (_stopActive) _stopActive();
+    load(body, t, router);
+  });
+  load(body, t, router);
+}
@@ -0,0 +1,144 @@
+//
+// Status > WLAN view: per-radio SSID/channel info and a sortable, filterable
+// table of associated wireless clients with signal strength bars.
+//
+
+import { qs, delegate, escapeHtml } from '../utils/dom.js';
+import { formatDuration, formatLinkSpeed } from '../utils/format.js';
+import { icon } from '../components/icons.js';
+import { createDataTable } from '../components/data-table.js';
+import { getDeviceProvider } from '../services/device-provider.js';
+
+const BANDS = Object.freeze(['2.4 GHz', '5 GHz', '6 GHz']);
+
+/**
+ * Map RSSI (dBm) to 0..3 signal bars; the wlan icon's arcs are dimmed accordingly via CSS.
+ */
+function signalLevel(rssi) {
+  if (typeof rssi !== 'number') return 0;
+  if (rssi >= -55) return 3;
+  if (rssi >= -67) return 2;
+  if (rssi >= -75) return 1;
+  return 0;
+}
+
+function signalCell(rssi, t) {
+  const level = signalLevel(rssi);
+  const label = t(`pages.status.wlan.signal.${level}`);
+  return `
+    <span class="u-inline-center" title="${escapeHtml(label)}">
+      <span class="signal-bars" data-level="${level}">${icon('wlan', { width: 18, height: 18 })}</span>
+      <span>${escapeHtml(rssi)} dBm</span>
+      <span class="u-visually-hidden">${escapeHtml(label)}</span>
+    </span>
+  `;
+}
+
+function renderRadiosCard(radios, t) {
+  const rows = radios.map((r) => `
+    <tr>
+      <td style="font-weight:600;">${escapeHtml(r.band)}</td>
+      <td>${escapeHtml(r.ssid)}</td>
+      <td>${escapeHtml(r.channel)}</td>
+      <td>${escapeHtml(r.channelWidthMhz)} MHz</td>
+      <td>${escapeHtml(r.txPowerDbm)} dBm</td>
+      <td><span class="badge ${r.enabled ? 'success' : 'error'}">${r.enabled ? t('pages.status.wlan.enabled') : t('pages.status.wlan.disabled')}</span></td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="card">
+      <div class="card-header">${t('pages.status.wlan.radios')}</div>
+      <div style="overflow:auto;">
+        <table class="table">
+          <thead>
+            <tr>
+              <th>${t('pages.status.wlan.band')}</th>
+              <th>${t('pages.status.wlan.ssid')}</th>
+              <th>${t('pages.status.wlan.channel')}</th>
+              <th>${t('pages.status.wlan.channelWidth')}</th>
+              <th>${t('pages.status.wlan.txPower')}</th>
+              <th>${t('pages.status.wlan.state')}</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+function clientColumns(t) {
+  return [
+    { key: 'hostname', label: t('pages.status.wlan.hostname'), sortable: true, sortValue: (c) => c.hostname || null, render: (c) => escapeHtml(c.hostname || '—') },
+    { key: 'mac', label: t('pages.status.wlan.mac'), sortable: true, render: (c) => `<code>${escapeHtml(c.mac)}</code>` },
+    {
+      key: 'band',
+      label: t('pages.status.wlan.band'),
+      sortable: true,
+      filterOptions: BANDS.map((b) => ({ value: b, label: b })),
+    },
+    { key: 'rssi', label: t('pages.status.wlan.rssi'), sortable: true, render: (c) => signalCell(c.rssi, t) },
+    { key: 'txRateMbps', label: t('pages.status.wlan.txRate'), sortable: true, align: 'right', render: (c) => formatLinkSpeed(c.txRateMbps) },
+    { key: 'rxRateMbps', label: t('pages.status.wlan.rxRate'), sortable: true, align: 'right', render: (c) => formatLinkSpeed(c.rxRateMbps) },
+    { key: 'connectedSeconds', label: t('pages.status.wlan.connectedTime'), sortable: true, align: 'right', render: (c) => formatDuration(c.connectedSeconds) },
+  ];
+}
+
+async function load(body, t) {
+  body.innerHTML = `<div class="card"><p class="u-muted">${t('common.loading')}</p></div>`;
+  let data;
+  try {
+    data = await getDeviceProvider().getWlanStatus();
+  } catch (err) {
+    if (!body.isConnected) return;
+    body.innerHTML = `
+      <div class="card" role="alert">
+        <div class="card-header">${t('common.loadErrorTitle')}</div>
+        <p class="u-muted">${escapeHtml(err && err.message ? err.message : t('common.loadError'))}</p>
+      </div>
+    `;
+    return;
+  }
+  if (!body.isConnected) return;
+
+  const clients = data.clients || [];
+  body.innerHTML = `
+    ${renderRadiosCard(data.radios || [], t)}
+    <div class="card">
+      <div class="card-header">${t('pages.status.wlan.clients')} <span class="badge">${clients.length}</span></div>
+      <div data-role="clients"></div>
+    </div>
+  `;
+  createDataTable(qs('[data-role="clients"]', body), {
+    columns: clientColumns(t),
+    rows: clients,
+    initialSort: { key: 'rssi', dir: 'desc' },
+    filterLabel: t('pages.status.wlan.filter'),
+    emptyText: t('pages.status.wlan.noClients'),
+    allLabel: t('common.all'),
+    rowKey: (c) => c.mac,
+  });
+}
+
+// PUBLIC_INTERFACE
+export function render(container, params, i18n = { t: (s) => s }) {
+  /** Render the WLAN status view and load radios and associated clients from the device provider. */
+  const t = typeof i18n?.t === 'function' ? i18n.t : (s) => s;
+
+  container.innerHTML = `
+    <section class="u-spacing" aria-labelledby="status-wlan-title">
+      <div class="card">
+        <div class="card-header" id="status-wlan-title">${t('pages.status.wlan.title')}</div>
+        <p class="u-muted">${t('pages.status.wlan.subtitle')}</p>
+        <button type="button" class="btn btn-ghost" data-action="refresh">${t('common.refresh')}</button>
+      </div>
+      <div class="u-spacing" data-role="wlan-body"></div>
+    </section>
+  `;
+
+  const section = qs('section', container);
+  const body = qs('[data-role="wlan-body"]', container);
+  delegate(section, 'click', 'button[data-action="refresh"]', () => load(body, t));
+  load(body, t);
+}
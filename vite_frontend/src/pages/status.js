@@ -1,9 +1,31 @@
 //
 // Status page module: shows system status placeholders in theme.
+// Subroutes with a dedicated view (e.g. /status/lan) are delegated to their own module.
 //
+
+import * as StatusLanView from './status-lan.js';
+import * as StatusWanView from './status-wan.js';
+import * as StatusWlanView from './status-wlan.js';
+import * as StatusDhcpView from './status-dhcp.js';
+import * as StatusLogView from './status-log.js';
+
+const SUB_VIEWS = Object.freeze({
+  lan: StatusLanView,
+  wan: StatusWanView,
+  wlan: StatusWlanView,
+  dhcp: StatusDhcpView,
+  log: StatusLogView,
+});
+
  // PUBLIC_INTERFACE
-export function render(container, i18n = { t: (s) => s }) {
-  /** Render the Status page content with simple metric cards. */
+export function render(container, params = {}, i18n = { t: (s) => s }, router = {}) {
+  /** Render the Status page: a dedicated view for params.sub when one exists, else the overview cards. */
+  const sub = params && typeof params === 'object' ? params.sub : undefined;
+  if (sub && SUB_VIEWS[sub]) {
+    SUB_VIEWS[sub].render(container, params, i18n, router);
+    return;
+  }
+
   const title = typeof i18n?.t === 'function' ? i18n.t('pages.status.title') : 'System Status';
   const subtitle = typeof i18n?.t === 'function' ? i18n.t('pages.status.subtitle') : 'View system health and live metrics.';
 
@@ -1,14 +1,17 @@
 //
 // Lightweight dependency-free hash-based router.
-// Supports routes like: /home, /status, /basic, /advanced, /management, /application
+// Supports routes like: /home, /status, /basic, /advanced, /management, /application, /login, /forbidden
 // and nested subroutes (e.g., /basic/network).
 //
 // Public API:
-// - initRouter({ onRouteChange, defaultRoute: '/home' })
+// - initRouter({ onRouteChange, defaultRoute: '/home', loginRoute?, isAuthenticated?, forbiddenRoute?, canAccess? })
 // - navigate(path)
+// - buildPath(path, params)
 // - getRoute()
 // - onRouteChange(cb)
 // - offRouteChange(cb)
+// - beforeLeave(hook) -> unregister()
+// - confirmLeave() -> Promise<boolean>
 //
 // The router parses location.hash, normalizes leading '/', and passes route objects as:
 //   { path, segments, params }
@@ -20,6 +23,18 @@
 // - segments is an array of path segments without empty strings.
 // - path is the normalized path starting with a leading '/' and excluding query string.
 // - Default route is respected if hash is empty or malformed.
+// - beforeLeave hooks are page-scoped: hook(to, from) may return false (or a Promise of false)
+//   to cancel leaving the current route, e.g. after prompting about unsaved changes. They run for
+//   navigate() and for hash changes from links or history; a cancelled hash change is reverted.
+//   All hooks are dropped once a navigation goes through, so pages re-register on render.
+//   confirmLeave() runs them without navigating, for actions that end the page some other way.
+// - With isAuthenticated() and loginRoute set, every other route requires a session: without one
+//   the router replaces the location with loginRoute?next=<requested path>, skipping leave hooks
+//   (nothing on the page can be saved without a session anyway). For the same reason navigate()
+//   to loginRoute skips them once the session has ended.
+// - With canAccess(path) and forbiddenRoute set, a signed-in user heading for a route they lack
+//   permission for is sent to forbiddenRoute?path=<requested path> instead (like any navigation,
+//   the page being left may still object).
 //
 // Example usage:
 //   import { initRouter, navigate, onRouteChange, offRouteChange, getRoute } from './router.js';
@@ -34,13 +49,24 @@ const ROUTE_WHITELIST = new Set([
   '/advanced',
   '/management',
   '/application',
+  '/login',
+  '/forbidden',
 ]);
 
 let _defaultRoute = '/home';
+let _loginRoute = null;
+let _isAuthenticated = null;
+let _forbiddenRoute = null;
+let _canAccess = null;
 let _listeners = new Set();
 let _currentRoute = null;
+let _currentHash = '';
 let _isInitialized = false;
 
+// Leave guards: hooks run before the current route is left
+const _leaveHooks = new Set();
+let _revertHash = null;
+
 // Debounce state
 let _debounceTimer = null;
 const DEBOUNCE_MS = 25;
@@ -116,6 +142,15 @@ function parseParams(raw) {
   return out;
 }
 
+/**
+ * Return the raw query portion (including '?') of a path string, or ''.
+ */
+function extractQuery(raw) {
+  if (typeof raw !== 'string') return '';
+  const idx = raw.indexOf('?');
+  return idx === -1 || idx === raw.length - 1 ? '' : raw.slice(idx);
+}
+
 /**
  * Extract segments from a normalized path (/a/b -> ['a','b'])
  */
@@ -168,19 +203,154 @@ function emit(route) {
   }
 }
 
+/**
+ * Normalized "path?query" form of a raw hash, used to tell real location changes apart.
+ */
+function locationKey(raw) {
+  return normalizePath(raw || '') + extractQuery(raw || '');
+}
+
+/**
+ * Run beforeLeave hooks in registration order. Resolves false as soon as one cancels;
+ * a throwing hook does not block navigation.
+ */
+function runLeaveHooks(to) {
+  const from = _currentRoute;
+  if (!_leaveHooks.size || !from) return Promise.resolve(true);
+  return [..._leaveHooks].reduce(
+    (prev, hook) => prev.then((ok) => {
+      if (!ok) return false;
+      return Promise.resolve()
+        .then(() => hook(to, from))
+        .then((result) => result !== false, () => true);
+    }),
+    Promise.resolve(true),
+  );
+}
+
 /**
  * Handle current hash, normalize, validate, and emit.
  */
 function handleRouteChange() {
   const raw = win ? win.location.hash : '';
+
+  // Hash restored after a cancelled leave: the page is still showing, nothing to emit
+  if (_revertHash !== null && locationKey(raw) === _revertHash) {
+    _revertHash = null;
+    return;
+  }
+
   const route = buildRouteFrom(raw);
 
   // If hash missing or not allowed, navigate to defaultRoute
   if (!isAllowedRoute(route.path)) {
-    navigate(_defaultRoute, { replace: true, silent: false });
+    navigate(_defaultRoute, { replace: true, silent: false }).then((ok) => {
+      if (!ok) revertLocation();
+    });
     return;
   }
 
+  const key = locationKey(raw);
+  if (needsLogin(route.path)) {
+    redirectToLogin(route.path === _defaultRoute ? '' : key);
+    return;
+  }
+
+  if (isForbidden(route.path)) {
+    navigate(buildPath(_forbiddenRoute, { path: route.path }), { replace: true }).then((ok) => {
+      if (!ok) revertLocation();
+    });
+    return;
+  }
+
+  if (!_leaveHooks.size || !_currentRoute || key === _currentHash) {
+    commit(route, key);
+    return;
+  }
+
+  runLeaveHooks(route).then((ok) => {
+    if (ok) commit(route, key);
+    else revertLocation();
+  });
+}
+
+/**
+ * True when the path is protected and there is no valid session.
+ */
+function needsLogin(path) {
+  if (!_loginRoute || path === _loginRoute) return false;
+  return isSignedOut();
+}
+
+/**
+ * True when the login guard is configured and reports no session.
+ */
+function isSignedOut() {
+  if (typeof _isAuthenticated !== 'function') return false;
+  try {
+    return !_isAuthenticated();
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * True when the permission check rejects the path (the login and 403 routes are always open).
+ */
+function isForbidden(path) {
+  if (!_forbiddenRoute || typeof _canAccess !== 'function') return false;
+  if (path === _forbiddenRoute || path === _loginRoute) return false;
+  try {
+    return !_canAccess(path);
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Replace the location with the login route, remembering where the user was headed.
+ */
+function redirectToLogin(next) {
+  _leaveHooks.clear();
+  go(buildPath(_loginRoute, { next }), { replace: true, silent: false });
+}
+
+/**
+ * Undo a cancelled link/history change without stacking a new history entry.
+ */
+function revertLocation() {
+  if (!win || !_currentRoute) return;
+  _revertHash = _currentHash;
+  win.location.replace('#' + _currentHash);
+}
+
+/**
+ * Apply the options shared by the first and later initRouter() calls.
+ */
+function applyOptions(options) {
+  if (typeof options.defaultRoute === 'string' && options.defaultRoute) {
+    _defaultRoute = normalizePath(options.defaultRoute);
+  }
+  if (typeof options.loginRoute === 'string' && options.loginRoute) {
+    _loginRoute = normalizePath(options.loginRoute);
+  }
+  if (typeof options.isAuthenticated === 'function') {
+    _isAuthenticated = options.isAuthenticated;
+  }
+  if (typeof options.forbiddenRoute === 'string' && options.forbiddenRoute) {
+    _forbiddenRoute = normalizePath(options.forbiddenRoute);
+  }
+  if (typeof options.canAccess === 'function') {
+    _canAccess = options.canAccess;
+  }
+}
+
+/**
+ * Make route current: drop the previous page's leave hooks and notify listeners.
+ */
+function commit(route, key) {
+  _leaveHooks.clear();
+  _currentHash = key;
   emit(route);
 }
 
@@ -199,12 +369,10 @@ function debouncedHandleRouteChange() {
 
 // PUBLIC_INTERFACE
 export function initRouter(options = {}) {
-  /** Initialize the hash router with optional onRouteChange and defaultRoute. */
+  /** Initialize the hash router with optional onRouteChange, defaultRoute, the login guard (loginRoute + isAuthenticated) and the permission guard (forbiddenRoute + canAccess). */
   if (_isInitialized) {
-    // If already initialized, still allow updating defaultRoute and registering a listener.
-    if (typeof options.defaultRoute === 'string' && options.defaultRoute) {
-      _defaultRoute = normalizePath(options.defaultRoute);
-    }
+    // If already initialized, still allow updating options and registering a listener.
+    applyOptions(options);
     if (typeof options.onRouteChange === 'function') {
       onRouteChange(options.onRouteChange);
       // Emit current immediately to the new listener
@@ -220,10 +388,7 @@ export function initRouter(options = {}) {
   }
 
   _isInitialized = true;
-
-  if (typeof options.defaultRoute === 'string' && options.defaultRoute) {
-    _defaultRoute = normalizePath(options.defaultRoute);
-  }
+  applyOptions(options);
 
   if (typeof options.onRouteChange === 'function') {
     onRouteChange(options.onRouteChange);
@@ -239,12 +404,35 @@ export function initRouter(options = {}) {
 
 // PUBLIC_INTERFACE
 export function navigate(path, opts = {}) {
-  /** Programmatically navigate to a hash path. Options: { replace?: boolean, silent?: boolean } */
-  const normalized = normalizePath(path || '');
+  /**
+   * Programmatically navigate to a hash path (may carry ?key=value params). Options: { replace?: boolean, silent?: boolean }
+   * Returns a Promise resolving false when a beforeLeave hook cancelled the navigation.
+   */
+  const normalized = normalizePath(path || '') + extractQuery(path || '');
   const { replace = false, silent = false } = opts;
 
-  if (!win) return;
+  if (!win) return Promise.resolve(false);
+
+  // Signed out: the page cannot save anything any more, so leave it for the login route unasked
+  if (_loginRoute && normalizePath(normalized) === _loginRoute && isSignedOut()) _leaveHooks.clear();
 
+  if (!_leaveHooks.size) {
+    go(normalized, { replace, silent });
+    return Promise.resolve(true);
+  }
+  return runLeaveHooks(buildRouteFrom(normalized)).then((ok) => {
+    if (!ok) return false;
+    // Confirmed: the hashchange that follows must not ask again
+    _leaveHooks.clear();
+    go(normalized, { replace, silent });
+    return true;
+  });
+}
+
+/**
+ * Write the target hash and optionally trigger route handling.
+ */
+function go(normalized, { replace, silent }) {
   const targetHash = '#' + normalized;
   if (replace) {
     // Replace state to avoid stacking history entries
@@ -280,6 +468,32 @@ export function offRouteChange(cb) {
   _listeners.delete(cb);
 }
 
-// Optional: expose a small helper to build hash with params if needed in future.
-// Not exported now to keep the minimal API surface.
-// function buildHash(path, params) { ... }
+// PUBLIC_INTERFACE
+export function beforeLeave(hook) {
+  /** Register a hook(to, from) run before leaving the current route; return false to stay. Returns unregister(). */
+  if (typeof hook !== 'function') return () => {};
+  _leaveHooks.add(hook);
+  return () => {
+    _leaveHooks.delete(hook);
+  };
+}
+
+// PUBLIC_INTERFACE
+export function confirmLeave() {
+  /** Run the beforeLeave hooks without navigating; resolves true (and drops them) when none objects. */
+  return runLeaveHooks(getRoute()).then((ok) => {
+    if (ok) _leaveHooks.clear();
+    return ok;
+  });
+}
+
+// PUBLIC_INTERFACE
+export function buildPath(path, params = {}) {
+  /** Build a navigable path with encoded ?key=value params, e.g. buildPath('/basic/dhcp', { mac }) -> '/basic/dhcp?mac=...'. */
+  const normalized = normalizePath(path || '');
+  const query = Object.entries(params || {})
+    .filter(([key, value]) => key && value != null && value !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`)
+    .join('&');
+  return query ? `${normalized}?${query}` : normalized;
+}
@@ -0,0 +1,100 @@
+//
+// Role-based access control: the permission catalogue, the built-in roles, and what each
+// route and settings section requires. Checks run against the permissions carried by the
+// signed-in session (src/services/auth.js); the backend decides them at login.
+//
+// Public API:
+// - PERMISSIONS                          (every permission id, in display order)
+// - BUILT_IN_ROLES                       ({ admin, editor, viewer } -> permission ids)
+// - routePermission(path) -> permission id | null      (null: any signed-in user)
+// - sectionPermission(section) -> permission id        (needed to change a settings section)
+// - can(permission) -> boolean           (null/undefined permission is always granted)
+// - canAccessRoute(path) -> boolean
+// - currentRole() -> role id | null
+// - roleLabel({ id, name? }, t) -> display name   (translated for built-in roles)
+//
+// Permissions:
+// - status:view      Status pages
+// - settings:view    Basic, Advanced and Application settings (read)
+// - settings:edit    ...and change them, control services
+// - system:view      Management system pages (NTP, SSH)
+// - system:edit      ...and change them
+// - system:maintain  Firmware, backup/restore, reboot/reset
+// - users:manage     Users and roles (including custom roles, see /management/users)
+//
+
+import { getSession } from './auth.js';
+
+// PUBLIC_INTERFACE
+export const PERMISSIONS = Object.freeze([
+  'status:view',
+  'settings:view',
+  'settings:edit',
+  'system:view',
+  'system:edit',
+  'system:maintain',
+  'users:manage',
+]);
+
+// PUBLIC_INTERFACE
+export const BUILT_IN_ROLES = Object.freeze({
+  admin: PERMISSIONS,
+  editor: Object.freeze(['status:view', 'settings:view', 'settings:edit', 'system:view']),
+  viewer: Object.freeze(['status:view', 'settings:view', 'system:view']),
+});
+
+// Most specific first: the first base that matches a path decides.
+const ROUTE_PERMISSIONS = Object.freeze([
+  ['/status', 'status:view'],
+  ['/basic', 'settings:view'],
+  ['/advanced', 'settings:view'],
+  ['/application/upnp', 'settings:view'],
+  ['/management/firmware', 'system:maintain'],
+  ['/management/backup', 'system:maintain'],
+  ['/management/reboot', 'system:maintain'],
+  ['/management/users', 'users:manage'],
+  ['/management', 'system:view'],
+]);
+
+const SYSTEM_SECTIONS = Object.freeze(['ntp', 'ssh']);
+
+// PUBLIC_INTERFACE
+export function routePermission(path) {
+  /** The permission needed to open a route, or null when any signed-in user may. */
+  const match = ROUTE_PERMISSIONS.find(([base]) => path === base || String(path || '').startsWith(base + '/'));
+  return match ? match[1] : null;
+}
+
+// PUBLIC_INTERFACE
+export function sectionPermission(section) {
+  /** The permission needed to change a settings section through the device provider. */
+  return SYSTEM_SECTIONS.includes(section) ? 'system:edit' : 'settings:edit';
+}
+
+// PUBLIC_INTERFACE
+export function can(permission) {
+  /** True when the signed-in user holds the permission (or none is required). */
+  if (!permission) return true;
+  const session = getSession();
+  return !!session && session.permissions.includes(permission);
+}
+
+// PUBLIC_INTERFACE
+export function canAccessRoute(path) {
+  /** True when the signed-in user may open the route. */
+  return can(routePermission(path));
+}
+
+// PUBLIC_INTERFACE
+export function currentRole() {
+  /** Role id of the signed-in user, or null. */
+  const session = getSession();
+  return session ? session.role : null;
+}
+
+// PUBLIC_INTERFACE
+export function roleLabel(role, t = (s) => s) {
+  /** Display name of a role: the translation for a built-in role, else its own name. */
+  if (!role || !role.id) return '—';
+  return BUILT_IN_ROLES[role.id] ? t(`roles.${role.id}`) : (role.name || role.id);
+}
@@ -0,0 +1,321 @@
+//
+// HTTP client for the device's REST API, shared by backend adapters (device provider,
+// auth backend) so they all talk to the router the same way: one base URL, the session
+// token on every call, a timeout, retries for calls that are safe to repeat, and one
+// error shape the UI can translate.
+//
+// Public API:
+// - API_ERROR_CODES                       (every error code, see Errors below)
+// - configureApi({ baseUrl?, timeoutMs?, retries?, getToken?, fetch? })
+// - apiRequest(method, path, { query?, body?, headers?, timeoutMs?, retries?, idempotent?, auth?, signal? })
+//     -> Promise<parsed JSON body | text | null (204)>
+// - apiGet(path, options) / apiPost(path, body, options) / apiPut(path, body, options) / apiDelete(path, options)
+// - apiErrorMessage(err, t) -> translated message for any error the client rejects with
+// - onUnauthorized(cb) / offUnauthorized(cb)   (cb(error) when the device rejects the session token)
+//
+// Configuration: the base URL defaults to import.meta.env.VITE_BACKEND_URL (empty: same origin
+// as the UI). The token comes from the stored session (src/services/auth.js) and is sent as
+// "Authorization: Bearer <token>" unless auth: false is given (e.g. for the login call itself).
+//
+// Errors: every rejection is an Error with
+//   { code, status: HTTP status | null, details: server-provided data | null, retryable }
+// where code is one of API_ERROR_CODES and maps to the i18n key "apiErrors.<code>".
+// A server body like { message, code?, details? } supplies the message and details.
+//
+// Retries: GET, HEAD, PUT and DELETE (or any call with idempotent: true) are retried on
+// network errors, timeouts, 429 and 502–504, with exponential backoff and jitter; a
+// Retry-After header (seconds or HTTP date) is honoured up to 5 s. POST and PATCH are sent once.
+//
+// Unauthorized: a 401 to a call that carried a token means the device no longer accepts the
+// session; the listeners registered with onUnauthorized run once per token (main.js signs out).
+//
+
+import { getSession } from './auth.js';
+
+// Timer helpers to avoid no-undef in lint environments and work in browsers/workers.
+const _g = typeof globalThis !== 'undefined' ? globalThis : {};
+const _setTimeout = (_g && _g.setTimeout) ? _g.setTimeout.bind(_g) : (fn) => fn();
+const _clearTimeout = (_g && _g.clearTimeout) ? _g.clearTimeout.bind(_g) : () => {};
+
+// PUBLIC_INTERFACE
+export const API_ERROR_CODES = Object.freeze([
+  'network',       // no answer at all (offline, DNS, connection refused, CORS)
+  'timeout',       // no answer within timeoutMs
+  'aborted',       // cancelled by the caller's signal
+  'bad-request',   // 400 / 422: the device rejected the input
+  'unauthorized',  // 401
+  'forbidden',     // 403
+  'not-found',     // 404
+  'conflict',      // 409
+  'rate-limited',  // 429
+  'server',        // 5xx
+  'bad-response',  // answered, but not with what the client can read
+  'unknown',
+]);
+
+const IDEMPOTENT_METHODS = Object.freeze(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+const RETRY_STATUSES = Object.freeze([429, 502, 503, 504]);
+const BACKOFF_BASE_MS = 300;
+const BACKOFF_MAX_MS = 5000;
+
+const STATUS_CODES = Object.freeze({
+  400: 'bad-request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not-found',
+  409: 'conflict',
+  422: 'bad-request',
+  429: 'rate-limited',
+});
+
+function envBaseUrl() {
+  try {
+    // Vite replaces import.meta.env at build; in non-vite contexts it may be missing.
+    return (import.meta && import.meta.env && import.meta.env.VITE_BACKEND_URL) || '';
+  } catch {
+    return '';
+  }
+}
+
+const _config = {
+  baseUrl: envBaseUrl(),
+  timeoutMs: 15000,
+  retries: 2,
+  getToken: () => getSession()?.token || null,
+  fetch: null,
+};
+const _listeners = new Set();
+// The token last reported as rejected, so a burst of 401s signs out only once.
+let _rejectedToken = null;
+
+function apiError(code, message, { status = null, details = null, cause } = {}) {
+  const err = new Error(message || code);
+  err.name = 'ApiError';
+  err.code = API_ERROR_CODES.includes(code) ? code : 'unknown';
+  err.status = status;
+  err.details = details;
+  err.retryable = ['network', 'timeout', 'rate-limited'].includes(err.code) || RETRY_STATUSES.includes(status);
+  if (cause) err.cause = cause;
+  return err;
+}
+
+function notifyUnauthorized(error) {
+  for (const cb of _listeners) {
+    try {
+      cb(error);
+    } catch {
+      // ignore listener exceptions
+    }
+  }
+}
+
+function buildUrl(path, query) {
+  const base = String(_config.baseUrl || '').replace(/\/+$/, '');
+  const url = `${base}${String(path).startsWith('/') ? '' : '/'}${path}`;
+  const params = Object.entries(query || {}).filter(([, v]) => v != null);
+  if (!params.length) return url;
+  const search = params.map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(String(v))}`).join('&');
+  return `${url}${url.includes('?') ? '&' : '?'}${search}`;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      _clearTimeout(timer);
+      reject(apiError('aborted', 'Request cancelled'));
+    };
+    const timer = _setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Milliseconds a Retry-After header asks to wait: delay-seconds or an HTTP date; null when absent or unreadable.
+ */
+function retryAfterMs(value) {
+  const text = value == null ? '' : String(value).trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+  const at = Date.parse(text);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): the server's Retry-After when given,
+ * else exponential backoff, randomised over its upper half so clients do not retry in step.
+ */
+function backoffDelay(attempt, retryAfter) {
+  const wait = retryAfterMs(retryAfter);
+  if (wait !== null) return Math.min(wait, BACKOFF_MAX_MS);
+  const cap = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+  return Math.round(cap / 2 + Math.random() * (cap / 2));
+}
+
+async function readBody(response) {
+  if (response.status === 204 || response.status === 205) return null;
+  const text = await response.text();
+  if (!text) return null;
+  const type = response.headers.get('content-type') || '';
+  // An error page that claims to be JSON but is not still yields a normal HTTP error
+  if (!/[/+]json\b/i.test(type) || !response.ok) {
+    try {
+      return /[/+]json\b/i.test(type) ? JSON.parse(text) : text;
+    } catch {
+      return text;
+    }
+  }
+  try {
+    return JSON.parse(text);
+  } catch (cause) {
+    throw apiError('bad-response', 'The device sent a malformed JSON response', { status: response.status, cause });
+  }
+}
+
+function httpError(response, body) {
+  const status = response.status;
+  const code = STATUS_CODES[status] || (status >= 500 ? 'server' : 'unknown');
+  const data = body && typeof body === 'object' ? body : null;
+  const message = (data && typeof data.message === 'string' && data.message)
+    || (typeof body === 'string' && body.length <= 200 && !body.trimStart().startsWith('<') && body.trim())
+    || `HTTP ${status}${response.statusText ? ` ${response.statusText}` : ''}`;
+  return apiError(code, message, { status, details: data ? (data.details ?? data.errors ?? null) : null });
+}
+
+/**
+ * One attempt: fetch with a timeout linked to the caller's signal; resolves with the body or
+ * rejects with an API error.
+ */
+async function attempt(method, url, init, timeoutMs, signal) {
+  const fetchImpl = _config.fetch || (_g.fetch ? _g.fetch.bind(_g) : null);
+  if (!fetchImpl) throw apiError('network', 'No fetch implementation available');
+  const controller = new _g.AbortController();
+  let timedOut = false;
+  const timer = _setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    let response;
+    let body;
+    try {
+      response = await fetchImpl(url, { ...init, method, signal: controller.signal });
+      body = await readBody(response);
+    } catch (cause) {
+      if (cause && cause.name === 'ApiError') throw cause;
+      if (timedOut) throw apiError('timeout', `No answer from the device within ${Math.ceil(timeoutMs / 1000)} s`, { cause });
+      if (signal && signal.aborted) throw apiError('aborted', 'Request cancelled', { cause });
+      throw apiError('network', 'The device could not be reached', { cause });
+    }
+    if (!response.ok) {
+      const err = httpError(response, body);
+      err.retryAfter = response.headers.get('retry-after');
+      throw err;
+    }
+    return body;
+  } finally {
+    _clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+// PUBLIC_INTERFACE
+export function configureApi(options = {}) {
+  /** Override client defaults: base URL, timeout, retry count, token source or fetch implementation. */
+  for (const key of ['baseUrl', 'timeoutMs', 'retries', 'getToken', 'fetch']) {
+    if (options[key] !== undefined) _config[key] = options[key];
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function apiRequest(method, path, options = {}) {
+  /** Send a request to the device API; resolves with the response body, rejects with an API error. */
+  const {
+    query,
+    body,
+    headers = {},
+    timeoutMs = _config.timeoutMs,
+    retries = _config.retries,
+    auth = true,
+    signal,
+  } = options;
+  const verb = String(method || 'GET').toUpperCase();
+  const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(verb);
+  const token = auth ? _config.getToken() : null;
+
+  const init = { headers: { Accept: 'application/json', ...headers } };
+  if (token) init.headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) {
+    const raw = typeof body === 'string' || (_g.FormData && body instanceof _g.FormData) || (_g.Blob && body instanceof _g.Blob);
+    init.body = raw ? body : JSON.stringify(body);
+    if (!raw) init.headers['Content-Type'] = 'application/json';
+  }
+
+  const url = buildUrl(path, query);
+  const maxAttempts = 1 + (idempotent ? Math.max(0, retries) : 0);
+  for (let n = 1; ; n += 1) {
+    if (signal && signal.aborted) throw apiError('aborted', 'Request cancelled');
+    try {
+      return await attempt(verb, url, init, timeoutMs, signal);
+    } catch (err) {
+      if (err.code === 'unauthorized' && token && token !== _rejectedToken) {
+        _rejectedToken = token;
+        notifyUnauthorized(err);
+      }
+      if (!err.retryable || n >= maxAttempts) throw err;
+      await sleep(backoffDelay(n, err.retryAfter), signal);
+    }
+  }
+}
+
+// PUBLIC_INTERFACE
+export function apiGet(path, options = {}) {
+  /** GET path (retried when it fails transiently). */
+  return apiRequest('GET', path, options);
+}
+
+// PUBLIC_INTERFACE
+export function apiPost(path, body, options = {}) {
+  /** POST a JSON body (sent once unless options.idempotent). */
+  return apiRequest('POST', path, { ...options, body });
+}
+
+// PUBLIC_INTERFACE
+export function apiPut(path, body, options = {}) {
+  /** PUT a JSON body (retried when it fails transiently). */
+  return apiRequest('PUT', path, { ...options, body });
+}
+
+// PUBLIC_INTERFACE
+export function apiDelete(path, options = {}) {
+  /** DELETE path (retried when it fails transiently). */
+  return apiRequest('DELETE', path, options);
+}
+
+// PUBLIC_INTERFACE
+export function apiErrorMessage(err, t = (s) => s) {
+  /** Message for the UI: the device's own text for rejected input, else the translated text for the error code. */
+  if (!err) return t('apiErrors.unknown');
+  if (err.name !== 'ApiError') return err.message || t('apiErrors.unknown');
+  if (['bad-request', 'conflict'].includes(err.code) && err.message && !/^HTTP \d/.test(err.message)) return err.message;
+  return t(`apiErrors.${err.code}`);
+}
+
+// PUBLIC_INTERFACE
+export function onUnauthorized(cb) {
+  /** Subscribe to "the device rejected the session token" with a callback(error). */
+  if (typeof cb !== 'function') return;
+  _listeners.add(cb);
+}
+
+// PUBLIC_INTERFACE
+export function offUnauthorized(cb) {
+  /** Unsubscribe a previously registered unauthorized callback. */
+  if (typeof cb !== 'function') return;
+  _listeners.delete(cb);
+}
@@ -0,0 +1,137 @@
+//
+// Authentication: signs the user in through the registered backend adapter and keeps the
+// resulting session in app storage, so the router can tell whether a page may be shown.
+// Like the device provider, the backend is a plain object of async methods; the offline
+// mock (src/services/mock-auth-backend.js) stands in until a real adapter exists.
+//
+// Public API:
+// - setAuthBackend(backend)
+// - login(username, password) -> Promise<session>
+// - logout() -> Promise<void>          (always ends the local session, even if the backend fails)
+// - getSession() -> { token, username, role, roleName, permissions, expiresAt } | null   (null once expired or revoked)
+// - hasValidSession() -> boolean
+// - onSessionChange(cb) / offSessionChange(cb)   (cb(session | null) after login and logout)
+//
+// Backend contract (every method returns a Promise):
+// - login(username, password) -> { token, username, role, roleName?, permissions: string[], expiresAt: epoch ms }
+//     (permission ids as in src/services/access.js; roleName labels custom roles)
+//     (rejects with an Error whose code is 'invalid-credentials' when they are wrong)
+// - logout(token) -> null                   (invalidates the token on the device)
+// - checkToken?(token) -> boolean           (synchronous, optional: false once the device has revoked
+//     the token, e.g. because the account was disabled, deleted or given another role)
+//
+// Storage: "app:session" holds { token, role, roleName, permissions, expiresAt } as JSON and
+// "app:username" the display name, the keys the header has always read. A stored session
+// without permissions predates access control and no longer counts.
+//
+
+import { createStorage } from '../utils/storage.js';
+
+const STORAGE_KEYS = Object.freeze({
+  session: 'session',
+  username: 'username',
+});
+
+const storage = createStorage('app');
+const _listeners = new Set();
+let _backend = null;
+
+function backend() {
+  if (!_backend) {
+    throw new Error('Authentication used before setAuthBackend(backend).');
+  }
+  return _backend;
+}
+
+function notify(session) {
+  for (const cb of _listeners) {
+    try {
+      cb(session);
+    } catch {
+      // ignore listener exceptions
+    }
+  }
+}
+
+function clearSession() {
+  storage.remove(STORAGE_KEYS.session);
+  storage.remove(STORAGE_KEYS.username);
+}
+
+// PUBLIC_INTERFACE
+export function setAuthBackend(adapter) {
+  /** Register the backend adapter used to create and invalidate sessions. */
+  if (!adapter || typeof adapter.login !== 'function' || typeof adapter.logout !== 'function') {
+    throw new Error('setAuthBackend(backend) requires an object with login() and logout().');
+  }
+  _backend = adapter;
+}
+
+// PUBLIC_INTERFACE
+export function getSession() {
+  /** The stored session, or null when there is none, it has expired or the backend has revoked it. */
+  const stored = storage.getJSON(STORAGE_KEYS.session, null);
+  if (!stored || typeof stored.token !== 'string' || !stored.token) return null;
+  if (!Number.isFinite(stored.expiresAt) || stored.expiresAt <= Date.now()) return null;
+  if (!Array.isArray(stored.permissions)) return null;
+  if (_backend && typeof _backend.checkToken === 'function' && !_backend.checkToken(stored.token)) return null;
+  return {
+    token: stored.token,
+    username: storage.get(STORAGE_KEYS.username, ''),
+    role: stored.role || null,
+    roleName: stored.roleName || null,
+    permissions: stored.permissions,
+    expiresAt: stored.expiresAt,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function hasValidSession() {
+  /** True while a non-expired, unrevoked session is stored. */
+  return getSession() !== null;
+}
+
+// PUBLIC_INTERFACE
+export async function login(username, password) {
+  /** Exchange credentials for a session token and store it; rejects like the backend does. */
+  const result = await backend().login(String(username || '').trim(), String(password || ''));
+  const session = {
+    token: result.token,
+    username: result.username,
+    role: result.role || null,
+    roleName: result.roleName || null,
+    permissions: Array.isArray(result.permissions) ? [...result.permissions] : [],
+    expiresAt: result.expiresAt,
+  };
+  const { username: name, ...stored } = session;
+  storage.setJSON(STORAGE_KEYS.session, stored);
+  storage.set(STORAGE_KEYS.username, name);
+  notify(session);
+  return session;
+}
+
+// PUBLIC_INTERFACE
+export async function logout() {
+  /** Invalidate the session on the backend and forget it locally. */
+  const stored = storage.getJSON(STORAGE_KEYS.session, null);
+  clearSession();
+  try {
+    if (stored && stored.token) await backend().logout(stored.token);
+  } finally {
+    notify(null);
+  }
+}
+
+// PUBLIC_INTERFACE
+export function onSessionChange(cb) {
+  /** Subscribe to login/logout with a callback(session | null). */
+  if (typeof cb !== 'function') return;
+  _listeners.add(cb);
+}
+
+// PUBLIC_INTERFACE
+export function offSessionChange(cb) {
+  /** Unsubscribe a previously registered session callback. */
+  if (typeof cb !== 'function') return;
+  _listeners.delete(cb);
+}
@@ -0,0 +1,204 @@
+//
+// Configuration backup: every settings section read through the device provider,
+// bundled into one versioned JSON document, and restored section by section.
+//
+// Public API:
+// - SETTINGS_SECTIONS                       (sections included in a backup, in restore order)
+// - exportConfiguration() -> Promise<backup>
+// - backupFileName(backup) -> string        ("router-config-<version>-YYYYMMDD-HHMM.json")
+// - parseBackup(text, current, checks?) -> { backup } | { error: { key, vars? } }
+// - checkBackup(backup, current, checks, sections?) -> null | { key, vars }
+// - diffConfiguration(current, backup) -> [{ section, path, before, after }]
+// - restoreConfiguration(backup, sections) -> Promise<string[]>   (sections written)
+//
+// Backup document:
+//   { format: 'router-config', version: 1, exportedAt: ISO string, firmware: string | null,
+//     settings: { [section]: model } }
+// A backup may leave sections out (they stay as they are). Its models are checked against
+// the shape of the current ones: same keys, objects where objects are expected, lists where
+// lists are expected. Fields the backup lacks keep their current value on restore, so
+// backups taken before a field existed still apply.
+//
+// Values are then checked with the settings pages' own rules: `checks` maps a section to
+// (model, settings) -> { field: null | { key, vars } } (each page's validateSettings), run on
+// the settings as they would be after the restore, so DHCP is checked against the restored
+// LAN subnet. The first failure names its path, e.g. "portForwarding.rules[0].name".
+//
+
+import { getDeviceProvider } from './device-provider.js';
+
+const FORMAT = 'router-config';
+const VERSION = 1;
+
+// PUBLIC_INTERFACE
+export const SETTINGS_SECTIONS = Object.freeze([
+  'lan', 'wan', 'wlan', 'dhcp', 'ddns', 'dmz', 'portForwarding', 'firewall', 'ntp', 'ssh', 'upnp',
+]);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function kind(value) {
+  if (Array.isArray(value)) return 'list';
+  if (isObject(value)) return 'object';
+  return 'value';
+}
+
+/**
+ * First path where `value` does not have the shape of `reference`, or null.
+ * Scalars are interchangeable (a channel may be 6 or 'auto'; ports may be null);
+ * list items are checked against the first current item when there is one.
+ */
+function shapeMismatch(value, reference, path) {
+  if (reference === undefined || reference === null || value === null) return null;
+  if (kind(value) !== kind(reference)) return path;
+  if (Array.isArray(value)) {
+    if (!reference.length) return null;
+    for (let i = 0; i < value.length; i += 1) {
+      const mismatch = shapeMismatch(value[i], reference[0], `${path}[${i}]`);
+      if (mismatch) return mismatch;
+    }
+    return null;
+  }
+  if (isObject(value)) {
+    for (const key of Object.keys(value)) {
+      if (!Object.prototype.hasOwnProperty.call(reference, key)) return `${path}.${key}`;
+      const mismatch = shapeMismatch(value[key], reference[key], `${path}.${key}`);
+      if (mismatch) return mismatch;
+    }
+  }
+  return null;
+}
+
+/**
+ * Leaf values keyed by path ("radios[1].ssid"); lists of plain values count as one leaf.
+ */
+function flatten(value, path, out) {
+  if (isObject(value)) {
+    for (const key of Object.keys(value)) flatten(value[key], path ? `${path}.${key}` : key, out);
+  } else if (Array.isArray(value) && value.some((item) => isObject(item) || Array.isArray(item))) {
+    value.forEach((item, i) => flatten(item, `${path}[${i}]`, out));
+  } else {
+    out.set(path, value);
+  }
+  return out;
+}
+
+function merged(current, incoming) {
+  return isObject(current) && isObject(incoming) ? { ...current, ...incoming } : incoming;
+}
+
+/**
+ * Form field name as a settings path: row fields "rules.0.name" read "rules[0].name".
+ */
+function fieldPath(section, field) {
+  return `${section}.${String(field).replace(/\.(\d+)(?=\.|$)/g, '[$1]')}`;
+}
+
+// PUBLIC_INTERFACE
+export async function exportConfiguration() {
+  /** Read every settings section from the device and wrap them in a versioned backup document. */
+  const provider = getDeviceProvider();
+  const settings = {};
+  for (const section of SETTINGS_SECTIONS) {
+    settings[section] = await provider.getSettings(section);
+  }
+  let firmware = null;
+  try {
+    firmware = (await provider.getFirmwareInfo()).version;
+  } catch {
+    firmware = null;
+  }
+  return { format: FORMAT, version: VERSION, exportedAt: new Date().toISOString(), firmware, settings };
+}
+
+// PUBLIC_INTERFACE
+export function backupFileName(backup) {
+  /** Download name for a backup, from its firmware version and export time. */
+  const at = new Date(backup && backup.exportedAt ? backup.exportedAt : Date.now());
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${at.getFullYear()}${pad(at.getMonth() + 1)}${pad(at.getDate())}-${pad(at.getHours())}${pad(at.getMinutes())}`;
+  const firmware = backup && backup.firmware ? `-${String(backup.firmware).replace(/[^\w.-]/g, '')}` : '';
+  return `${FORMAT}${firmware}-${stamp}.json`;
+}
+
+// PUBLIC_INTERFACE
+export function parseBackup(text, current = {}, checks = {}) {
+  /** Parse a backup file and check it against the current settings and the page checks; returns { backup } or { error }. */
+  let doc;
+  try {
+    doc = JSON.parse(String(text || ''));
+  } catch {
+    return { error: { key: 'validation.backupJson' } };
+  }
+  if (!isObject(doc) || doc.format !== FORMAT || !isObject(doc.settings)) {
+    return { error: { key: 'validation.backupFormat' } };
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > VERSION) {
+    return { error: { key: 'validation.backupVersion', vars: { version: String(doc.version), supported: VERSION } } };
+  }
+  const unknown = Object.keys(doc.settings).filter((section) => !SETTINGS_SECTIONS.includes(section));
+  if (unknown.length) {
+    return { error: { key: 'validation.backupSection', vars: { sections: unknown.join(', ') } } };
+  }
+  for (const [section, model] of Object.entries(doc.settings)) {
+    const path = isObject(model) ? shapeMismatch(model, current[section], section) : section;
+    if (path) return { error: { key: 'validation.backupSchema', vars: { path } } };
+  }
+  const error = checkBackup(doc, current, checks);
+  return error ? { error } : { backup: doc };
+}
+
+// PUBLIC_INTERFACE
+export function checkBackup(backup, current, checks, sections = SETTINGS_SECTIONS) {
+  /** Run the page checks on the given sections as restoring them would leave them; null or the first failure. */
+  const after = {};
+  for (const section of SETTINGS_SECTIONS) {
+    const restored = sections.includes(section) && backup.settings[section];
+    after[section] = restored ? merged(current[section], backup.settings[section]) : current[section];
+  }
+  for (const section of SETTINGS_SECTIONS) {
+    const check = checks && checks[section];
+    if (!check || !sections.includes(section) || !backup.settings[section]) continue;
+    let errors;
+    try {
+      errors = check(after[section], after) || {};
+    } catch {
+      return { key: 'validation.backupSchema', vars: { path: section } };
+    }
+    const field = Object.keys(errors).find((name) => errors[name]);
+    if (field) return { key: 'validation.backupValue', vars: { path: fieldPath(section, field) }, cause: errors[field] };
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function diffConfiguration(current, backup) {
+  /** Every setting the backup would change, in section order; before/after are undefined when absent. */
+  const changes = [];
+  for (const section of SETTINGS_SECTIONS) {
+    if (!backup.settings[section]) continue;
+    const before = flatten(current[section] || {}, '', new Map());
+    const after = flatten(merged(current[section], backup.settings[section]), '', new Map());
+    const paths = new Set([...before.keys(), ...after.keys()]);
+    for (const path of paths) {
+      const a = before.get(path);
+      const b = after.get(path);
+      if (JSON.stringify(a) !== JSON.stringify(b)) changes.push({ section, path, before: a, after: b });
+    }
+  }
+  return changes;
+}
+
+// PUBLIC_INTERFACE
+export async function restoreConfiguration(backup, sections) {
+  /** Write the given sections of a parsed backup through the provider, in SETTINGS_SECTIONS order. */
+  const provider = getDeviceProvider();
+  const written = [];
+  for (const section of SETTINGS_SECTIONS) {
+    if (!sections.includes(section) || !backup.settings[section]) continue;
+    const current = await provider.getSettings(section);
+    await provider.saveSettings(section, merged(current, backup.settings[section]));
+    written.push(section);
+  }
+  return written;
+}
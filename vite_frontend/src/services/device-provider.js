@@ -0,0 +1,106 @@
+//
+// Device data provider registry.
+// Pages never talk to the router hardware directly; they ask the registered provider.
+// A provider is a plain object of async methods, so a real backend adapter and the
+// offline mock (src/services/mock-device-provider.js) are interchangeable.
+//
+// Public API:
+// - setDeviceProvider(provider)
+// - getDeviceProvider()
+//
+// Provider contract (every method returns a Promise):
+// - getLanStatus() -> {
+//     iface: { name, ipv4, netmask, ipv6, mac, speedMbps },
+//     ports: [{ id, label, link: 'up' | 'down', speedMbps, duplex: 'full' | 'half' | null }]
+//   }
+// - getWanStatus() -> {
+//     connectionType: 'dhcp' | 'pppoe' | 'static', connected, iface, mac,
+//     publicIp, gateway, dns: string[], uptimeSeconds
+//   }
+// - getWanTraffic() -> { rxBytes, txBytes, timestamp }   (cumulative counters; callers derive rates)
+// - getWlanStatus() -> {
+//     radios: [{ id, band, ssid, channel, channelWidthMhz, txPowerDbm, enabled }],
+//     clients: [{ mac, hostname, band, radioId, rssi, txRateMbps, rxRateMbps, connectedSeconds }]
+//   }
+// - getDhcpLeases() -> [{ ip, mac, hostname, type: 'dynamic' | 'static', expiresAt: epoch ms | null }]
+// - getSystemLog() -> [{ id, time: epoch ms, severity: 0..7 (syslog), facility, process, message }]  (oldest first)
+// - getSettings(section) -> model            (section: 'lan', ...; unknown sections reject)
+// - saveSettings(section, model) -> model    (resolves with the stored model)
+// - getServices() -> [{ id, name, description, state: 'running' | 'stopped' | 'failed', enabledAtBoot, pid: number | null }]
+// - controlService(id, action: 'start' | 'stop' | 'restart') -> service   (rejects with the daemon's error when it fails)
+// - setServiceEnabled(id, enabled) -> service                              (enable/disable at boot)
+// - getDdnsHistory() -> [{ id, time: epoch ms, hostname, ip, trigger: 'scheduled' | 'manual',
+//     result: 'good' | 'nochg' | 'badauth' | 'nohost' | 'abuse' | '911', message }]   (newest first)
+// - forceDdnsUpdate() -> history entry      (uses the saved "ddns" settings; rejects when DDNS is disabled)
+// - getSystemTime() -> { time: epoch ms (device clock), timezone, lastSync: epoch ms | null, server: string | null }
+// - syncTime() -> same as getSystemTime     (immediate NTP sync with the saved "ntp" settings; rejects when it fails)
+// - getUpnpMappings() -> [{ protocol: 'TCP' | 'UDP', externalPort, internalIp, internalPort, description,
+//     expiresAt: epoch ms | null (permanent) }]   (empty while UPnP is disabled)
+// - deleteUpnpMapping(protocol, externalPort) -> null   (rejects when no such mapping exists)
+// - getFirmwareInfo() -> { version, revision, board, hostname, maxImageBytes }   (rejects while the device is
+//     unreachable, so it doubles as the "is the device back?" probe after a reboot)
+// - uploadFirmware(file, { keepSettings, onProgress(loadedBytes, totalBytes) }) -> { rebootSeconds }
+//     (resolves once the image is verified and flashing has started; the device then reboots and is
+//      unreachable for about rebootSeconds. Without keepSettings all settings return to defaults.)
+// - reboot() -> { rebootSeconds }            (the device restarts right after answering)
+// - factoryReset() -> { rebootSeconds }      (every settings section returns to its defaults, then it restarts)
+// - getUsers() -> [{ username, fullName, role (role id), enabled, lastLoginAt: epoch ms | null }]
+// - createUser({ username, fullName, role, enabled, password }) -> user
+// - updateUser(username, { fullName?, role?, enabled? }) -> user
+// - resetUserPassword(username, password) -> null
+// - deleteUser(username) -> null
+// - getRoles() -> [{ id, name, permissions: string[] (ids from src/services/access.js), builtIn }]
+//     (built-in roles first; their name is the id and the UI translates it)
+// - saveRole({ id?, name, permissions }) -> role   (creates a custom role without id; built-in roles reject)
+// - deleteRole(id) -> null                  (rejects for built-in roles and roles still assigned to a user)
+//     User and role changes reject when no enabled user would be left with users:manage.
+//     Disabling, deleting or re-roling a user (or changing their role's permissions) revokes
+//     the user's sessions; the auth backend stops accepting their tokens.
+//
+// Settings models:
+// - lan: { ipAddress, netmask, ipv6Prefix }
+// - wan: { mode: 'dhcp' | 'static' | 'pppoe', mtu, macCloneEnabled, macAddress,
+//          staticIp, staticNetmask, staticGateway, staticDns1, staticDns2,
+//          dhcpHostname, dhcpDnsOverride, dhcpDns1, dhcpDns2,
+//          pppoeUsername, pppoePassword, pppoeServiceName }
+// - wlan: { radios: [{ id, band, enabled, ssid, security: 'wpa2' | 'wpa2-wpa3' | 'wpa3', passphrase,
+//            channel: number | 'auto', channelWidth, hidden, guest }] }
+// - dhcp: { enabled, poolStart, poolEnd, leaseMinutes, dnsMode: 'router' | 'custom', dns1, dns2,
+//           reservations: [{ mac, ip, hostname }] }
+// - ddns: { enabled, provider: 'dyndns' | 'noip' | 'duckdns' | 'custom', hostname, username, password,
+//           urlTemplate (custom only; {ip} {hostname} {username} {password} placeholders), intervalMinutes }
+// - dmz: { enabled, hostIp }
+// - portForwarding: { rules: [{ name, enabled, protocol: 'tcp' | 'udp' | 'both', externalStart, externalEnd,
+//                     internalIp, internalPort }] }   (array order is match priority)
+// - firewall: { rules: [{ name, enabled, action: 'accept' | 'drop' | 'reject',
+//               protocol: 'tcp' | 'udp' | 'both' | 'icmp' | 'any', source ('' = any; IPv4 or CIDR),
+//               portStart, portEnd (null = all ports) }] }   (array order is match priority)
+// - ntp: { enabled, servers: string[] (hostnames or IPv4, in query order), timezone (IANA id) }
+// - ssh: { enabled, port, passwordAuth, interfaces: ('lan' | 'wan')[], authorizedKeys: string[] (authorized_keys lines) }
+// - upnp: { enabled, natPmp, secureMode (clients may only map ports to their own address) }
+//
+// Streaming (returns synchronously, not a Promise):
+// - openLogStream(onEntries) -> { close() }
+//     onEntries(entries) is called with batches of new log entries (same shape as getSystemLog)
+//     until close() is called.
+//
+
+let _provider = null;
+
+// PUBLIC_INTERFACE
+export function setDeviceProvider(provider) {
+  /** Register the provider used by all pages to read and write device data. */
+  if (!provider || typeof provider !== 'object') {
+    throw new Error('setDeviceProvider(provider) requires a provider object.');
+  }
+  _provider = provider;
+}
+
+// PUBLIC_INTERFACE
+export function getDeviceProvider() {
+  /** Returns the registered device provider; throws if none has been registered yet. */
+  if (!_provider) {
+    throw new Error('getDeviceProvider() called before setDeviceProvider(provider).');
+  }
+  return _provider;
+}
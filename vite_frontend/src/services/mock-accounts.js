@@ -0,0 +1,242 @@
+//
+// Offline mock of the device's account database: web UI users and roles, shared by the
+// mock device provider (user administration) and the mock auth backend (sign-in), so a
+// user created or disabled on the Users page really changes who can sign in.
+//
+// Public API:
+// - createMockAccounts({ storage? }) -> {
+//     authenticate(username, password) -> { username, fullName, role, roleName, permissions } | null,
+//     listUsers(), createUser(user), updateUser(username, changes), setPassword(username, password),
+//     deleteUser(username), listRoles(), saveRole(role), deleteRole(id),
+//     revokedAt(username) -> epoch ms | null
+//   }
+//   Every method but revokedAt returns a Promise; rule violations reject with an Error whose
+//   message the UI shows.
+//   Shapes are the device provider's (see src/services/device-provider.js).
+//
+// Storage (namespace "app:device" by default): "accounts:users" and "accounts:roles" (custom
+// roles only). Until the first change the factory accounts admin / admin (admin),
+// editor / editor (editor) and noc / noc (viewer) are used.
+//
+// Revocation: disabling, deleting or re-roling a user, or changing the permissions of their
+// custom role, records the time in "accounts:revoked" (username -> epoch ms). Sessions issued
+// before that no longer count (see mock-auth-backend.js), as the device drops them.
+//
+// Passwords are kept as salted SHA-256 where Web Crypto is available (secure contexts) and
+// as-is otherwise; factory passwords are stored as-is and upgraded at their first sign-in.
+//
+
+import { createStorage } from '../utils/storage.js';
+import { accountPassword, username as usernameError } from '../utils/validators.js';
+import { PERMISSIONS, BUILT_IN_ROLES } from './access.js';
+
+const _g = typeof globalThis !== 'undefined' ? globalThis : {};
+
+const FACTORY_USERS = Object.freeze([
+  ['admin', 'Administrator', 'admin'],
+  ['editor', 'Network editor', 'editor'],
+  ['noc', 'NOC monitor', 'viewer'],
+]);
+
+// A custom role may not reuse the name of a built-in one.
+const RESERVED_ROLE_NAMES = Object.freeze(Object.keys(BUILT_IN_ROLES));
+
+function randomHex(bytes) {
+  if (_g.crypto && typeof _g.crypto.getRandomValues === 'function') {
+    return Array.from(_g.crypto.getRandomValues(new Uint8Array(bytes)), (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+  return Array.from({ length: bytes }, () => Math.floor(Math.random() * 256).toString(16).padStart(2, '0')).join('');
+}
+
+function canHash() {
+  return !!(_g.crypto && _g.crypto.subtle && typeof _g.TextEncoder === 'function');
+}
+
+async function sha256Hex(text) {
+  const digest = await _g.crypto.subtle.digest('SHA-256', new _g.TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function protect(password) {
+  if (!canHash()) return { scheme: 'plain', secret: password };
+  const salt = randomHex(16);
+  return { scheme: 'sha256', salt, secret: await sha256Hex(`${salt}:${password}`) };
+}
+
+async function matches(stored, password) {
+  if (!stored) return false;
+  if (stored.scheme === 'plain') return stored.secret === password;
+  if (stored.scheme === 'sha256' && canHash()) return stored.secret === await sha256Hex(`${stored.salt}:${password}`);
+  return false;
+}
+
+/**
+ * Role id for a new custom role: a slug of its name, unique among existing roles.
+ */
+function roleId(name, taken) {
+  const base = String(name).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'role';
+  let id = base;
+  for (let n = 2; taken.includes(id); n += 1) id = `${base}-${n}`;
+  return id;
+}
+
+// PUBLIC_INTERFACE
+export function createMockAccounts({ storage = createStorage('app:device') } = {}) {
+  /** Create the shared user/role store used by the offline mocks. */
+  const readUsers = () => storage.getJSON('accounts:users', null) || FACTORY_USERS.map(([username, fullName, role]) => ({
+    username,
+    fullName,
+    role,
+    enabled: true,
+    lastLoginAt: null,
+    password: { scheme: 'plain', secret: username },
+  }));
+  const writeUsers = (users) => storage.setJSON('accounts:users', users);
+  const customRoles = () => storage.getJSON('accounts:roles', []) || [];
+  const writeRoles = (roles) => storage.setJSON('accounts:roles', roles);
+  const revoke = (usernames) => {
+    if (!usernames.length) return;
+    const now = Date.now();
+    const revoked = storage.getJSON('accounts:revoked', {}) || {};
+    for (const name of usernames) revoked[name] = now;
+    storage.setJSON('accounts:revoked', revoked);
+  };
+
+  const allRoles = (custom = customRoles()) => [
+    ...Object.entries(BUILT_IN_ROLES).map(([id, permissions]) => ({ id, name: id, permissions: [...permissions], builtIn: true })),
+    ...custom.map((r) => ({ ...r, permissions: [...r.permissions], builtIn: false })),
+  ];
+  const findRole = (id, roles = allRoles()) => roles.find((r) => r.id === id) || null;
+  const publicUser = ({ username, fullName, role, enabled, lastLoginAt }) => ({ username, fullName, role, enabled, lastLoginAt });
+
+  const findUser = (users, username) => {
+    const user = users.find((u) => u.username === username);
+    if (!user) throw new Error(`No user named "${username}"`);
+    return user;
+  };
+
+  // The device refuses any change that would leave nobody able to manage users.
+  const ensureManager = (users, roles) => {
+    const managed = users.some((u) => u.enabled && (findRole(u.role, roles)?.permissions || []).includes('users:manage'));
+    if (!managed) throw new Error('At least one enabled user must keep a role with the "Manage users and roles" permission');
+  };
+
+  const checkRole = (id) => {
+    if (!findRole(id)) throw new Error(`Unknown role "${id}"`);
+  };
+
+  const checkPassword = (password) => {
+    if (accountPassword(password)) throw new Error('The password must be at least 8 characters long');
+  };
+
+  return Object.freeze({
+    async authenticate(username, password) {
+      const users = readUsers();
+      const user = users.find((u) => u.username === username);
+      if (!user || !user.enabled || !(await matches(user.password, password))) return null;
+      const role = findRole(user.role);
+      if (!role) return null;
+      user.lastLoginAt = Date.now();
+      if (user.password.scheme === 'plain' && canHash()) user.password = await protect(password);
+      writeUsers(users);
+      return { username: user.username, fullName: user.fullName, role: role.id, roleName: role.name, permissions: role.permissions };
+    },
+
+    async listUsers() {
+      return readUsers().map(publicUser);
+    },
+
+    async createUser({ username, fullName = '', role, enabled = true, password } = {}) {
+      const users = readUsers();
+      if (usernameError(username)) throw new Error('Usernames start with a lowercase letter and use a-z, 0-9, ".", "_" or "-" (2–32 characters)');
+      if (users.some((u) => u.username === username)) throw new Error(`A user named "${username}" already exists`);
+      checkRole(role);
+      checkPassword(password);
+      const user = {
+        username,
+        fullName: String(fullName).trim(),
+        role,
+        enabled: !!enabled,
+        lastLoginAt: null,
+        password: await protect(password),
+      };
+      writeUsers([...users, user]);
+      return publicUser(user);
+    },
+
+    async updateUser(username, { fullName, role, enabled } = {}) {
+      const users = readUsers();
+      const user = findUser(users, username);
+      if (role !== undefined) checkRole(role);
+      const before = { role: user.role, enabled: user.enabled };
+      if (fullName !== undefined) user.fullName = String(fullName).trim();
+      if (role !== undefined) user.role = role;
+      if (enabled !== undefined) user.enabled = !!enabled;
+      ensureManager(users, allRoles());
+      writeUsers(users);
+      if (user.role !== before.role || (before.enabled && !user.enabled)) revoke([username]);
+      return publicUser(user);
+    },
+
+    async setPassword(username, password) {
+      const users = readUsers();
+      const user = findUser(users, username);
+      checkPassword(password);
+      user.password = await protect(password);
+      writeUsers(users);
+      return null;
+    },
+
+    async deleteUser(username) {
+      const users = readUsers();
+      findUser(users, username);
+      const rest = users.filter((u) => u.username !== username);
+      ensureManager(rest, allRoles());
+      writeUsers(rest);
+      revoke([username]);
+      return null;
+    },
+
+    async listRoles() {
+      return allRoles();
+    },
+
+    async saveRole({ id, name, permissions } = {}) {
+      const custom = customRoles();
+      const label = String(name || '').trim();
+      if (!label) throw new Error('A role needs a name');
+      if (id && BUILT_IN_ROLES[id]) throw new Error('Built-in roles cannot be changed');
+      if (id && !custom.some((r) => r.id === id)) throw new Error(`Unknown role "${id}"`);
+      const lower = label.toLowerCase();
+      if (RESERVED_ROLE_NAMES.includes(lower) || custom.some((r) => r.id !== id && r.name.toLowerCase() === lower)) {
+        throw new Error(`A role named "${label}" already exists`);
+      }
+      const granted = PERMISSIONS.filter((p) => Array.isArray(permissions) && permissions.includes(p));
+      if (!granted.length) throw new Error('A role needs at least one permission');
+
+      const role = { id: id || roleId(label, allRoles(custom).map((r) => r.id)), name: label, permissions: granted };
+      const next = id ? custom.map((r) => (r.id === id ? role : r)) : [...custom, role];
+      const users = readUsers();
+      ensureManager(users, allRoles(next));
+      writeRoles(next);
+      const previous = id ? custom.find((r) => r.id === id).permissions : granted;
+      if (previous.join() !== granted.join()) revoke(users.filter((u) => u.role === id).map((u) => u.username));
+      return { ...role, builtIn: false };
+    },
+
+    async deleteRole(id) {
+      if (BUILT_IN_ROLES[id]) throw new Error('Built-in roles cannot be deleted');
+      const custom = customRoles();
+      if (!custom.some((r) => r.id === id)) throw new Error(`Unknown role "${id}"`);
+      const holders = readUsers().filter((u) => u.role === id).length;
+      if (holders) throw new Error(`The role is still assigned to ${holders} user(s); give them another role first`);
+      writeRoles(custom.filter((r) => r.id !== id));
+      return null;
+    },
+
+    revokedAt(username) {
+      const revoked = storage.getJSON('accounts:revoked', {}) || {};
+      return Number.isFinite(revoked[username]) ? revoked[username] : null;
+    },
+  });
+}
@@ -0,0 +1,75 @@
+//
+// Offline mock of the authentication backend contract (see src/services/auth.js).
+// Checks credentials against the mock account database (src/services/mock-accounts.js),
+// the same one the Users page edits, and keeps issued tokens in the "app:auth" storage
+// namespace, so logging out really revokes the token, as the device would.
+//
+// Public API:
+// - createMockAuthBackend({ latencyMs?, storage?, sessionMinutes?, accounts? })
+//
+// Factory accounts (username / password, role): admin / admin (admin), editor / editor (editor),
+// noc / noc (viewer). Sessions carry the permissions of the user's role at sign-in; disabling,
+// deleting or re-roling the account revokes them (checkToken), so the new access applies at
+// once. Disabled users cannot sign in.
+//
+
+import { createStorage } from '../utils/storage.js';
+import { createMockAccounts } from './mock-accounts.js';
+
+// Timer helpers to avoid no-undef in lint environments and work in browsers/workers.
+const _g = typeof globalThis !== 'undefined' ? globalThis : {};
+const _setTimeout = (_g && _g.setTimeout) ? _g.setTimeout.bind(_g) : (fn) => fn();
+
+function newToken() {
+  if (_g.crypto && typeof _g.crypto.randomUUID === 'function') return _g.crypto.randomUUID();
+  return Array.from({ length: 4 }, () => Math.random().toString(16).slice(2, 10)).join('');
+}
+
+// PUBLIC_INTERFACE
+export function createMockAuthBackend({
+  latencyMs = 300,
+  storage = createStorage('app:auth'),
+  sessionMinutes = 12 * 60,
+  accounts = createMockAccounts(),
+} = {}) {
+  /** Create an auth backend that checks the mock accounts and issues expiring tokens. */
+  const respond = (value) => new Promise((resolve) => {
+    _setTimeout(() => resolve(value), latencyMs);
+  });
+  const fail = (message, code) => new Promise((resolve, reject) => {
+    _setTimeout(() => reject(Object.assign(new Error(message), { code })), latencyMs);
+  });
+
+  // token -> { username, role, issuedAt, expiresAt }, without the ones that have run out
+  const activeTokens = () => {
+    const now = Date.now();
+    const tokens = storage.getJSON('tokens', {}) || {};
+    return Object.fromEntries(Object.entries(tokens).filter(([, s]) => s && s.expiresAt > now));
+  };
+
+  return {
+    async login(username, password) {
+      const account = await accounts.authenticate(username, password);
+      if (!account) return fail('Invalid username or password', 'invalid-credentials');
+      const token = newToken();
+      const issuedAt = Date.now();
+      const session = { username: account.username, role: account.role, expiresAt: issuedAt + sessionMinutes * 60 * 1000 };
+      storage.setJSON('tokens', { ...activeTokens(), [token]: { ...session, issuedAt } });
+      return respond({ token, ...session, roleName: account.roleName, permissions: [...account.permissions] });
+    },
+
+    checkToken(token) {
+      const session = activeTokens()[token];
+      if (!session) return false;
+      const revokedAt = accounts.revokedAt(session.username);
+      return revokedAt === null || revokedAt < (session.issuedAt || 0);
+    },
+
+    logout(token) {
+      const tokens = activeTokens();
+      delete tokens[token];
+      storage.setJSON('tokens', tokens);
+      return respond(null);
+    },
+  };
+}
@@ -0,0 +1,602 @@
+//
+// Offline mock implementation of the device provider contract
+// (see src/services/device-provider.js). Returns canned data with a small
+// artificial latency so loading states are exercised during development.
+//
+// Public API:
+// - createMockDeviceProvider({ latencyMs?, storage? })
+//
+// Settings saved through saveSettings persist in the "app:device" storage namespace,
+// so changes survive a reload like they would on a real device. Users and roles come from
+// the mock account database (src/services/mock-accounts.js) in the same namespace, which
+// the mock auth backend signs in against.
+//
+
+import { createStorage } from '../utils/storage.js';
+import { imageVersion } from '../utils/firmware.js';
+import { createMockAccounts } from './mock-accounts.js';
+
+// Timer helpers to avoid no-undef in lint environments and work in browsers/workers.
+const _g = typeof globalThis !== 'undefined' ? globalThis : {};
+const _setTimeout = (_g && _g.setTimeout) ? _g.setTimeout.bind(_g) : (fn) => fn();
+const _setInterval = (_g && _g.setInterval) ? _g.setInterval.bind(_g) : () => null;
+const _clearInterval = (_g && _g.clearInterval) ? _g.clearInterval.bind(_g) : () => {};
+
+const LAN_STATUS = Object.freeze({
+  iface: {
+    name: 'br-lan',
+    ipv4: '192.168.1.1',
+    netmask: '255.255.255.0',
+    ipv6: 'fd00:1234:5678::1/64',
+    mac: 'A4:2B:B0:12:34:56',
+    speedMbps: 1000,
+  },
+  ports: [
+    { id: 'lan1', label: 'LAN 1', link: 'up', speedMbps: 1000, duplex: 'full' },
+    { id: 'lan2', label: 'LAN 2', link: 'up', speedMbps: 100, duplex: 'full' },
+    { id: 'lan3', label: 'LAN 3', link: 'down', speedMbps: null, duplex: null },
+    { id: 'lan4', label: 'LAN 4', link: 'up', speedMbps: 1000, duplex: 'full' },
+  ],
+});
+
+const WAN_STATUS = Object.freeze({
+  connectionType: 'pppoe',
+  connected: true,
+  iface: 'pppoe-wan',
+  mac: 'A4:2B:B0:12:34:57',
+  publicIp: '203.0.113.42',
+  gateway: '203.0.113.1',
+  dns: ['1.1.1.1', '9.9.9.9'],
+  uptimeSeconds: 273845,
+});
+
+const WLAN_STATUS = Object.freeze({
+  radios: [
+    { id: 'radio0', band: '2.4 GHz', ssid: 'HomeNet', channel: 6, channelWidthMhz: 20, txPowerDbm: 20, enabled: true },
+    { id: 'radio1', band: '5 GHz', ssid: 'HomeNet-5G', channel: 36, channelWidthMhz: 80, txPowerDbm: 23, enabled: true },
+    { id: 'radio2', band: '6 GHz', ssid: 'HomeNet-6G', channel: 37, channelWidthMhz: 160, txPowerDbm: 18, enabled: true },
+  ],
+  clients: [
+    { mac: '3C:22:FB:8A:10:01', hostname: 'macbook-pro', band: '5 GHz', radioId: 'radio1', rssi: -48, txRateMbps: 866, rxRateMbps: 780, connectedSeconds: 18250 },
+    { mac: 'F0:18:98:4C:22:9E', hostname: 'iphone-anna', band: '5 GHz', radioId: 'radio1', rssi: -61, txRateMbps: 433, rxRateMbps: 390, connectedSeconds: 5320 },
+    { mac: '50:C7:BF:11:02:AB', hostname: 'smart-plug', band: '2.4 GHz', radioId: 'radio0', rssi: -72, txRateMbps: 65, rxRateMbps: 54, connectedSeconds: 864000 },
+    { mac: 'B8:27:EB:5D:44:10', hostname: 'raspberrypi', band: '2.4 GHz', radioId: 'radio0', rssi: -80, txRateMbps: 24, rxRateMbps: 11, connectedSeconds: 412300 },
+    { mac: '8C:85:90:7E:3A:62', hostname: '', band: '6 GHz', radioId: 'radio2', rssi: -55, txRateMbps: 1441, rxRateMbps: 1200, connectedSeconds: 940 },
+    { mac: 'DC:A6:32:09:BE:F1', hostname: 'living-room-tv', band: '5 GHz', radioId: 'radio1', rssi: -67, txRateMbps: 292, rxRateMbps: 260, connectedSeconds: 72011 },
+  ],
+});
+
+// [ip, mac, hostname, seconds until expiry]. Leases whose MAC has a reservation in the
+// "dhcp" settings are reported as static.
+const DHCP_LEASES = Object.freeze([
+  ['192.168.1.10', '3C:22:FB:8A:10:01', 'macbook-pro', 40210],
+  ['192.168.1.11', 'F0:18:98:4C:22:9E', 'iphone-anna', 12900],
+  ['192.168.1.20', '50:C7:BF:11:02:AB', 'smart-plug', 43200],
+  ['192.168.1.21', 'B8:27:EB:5D:44:10', 'raspberrypi', 80640],
+  ['192.168.1.34', '8C:85:90:7E:3A:62', '', 3550],
+  ['192.168.1.35', 'DC:A6:32:09:BE:F1', 'living-room-tv', 61200],
+  ['192.168.1.102', '00:11:32:AA:BC:07', 'nas', 43200],
+  ['192.168.1.140', '44:65:0D:E0:71:33', 'echo-kitchen', 95],
+]);
+
+const LOG_BACKLOG_SIZE = 20000;
+
+// [facility, process, severity, message]
+const LOG_TEMPLATES = Object.freeze([
+  ['daemon', 'dnsmasq-dhcp', 6, 'DHCPACK(br-lan) 192.168.1.11 f0:18:98:4c:22:9e iphone-anna'],
+  ['daemon', 'dnsmasq-dhcp', 6, 'DHCPREQUEST(br-lan) 192.168.1.34 8c:85:90:7e:3a:62'],
+  ['daemon', 'dnsmasq', 7, 'query[A] connectivitycheck.gstatic.com from 192.168.1.11'],
+  ['daemon', 'dnsmasq', 4, 'possible DNS-rebind attack detected: router.local'],
+  ['daemon', 'hostapd', 6, 'wlan1: STA dc:a6:32:09:be:f1 IEEE 802.11: associated (aid 3)'],
+  ['daemon', 'hostapd', 6, 'wlan0: STA 50:c7:bf:11:02:ab WPA: group key handshake completed (RSN)'],
+  ['daemon', 'hostapd', 5, 'wlan1: STA f0:18:98:4c:22:9e IEEE 802.11: disassociated'],
+  ['daemon', 'netifd', 5, "Interface 'wan' is now up"],
+  ['daemon', 'netifd', 3, "Interface 'wan6' has link connectivity loss"],
+  ['daemon', 'ntpd', 6, 'clock synced to 162.159.200.1, offset -0.004213s'],
+  ['authpriv', 'dropbear', 5, 'Password auth succeeded for \'root\' from 192.168.1.10:53122'],
+  ['authpriv', 'dropbear', 4, 'Bad password attempt for \'admin\' from 198.51.100.7:40112'],
+  ['kern', 'kernel', 6, 'br-lan: port 2(lan2) entered forwarding state'],
+  ['kern', 'kernel', 4, 'nf_conntrack: table full, dropping packet'],
+  ['kern', 'kernel', 2, 'mtd: partition "rootfs_data" CRC mismatch'],
+  ['cron', 'crond', 6, 'USER root pid 4121 cmd /usr/sbin/ddns-update'],
+  ['user', 'upnpd', 6, 'add port mapping 51413 UDP -> 192.168.1.21:51413'],
+]);
+
+/**
+ * Small deterministic PRNG (mulberry32) so the generated log backlog is stable between reloads.
+ */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(a ^ (a >>> 15), 1 | a);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function makeLogEntry(id, time, random) {
+  const [facility, process, severity, message] = LOG_TEMPLATES[Math.floor(random() * LOG_TEMPLATES.length)];
+  return { id, time, severity, facility, process, message };
+}
+
+const SETTINGS_DEFAULTS = Object.freeze({
+  lan: { ipAddress: '192.168.1.1', netmask: '255.255.255.0', ipv6Prefix: 'fd00:1234:5678::/48' },
+  wan: {
+    mode: 'pppoe',
+    mtu: 1492,
+    macCloneEnabled: false,
+    macAddress: '',
+    staticIp: '',
+    staticNetmask: '',
+    staticGateway: '',
+    staticDns1: '',
+    staticDns2: '',
+    dhcpHostname: 'router',
+    dhcpDnsOverride: false,
+    dhcpDns1: '',
+    dhcpDns2: '',
+    pppoeUsername: 'customer@isp.example',
+    pppoePassword: 'secret',
+    pppoeServiceName: '',
+  },
+  wlan: {
+    radios: [
+      { id: 'radio0', band: '2.4 GHz', enabled: true, ssid: 'HomeNet', security: 'wpa2-wpa3', passphrase: 'correct-horse-battery', channel: 6, channelWidth: 20, hidden: false, guest: false },
+      { id: 'radio1', band: '5 GHz', enabled: true, ssid: 'HomeNet-5G', security: 'wpa2-wpa3', passphrase: 'correct-horse-battery', channel: 36, channelWidth: 80, hidden: false, guest: true },
+      { id: 'radio2', band: '6 GHz', enabled: true, ssid: 'HomeNet-6G', security: 'wpa3', passphrase: 'correct-horse-battery', channel: 37, channelWidth: 160, hidden: false, guest: false },
+    ],
+  },
+  dhcp: {
+    enabled: true,
+    poolStart: '192.168.1.100',
+    poolEnd: '192.168.1.199',
+    leaseMinutes: 720,
+    dnsMode: 'router',
+    dns1: '',
+    dns2: '',
+    reservations: [
+      { mac: '50:C7:BF:11:02:AB', ip: '192.168.1.20', hostname: 'smart-plug' },
+      { mac: '00:11:32:AA:BC:07', ip: '192.168.1.102', hostname: 'nas' },
+    ],
+  },
+  ddns: {
+    enabled: false,
+    provider: 'duckdns',
+    hostname: '',
+    username: '',
+    password: '',
+    urlTemplate: '',
+    intervalMinutes: 60,
+  },
+  dmz: {
+    enabled: false,
+    hostIp: '',
+  },
+  portForwarding: {
+    rules: [
+      { name: 'Web server', enabled: true, protocol: 'tcp', externalStart: 8080, externalEnd: 8080, internalIp: '192.168.1.20', internalPort: 80 },
+      { name: 'Game server', enabled: false, protocol: 'udp', externalStart: 27015, externalEnd: 27030, internalIp: '192.168.1.30', internalPort: 27015 },
+    ],
+  },
+  firewall: {
+    rules: [
+      { name: 'Allow ping', enabled: true, action: 'accept', protocol: 'icmp', source: '', portStart: null, portEnd: null },
+      { name: 'Office SSH', enabled: false, action: 'accept', protocol: 'tcp', source: '203.0.113.0/24', portStart: 22, portEnd: 22 },
+      { name: 'Block NetBIOS', enabled: true, action: 'drop', protocol: 'both', source: '', portStart: 137, portEnd: 139 },
+    ],
+  },
+  ntp: {
+    enabled: true,
+    servers: ['0.openwrt.pool.ntp.org', '1.openwrt.pool.ntp.org', 'time.cloudflare.com'],
+    timezone: 'UTC',
+  },
+  ssh: {
+    enabled: true,
+    port: 22,
+    passwordAuth: true,
+    interfaces: ['lan'],
+    authorizedKeys: [
+      'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIFCcGB2NGUrSS6uSiVMaNHMuVqNR/KmjYvLEbUIvOY8L admin@laptop',
+    ],
+  },
+  upnp: {
+    enabled: true,
+    natPmp: true,
+    secureMode: true,
+  },
+});
+
+// Port mappings requested by LAN clients at boot:
+// [protocol, external port, internal ip, internal port, description, lease seconds (0 = permanent)]
+const UPNP_MAPPINGS = Object.freeze([
+  ['UDP', 51413, '192.168.1.21', 51413, 'Transmission at 51413', 0],
+  ['TCP', 51413, '192.168.1.21', 51413, 'Transmission at 51413', 0],
+  ['TCP', 32400, '192.168.1.102', 32400, 'Plex Media Server', 7200],
+  ['UDP', 3074, '192.168.1.35', 3074, 'Xbox Live', 3600],
+  ['UDP', 49152, '192.168.1.11', 49152, 'NAT-PMP 49152 udp', 240],
+]);
+
+// Earlier DDNS update attempts: [minutes ago, hostname, ip, trigger, result, message]
+const DDNS_HISTORY = Object.freeze([
+  [30, 'home-example.duckdns.org', '203.0.113.24', 'scheduled', 'nochg', 'IP address unchanged'],
+  [90, 'home-example.duckdns.org', '203.0.113.24', 'scheduled', 'good', 'Hostname updated'],
+  [150, 'home-example.duckdns.org', '203.0.113.7', 'manual', 'badauth', 'Authentication failed: invalid token'],
+  [1590, 'home-example.duckdns.org', '203.0.113.7', 'scheduled', '911', 'Provider temporarily unavailable'],
+]);
+
+// Router daemons: [id, name, description, running at start, enabled at boot]
+const SERVICES = Object.freeze([
+  ['dnsmasq', 'dnsmasq', 'DNS forwarder and DHCP server', true, true],
+  ['dropbear', 'dropbear', 'SSH server', true, true],
+  ['ntpd', 'ntpd', 'Network time synchronization', true, true],
+  ['firewall', 'firewall', 'Packet filter and NAT rules', true, true],
+  ['miniupnpd', 'miniupnpd', 'UPnP IGD and NAT-PMP port mapping', true, true],
+  ['ddns', 'ddns-scripts', 'Dynamic DNS client', false, false],
+]);
+
+// Service actions take longer than reads so per-row pending states are visible.
+const SERVICE_ACTION_FACTOR = 4;
+
+// Installed firmware until an upgrade is flashed. Images outside the size bounds are
+// rejected after upload, like sysupgrade refusing an image for another board.
+const FIRMWARE_INFO = Object.freeze({
+  version: '23.05.2',
+  revision: 'r23630-842932a63d',
+  board: 'Xiaomi Mi Router 4A Gigabit Edition',
+  hostname: 'OpenWrt',
+  maxImageBytes: 15 * 1024 * 1024,
+});
+const MIN_IMAGE_BYTES = 256 * 1024;
+const UPLOAD_PROGRESS_STEPS = 10;
+
+// A reboot (plain, after a factory reset or after flashing) keeps the device unreachable
+// for this many latency periods.
+const REBOOT_FACTOR = 100;
+
+// The device clock starts this far ahead of the host clock, until an NTP sync corrects it.
+const INITIAL_CLOCK_OFFSET_MS = 4200;
+
+/**
+ * Deep-copy plain data so callers can never mutate the mock's fixtures.
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// PUBLIC_INTERFACE
+export function createMockDeviceProvider({ latencyMs = 150, storage = createStorage('app:device'), accounts = createMockAccounts({ storage }) } = {}) {
+  /** Create a provider that serves canned device data after latencyMs milliseconds. */
+  const respond = (value, delay = latencyMs) => new Promise((resolve) => {
+    _setTimeout(() => resolve(clone(value)), delay);
+  });
+  const fail = (message, delay = latencyMs) => new Promise((resolve, reject) => {
+    _setTimeout(() => reject(new Error(message)), delay);
+  });
+  // Account operations settle after the usual latency, resolving or failing with their result.
+  const fromAccounts = (promise) => promise.then((value) => respond(value), (err) => fail(err.message));
+
+  const readSettings = (section) => ({
+    ...SETTINGS_DEFAULTS[section],
+    ...(storage.getJSON(`settings:${section}`, null) || {}),
+  });
+
+  // Simulated WAN byte counters; advanced by a random rate on every read.
+  const wanCounters = { rxBytes: 8.2e9, txBytes: 1.1e9, timestamp: Date.now() };
+  const bootedAt = Date.now();
+  const logRandom = seededRandom(0x5eed);
+  let logSeq = 0;
+  let logBacklog = null;
+
+  // Daemon run state lives in memory (a reload is a "reboot"); enable-at-boot persists.
+  let nextPid = 1200;
+  const services = new Map(SERVICES.map(([id, name, description, running, enabledAtBoot]) => [id, {
+    id,
+    name,
+    description,
+    state: running ? 'running' : 'stopped',
+    enabledAtBoot,
+    pid: running ? nextPid++ : null,
+  }]));
+  const bootOverrides = storage.getJSON('services:boot', {}) || {};
+  for (const [id, enabled] of Object.entries(bootOverrides)) {
+    if (services.has(id)) services.get(id).enabledAtBoot = !!enabled;
+  }
+
+  /**
+   * Why a daemon refuses to start, mirroring what the real init script would log.
+   */
+  const startError = (id) => {
+    if (id === 'ddns') {
+      const ddns = readSettings('ddns');
+      if (!ddns.enabled || !ddns.hostname) return 'ddns-scripts: no service configured (hostname and provider required)';
+    }
+    return null;
+  };
+
+  // Device clock = host clock + clockOffsetMs; a sync leaves a few milliseconds of error.
+  const clock = { offsetMs: INITIAL_CLOCK_OFFSET_MS, lastSync: null, server: null };
+  const systemTime = () => ({
+    time: Date.now() + clock.offsetMs,
+    timezone: readSettings('ntp').timezone,
+    lastSync: clock.lastSync,
+    server: clock.server,
+  });
+
+  // While a reboot is in progress every request that needs the device fails.
+  const device = { offlineUntil: 0 };
+  const unreachable = () => Date.now() < device.offlineUntil;
+  const firmwareInfo = () => ({ ...FIRMWARE_INFO, version: storage.get('firmware:version') || FIRMWARE_INFO.version });
+
+  // Go offline for a reboot; returns the expected downtime.
+  const restart = () => {
+    const downtimeMs = latencyMs * REBOOT_FACTOR;
+    device.offlineUntil = Date.now() + downtimeMs;
+    return { rebootSeconds: Math.ceil(downtimeMs / 1000) };
+  };
+  // Back to factory defaults: forget every saved setting and boot-time override.
+  const wipeSettings = () => {
+    for (const key of storage.keys()) {
+      if (key.startsWith('settings:') || key === 'services:boot') storage.remove(key);
+    }
+  };
+
+  /**
+   * Apply a verified image: record its version, optionally wipe saved settings
+   * (sysupgrade -n) and reboot.
+   */
+  const flash = (file, keepSettings) => {
+    storage.set('firmware:version', imageVersion(file.name) || firmwareInfo().version);
+    if (!keepSettings) wipeSettings();
+    return restart();
+  };
+
+  // Active UPnP/NAT-PMP mappings; leases run out and drop from the table on the next read.
+  let upnpMappings = UPNP_MAPPINGS.map(([protocol, externalPort, internalIp, internalPort, description, leaseSeconds]) => ({
+    protocol,
+    externalPort,
+    internalIp,
+    internalPort,
+    description,
+    expiresAt: leaseSeconds ? bootedAt + leaseSeconds * 1000 : null,
+  }));
+  const activeMappings = () => {
+    upnpMappings = upnpMappings.filter((m) => m.expiresAt == null || m.expiresAt > Date.now());
+    return readSettings('upnp').enabled && services.get('miniupnpd').state === 'running' ? upnpMappings : [];
+  };
+
+  let ddnsSeq = 0;
+  const ddnsHistory = DDNS_HISTORY.map(([minutesAgo, hostname, ip, trigger, result, message]) => ({
+    id: ++ddnsSeq,
+    time: bootedAt - minutesAgo * 60000,
+    hostname,
+    ip,
+    trigger,
+    result,
+    message,
+  }));
+
+  return Object.freeze({
+    getLanStatus() {
+      const { ipAddress, netmask } = readSettings('lan');
+      return respond({ ...LAN_STATUS, iface: { ...LAN_STATUS.iface, ipv4: ipAddress, netmask } });
+    },
+    getWanStatus() {
+      const elapsed = Math.floor((Date.now() - bootedAt) / 1000);
+      const { mode } = readSettings('wan');
+      return respond({ ...WAN_STATUS, connectionType: mode, uptimeSeconds: WAN_STATUS.uptimeSeconds + elapsed });
+    },
+    getWanTraffic() {
+      const now = Date.now();
+      const seconds = Math.max(0, (now - wanCounters.timestamp) / 1000);
+      wanCounters.rxBytes += Math.round(seconds * (2e6 + Math.random() * 6e6));
+      wanCounters.txBytes += Math.round(seconds * (2e5 + Math.random() * 1.2e6));
+      wanCounters.timestamp = now;
+      return respond(wanCounters);
+    },
+    getWlanStatus() {
+      // Reflect saved radio settings so status and configuration agree.
+      const configured = readSettings('wlan').radios || [];
+      const radios = WLAN_STATUS.radios.map((r) => {
+        const c = configured.find((x) => x.id === r.id);
+        if (!c) return r;
+        return {
+          ...r,
+          ssid: c.ssid,
+          enabled: c.enabled,
+          channel: c.channel === 'auto' ? r.channel : c.channel,
+          channelWidthMhz: c.channelWidth,
+        };
+      });
+      return respond({ ...WLAN_STATUS, radios });
+    },
+    getDhcpLeases() {
+      const reserved = new Set((readSettings('dhcp').reservations || []).map((r) => r.mac.toUpperCase()));
+      return respond(DHCP_LEASES.map(([ip, mac, hostname, expiresIn]) => {
+        const isStatic = reserved.has(mac);
+        return {
+          ip,
+          mac,
+          hostname,
+          type: isStatic ? 'static' : 'dynamic',
+          expiresAt: isStatic ? null : bootedAt + expiresIn * 1000,
+        };
+      }));
+    },
+    getSystemLog() {
+      if (!logBacklog) {
+        // Spread the backlog over the hours before the provider was created.
+        let time = bootedAt - LOG_BACKLOG_SIZE * 1500;
+        logBacklog = [];
+        for (let i = 0; i < LOG_BACKLOG_SIZE; i += 1) {
+          time += Math.floor(logRandom() * 3000);
+          logBacklog.push(makeLogEntry(++logSeq, time, logRandom));
+        }
+      }
+      return respond(logBacklog);
+    },
+    getSettings(section) {
+      if (!SETTINGS_DEFAULTS[section]) return fail(`Unknown settings section: ${section}`);
+      return respond(readSettings(section));
+    },
+    saveSettings(section, model) {
+      if (!SETTINGS_DEFAULTS[section]) return fail(`Unknown settings section: ${section}`);
+      storage.setJSON(`settings:${section}`, { ...readSettings(section), ...clone(model) });
+      return respond(readSettings(section));
+    },
+    getServices() {
+      return respond([...services.values()]);
+    },
+    controlService(id, action) {
+      const service = services.get(id);
+      const delay = latencyMs * SERVICE_ACTION_FACTOR;
+      if (!service) return fail(`Unknown service: ${id}`);
+      if (!['start', 'stop', 'restart'].includes(action)) return fail(`Unsupported action: ${action}`);
+      if (action === 'stop') {
+        Object.assign(service, { state: 'stopped', pid: null });
+        return respond(service, delay);
+      }
+      if (action === 'start' && service.state === 'running') return respond(service, delay);
+      const error = startError(id);
+      if (error) {
+        Object.assign(service, { state: 'failed', pid: null });
+        return fail(error, delay);
+      }
+      Object.assign(service, { state: 'running', pid: nextPid++ });
+      return respond(service, delay);
+    },
+    setServiceEnabled(id, enabled) {
+      const service = services.get(id);
+      if (!service) return fail(`Unknown service: ${id}`);
+      service.enabledAtBoot = !!enabled;
+      storage.setJSON('services:boot', { ...(storage.getJSON('services:boot', {}) || {}), [id]: service.enabledAtBoot });
+      return respond(service);
+    },
+    getDdnsHistory() {
+      return respond(ddnsHistory);
+    },
+    forceDdnsUpdate() {
+      const ddns = readSettings('ddns');
+      if (!ddns.enabled) return fail('Dynamic DNS is disabled');
+      const ip = WAN_STATUS.publicIp;
+      const last = ddnsHistory.find((e) => e.result === 'good' || e.result === 'nochg');
+      let result = 'good';
+      let message = 'Hostname updated';
+      if (!ddns.hostname) {
+        result = 'nohost';
+        message = 'Hostname not found for this account';
+      } else if (ddns.provider !== 'custom' && !ddns.password) {
+        result = 'badauth';
+        message = 'Authentication failed: missing credentials';
+      } else if (last && last.ip === ip && last.hostname === ddns.hostname) {
+        result = 'nochg';
+        message = 'IP address unchanged';
+      }
+      const entry = { id: ++ddnsSeq, time: Date.now(), hostname: ddns.hostname, ip, trigger: 'manual', result, message };
+      ddnsHistory.unshift(entry);
+      return respond(entry, latencyMs * SERVICE_ACTION_FACTOR);
+    },
+    getSystemTime() {
+      return respond(systemTime());
+    },
+    syncTime() {
+      const ntp = readSettings('ntp');
+      const delay = latencyMs * SERVICE_ACTION_FACTOR;
+      if (!ntp.enabled) return fail('NTP synchronization is disabled', delay);
+      if (!(ntp.servers || []).length) return fail('No NTP servers configured', delay);
+      if (services.get('ntpd').state !== 'running') return fail('ntpd is not running', delay);
+      clock.offsetMs = Math.round((Math.random() - 0.5) * 20);
+      clock.lastSync = Date.now();
+      clock.server = ntp.servers[0];
+      return respond(systemTime(), delay);
+    },
+    getUpnpMappings() {
+      return respond(activeMappings());
+    },
+    deleteUpnpMapping(protocol, externalPort) {
+      const mapping = activeMappings().find((m) => m.protocol === protocol && m.externalPort === externalPort);
+      if (!mapping) return fail(`No ${protocol} mapping for external port ${externalPort}`);
+      upnpMappings = upnpMappings.filter((m) => m !== mapping);
+      return respond(null);
+    },
+    getFirmwareInfo() {
+      if (unreachable()) return fail('Device is not reachable');
+      return respond(firmwareInfo());
+    },
+    uploadFirmware(file, { keepSettings = true, onProgress } = {}) {
+      if (unreachable()) return fail('Device is not reachable');
+      if (!file || typeof file.size !== 'number') return fail('No firmware image given');
+      const total = file.size;
+      return new Promise((resolve, reject) => {
+        let step = 0;
+        const next = () => {
+          step += 1;
+          if (typeof onProgress === 'function') onProgress(Math.round((total * step) / UPLOAD_PROGRESS_STEPS), total);
+          if (step < UPLOAD_PROGRESS_STEPS) {
+            _setTimeout(next, latencyMs);
+            return;
+          }
+          const { maxImageBytes } = firmwareInfo();
+          if (total > maxImageBytes) {
+            reject(new Error(`Image is larger than the firmware partition (${maxImageBytes} bytes)`));
+          } else if (total < MIN_IMAGE_BYTES) {
+            reject(new Error('Image check failed: not a sysupgrade image for this device'));
+          } else {
+            resolve(flash(file, keepSettings));
+          }
+        };
+        _setTimeout(next, latencyMs);
+      });
+    },
+    reboot() {
+      if (unreachable()) return fail('Device is not reachable');
+      return respond(restart());
+    },
+    factoryReset() {
+      if (unreachable()) return fail('Device is not reachable');
+      wipeSettings();
+      return respond(restart());
+    },
+    getUsers() {
+      return fromAccounts(accounts.listUsers());
+    },
+    createUser(user) {
+      return fromAccounts(accounts.createUser(user));
+    },
+    updateUser(username, changes) {
+      return fromAccounts(accounts.updateUser(username, changes));
+    },
+    resetUserPassword(username, password) {
+      return fromAccounts(accounts.setPassword(username, password));
+    },
+    deleteUser(username) {
+      return fromAccounts(accounts.deleteUser(username));
+    },
+    getRoles() {
+      return fromAccounts(accounts.listRoles());
+    },
+    saveRole(role) {
+      return fromAccounts(accounts.saveRole(role));
+    },
+    deleteRole(id) {
+      return fromAccounts(accounts.deleteRole(id));
+    },
+    openLogStream(onEntries) {
+      const timer = _setInterval(() => {
+        const count = 1 + Math.floor(Math.random() * 3);
+        const batch = [];
+        for (let i = 0; i < count; i += 1) batch.push(makeLogEntry(++logSeq, Date.now(), Math.random));
+        try {
+          onEntries(batch);
+        } catch {
+          // ignore consumer errors; the stream keeps running until closed
+        }
+      }, 1000);
+      return {
+        close() {
+          _clearInterval(timer);
+        },
+      };
+    },
+  });
+}
@@ -0,0 +1,99 @@
+//
+// Idle session timeout: how many minutes without user activity end the session, and when
+// the user was last active. Both live in localStorage ("app:sessionTimeout" and
+// "app:lastActivity"), which every open tab shares: activity in one tab keeps the others
+// signed in, and a changed timeout applies to all of them at once.
+//
+// Public API:
+// - SESSION_TIMEOUT_LIMITS                  ({ min, max, defaultMinutes })
+// - getSessionTimeout() -> minutes
+// - setSessionTimeout(minutes)
+// - recordActivity({ force? })              (throttled unless force; call on user input)
+// - getIdleDeadline() -> epoch ms           (last activity + timeout)
+// - onSessionTimeoutChange(cb) / offSessionTimeoutChange(cb)   (cb(minutes), also for other tabs)
+//
+
+import { createStorage } from '../utils/storage.js';
+
+const STORAGE_KEYS = Object.freeze({
+  timeout: 'sessionTimeout',
+  lastActivity: 'lastActivity',
+});
+
+// Activity is written at most this often; the deadline only needs second precision.
+const ACTIVITY_WRITE_MS = 5000;
+
+// PUBLIC_INTERFACE
+export const SESSION_TIMEOUT_LIMITS = Object.freeze({ min: 5, max: 1440, defaultMinutes: 30 });
+
+const storage = createStorage('app');
+const _listeners = new Set();
+let _lastWrite = 0;
+
+function notify(minutes) {
+  for (const cb of _listeners) {
+    try {
+      cb(minutes);
+    } catch {
+      // ignore listener exceptions
+    }
+  }
+}
+
+// Another tab saved a new timeout
+globalThis.window?.addEventListener('storage', (evt) => {
+  if (evt.key === `app:${STORAGE_KEYS.timeout}`) notify(getSessionTimeout());
+});
+
+// PUBLIC_INTERFACE
+export function getSessionTimeout() {
+  /** The idle timeout in minutes, within SESSION_TIMEOUT_LIMITS. */
+  const { min, max, defaultMinutes } = SESSION_TIMEOUT_LIMITS;
+  const minutes = Number(storage.get(STORAGE_KEYS.timeout, defaultMinutes));
+  return Number.isInteger(minutes) && minutes >= min && minutes <= max ? minutes : defaultMinutes;
+}
+
+// PUBLIC_INTERFACE
+export function setSessionTimeout(minutes) {
+  /** Persist a new idle timeout (whole minutes within SESSION_TIMEOUT_LIMITS) for every tab. */
+  const { min, max } = SESSION_TIMEOUT_LIMITS;
+  if (!Number.isInteger(minutes) || minutes < min || minutes > max) {
+    throw new Error(`Session timeout must be a whole number of minutes between ${min} and ${max}.`);
+  }
+  storage.set(STORAGE_KEYS.timeout, minutes);
+  notify(minutes);
+}
+
+// PUBLIC_INTERFACE
+export function recordActivity({ force = false } = {}) {
+  /** Mark the user as active now; without force, writes are throttled to one per few seconds. */
+  const now = Date.now();
+  if (!force && now - _lastWrite < ACTIVITY_WRITE_MS) return;
+  _lastWrite = now;
+  storage.set(STORAGE_KEYS.lastActivity, now);
+}
+
+// PUBLIC_INTERFACE
+export function getIdleDeadline() {
+  /** When the session ends unless there is activity first (epoch ms); unknown activity counts as now. */
+  let last = Number(storage.get(STORAGE_KEYS.lastActivity, 0));
+  if (!Number.isFinite(last) || last <= 0) {
+    recordActivity({ force: true });
+    last = Date.now();
+  }
+  return last + getSessionTimeout() * 60 * 1000;
+}
+
+// PUBLIC_INTERFACE
+export function onSessionTimeoutChange(cb) {
+  /** Subscribe to timeout changes (from this tab or another) with a callback(minutes). */
+  if (typeof cb !== 'function') return;
+  _listeners.add(cb);
+}
+
+// PUBLIC_INTERFACE
+export function offSessionTimeoutChange(cb) {
+  /** Unsubscribe a previously registered timeout callback. */
+  if (typeof cb !== 'function') return;
+  _listeners.delete(cb);
+}
@@ -0,0 +1,68 @@
+//
+// App-wide "unsaved changes" registry. Forms report whether their current values
+// differ from what was last loaded/saved; the header shows an indicator while any
+// source is dirty, and the app shell warns before the page unloads.
+//
+// Public API:
+// - setDirty(source, dirty)
+// - isDirty() -> boolean
+// - clearDirty()
+// - onDirtyChange(cb)
+// - offDirtyChange(cb)
+//
+// A source is any stable key (typically the form element). Callbacks receive the
+// aggregate boolean and only fire when it flips.
+//
+
+const _dirtySources = new Set();
+const _listeners = new Set();
+let _lastState = false;
+
+function notify() {
+  const state = _dirtySources.size > 0;
+  if (state === _lastState) return;
+  _lastState = state;
+  for (const cb of _listeners) {
+    try {
+      cb(state);
+    } catch {
+      // ignore listener exceptions
+    }
+  }
+}
+
+// PUBLIC_INTERFACE
+export function setDirty(source, dirty) {
+  /** Mark a source as having (or no longer having) unsaved changes. */
+  if (source == null) return;
+  if (dirty) _dirtySources.add(source);
+  else _dirtySources.delete(source);
+  notify();
+}
+
+// PUBLIC_INTERFACE
+export function isDirty() {
+  /** True while any registered source has unsaved changes. */
+  return _dirtySources.size > 0;
+}
+
+// PUBLIC_INTERFACE
+export function clearDirty() {
+  /** Forget all sources, e.g. when the page they belong to is replaced. */
+  _dirtySources.clear();
+  notify();
+}
+
+// PUBLIC_INTERFACE
+export function onDirtyChange(cb) {
+  /** Subscribe to aggregate dirty-state changes with a callback(isDirty). */
+  if (typeof cb !== 'function') return;
+  _listeners.add(cb);
+}
+
+// PUBLIC_INTERFACE
+export function offDirtyChange(cb) {
+  /** Unsubscribe a previously registered dirty-state callback. */
+  if (typeof cb !== 'function') return;
+  _listeners.delete(cb);
+}
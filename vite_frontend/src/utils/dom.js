@@ -10,12 +10,14 @@
 // - render(container, content)
 // - clear(node)
 // - delegate(root, eventType, selector, handler, options?)
+// - escapeHtml(value)
 //
 // Notes:
 // - create(...) supports string, Node, and arrays as children. Strings create text nodes.
 // - render(container, content) replaces existing children with provided content.
 // - clear(node) removes all child nodes.
 // - delegate(...) uses event.target.closest(selector) for robust delegation with bubbling events.
+// - escapeHtml(...) must wrap any device- or user-supplied value interpolated into innerHTML templates.
 //
 // Accessibility:
 // - Prefer semantic elements and ensure roles/labels are passed via props when needed.
@@ -170,3 +172,14 @@ export function delegate(root, eventType, selector, handler, options) {
   root.addEventListener(eventType, listener, options);
   return () => root.removeEventListener(eventType, listener, options);
 }
+
+// PUBLIC_INTERFACE
+export function escapeHtml(value) {
+  /** Escape a value for safe interpolation into HTML text or attribute content. */
+  return String(value ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
@@ -0,0 +1,39 @@
+//
+// Firmware image helpers for the upgrade page.
+//
+// Public API:
+// - imageVersion(fileName) -> string | null        (release version embedded in the file name)
+// - normalizeSha256(text) -> string | '' | null    (lowercase hex; '' when empty, null when malformed)
+// - sha256Hex(file) -> Promise<string>             (hex digest of a File/Blob; '' without Web Crypto)
+//
+// Pasted checksums may come straight from a sha256sums file ("<hash> *<file name>") or with
+// a "sha256:" prefix; only the hash itself is kept.
+//
+
+// "openwrt-23.05.3-ramips-...-sysupgrade.bin" -> "23.05.3"; also "v1.2", "24.10.0-rc4".
+const VERSION_PATTERN = /(?:^|[-_v])(\d+\.\d+(?:\.\d+)?(?:-(?:rc|beta|alpha)\d*)?)(?=[-_.]|$)/i;
+
+// PUBLIC_INTERFACE
+export function imageVersion(fileName) {
+  /** Release version found in an image file name, or null when it has none. */
+  const base = String(fileName || '').replace(/\.(bin|img|itb|trx|gz)$/i, '');
+  const match = base.match(VERSION_PATTERN);
+  return match ? match[1] : null;
+}
+
+// PUBLIC_INTERFACE
+export function normalizeSha256(text) {
+  /** Canonical form of a pasted SHA-256 checksum: lowercase hex, '' when empty, null when malformed. */
+  const token = String(text || '').trim().split(/\s+/)[0].replace(/^sha256:/i, '');
+  if (!token) return '';
+  return /^[0-9a-f]{64}$/i.test(token) ? token.toLowerCase() : null;
+}
+
+// PUBLIC_INTERFACE
+export async function sha256Hex(file) {
+  /** SHA-256 of a File or Blob as lowercase hex; '' when Web Crypto is unavailable (e.g. plain http). */
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) return '';
+  const digest = new Uint8Array(await subtle.digest('SHA-256', await file.arrayBuffer()));
+  return Array.from(digest, (b) => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,77 @@
+//
+// Display formatting helpers for device data (link speeds, durations, sizes).
+// All helpers are pure and return '—' for missing values so tables never show "null".
+//
+// Public API:
+// - formatLinkSpeed(mbps)
+// - formatBitrate(bitsPerSecond)
+// - formatDuration(seconds)
+// - formatTimestamp(epochMs)
+// - formatBytes(bytes)
+//
+
+const EMPTY = '—';
+
+// PUBLIC_INTERFACE
+export function formatLinkSpeed(mbps) {
+  /** Format a link speed given in Mbps, e.g. 100 -> "100 Mbps", 2500 -> "2.5 Gbps". */
+  if (typeof mbps !== 'number' || !Number.isFinite(mbps) || mbps <= 0) return EMPTY;
+  if (mbps >= 1000) {
+    const gbps = mbps / 1000;
+    return `${Number.isInteger(gbps) ? gbps : gbps.toFixed(1)} Gbps`;
+  }
+  return `${mbps} Mbps`;
+}
+
+// PUBLIC_INTERFACE
+export function formatBitrate(bitsPerSecond) {
+  /** Format a throughput in bits per second, e.g. 1536000 -> "1.5 Mbps". */
+  if (typeof bitsPerSecond !== 'number' || !Number.isFinite(bitsPerSecond) || bitsPerSecond < 0) return EMPTY;
+  const units = ['bps', 'Kbps', 'Mbps', 'Gbps'];
+  let value = bitsPerSecond;
+  let i = 0;
+  while (value >= 1000 && i < units.length - 1) {
+    value /= 1000;
+    i += 1;
+  }
+  return `${i === 0 ? Math.round(value) : value.toFixed(1)} ${units[i]}`;
+}
+
+// PUBLIC_INTERFACE
+export function formatDuration(seconds) {
+  /** Format a duration in seconds as its two most significant units, e.g. 273845 -> "3d 4h". */
+  if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0) return EMPTY;
+  const s = Math.floor(seconds);
+  const parts = [
+    [Math.floor(s / 86400), 'd'],
+    [Math.floor((s % 86400) / 3600), 'h'],
+    [Math.floor((s % 3600) / 60), 'm'],
+    [s % 60, 's'],
+  ];
+  const first = parts.findIndex(([n]) => n > 0);
+  if (first === -1) return '0s';
+  return parts.slice(first, first + 2).map(([n, u]) => `${n}${u}`).join(' ');
+}
+
+// PUBLIC_INTERFACE
+export function formatTimestamp(epochMs) {
+  /** Format an epoch-milliseconds time as local "YYYY-MM-DD HH:MM:SS". */
+  if (typeof epochMs !== 'number' || !Number.isFinite(epochMs)) return EMPTY;
+  const d = new Date(epochMs);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+// PUBLIC_INTERFACE
+export function formatBytes(bytes) {
+  /** Format a size in bytes with binary units, e.g. 7340032 -> "7.0 MiB". */
+  if (typeof bytes !== 'number' || !Number.isFinite(bytes) || bytes < 0) return EMPTY;
+  const units = ['B', 'KiB', 'MiB', 'GiB'];
+  let value = bytes;
+  let i = 0;
+  while (value >= 1024 && i < units.length - 1) {
+    value /= 1024;
+    i += 1;
+  }
+  return `${i === 0 ? value : value.toFixed(1)} ${units[i]}`;
+}
@@ -0,0 +1,105 @@
+//
+// IPv4 address helpers. Addresses are handled as unsigned 32-bit integers
+// internally so comparisons and subnet math stay simple.
+//
+// Public API:
+// - parseIPv4(str) -> number | null
+// - formatIPv4(num) -> string
+// - isContiguousNetmask(str) -> boolean
+// - prefixLength(mask) -> number | null
+// - networkAddress(ip, mask) -> number | null
+// - broadcastAddress(ip, mask) -> number | null
+// - inSubnet(ip, subnetIp, mask) -> boolean
+// - parseCidr(str) -> { start, end } | null
+//
+// Functions taking ip/mask accept either dotted-quad strings or integers.
+//
+
+// PUBLIC_INTERFACE
+export function parseIPv4(str) {
+  /** Parse dotted-quad IPv4 text into an unsigned 32-bit integer; returns null when malformed. */
+  if (typeof str !== 'string') return null;
+  const parts = str.trim().split('.');
+  if (parts.length !== 4) return null;
+  let out = 0;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part) || (part.length > 1 && part.startsWith('0'))) return null;
+    const n = Number(part);
+    if (n > 255) return null;
+    out = out * 256 + n;
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function formatIPv4(num) {
+  /** Format an unsigned 32-bit integer as dotted-quad IPv4 text. */
+  const n = Number(num) >>> 0;
+  return [n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join('.');
+}
+
+function toInt(value) {
+  if (typeof value === 'number') return value >>> 0;
+  return parseIPv4(value);
+}
+
+// PUBLIC_INTERFACE
+export function isContiguousNetmask(str) {
+  /** True when the mask is valid dotted-quad with contiguous leading one bits (e.g. 255.255.255.0). */
+  const n = parseIPv4(str);
+  if (n === null) return false;
+  const inverted = ~n >>> 0;
+  // inverted + 1 is a power of two only when the host bits are all trailing ones
+  return ((inverted + 1) & inverted) === 0;
+}
+
+// PUBLIC_INTERFACE
+export function prefixLength(mask) {
+  /** Returns the CIDR prefix length for a contiguous mask (255.255.255.0 -> 24), else null. */
+  const n = toInt(mask);
+  if (n === null || !isContiguousNetmask(formatIPv4(n))) return null;
+  let bits = 0;
+  for (let v = n; v & 0x80000000; v = (v << 1) >>> 0) bits += 1;
+  return bits;
+}
+
+// PUBLIC_INTERFACE
+export function networkAddress(ip, mask) {
+  /** Network address of ip within mask, as an integer; null if either is malformed. */
+  const a = toInt(ip);
+  const m = toInt(mask);
+  if (a === null || m === null) return null;
+  return (a & m) >>> 0;
+}
+
+// PUBLIC_INTERFACE
+export function broadcastAddress(ip, mask) {
+  /** Broadcast address of ip within mask, as an integer; null if either is malformed. */
+  const a = toInt(ip);
+  const m = toInt(mask);
+  if (a === null || m === null) return null;
+  return ((a & m) | (~m >>> 0)) >>> 0;
+}
+
+// PUBLIC_INTERFACE
+export function inSubnet(ip, subnetIp, mask) {
+  /** True when ip lies in the same subnet as subnetIp under mask. */
+  const a = networkAddress(ip, mask);
+  const b = networkAddress(subnetIp, mask);
+  return a !== null && b !== null && a === b;
+}
+
+// PUBLIC_INTERFACE
+export function parseCidr(str) {
+  /** Parse "10.0.0.0/8" (or a bare address, as /32) into its first/last address integers; null when malformed. */
+  if (typeof str !== 'string') return null;
+  const [addr, bits, extra] = str.trim().split('/');
+  if (extra !== undefined) return null;
+  const a = parseIPv4(addr);
+  if (a === null) return null;
+  if (bits === undefined) return { start: a, end: a };
+  if (!/^\d{1,2}$/.test(bits) || Number(bits) > 32) return null;
+  const n = Number(bits);
+  const mask = n === 0 ? 0 : (0xffffffff << (32 - n)) >>> 0;
+  return { start: (a & mask) >>> 0, end: ((a & mask) | (~mask >>> 0)) >>> 0 };
+}
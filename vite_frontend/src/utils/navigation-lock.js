@@ -0,0 +1,60 @@
+//
+// App-wide navigation lock. While the device is rebooting (or anything else must not be
+// interrupted), the holder locks navigation; the header then cancels route changes and
+// disables its own controls until every holder has released the lock.
+//
+// Public API:
+// - setNavigationLock(source, locked)
+// - isNavigationLocked() -> boolean
+// - onNavigationLockChange(cb)
+// - offNavigationLockChange(cb)
+//
+// Same shape as src/utils/dirty-state.js: a source is any stable key, and callbacks
+// receive the aggregate boolean only when it flips.
+//
+
+const _lockSources = new Set();
+const _listeners = new Set();
+let _lastState = false;
+
+function notify() {
+  const state = _lockSources.size > 0;
+  if (state === _lastState) return;
+  _lastState = state;
+  for (const cb of _listeners) {
+    try {
+      cb(state);
+    } catch {
+      // ignore listener exceptions
+    }
+  }
+}
+
+// PUBLIC_INTERFACE
+export function setNavigationLock(source, locked) {
+  /** Take (or release) the navigation lock on behalf of a source. */
+  if (source == null) return;
+  if (locked) _lockSources.add(source);
+  else _lockSources.delete(source);
+  notify();
+}
+
+// PUBLIC_INTERFACE
+export function isNavigationLocked() {
+  /** True while any source holds the navigation lock. */
+  return _lockSources.size > 0;
+}
+
+// PUBLIC_INTERFACE
+export function onNavigationLockChange(cb) {
+  /** Subscribe to lock changes with a callback(isLocked). */
+  if (typeof cb !== 'function') return;
+  _listeners.add(cb);
+}
+
+// PUBLIC_INTERFACE
+export function offNavigationLockChange(cb) {
+  /** Unsubscribe a previously registered lock callback. */
+  if (typeof cb !== 'function') return;
+  _listeners.delete(cb);
+}
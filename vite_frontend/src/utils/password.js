@@ -0,0 +1,35 @@
+//
+// Password/passphrase helpers: a lightweight strength estimate for UI meters.
+// This is a heuristic (character classes, length, repetition), not a cracking-time model.
+//
+// Public API:
+// - passwordStrength(value) -> { score: 0..4, levelKey }
+//   levelKey is an i18n key suffix: 'veryWeak' | 'weak' | 'fair' | 'good' | 'strong'
+//
+
+const LEVELS = Object.freeze(['veryWeak', 'weak', 'fair', 'good', 'strong']);
+
+// PUBLIC_INTERFACE
+export function passwordStrength(value) {
+  /** Estimate passphrase strength from length, character variety and repetition. */
+  const text = typeof value === 'string' ? value : '';
+  if (!text) return { score: 0, levelKey: LEVELS[0] };
+
+  let pool = 0;
+  if (/[a-z]/.test(text)) pool += 26;
+  if (/[A-Z]/.test(text)) pool += 26;
+  if (/\d/.test(text)) pool += 10;
+  if (/[^a-zA-Z0-9]/.test(text)) pool += 33;
+
+  // Count distinct characters so "aaaaaaaaaaaa" does not score like a random string.
+  const distinct = new Set(text).size;
+  const effectiveLength = Math.min(text.length, distinct * 2);
+  const bits = effectiveLength * Math.log2(Math.max(pool, 2));
+
+  let score = 0;
+  if (bits >= 28) score = 1;
+  if (bits >= 45) score = 2;
+  if (bits >= 60) score = 3;
+  if (bits >= 80) score = 4;
+  return { score, levelKey: LEVELS[score] };
+}
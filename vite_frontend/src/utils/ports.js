@@ -0,0 +1,64 @@
+//
+// TCP/UDP port range helpers used by port forwarding and firewall rules.
+//
+// Public API:
+// - parsePortRange(text) -> { start, end } | null
+// - formatPortRange(range) -> string
+// - rangesOverlap(a, b) -> boolean
+// - protocolsOverlap(a, b) -> boolean
+// - protocolCovers(outer, inner) -> boolean
+//
+// Ranges are written "443" or "8000-8010" (":" is accepted as separator too).
+// Protocols: 'tcp', 'udp', 'both' (tcp+udp), 'icmp' and 'any' (every protocol).
+//
+
+const PORT_MAX = 65535;
+
+// PUBLIC_INTERFACE
+export function parsePortRange(text) {
+  /** Parse "80" or "8000-8010" into { start, end } (1..65535, start <= end); returns null when malformed. */
+  if (text == null) return null;
+  const m = /^\s*(\d{1,5})\s*(?:[-:]\s*(\d{1,5})\s*)?$/.exec(String(text));
+  if (!m) return null;
+  const start = Number(m[1]);
+  const end = m[2] === undefined ? start : Number(m[2]);
+  if (start < 1 || end > PORT_MAX || start > end) return null;
+  return { start, end };
+}
+
+// PUBLIC_INTERFACE
+export function formatPortRange(range) {
+  /** Format { start, end } as "80" or "8000-8010"; '' for a missing range. */
+  if (!range || range.start == null) return '';
+  return range.end == null || range.end === range.start ? String(range.start) : `${range.start}-${range.end}`;
+}
+
+// PUBLIC_INTERFACE
+export function rangesOverlap(a, b) {
+  /** True when two { start, end } ranges share at least one port. */
+  return !!a && !!b && a.start <= b.end && b.start <= a.end;
+}
+
+const PROTOCOL_SETS = Object.freeze({
+  tcp: ['tcp'],
+  udp: ['udp'],
+  both: ['tcp', 'udp'],
+  icmp: ['icmp'],
+  any: ['tcp', 'udp', 'icmp'],
+});
+
+// PUBLIC_INTERFACE
+export function protocolsOverlap(a, b) {
+  /** True when two protocol selections match some common traffic (e.g. 'both' and 'udp'). */
+  const left = PROTOCOL_SETS[a] || [];
+  const right = PROTOCOL_SETS[b] || [];
+  return left.some((p) => right.includes(p));
+}
+
+// PUBLIC_INTERFACE
+export function protocolCovers(outer, inner) {
+  /** True when every protocol matched by `inner` is also matched by `outer` (e.g. 'any' covers 'udp'). */
+  const left = PROTOCOL_SETS[outer] || [];
+  const right = PROTOCOL_SETS[inner] || [];
+  return right.length > 0 && right.every((p) => left.includes(p));
+}
@@ -0,0 +1,71 @@
+//
+// Route-scoped helpers for views that poll, tick or hold a live subscription while shown.
+// Work stops by itself when the route path changes away from the view's path,
+// or when the view's root node is no longer in the document (e.g. after a re-render).
+//
+// Public API:
+// - onRouteLeave(router, path, cb) -> cancel()
+// - startRouteInterval(fn, intervalMs, { router, path, node?, immediate? }) -> stop()
+//
+// Notes:
+// - router needs onRouteChange/offRouteChange (see src/router.js).
+// - stop()/cancel() are idempotent and unsubscribe the route listener, so nothing leaks
+//   as users navigate.
+//
+
+// Timer helpers to avoid no-undef in lint environments and work in browsers/workers.
+const _g = typeof globalThis !== 'undefined' ? globalThis : {};
+const _setInterval = (_g && _g.setInterval) ? _g.setInterval.bind(_g) : () => null;
+const _clearInterval = (_g && _g.clearInterval) ? _g.clearInterval.bind(_g) : () => {};
+
+// PUBLIC_INTERFACE
+export function onRouteLeave(router, path, cb) {
+  /** Invoke cb once when the route path changes away from `path`. Returns cancel() to unsubscribe early. */
+  let done = false;
+  const cancel = () => {
+    if (done) return;
+    done = true;
+    if (typeof router?.offRouteChange === 'function') router.offRouteChange(onRoute);
+  };
+  const onRoute = (route) => {
+    if (route && route.path === path) return;
+    cancel();
+    cb();
+  };
+  if (typeof router?.onRouteChange === 'function') router.onRouteChange(onRoute);
+  return cancel;
+}
+
+// PUBLIC_INTERFACE
+export function startRouteInterval(fn, intervalMs, { router, path, node = null, immediate = true } = {}) {
+  /** Run fn every intervalMs while the current route is `path` and `node` is attached. Returns stop(). */
+  let stopped = false;
+  let timer = null;
+  let cancelLeave = () => {};
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    _clearInterval(timer);
+    cancelLeave();
+  };
+
+  const tick = () => {
+    if (stopped) return;
+    if (node && !node.isConnected) {
+      stop();
+      return;
+    }
+    try {
+      const result = fn();
+      if (result && typeof result.catch === 'function') result.catch(() => {});
+    } catch {
+      // a failing tick must not kill the interval; fn reports its own errors
+    }
+  };
+
+  cancelLeave = onRouteLeave(router, path, stop);
+  timer = _setInterval(tick, intervalMs);
+  if (immediate) tick();
+  return stop;
+}
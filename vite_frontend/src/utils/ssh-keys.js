@@ -0,0 +1,154 @@
+//
+// OpenSSH public key helpers for the authorized_keys editor.
+//
+// Public API:
+// - parseAuthorizedKeys(text) -> [{ line, text, key?, error? }]   (blank and "#" lines skipped)
+// - parseAuthorizedKey(text) -> { type, bits, comment, options, blob } | { error }
+// - keyFingerprint(blob) -> Promise<string>                       ("SHA256:..." like ssh-keygen -l)
+//
+// A key line is "[options] <type> <base64 blob> [comment]". The blob is decoded and
+// checked against its declared type; RSA keys must be at least 2048 bits. Errors are
+// i18n keys under "validation.sshKey*" so the page can show them per line.
+//
+
+const MIN_RSA_BITS = 2048;
+
+// Declared type -> fixed size in bits, or 'rsa' when it is read from the modulus.
+const KEY_TYPES = Object.freeze({
+  'ssh-rsa': 'rsa',
+  'ssh-ed25519': 256,
+  'ecdsa-sha2-nistp256': 256,
+  'ecdsa-sha2-nistp384': 384,
+  'ecdsa-sha2-nistp521': 521,
+  'sk-ssh-ed25519@openssh.com': 256,
+  'sk-ecdsa-sha2-nistp256@openssh.com': 256,
+});
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function decodeBase64(text) {
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(text) || text.length % 4 !== 0) return null;
+  const clean = text.replace(/=+$/, '');
+  const out = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let bits = 0;
+  let acc = 0;
+  let n = 0;
+  for (const ch of clean) {
+    acc = ((acc << 6) | BASE64.indexOf(ch)) & 0xffff;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      out[n++] = (acc >> bits) & 0xff;
+    }
+  }
+  return out;
+}
+
+function encodeBase64(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    const chars = [18, 12, 6, 0].map((shift) => BASE64[(chunk >> shift) & 63]);
+    out += chars.slice(0, Math.ceil(((Math.min(3, bytes.length - i)) * 8) / 6)).join('');
+  }
+  return out;
+}
+
+/**
+ * Sequential reader for the SSH wire format (uint32 length-prefixed strings).
+ */
+function wireReader(bytes) {
+  let pos = 0;
+  return {
+    string() {
+      if (pos + 4 > bytes.length) return null;
+      const len = ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+      pos += 4;
+      if (pos + len > bytes.length) return null;
+      const value = bytes.subarray(pos, pos + len);
+      pos += len;
+      return value;
+    },
+    done: () => pos === bytes.length,
+  };
+}
+
+const ascii = (bytes) => String.fromCharCode(...bytes);
+
+function bitLength(mpint) {
+  let i = 0;
+  while (i < mpint.length && mpint[i] === 0) i += 1;
+  if (i === mpint.length) return 0;
+  return (mpint.length - i - 1) * 8 + (32 - Math.clz32(mpint[i]));
+}
+
+/**
+ * Split "[options] type blob [comment]"; options may contain quoted spaces.
+ */
+function splitLine(text) {
+  const tokens = text.trim().match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+  const typeIndex = tokens.findIndex((tok) => Object.prototype.hasOwnProperty.call(KEY_TYPES, tok) || tok === 'ssh-dss');
+  if (typeIndex < 0) return null;
+  return {
+    options: tokens.slice(0, typeIndex).join(' '),
+    type: tokens[typeIndex],
+    blob: tokens[typeIndex + 1] || '',
+    comment: tokens.slice(typeIndex + 2).join(' '),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function parseAuthorizedKey(text) {
+  /** Parse one authorized_keys line; returns the key details or { error: i18n key, vars? }. */
+  const parts = splitLine(String(text || ''));
+  if (!parts) return { error: 'validation.sshKeyType' };
+  if (parts.type === 'ssh-dss') return { error: 'validation.sshKeyDsa' };
+  const blob = decodeBase64(parts.blob);
+  if (!blob || !blob.length) return { error: 'validation.sshKeyEncoding' };
+
+  const reader = wireReader(blob);
+  const declared = reader.string();
+  if (!declared || ascii(declared) !== parts.type) return { error: 'validation.sshKeyMismatch' };
+
+  let bits = KEY_TYPES[parts.type];
+  if (bits === 'rsa') {
+    const exponent = reader.string();
+    const modulus = reader.string();
+    if (!exponent || !modulus) return { error: 'validation.sshKeyEncoding' };
+    bits = bitLength(modulus);
+    if (bits < MIN_RSA_BITS) return { error: 'validation.sshKeyWeak', vars: { bits, min: MIN_RSA_BITS } };
+  } else if (parts.type.includes('ecdsa')) {
+    const curve = reader.string();
+    const point = reader.string();
+    if (!curve || !point || !parts.type.includes(ascii(curve))) return { error: 'validation.sshKeyEncoding' };
+    if (parts.type.startsWith('sk-') && !reader.string()) return { error: 'validation.sshKeyEncoding' };
+  } else {
+    const point = reader.string();
+    if (!point || point.length !== 32) return { error: 'validation.sshKeyEncoding' };
+    if (parts.type.startsWith('sk-') && !reader.string()) return { error: 'validation.sshKeyEncoding' };
+  }
+  if (!reader.done()) return { error: 'validation.sshKeyEncoding' };
+
+  return { type: parts.type, bits, comment: parts.comment, options: parts.options, blob };
+}
+
+// PUBLIC_INTERFACE
+export function parseAuthorizedKeys(text) {
+  /** Parse every key line of an authorized_keys text, keeping 1-based line numbers. */
+  return String(text || '').split(/\r?\n/)
+    .map((raw, i) => ({ line: i + 1, text: raw.trim() }))
+    .filter(({ text: line }) => line && !line.startsWith('#'))
+    .map((entry) => {
+      const parsed = parseAuthorizedKey(entry.text);
+      return parsed.error ? { ...entry, error: { key: parsed.error, vars: parsed.vars } } : { ...entry, key: parsed };
+    });
+}
+
+// PUBLIC_INTERFACE
+export async function keyFingerprint(blob) {
+  /** SHA-256 fingerprint of a decoded key blob in OpenSSH form ("SHA256:<base64 without padding>"). */
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) return '';
+  const digest = new Uint8Array(await subtle.digest('SHA-256', blob));
+  return `SHA256:${encodeBase64(digest)}`;
+}
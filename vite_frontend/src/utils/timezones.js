@@ -0,0 +1,112 @@
+//
+// IANA time zone helpers for the NTP settings page.
+//
+// Public API:
+// - listTimezones() -> string[]                 (IANA ids, sorted; always includes 'UTC')
+// - timezoneLabel(id, t) -> string              (localized "Region / City")
+// - timezoneOffset(id, atMs?) -> string         ("UTC+02:00"; '' when unknown)
+// - formatInTimezone(epochMs, id) -> string     ("YYYY-MM-DD HH:MM:SS" wall time in that zone)
+//
+// Labels come from the i18n dictionaries: "timezones.regions.<Region>" names the area
+// and "timezones.zones.<IANA id>" overrides the city part (e.g. 'America/New_York' ->
+// 'Nueva York'). Zones without an entry fall back to the id with underscores as spaces.
+//
+
+// Used when the runtime cannot enumerate its time zones (Intl.supportedValuesOf).
+const FALLBACK_TIMEZONES = Object.freeze([
+  'Africa/Cairo', 'Africa/Johannesburg', 'Africa/Lagos', 'Africa/Nairobi',
+  'America/Anchorage', 'America/Argentina/Buenos_Aires', 'America/Bogota', 'America/Chicago',
+  'America/Denver', 'America/Halifax', 'America/Lima', 'America/Los_Angeles', 'America/Mexico_City',
+  'America/New_York', 'America/Santiago', 'America/Sao_Paulo', 'America/Toronto',
+  'Asia/Bangkok', 'Asia/Dubai', 'Asia/Hong_Kong', 'Asia/Jakarta', 'Asia/Jerusalem', 'Asia/Kolkata',
+  'Asia/Manila', 'Asia/Seoul', 'Asia/Shanghai', 'Asia/Singapore', 'Asia/Tokyo',
+  'Atlantic/Azores', 'Atlantic/Canary', 'Atlantic/Reykjavik',
+  'Australia/Adelaide', 'Australia/Brisbane', 'Australia/Perth', 'Australia/Sydney',
+  'Europe/Amsterdam', 'Europe/Athens', 'Europe/Berlin', 'Europe/Brussels', 'Europe/Dublin',
+  'Europe/Helsinki', 'Europe/Istanbul', 'Europe/Lisbon', 'Europe/London', 'Europe/Madrid',
+  'Europe/Moscow', 'Europe/Paris', 'Europe/Rome', 'Europe/Stockholm', 'Europe/Warsaw', 'Europe/Zurich',
+  'Pacific/Auckland', 'Pacific/Honolulu',
+  'UTC',
+]);
+
+// Some engines still enumerate pre-rename ids; list the current IANA names instead.
+const RENAMED = Object.freeze({
+  'Asia/Calcutta': 'Asia/Kolkata',
+  'Asia/Katmandu': 'Asia/Kathmandu',
+  'Asia/Rangoon': 'Asia/Yangon',
+  'Asia/Saigon': 'Asia/Ho_Chi_Minh',
+  'Atlantic/Faeroe': 'Atlantic/Faroe',
+  'Europe/Kiev': 'Europe/Kyiv',
+  'Pacific/Enderbury': 'Pacific/Kanton',
+});
+
+let _cached = null;
+
+// PUBLIC_INTERFACE
+export function listTimezones() {
+  /** IANA time zone ids known to the runtime (or a built-in list of common ones), sorted. */
+  if (_cached) return _cached;
+  let ids = null;
+  try {
+    if (typeof Intl.supportedValuesOf === 'function') ids = Intl.supportedValuesOf('timeZone');
+  } catch {
+    ids = null;
+  }
+  const set = new Set((ids && ids.length ? ids : FALLBACK_TIMEZONES).map((id) => RENAMED[id] || id));
+  set.add('UTC');
+  _cached = Object.freeze([...set].sort());
+  return _cached;
+}
+
+function translated(t, key) {
+  const value = t(key);
+  return typeof value === 'string' && value !== key ? value : null;
+}
+
+// PUBLIC_INTERFACE
+export function timezoneLabel(id, t = (s) => s) {
+  /** Localized display name: "Region / City" from the i18n dictionaries, falling back to the id. */
+  const zone = String(id || '');
+  const slash = zone.indexOf('/');
+  const city = translated(t, `timezones.zones.${zone}`)
+    || (slash >= 0 ? zone.slice(slash + 1) : zone).replace(/_/g, ' ').replace(/\//g, ' / ');
+  if (slash < 0) return city;
+  const regionId = zone.slice(0, slash);
+  const region = translated(t, `timezones.regions.${regionId}`) || regionId;
+  return `${region} / ${city}`;
+}
+
+// PUBLIC_INTERFACE
+export function timezoneOffset(id, atMs = Date.now()) {
+  /** UTC offset of the zone at the given instant, e.g. "UTC+05:30"; '' when the zone is unknown. */
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone: id, timeZoneName: 'longOffset' }).formatToParts(new Date(atMs));
+    const name = (parts.find((p) => p.type === 'timeZoneName') || {}).value || '';
+    return name === 'GMT' ? 'UTC' : name.replace(/^GMT/, 'UTC');
+  } catch {
+    return '';
+  }
+}
+
+// PUBLIC_INTERFACE
+export function formatInTimezone(epochMs, id) {
+  /** Wall-clock "YYYY-MM-DD HH:MM:SS" of an instant in the given zone (UTC when the zone is unknown). */
+  const d = new Date(epochMs);
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: id,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(d);
+  } catch {
+    return d.toISOString().slice(0, 19).replace('T', ' ');
+  }
+  const get = (type) => (parts.find((p) => p.type === type) || {}).value || '00';
+  return `${get('year')}-${get('month')}-${get('day')} ${get('hour')}:${get('minute')}:${get('second')}`;
+}
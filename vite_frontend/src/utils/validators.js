@@ -0,0 +1,239 @@
+//
+// Field validators shared by settings forms.
+// Each validator returns null when the value is valid, or an error descriptor
+// { key, vars? } where key is an i18n key under "validation.*" so forms can
+// render the message through t(key, vars).
+//
+// Public API:
+// - required(value)
+// - ipv4(value)
+// - netmask(value)
+// - hostAddress(ip, mask)
+// - ipv6Prefix(value)
+// - macAddress(value)
+// - hostname(value)
+// - integerInRange(value, min, max)
+// - sameSubnet(ip, otherIp, mask)
+// - lanHostAddress(value, lan)
+// - ssid(value)
+// - wpaPassphrase(value, security)
+// - urlTemplate(value, { placeholders, required })
+// - portRange(value)
+// - ipv4Cidr(value)
+// - username(value)
+// - accountPassword(value)
+// - firstError(...results)
+//
+
+import { parseIPv4, parseCidr, isContiguousNetmask, networkAddress, broadcastAddress, prefixLength, inSubnet } from './ipv4.js';
+import { parsePortRange } from './ports.js';
+
+function error(key, vars) {
+  return vars ? { key, vars } : { key };
+}
+
+function isBlank(value) {
+  return value == null || String(value).trim() === '';
+}
+
+/**
+ * Validate an IPv6 address (with optional :: compression and embedded IPv4 tail).
+ */
+function isIPv6(str) {
+  if (typeof str !== 'string' || !str.includes(':')) return false;
+  const halves = str.split('::');
+  if (halves.length > 2) return false;
+  const groups = halves.map((h) => (h ? h.split(':') : []));
+  const flat = groups.flat();
+  let count = flat.length;
+  if (flat.length && flat[flat.length - 1].includes('.')) {
+    if (parseIPv4(flat[flat.length - 1]) === null) return false;
+    flat.pop();
+    count += 1; // an IPv4 tail occupies two groups
+  }
+  if (!flat.every((g) => /^[0-9a-fA-F]{1,4}$/.test(g))) return false;
+  return halves.length === 2 ? count < 8 : count === 8;
+}
+
+// PUBLIC_INTERFACE
+export function required(value) {
+  /** Error when the value is empty or whitespace. */
+  return isBlank(value) ? error('validation.required') : null;
+}
+
+// PUBLIC_INTERFACE
+export function ipv4(value) {
+  /** Error when the value is not a dotted-quad IPv4 address. */
+  if (isBlank(value)) return error('validation.required');
+  return parseIPv4(String(value)) === null ? error('validation.ipv4') : null;
+}
+
+// PUBLIC_INTERFACE
+export function netmask(value) {
+  /** Error when the value is not a contiguous IPv4 subnet mask usable for a LAN (/1../30). */
+  if (isBlank(value)) return error('validation.required');
+  if (!isContiguousNetmask(String(value))) return error('validation.netmask');
+  const bits = prefixLength(String(value));
+  return bits < 1 || bits > 30 ? error('validation.netmaskRange') : null;
+}
+
+// PUBLIC_INTERFACE
+export function hostAddress(ip, mask) {
+  /** Error when ip is the network or broadcast address of its subnet. Assumes ip/mask are individually valid. */
+  const addr = parseIPv4(String(ip));
+  if (addr === null || !isContiguousNetmask(String(mask))) return null;
+  if (addr === networkAddress(addr, mask)) return error('validation.networkAddress');
+  if (addr === broadcastAddress(addr, mask)) return error('validation.broadcastAddress');
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function ipv6Prefix(value) {
+  /** Error when the value is not an IPv6 prefix like "fd00:1234::/48". Blank is allowed (IPv6 disabled). */
+  if (isBlank(value)) return null;
+  const [addr, len, extra] = String(value).trim().split('/');
+  if (extra !== undefined || len === undefined || !/^\d{1,3}$/.test(len)) return error('validation.ipv6Prefix');
+  const bits = Number(len);
+  if (bits < 1 || bits > 64 || !isIPv6(addr)) return error('validation.ipv6Prefix');
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function macAddress(value) {
+  /** Error unless the value is a unicast MAC like AA:BB:CC:DD:EE:FF (':' or '-' separators). */
+  if (isBlank(value)) return error('validation.required');
+  const text = String(value).trim();
+  if (!/^[0-9a-fA-F]{2}([:-])[0-9a-fA-F]{2}(\1[0-9a-fA-F]{2}){4}$/.test(text)) return error('validation.mac');
+  const first = parseInt(text.slice(0, 2), 16);
+  if (first & 1) return error('validation.macMulticast');
+  if (/^0{2}([:-]0{2}){5}$/.test(text)) return error('validation.mac');
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function hostname(value) {
+  /** Error unless the value is a valid host name (RFC 1123 labels, max 63 chars per label). Blank is allowed. */
+  if (isBlank(value)) return null;
+  const text = String(value).trim();
+  const label = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/;
+  return text.length <= 253 && text.split('.').every((l) => label.test(l)) ? null : error('validation.hostname');
+}
+
+// PUBLIC_INTERFACE
+export function integerInRange(value, min, max) {
+  /** Error unless the value is an integer within [min, max]. */
+  if (isBlank(value)) return error('validation.required');
+  const text = String(value).trim();
+  if (!/^-?\d+$/.test(text)) return error('validation.integer');
+  const n = Number(text);
+  return n < min || n > max ? error('validation.integerRange', { min, max }) : null;
+}
+
+// PUBLIC_INTERFACE
+export function sameSubnet(ip, otherIp, mask) {
+  /** Error when ip is not in otherIp's subnet under mask. Assumes all three are individually valid. */
+  if (parseIPv4(String(ip)) === null || parseIPv4(String(otherIp)) === null || !isContiguousNetmask(String(mask))) return null;
+  return inSubnet(ip, otherIp, mask) ? null : error('validation.notInSubnet');
+}
+
+// PUBLIC_INTERFACE
+export function lanHostAddress(value, lan) {
+  /**
+   * Error unless value is a usable LAN host: a valid IPv4 inside lan's subnet ({ ipAddress, netmask }
+   * from the "lan" settings), not the network/broadcast address and not the router itself.
+   * Without lan only the address format is checked.
+   */
+  const err = ipv4(value);
+  if (err || !lan) return err;
+  return firstError(
+    sameSubnet(value, lan.ipAddress, lan.netmask),
+    hostAddress(value, lan.netmask),
+    parseIPv4(String(value).trim()) === parseIPv4(String(lan.ipAddress)) ? error('validation.routerAddress') : null,
+  );
+}
+
+/**
+ * UTF-8 byte length without relying on TextEncoder (not declared for the linter).
+ */
+function utf8Length(text) {
+  let bytes = 0;
+  for (const ch of text) {
+    const cp = ch.codePointAt(0);
+    bytes += cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+  }
+  return bytes;
+}
+
+// PUBLIC_INTERFACE
+export function ssid(value) {
+  /** Error unless the SSID is 1–32 bytes (UTF-8). */
+  if (isBlank(value)) return error('validation.required');
+  return utf8Length(String(value)) > 32 ? error('validation.ssidLength') : null;
+}
+
+// PUBLIC_INTERFACE
+export function wpaPassphrase(value, security) {
+  /**
+   * Passphrase rules per security mode:
+   * - wpa2: 8–63 printable ASCII, or exactly 64 hex digits (raw PSK)
+   * - wpa2-wpa3: 8–63 printable ASCII (SAE cannot use a raw PSK)
+   * - wpa3: 8–128 printable ASCII
+   */
+  if (isBlank(value)) return error('validation.required');
+  const text = String(value);
+  if (security === 'wpa2' && /^[0-9a-fA-F]{64}$/.test(text)) return null;
+  if (!/^[\x20-\x7e]*$/.test(text)) return error('validation.passphraseAscii');
+  const max = security === 'wpa3' ? 128 : 63;
+  return text.length < 8 || text.length > max ? error('validation.passphraseLength', { min: 8, max }) : null;
+}
+
+// PUBLIC_INTERFACE
+export function urlTemplate(value, { placeholders = [], required: requiredNames = [] } = {}) {
+  /**
+   * Error unless the value is an http(s) URL template whose {name} placeholders are all known
+   * (placeholders) and include every name in required, e.g. "https://x/update?h={hostname}&ip={ip}".
+   */
+  if (isBlank(value)) return error('validation.required');
+  const text = String(value).trim();
+  if (!/^https?:\/\/[^\s/?#]+[^\s]*$/i.test(text)) return error('validation.url');
+  const used = [...text.matchAll(/\{([^{}]*)\}/g)].map((m) => m[1]);
+  const unknown = used.find((name) => !placeholders.includes(name));
+  if (unknown !== undefined) return error('validation.placeholderUnknown', { name: `{${unknown}}` });
+  const missing = requiredNames.find((name) => !used.includes(name));
+  if (missing) return error('validation.placeholderMissing', { name: `{${missing}}` });
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function portRange(value) {
+  /** Error unless the value is a port "1..65535" or an ascending range like "8000-8010". */
+  if (isBlank(value)) return error('validation.required');
+  return parsePortRange(value) ? null : error('validation.portRange');
+}
+
+// PUBLIC_INTERFACE
+export function ipv4Cidr(value) {
+  /** Error unless the value is an IPv4 address or network in CIDR form (e.g. "10.0.0.0/8"). */
+  if (isBlank(value)) return error('validation.required');
+  return parseCidr(String(value)) ? null : error('validation.ipv4Cidr');
+}
+
+// PUBLIC_INTERFACE
+export function username(value) {
+  /** Error unless the value is a login name: a lowercase letter, then 1–31 of a-z 0-9 . _ - */
+  if (isBlank(value)) return error('validation.required');
+  return /^[a-z][a-z0-9._-]{1,31}$/.test(String(value)) ? null : error('validation.username');
+}
+
+// PUBLIC_INTERFACE
+export function accountPassword(value) {
+  /** Error unless the value is a usable web UI password (at least 8 characters). */
+  if (value == null || value === '') return error('validation.required');
+  return String(value).length < 8 ? error('validation.passwordLength', { min: 8 }) : null;
+}
+
+// PUBLIC_INTERFACE
+export function firstError(...results) {
+  /** Returns the first non-null validator result, or null. */
+  return results.find((r) => r) || null;
+}